@@ -10,6 +10,10 @@
  */
 import { bus } from "./core/EventBus.js";
 import { TextChunker } from "./utils/TextChunker.js";
+import { ChapterValidator } from "./utils/ChapterValidator.js";
+import { Language } from "./utils/Language.js";
+import { ReadingDirection } from "./utils/ReadingDirection.js";
+import { hitTestLayout } from "./gaze/LayoutProvider.js";
 
 export class TextRenderer {
     constructor(containerId, options = {}) {
@@ -22,13 +26,19 @@ export class TextRenderer {
             fontSize: "1.5rem",
             lineHeight: "2.5",
             wordSpacing: "0.3em",
-            padding: "20px"
+            padding: "20px",
+            vocabList: null,   // Rune words are cross-checked against it (ChapterValidator)
+            devMode: false,    // Show content problems in an overlay
+            lang: null,        // Fallback when the chapter has no lang (null = detect from the tokens)
+            direction: null    // Fallback when the chapter has no direction (null = from the language: rtl for ar / he)
         }, options);
 
         // State
         this.words = [];       // Array of Word Objects: { id, text, chunkId, element, rect }
         this.chunks = [];      // Array of Chunk Arrays (grouping word indices)
-        this.lines = [];       // Array of Line Objects: { y, top, bottom, wordIndices[] }
+        this.lines = [];       // Array of Line Objects: { y, top, bottom, wordIndices[], chars }
+        this.lang = "en";      // Language of the prepared text (Language.js)
+        this.direction = "ltr"; // 'ltr' | 'rtl' | 'vertical-rl' (ReadingDirection.js)
         this.isLayoutLocked = false;
 
         // [New] Animation Safety
@@ -62,7 +72,12 @@ export class TextRenderer {
         this.container.style.textAlign = "left";
     }
 
-    prepareDynamic(chapterData, wpm = 150) {
+    /**
+     * @param {Object} chapterData - { lang?, direction?, paragraphs: [{ tokens, vocab_highlights }] }
+     * @param {number} wpm
+     * @param {string} band - optional TextChunker band override
+     */
+    prepareDynamic(chapterData, wpm = 150, band = undefined) {
         if (!this.container) return;
         this.cancelAllAnimations();
 
@@ -72,12 +87,20 @@ export class TextRenderer {
         this.chunks = [];
         this.lines = [];
         this.isLayoutLocked = false;
+        this.isHeatmapVisible = false;
 
         if (!chapterData || !chapterData.paragraphs) return;
 
+        // Schema check: broken indices would silently break rune triggers
+        this.validation = ChapterValidator.validate(chapterData, { partial: true, vocabList: this.options.vocabList });
+        this.validation.errors.forEach(e => console.error(`[TextRenderer] Content ${ChapterValidator.format(e)}`));
+        this.validation.warnings.forEach(w => console.warn(`[TextRenderer] Content ${ChapterValidator.format(w)}`));
+        if (this.options.devMode) ChapterValidator.showOverlay(this.validation);
+
         // Flatten paragraphs into single token stream
         let allTokens = [];
         let allHighlights = [];
+        let allSpans = []; // core phrases, kept in one chunk
         let tokenOffset = 0;
 
         chapterData.paragraphs.forEach(p => {
@@ -98,12 +121,24 @@ export class TextRenderer {
                     });
                 });
             }
+            if (p.core_phrase) {
+                allSpans.push({
+                    start_token_index: p.core_phrase.start_token_index + tokenOffset,
+                    end_token_index: p.core_phrase.end_token_index + tokenOffset
+                });
+            }
             tokenOffset += p.tokens.length;
         });
 
+        // Language: ko / ja / zh get their own chunking rules, no word gaps in ja / zh, CJK line breaking
+        this.lang = chapterData.lang || this.options.lang || Language.detect(allTokens.map(t => t.t).join(" "));
+        this.direction = ReadingDirection.get(chapterData.direction || this.options.direction || ReadingDirection.forLanguage(this.lang)).id;
+        const spaced = Language.get(this.lang).spaced;
+        this.applyLanguageStyles();
+
         // Use DSC Algorithm to chunk text
-        console.log(`[TextRenderer] Preparing Dynamic Text for WPM: ${wpm}`);
-        const groupedChunks = TextChunker.process(allTokens, wpm, allHighlights);
+        console.log(`[TextRenderer] Preparing Dynamic Text for WPM: ${wpm}${band ? ` (band: ${band})` : ''} (lang: ${this.lang})`);
+        const groupedChunks = TextChunker.process(allTokens, wpm, allHighlights, band, { spans: allSpans, lang: this.lang });
 
         // Render Chunks to DOM
         let globalWordIndex = 0;
@@ -136,7 +171,7 @@ export class TextRenderer {
 
                 span.style.color = "#ffffff"; // Default
                 span.style.opacity = "0";
-                span.style.marginRight = this.options.wordSpacing;
+                span.style.marginInlineEnd = spaced ? this.options.wordSpacing : "0"; // Right in ltr, left in rtl, below in vertical
                 span.style.display = "inline-block";
                 span.style.lineHeight = "1.2";
                 span.style.verticalAlign = "middle";
@@ -169,6 +204,20 @@ export class TextRenderer {
         this.paginate();
     }
 
+    // lang attribute (font selection, hyphenation), CJK line breaking rules and reading direction on the text container
+    applyLanguageStyles() {
+        if (!this.container) return;
+        const cjk = Language.isCJK(this.lang);
+        const rd = ReadingDirection.get(this.direction);
+        this.container.lang = this.lang;
+        this.container.dir = rd.dir;
+        this.container.style.writingMode = rd.vertical ? rd.writingMode : "";
+        this.container.style.textAlign = rd.dir === "rtl" ? "right" : "left";
+        // Korean breaks between eojeol like English words; ja / zh tokens follow the strict kinsoku rules
+        this.container.style.wordBreak = Language.base(this.lang) === "ko" ? "keep-all" : "";
+        this.container.style.lineBreak = cjk ? "strict" : "";
+    }
+
     addVisualAugments() {
         // Reset Pagination State
         this.pages = [];
@@ -370,6 +419,11 @@ export class TextRenderer {
         const containerRect = this.container.getBoundingClientRect();
         let currentLineY = -9999;
         let lineBuffer = [];
+        // CJK: Hangul / Kanji and Latin / digits on one line come from different (fallback) fonts, so their boxes
+        // have different heights and tops. Their centers line up (vertical-align: middle): group lines by center.
+        const cjk = Language.isCJK(this.lang);
+        // Vertical text: lines are columns, grouped by their X center
+        const vertical = ReadingDirection.get(this.direction).vertical;
 
         this.words.forEach(word => {
             const r = word.element.getBoundingClientRect();
@@ -394,12 +448,18 @@ export class TextRenderer {
             };
 
             // Use larger threshold for line detection
-            if (Math.abs(word.rect.top - currentLineY) > (word.rect.height * 1.5)) {
+            let lineY = cjk ? word.rect.centerY : word.rect.top;
+            let threshold = cjk ? word.rect.height * 0.75 : word.rect.height * 1.5;
+            if (vertical) {
+                lineY = word.rect.centerX;
+                threshold = word.rect.width * 0.75;
+            }
+            if (Math.abs(lineY - currentLineY) > threshold) {
                 if (lineBuffer.length > 0) {
                     this.lines.push(this._finalizeLine(lineBuffer));
                 }
                 lineBuffer = [word];
-                currentLineY = word.rect.top;
+                currentLineY = lineY;
             } else {
                 lineBuffer.push(word);
             }
@@ -424,9 +484,10 @@ export class TextRenderer {
     }
 
     _finalizeLine(words) {
-        const first = words[0].rect;
-        const last = words[words.length - 1].rect;
         const lineIndex = this.lines.length;
+        // Extremes instead of first/last word: in rtl the first word is the rightmost one
+        const minLeft = Math.min(...words.map(w => w.rect.left));
+        const maxRight = Math.max(...words.map(w => w.rect.right));
         const minTop = Math.min(...words.map(w => w.rect.top));
         const maxBottom = Math.max(...words.map(w => w.rect.bottom));
 
@@ -441,13 +502,14 @@ export class TextRenderer {
             startIndex: words[0].index,
             endIndex: words[words.length - 1].index,
             wordIndices: words.map(w => w.index),
+            chars: words.reduce((sum, w) => sum + Language.countChars(w.text), 0), // CPM (GazeDataManager)
             visualY: sumVisualY / words.length,
             rect: {
-                left: first.left,
-                right: last.right,
+                left: minLeft,
+                right: maxRight,
                 top: minTop,
                 bottom: maxBottom,
-                width: last.right - first.left,
+                width: maxRight - minLeft,
                 height: maxBottom - minTop
             }
         };
@@ -557,8 +619,15 @@ export class TextRenderer {
             let visualY = currentRect.top + (currentRect.height * 0.52);
             if (!wordObj.element.classList.contains("revealed")) visualY -= 10;
 
+            // 'start' = before the word, 'end' = after it, in reading order
+            const atStart = align === 'start' || align === 'left';
             let visualX;
-            if (align === 'start' || align === 'left') visualX = currentRect.left - 4;
+            if (this.direction === 'rtl') visualX = atStart ? currentRect.right + 4 : currentRect.left - 2;
+            else if (ReadingDirection.get(this.direction).vertical) {
+                visualX = currentRect.left + (currentRect.width * 0.5);
+                visualY = atStart ? currentRect.top - 4 : currentRect.bottom + 2;
+            }
+            else if (atStart) visualX = currentRect.left - 4;
             else visualX = currentRect.right + 2;
 
             this.cursor.style.position = "fixed";
@@ -569,6 +638,17 @@ export class TextRenderer {
 
             // STORE TRUTH: Save exact Y for Pang Event
             this.latestCursorY = visualY;
+
+            // Fresh text: where the reader is about to look (implicit calibration, gaze/ImplicitCalibrator.js)
+            bus.emit('cursor_moved', {
+                x: currentRect.left + currentRect.width / 2,
+                y: currentRect.top + currentRect.height / 2,
+                cursorX: visualX,
+                cursorY: visualY,
+                align,
+                wordIndex: wordObj.index,
+                lineIndex: wordObj.lineIndex
+            });
         } catch (e) {
             console.error("[TextRenderer] Cursor Update Error:", e);
         }
@@ -592,6 +672,25 @@ export class TextRenderer {
         setTimeout(() => this.fadeOutChunk(chunkIndex), delayMs);
     }
 
+    // [NEW] Resume cue (gaze-gated reveal): bring back the last chunk so the reader finds their place
+    cueResume(chunkIndex, lifetimeMs = 3000) {
+        if (chunkIndex >= 0 && chunkIndex < this.chunks.length) {
+            this.chunks[chunkIndex].forEach(wordIdx => {
+                const w = this.words[wordIdx];
+                if (!w || !w.element) return;
+                w.element.classList.remove("chunk-fade-out");
+                w.element.classList.add("revealed", "tr-resume-cue");
+                setTimeout(() => w.element.classList.remove("tr-resume-cue"), lifetimeMs);
+            });
+            this.scheduleFadeOut(chunkIndex, lifetimeMs);
+        }
+        if (this.cursor) {
+            this.cursor.classList.remove("impact-pulse");
+            void this.cursor.offsetWidth; // Restart animation
+            this.cursor.classList.add("impact-pulse");
+        }
+    }
+
     // --- RGT (Relative Gaze Trigger) Logic ---
     checkRuneTriggers(gazeX, gazeY) {
         if (!this.lines || this.lines.length === 0) return;
@@ -615,31 +714,35 @@ export class TextRenderer {
         }
 
         // 2. Normalized Gaze X (0.0 to 1.0)
-        let Gx_norm = (gazeX - a) / (b - a);
+        // 'a' / 'b' are along the reading direction (GazeDataManager), so the gaze is too: 0 = line start, 1 = line end
+        const dir = this.direction;
+        let Gx_norm = (ReadingDirection.along(gazeX, gazeY, dir) - a) / (b - a);
         Gx_norm = Math.max(0, Math.min(1, Gx_norm)); // Clamp
 
-        // 3. Find Line near Gaze Y
+        // 3. Find Line near Gaze Y (Gaze X for vertical columns)
         // We expand the vertical tolerance because gaze Y is often inaccurate.
         const LINE_TOLERANCE_Y = 60; // +/- 60px
+        const gazeAcross = ReadingDirection.across(gazeX, gazeY, dir);
         const activeLine = this.lines.find(line => {
-            const midY = (line.rect.top + line.rect.bottom) / 2;
-            return Math.abs(gazeY - midY) < LINE_TOLERANCE_Y;
+            const mid = ReadingDirection.span(line.rect, dir, 'across').center;
+            return Math.abs(gazeAcross - mid) < LINE_TOLERANCE_Y;
         });
 
         if (!activeLine) return;
 
         // 4. Check Words in this Line
         if (!this.containerRect) this.containerRect = this.container.getBoundingClientRect();
-        const containerWidth = this.containerRect.width;
-        const containerLeft = this.containerRect.left;
+        const container = ReadingDirection.span(this.containerRect, dir, 'along');
+        const containerWidth = container.end - container.start;
+        const containerLeft = container.start;
 
         activeLine.wordIndices.forEach(idx => {
             const word = this.words[idx];
             if (!word.isRuneWord || word.activated) return; // Skip if normal or already done
 
             // Calculate Word's Normalized Position in Container
-            // Center of word relative to container
-            const wordCenter = (word.rect.left + word.rect.right) / 2;
+            // Center of word relative to container (from the line start side)
+            const wordCenter = ReadingDirection.span(word.rect, dir, 'along').center;
             const Wx_norm = (wordCenter - containerLeft) / containerWidth;
 
             // 5. Compare & Trigger
@@ -677,6 +780,9 @@ export class TextRenderer {
 
         // 1. Strict Hit Test (Vertical)
         // Check if falls exactly within [top, bottom] with padding
+        // Vertical text: lines are columns (same rules as hitTestLayout in gaze/LayoutProvider.js)
+        if (ReadingDirection.get(this.direction).vertical) return hitTestLayout(this.lines, this.words, gx, gy, this.direction);
+
         const LINE_PADDING = 30;
         let line = this.lines.find(l => gy >= (l.rect.top - LINE_PADDING) && gy <= (l.rect.bottom + LINE_PADDING));
 
@@ -779,8 +885,16 @@ export class TextRenderer {
         impact.style.width = "10px";
         impact.style.height = "10px";
         impact.style.opacity = "1";
-        impact.style.left = (window.innerWidth - 20) + "px"; // [FIX] Right Edge
-        impact.style.top = targetY + "px";
+        // [FIX] Line-end edge: right in ltr, left in rtl, bottom of the column in vertical text
+        const rd = ReadingDirection.get(this.direction);
+        const line = this.lines && this.lines[targetIndex];
+        if (rd.vertical && line) {
+            impact.style.left = ((line.rect.left + line.rect.right) / 2) + "px";
+            impact.style.top = (window.innerHeight - 20) + "px";
+        } else {
+            impact.style.left = (rd.dir === "rtl" ? 20 : window.innerWidth - 20) + "px";
+            impact.style.top = targetY + "px";
+        }
         impact.style.transform = "translate(-50%, -50%) scale(1.0)"; // Start Small (10px)
 
         // Force Reflow
@@ -1313,5 +1427,194 @@ export class TextRenderer {
 
         setTimeout(() => pulse.remove(), 200);
     }
+
+    // --- Heatmap (Attention Overlay) ---
+
+    /**
+     * Tints every word by fixation time and draws a translucent density layer + legend.
+     * @param {Object} wordStats - { [wordIndex]: { totalFixationDuration, ... } } (GazeDataManager.getWordStats(para))
+     * @param {Object} options - { metric, fixations: [{ cx, cy, duration }] in viewport px (omit for loaded sessions), density, legend }
+     */
+    showHeatmap(wordStats, options = {}) {
+        if (!this.container || this.words.length === 0) return false;
+        if (!this.isLayoutLocked) this.lockLayout();
+        this.hideHeatmap();
+
+        const opts = Object.assign({
+            metric: 'totalFixationDuration',
+            fixations: null,
+            density: true,
+            legend: true
+        }, options);
+
+        const values = this.words.map(w => {
+            const s = wordStats && wordStats[w.index];
+            return (s && s[opts.metric]) || 0;
+        });
+        const max = Math.max(0, ...values);
+
+        this.words.forEach((w, i) => {
+            if (!w.element) return;
+            const v = max > 0 ? values[i] / max : 0;
+            w.element.classList.add('tr-heat');
+            w.element.style.backgroundColor = v > 0 ? this._heatColor(v, 0.2 + 0.5 * v) : "transparent";
+            w.element.title = `${Math.round(values[i])} ms`;
+        });
+
+        if (opts.density) this._drawHeatDensity(values, opts.fixations);
+        if (opts.legend) this._showHeatLegend(max);
+
+        this.isHeatmapVisible = true;
+        console.log(`[TextRenderer] Heatmap shown (${values.filter(v => v > 0).length}/${values.length} words, max ${Math.round(max)}ms)`);
+        return true;
+    }
+
+    hideHeatmap() {
+        this.words.forEach(w => {
+            if (!w.element || !w.element.classList.contains('tr-heat')) return;
+            w.element.classList.remove('tr-heat');
+            w.element.style.backgroundColor = "";
+            w.element.removeAttribute('title');
+        });
+        const layer = document.getElementById("heatmap-layer");
+        if (layer) layer.remove();
+        const legend = document.getElementById("heatmap-legend");
+        if (legend) legend.remove();
+        this.isHeatmapVisible = false;
+    }
+
+    /**
+     * Historical session: re-renders a recorded paragraph from its stored layout words
+     * (GazeDataManager.recordLayout) and shows its heatmap.
+     * @param {Object} session - { layouts: { [para]: { lines, words } }, wordStats: { [para]: {...} } }
+     *   (GazeDataManager.getReplaySession(), or a session file with its stats under analysis.wordStats)
+     */
+    async renderSessionHeatmap(session, paraIndex = 0) {
+        const layout = session && session.layouts ? session.layouts[paraIndex] : null;
+        const words = layout && !Array.isArray(layout) ? layout.words : null;
+        if (!words || words.length === 0) {
+            console.warn(`[TextRenderer] No recorded words for paragraph ${paraIndex}. Cannot render heatmap.`);
+            return false;
+        }
+
+        this.prepareDynamic({ lang: layout.lang, direction: layout.direction, paragraphs: [{ tokens: words.map(w => ({ t: w.text, b: 0 })) }] });
+        await this.showPage(0);
+        this.words.forEach(w => {
+            if (w.element && w.pageIndex === 0) {
+                w.element.style.opacity = "1";
+                w.element.style.visibility = "visible";
+            }
+        });
+
+        const wordStats = session.wordStats || (session.analysis && session.analysis.wordStats);
+        const stats = (wordStats && wordStats[paraIndex]) || {};
+        // Recorded gaze coordinates belong to the original screen, so density comes from word centres
+        return this.showHeatmap(stats, { fixations: null });
+    }
+
+    // 0 (cool) -> 1 (hot): blue -> green -> yellow -> red
+    _heatColor(v, alpha = 1) {
+        const hue = Math.round(240 * (1 - Math.max(0, Math.min(1, v))));
+        return `hsla(${hue}, 100%, 50%, ${alpha.toFixed(2)})`;
+    }
+
+    _drawHeatDensity(values, fixations) {
+        const width = this.container.clientWidth;
+        const height = this.container.scrollHeight;
+        if (!width || !height) return;
+
+        const containerRect = this.container.getBoundingClientRect();
+        const toLocalX = (x) => x - containerRect.left + this.container.scrollLeft;
+        const toLocalY = (y) => y - containerRect.top + this.container.scrollTop;
+
+        // Weighted points: real fixations when we have them, otherwise one blob per word
+        let points = [];
+        if (Array.isArray(fixations) && fixations.length > 0) {
+            // Drift-corrected position where there is one, like the word mapping
+            points = fixations
+                .map(f => ({ x: Number.isFinite(f.cx) ? f.cx : f.x, y: Number.isFinite(f.cy) ? f.cy : f.y, w: f.duration || 0 }))
+                .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y))
+                .map(p => ({ x: toLocalX(p.x), y: toLocalY(p.y), w: p.w }));
+        } else {
+            this.words.forEach((word, i) => {
+                if (!word.rect || values[i] <= 0) return;
+                points.push({ x: toLocalX(word.rect.centerX), y: toLocalY(word.rect.centerY), w: values[i] });
+            });
+        }
+        const maxW = Math.max(0, ...points.map(p => p.w));
+        if (points.length === 0 || maxW <= 0) return;
+
+        // 1. Accumulate intensity (alpha only)
+        const canvas = document.createElement('canvas');
+        canvas.id = "heatmap-layer";
+        canvas.width = width;
+        canvas.height = height;
+        canvas.style.cssText = "position:absolute; left:0; top:0; pointer-events:none; z-index:5; opacity:0.55; mix-blend-mode:screen;";
+        const ctx = canvas.getContext('2d');
+        const radius = 40;
+
+        points.forEach(p => {
+            const g = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, radius);
+            g.addColorStop(0, `rgba(0,0,0,${(0.15 + 0.6 * (p.w / maxW)).toFixed(3)})`);
+            g.addColorStop(1, "rgba(0,0,0,0)");
+            ctx.fillStyle = g;
+            ctx.fillRect(p.x - radius, p.y - radius, radius * 2, radius * 2);
+        });
+
+        // 2. Colorize by intensity
+        const img = ctx.getImageData(0, 0, width, height);
+        const px = img.data;
+        for (let i = 0; i < px.length; i += 4) {
+            const a = px[i + 3];
+            if (a === 0) continue;
+            const v = a / 255;
+            const hue = 240 * (1 - v);
+            const [r, g, b] = hslToRgb(hue / 360, 1, 0.5);
+            px[i] = r; px[i + 1] = g; px[i + 2] = b;
+            px[i + 3] = Math.min(255, a * 1.5);
+        }
+        ctx.putImageData(img, 0, 0);
+
+        this.container.appendChild(canvas);
+    }
+
+    _showHeatLegend(max) {
+        const legend = document.createElement('div');
+        legend.id = "heatmap-legend";
+        legend.style.cssText = "position:absolute; right:10px; bottom:10px; z-index:6; pointer-events:none; background:rgba(0,0,0,0.6); padding:6px 8px; border-radius:6px; font-family:sans-serif; font-size:0.7rem; color:#ddd; line-height:1.2;";
+
+        const bar = document.createElement('div');
+        bar.style.cssText = `width:120px; height:8px; border-radius:4px; margin:4px 0; background:linear-gradient(90deg, ${this._heatColor(0)}, ${this._heatColor(0.33)}, ${this._heatColor(0.66)}, ${this._heatColor(1)});`;
+
+        const labels = document.createElement('div');
+        labels.style.cssText = "display:flex; justify-content:space-between;";
+        labels.innerHTML = `<span>0</span><span>${Math.round(max)} ms</span>`;
+
+        const title = document.createElement('div');
+        title.textContent = "Fixation time";
+
+        legend.appendChild(title);
+        legend.appendChild(bar);
+        legend.appendChild(labels);
+        this.container.appendChild(legend);
+    }
+}
+
+function hslToRgb(h, s, l) {
+    const hue2rgb = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    return [
+        Math.round(hue2rgb(p, q, h + 1 / 3) * 255),
+        Math.round(hue2rgb(p, q, h) * 255),
+        Math.round(hue2rgb(p, q, h - 1 / 3) * 255)
+    ];
 }
 window.TextRenderer = TextRenderer;
@@ -2,11 +2,53 @@
 import { loadWebpackModule } from "./webpack-loader.js";
 import { CalibrationManager } from "./calibration.js";
 import { GazeDataManager } from "./gaze-data-manager.js"; // Import
+import { SeesoGazeSource } from "./gaze/SeesoGazeSource.js";
+import { MouseGazeSource } from "./gaze/MouseGazeSource.js";
+import { ReplayGazeSource } from "./gaze/ReplayGazeSource.js";
+import { SyntheticGazeSource } from "./gaze/SyntheticGazeSource.js";
+import { replaySession } from "./gaze/ReplayHarness.js";
+import { loadSession } from "./session/SessionFormat.js";
+import { bus } from "./core/EventBus.js";
+import { LocalSessionStore } from "./storage/LocalSessionStore.js";
+import { SyncQueue } from "./storage/SyncQueue.js";
+import { SessionPersistence } from "./storage/SessionPersistence.js";
+import { createStorageAdapter } from "./storage/createStorageAdapter.js";
+import { Diagnostics } from "./diagnostics/Diagnostics.js";
+
+// Remote storage (Firebase by default, ?storage=memory|rest for a local stand-in)
+const storageAdapter = createStorageAdapter();
+window.storageAdapter = storageAdapter;
+
+// Local-first storage: IndexedDB + retrying outbox to the storage adapter
+const localStore = new LocalSessionStore();
+const syncQueue = new SyncQueue(localStore, storageAdapter, { bus });
+const sessionPersistence = new SessionPersistence(localStore, syncQueue);
+window.syncQueue = syncQueue;
+window.sessionPersistence = sessionPersistence;
+syncQueue.start()
+  .then(() => sessionPersistence.recover())
+  .catch((e) => console.error("[Sync] Startup failed", e));
 
 // Initialize Manager
-const gazeDataManager = new GazeDataManager();
+// Implicit calibration from the revealed-text cursor (?implicitCal=off disables)
+const gazeDataManager = new GazeDataManager({
+  persistence: sessionPersistence,
+  implicitCalibration: { enabled: new URLSearchParams(location.search).get("implicitCal") !== "off" },
+});
 // Expose to Game if needed, or Game accesses via window
 window.gazeDataManager = gazeDataManager;
+// Debug: re-run return-sweep detection offline on the current (or a given) session
+window.__replaySession = (session) => replaySession(session || gazeDataManager.getReplaySession());
+// Debug: heatmap of a recorded paragraph (current session, a session object or session file text)
+window.__renderSessionHeatmap = (session, paraIndex = 0) => {
+  const renderer = window.Game && window.Game.typewriter ? window.Game.typewriter.renderer : null;
+  if (!renderer) {
+    console.warn("[Heatmap] No text renderer yet (start a chapter first).");
+    return Promise.resolve(false);
+  }
+  const data = typeof session === "string" ? loadSession(session, { strict: false }) : (session || gazeDataManager.getReplaySession());
+  return renderer.renderSessionHeatmap(data, paraIndex);
+};
 
 /**
  * SeeSo Eye Tracking Web Demo
@@ -22,6 +64,13 @@ window.gazeDataManager = gazeDataManager;
  * Debug:
  *  - ?debug=1 (default): INFO/WARN/ERROR
  *  - ?debug=2          : verbose DEBUG
+ *  - ?diag=1           : runtime diagnostics (RAF / listener / heap / frame probes + overlay), see js/diagnostics
+ *
+ * Gaze Source:
+ *  - ?gaze=seeso (default)               : webcam + SeeSo SDK
+ *  - ?gaze=mouse                         : pointer as gaze (no camera / license needed)
+ *  - ?gaze=replay&replay=<url>           : recorded session (session JSON / NDJSON, or legacy exportCSV)
+ *  - ?gaze=synthetic&synthWpm=200        : scripted reader sweeping the rendered lines
  */
 // Product key: for selfso2014.github.io
 // Dev key: for localhost
@@ -39,74 +88,20 @@ const DEBUG_LEVEL = (() => {
   return Number.isFinite(n) ? n : 0;
 })();
 
-// --- [NEW] Debug Meter: Memory Leak Tracker ---
-const activeRafs = new Set();
-const listenerCounts = {};
-let totalListeners = 0;
-
-// Hook RAF
-const originalRAF = window.requestAnimationFrame;
-const originalCAF = window.cancelAnimationFrame;
-
-window.requestAnimationFrame = (cb) => {
-  const id = originalRAF((t) => {
-    activeRafs.delete(id);
-    if (cb) cb(t);
-  });
-  activeRafs.add(id);
-  return id;
-};
-
-window.cancelAnimationFrame = (id) => {
-  activeRafs.delete(id);
-  originalCAF(id);
-};
-
-// Hook Event Listeners
-const originalAdd = EventTarget.prototype.addEventListener;
-const originalRemove = EventTarget.prototype.removeEventListener;
-
-EventTarget.prototype.addEventListener = function (type, listener, options) {
-  listenerCounts[type] = (listenerCounts[type] || 0) + 1;
-  totalListeners++;
-  return originalAdd.call(this, type, listener, options);
+const GAZE_PARAMS = new URLSearchParams(location.search);
+const GAZE_SOURCE_KIND = GAZE_PARAMS.get("gaze") || "seeso";
+
+// Calibration: ?calPoints=1|5, ?calValidate=0|1 (1 = validate even without a tracker), ?calGate=0 (never block reading),
+// ?calMaxError=<px> (mean error allowed)
+const CAL_OPTIONS = {
+  points: Number(GAZE_PARAMS.get("calPoints")) || null,
+  validate: GAZE_PARAMS.has("calValidate") ? GAZE_PARAMS.get("calValidate") !== "0" : "auto",
+  gate: GAZE_PARAMS.get("calGate") !== "0",
+  validation: GAZE_PARAMS.has("calMaxError")
+    ? { maxMeanErrorPx: Number(GAZE_PARAMS.get("calMaxError")), maxRegionErrorPx: Number(GAZE_PARAMS.get("calMaxError")) * 2 }
+    : {},
 };
 
-EventTarget.prototype.removeEventListener = function (type, listener, options) {
-  if (listenerCounts[type] > 0) {
-    listenerCounts[type]--;
-    totalListeners--;
-  }
-  return originalRemove.call(this, type, listener, options);
-};
-
-// Start 1s Metric Loop
-setInterval(() => {
-  // Only log if debug is enabled OR to console if critical
-  const rafCount = activeRafs.size;
-
-  const metricData = {
-    ts: new Date().toISOString(),
-    rafCount: rafCount,
-    rafs: Array.from(activeRafs),
-    listenerCount: totalListeners,
-    listeners: { ...listenerCounts },
-    buffers: {}
-  };
-
-  // Log format requested by user
-  logBase("INFO", "Meter", `RAF:${rafCount} | LSN:${totalListeners} | BUF:?`, metricData);
-
-  // Critical Warnings (iOS Crash Prevention)
-  if (rafCount > 2) {
-    logE("CRITICAL", `RAF > 2: [${Array.from(activeRafs)}]`);
-  }
-  if (totalListeners > 60) {
-    logE("CRITICAL", `LSN > 60:`, listenerCounts);
-  }
-
-}, 1000);
-
 // ---------- DOM ----------
 const els = {
   hud: document.getElementById("hud"),
@@ -245,23 +240,7 @@ function ensureLogPanel() {
     btnUpload.style.opacity = "0.7";
     btnUpload.style.cursor = "wait";
 
-    if (!window.firebase) {
-      alert("Error: Firebase SDK not loaded.");
-      resetBtn();
-      return;
-    }
-
     try {
-      // [FIX] Ensure Firebase App is initialized
-      if (!firebase.apps.length) {
-        if (window.FIREBASE_CONFIG) {
-          firebase.initializeApp(window.FIREBASE_CONFIG);
-        } else {
-          throw new Error("Missing window.FIREBASE_CONFIG");
-        }
-      }
-
-      const db = firebase.database();
       const sessionId = "session_" + Date.now();
 
       // [NEW] Retrieve Crashed Logs from LocalStorage
@@ -287,7 +266,7 @@ function ensureLogPanel() {
 
       // Race: Upload vs Timeout
       await Promise.race([
-        db.ref("logs/" + sessionId).set(uploadData),
+        storageAdapter.saveLogs(sessionId, uploadData),
         timeout
       ]);
 
@@ -370,6 +349,30 @@ function logD(tag, msg, data) {
   if (DEBUG_LEVEL >= 2) logBase("DEBUG", tag, msg, data);
 }
 
+// --- Diagnostics (opt-in, js/diagnostics/Diagnostics.js) ---
+// ?diag=1 (every probe) or ?diag=raf,listeners,gaze,heap,longtasks,frame; ?diagInterval=<ms>, ?diagOverlay=0.
+// Started once logging is up: warnings go to the log panel (and its crash backup).
+// The choice is kept in localStorage for home-screen iOS apps without a URL bar; ?diag=off clears it.
+const DIAG_KEY = "diagnostics";
+const diagnostics = (() => {
+  let spec = GAZE_PARAMS.get("diag");
+  try {
+    if (spec === "off" || spec === "0") localStorage.removeItem(DIAG_KEY);
+    else if (spec) localStorage.setItem(DIAG_KEY, spec);
+    else spec = localStorage.getItem(DIAG_KEY);
+  } catch (e) { /* storage blocked: URL switch only */ }
+
+  return Diagnostics.fromSpec(spec, {
+    ...(GAZE_PARAMS.has("diagInterval") ? { intervalMs: Number(GAZE_PARAMS.get("diagInterval")) } : {}),
+    overlay: GAZE_PARAMS.get("diagOverlay") !== "0",
+    bus,
+    log: (level, msg, data) => logBase(level, "Diag", msg, data),
+    onWarning: (w) => gazeDataManager.logEvent("diagnostics_warning", { level: w.level, metric: w.metric, value: w.value, limit: w.limit }),
+  });
+})();
+if (diagnostics) diagnostics.start();
+window.diagnostics = diagnostics;
+
 window.addEventListener("error", (e) => {
   logE("window", "Unhandled error", {
     message: e.message,
@@ -402,17 +405,24 @@ if (els.btnRetry) {
   els.btnRetry.onclick = () => location.reload();
 }
 
+// Number of calibration points (restarts the calibration)
+document.querySelectorAll("#calibration-mode-picker [data-points]").forEach((btn) => {
+  btn.onclick = () => {
+    if (calManager.setMode(Number(btn.dataset.points))) startCalibration();
+  };
+});
+
 const btnCalStart = document.getElementById("btn-calibration-start");
 if (btnCalStart) {
   btnCalStart.onclick = () => {
     btnCalStart.style.display = "none";
-    if (seeso) {
+    if (gazeSource) {
       // Start safety timer FIRST
       calManager.startCollection();
 
       try {
         lastCollectAt = performance.now();
-        seeso.startCollectSamples();
+        gazeSource.startCollectSamples();
         logI("cal", "startCollectSamples called manually");
       } catch (e) {
         logE("cal", "startCollectSamples threw", e);
@@ -487,8 +497,13 @@ const overlay = {
 
 const calManager = new CalibrationManager({
   logI, logW, logE, setStatus, setState,
+  options: CAL_OPTIONS,
   requestRender: () => renderOverlay(),
+  onRecalibrate: () => startCalibration(),
   onCalibrationFinish: () => {
+    if (window.gazeDataManager) {
+      window.gazeDataManager.setCalibration(calManager.getResult());
+    }
     if (typeof window.Game !== "undefined") {
       window.Game.onCalibrationFinish();
     }
@@ -700,8 +715,12 @@ async function ensureCamera() {
 let seeso = null;
 let SDK = null;
 
+// Active gaze source (SeeSo, mouse, replay or synthetic). See js/gaze/GazeSource.js
+let gazeSource = null;
+
 // timestamps for watchdog
 let lastGazeAt = 0;
+const GAZE_STALE_MS = 1500; // No samples for this long while tracking runs = stale
 let lastNextPointAt = 0;
 let lastCollectAt = 0;
 let lastProgressAt = 0;
@@ -722,95 +741,120 @@ function enumName(enumObj, value) {
   return String(value);
 }
 
-function attachSeesoCallbacks() {
-  if (!seeso) return;
+// ---- Gaze samples (from any GazeSource) ----
+const logGazeXY = throttle((g) => {
+  const xRaw = g?.x ?? g?.gazeInfo?.x ?? g?.data?.x ?? g?.screenX ?? g?.gazeX ?? g?.rawX;
+  const yRaw = g?.y ?? g?.gazeInfo?.y ?? g?.data?.y ?? g?.screenY ?? g?.gazeY ?? g?.rawY;
+  const stVal = g?.trackingState;
+  const conf = g?.confidence;
 
-  // ---- Gaze callback (log + HUD) ----
-  const logGazeXY = throttle((g) => {
-    const xRaw = g?.x ?? g?.gazeInfo?.x ?? g?.data?.x ?? g?.screenX ?? g?.gazeX ?? g?.rawX;
-    const yRaw = g?.y ?? g?.gazeInfo?.y ?? g?.data?.y ?? g?.screenY ?? g?.gazeY ?? g?.rawY;
-    const stVal = g?.trackingState;
-    const conf = g?.confidence;
+  const stName = SDK?.TrackingState ? enumName(SDK.TrackingState, stVal) : String(stVal);
 
-    const stName = SDK?.TrackingState ? enumName(SDK.TrackingState, stVal) : String(stVal);
+  // IMPORTANT: string message so NaN/undefined remains visible
+  // [MOD] Removed per user request (too noisy)
+  // logI("gaze", `xy x=${fmt(xRaw)} y=${fmt(yRaw)} state=${stName}(${fmt(stVal)}) conf=${fmt(conf)}`);
 
-    // IMPORTANT: string message so NaN/undefined remains visible
-    // [MOD] Removed per user request (too noisy)
-    // logI("gaze", `xy x=${fmt(xRaw)} y=${fmt(yRaw)} state=${stName}(${fmt(stVal)}) conf=${fmt(conf)}`);
+  // [MOD] Removed per user request (too noisy)
+  // setGazeInfo(`gaze: x=${fmt(xRaw)}  y=${fmt(yRaw)}  state=${stName}(${fmt(stVal)})  conf=${fmt(conf)}`);
 
-    // [MOD] Removed per user request (too noisy)
-    // setGazeInfo(`gaze: x=${fmt(xRaw)}  y=${fmt(yRaw)}  state=${stName}(${fmt(stVal)})  conf=${fmt(conf)}`);
+  if ((typeof xRaw !== "number" || typeof yRaw !== "number") && DEBUG_LEVEL >= 2) {
+    logD("gaze", "schema", { keys: g ? Object.keys(g) : null });
+  }
+}, 150);
+
+// For debug=2, keep a lightweight sample object (throttled)
+const logGazeSample = throttle(() => {
+  if (DEBUG_LEVEL >= 2 && overlay.gazeRaw) {
+    logD("gaze", "sample", {
+      x: overlay.gazeRaw.x,
+      y: overlay.gazeRaw.y,
+      trackingState: overlay.gazeRaw.trackingState,
+    });
+  }
+}, 60);
 
-    if ((typeof xRaw !== "number" || typeof yRaw !== "number") && DEBUG_LEVEL >= 2) {
-      logD("gaze", "schema", { keys: g ? Object.keys(g) : null });
-    }
-  }, 150);
-
-  // For debug=2, keep a lightweight sample object (throttled)
-  const logGazeSample = throttle(() => {
-    if (DEBUG_LEVEL >= 2 && overlay.gazeRaw) {
-      logD("gaze", "sample", {
-        x: overlay.gazeRaw.x,
-        y: overlay.gazeRaw.y,
-        trackingState: overlay.gazeRaw.trackingState,
-      });
-    }
-  }, 60);
+function handleGazeSample(gazeInfo) {
+  lastGazeAt = performance.now();
 
-  if (typeof seeso.addGazeCallback === "function") {
-    seeso.addGazeCallback((gazeInfo) => {
-      lastGazeAt = performance.now();
+  // Raw values (for HUD/log)
+  const xRaw = gazeInfo?.x;
+  const yRaw = gazeInfo?.y;
 
-      // Raw values (for HUD/log)
-      const xRaw = gazeInfo?.x;
-      const yRaw = gazeInfo?.y;
+  overlay.gazeRaw = {
+    x: xRaw,
+    y: yRaw,
+    trackingState: gazeInfo?.trackingState,
+    confidence: gazeInfo?.confidence,
+  };
 
-      overlay.gazeRaw = {
-        x: xRaw,
-        y: yRaw,
-        trackingState: gazeInfo?.trackingState,
-        confidence: gazeInfo?.confidence,
-      };
+  // Use finite numbers only for drawing
+  overlay.gaze = {
+    x: typeof xRaw === "number" && Number.isFinite(xRaw) ? xRaw : null,
+    y: typeof yRaw === "number" && Number.isFinite(yRaw) ? yRaw : null,
+    trackingState: gazeInfo?.trackingState,
+    confidence: gazeInfo?.confidence,
+  };
 
-      // Use finite numbers only for drawing
-      overlay.gaze = {
-        x: typeof xRaw === "number" && Number.isFinite(xRaw) ? xRaw : null,
-        y: typeof yRaw === "number" && Number.isFinite(yRaw) ? yRaw : null,
-        trackingState: gazeInfo?.trackingState,
-        confidence: gazeInfo?.confidence,
-      };
+  // --- GAME INTEGRATION (First Update Context/Game State) ---
+  // The game sees drift-corrected gaze (gaze/DriftCorrector.js), so hit tests and rune triggers land on the lines
+  if (typeof window.Game !== "undefined" && overlay.gaze.x !== null) {
+    const g = window.gazeDataManager ? window.gazeDataManager.correctGaze(overlay.gaze.x, overlay.gaze.y) : overlay.gaze;
+    window.Game.onGaze(g.x, g.y);
+  }
 
-      // --- GAME INTEGRATION (First Update Context/Game State) ---
-      if (typeof window.Game !== "undefined" && overlay.gaze.x !== null) {
-        window.Game.onGaze(overlay.gaze.x, overlay.gaze.y);
-      }
+  // Calibration validation targets
+  calManager.noteGaze(overlay.gaze.x, overlay.gaze.y, gazeInfo?.trackingState);
 
-      // --- DATA LOGGING (Then Save Data with Updated Context) ---
-      if (window.gazeDataManager) {
-        window.gazeDataManager.processGaze(gazeInfo);
-      }
-      // ------------------------
+  // --- DATA LOGGING (Then Save Data with Updated Context) ---
+  if (window.gazeDataManager) {
+    window.gazeDataManager.processGaze(gazeInfo);
+  }
+  // ------------------------
 
-      // Log + HUD
-      logGazeXY(gazeInfo);
-      logGazeSample();
+  // Log + HUD
+  logGazeXY(gazeInfo);
+  logGazeSample();
 
-      renderOverlay();
-    });
+  renderOverlay();
+}
 
-    logI("sdk", "addGazeCallback bound (xy HUD/log enabled)");
-  } else {
-    logW("sdk", "addGazeCallback not found on seeso instance");
+function bindGazeSource(source) {
+  window.__gazeSource = source;
+  source.onSample(handleGazeSample);
+  // ---- Calibration callbacks (Delegated to CalibrationManager) ----
+  calManager.bindToSource(source);
+}
+
+function createGazeSource(kind) {
+  if (kind === "mouse") return new MouseGazeSource();
+  if (kind === "replay") {
+    return new ReplayGazeSource({
+      url: GAZE_PARAMS.get("replay"),
+      speed: Number(GAZE_PARAMS.get("replaySpeed")) || 1,
+    });
   }
+  if (kind === "synthetic") {
+    return new SyntheticGazeSource({
+      wpm: Number(GAZE_PARAMS.get("synthWpm")) || 200,
+      jitter: Number(GAZE_PARAMS.get("synthJitter")) || 0,
+      seed: Number(GAZE_PARAMS.get("synthSeed")) || 1,
+    });
+  }
+  return null;
+}
+
+function attachSeesoCallbacks() {
+  if (!seeso) return;
+
+  gazeSource = new SeesoGazeSource(seeso, { mediaStream });
+  bindGazeSource(gazeSource);
+  logI("sdk", "SeeSo gaze source bound (xy HUD/log enabled)");
 
   // ---- Debug callback (optional) ----
   if (typeof seeso.addDebugCallback === "function") {
     seeso.addDebugCallback((info) => logD("sdkdbg", "debug", info));
     logI("sdk", "addDebugCallback bound");
   }
-
-  // ---- Calibration callbacks (Delegated to CalibrationManager) ----
-  calManager.bindTo(seeso);
 }
 
 async function initSeeso() {
@@ -882,11 +926,12 @@ async function initSeeso() {
   }
 }
 
-function startTracking() {
-  if (!seeso || !mediaStream) return false;
+async function startTracking() {
+  if (!gazeSource) return false;
 
   try {
-    const ok = seeso.startTracking(mediaStream);
+    if (typeof gazeSource.setMediaStream === "function") gazeSource.setMediaStream(mediaStream);
+    const ok = await gazeSource.start();
     logI("track", "startTracking returned", { ok });
     setState("track", ok ? "running" : "failed");
     return !!ok;
@@ -898,7 +943,7 @@ function startTracking() {
 }
 
 function startCalibration() {
-  if (!seeso) return false;
+  if (!gazeSource) return false;
 
   // Make canvas layer visible for calibration dots
   const stage = document.getElementById("stage");
@@ -913,16 +958,11 @@ function startCalibration() {
     const isMobile = /Mobi|Android/i.test(navigator.userAgent);
     const criteria = isMobile ? 1 : 2;
 
-    // 5-point calibration (mode 5 is standard usually, check docs. Here current code sends 1?)
-    // Actually mode 1 might be 1-point? The user mentioned 5-point.
-    // Changing to 5 for better accuracy if supported, but sticking to existing logic first.
-    // Assuming 5 is standard, let's use 5. Or keep 1 if that's what was working.
-    // The previous code had `seeso.startCalibration(1, criteria)`. Let's stick to 5 for game.
-    // 1-point calibration (mode 1)
+    // Calibration points: the SDK collects 1 or 5 (see CALIBRATION_MODES)
     calManager.reset();
-    const mode = 1;
+    const mode = calManager.plan.sdkPoints;
 
-    const ok = seeso.startCalibration(mode, criteria);
+    const ok = gazeSource.startCalibration(mode, criteria);
 
     overlay.calRunning = !!ok;
     overlay.calProgress = 0;
@@ -947,7 +987,7 @@ function startCalibration() {
       tick();
     }
 
-    logI("cal", "startCalibration returned", { ok, criteria });
+    logI("cal", "startCalibration returned", { ok, criteria, mode, calibration: calManager.plan.label });
     setState("cal", ok ? "running" : "failed");
     setStatus("Calibrating... Look at the dots!");
 
@@ -960,6 +1000,34 @@ function startCalibration() {
 }
 window.startCalibrationRoutine = startCalibration;
 
+// Tracking is running but gaze callbacks stopped
+function isGazeStale(now = performance.now()) {
+  return state.track === "running" && !!lastGazeAt && now - lastGazeAt > GAZE_STALE_MS;
+}
+
+// Read by the reveal gate (js/core/RevealGate.js): face-lost samples never reach Game.onGaze
+window.getGazeStatus = () => {
+  const now = performance.now();
+  return {
+    stale: isGazeStale(now),
+    msSinceSample: lastGazeAt ? Math.round(now - lastGazeAt) : null,
+    trackingState: overlay.gazeRaw ? overlay.gazeRaw.trackingState : null,
+    quality: gazeDataManager.trackingQuality.state,
+  };
+};
+
+// ---------- Tracking Quality ----------
+// Samples update the quality as they arrive; the timer catches a stream that stops altogether.
+setInterval(() => {
+  if (state.track === "running") gazeDataManager.checkTrackingQuality();
+}, 500);
+
+bus.on("tracking_quality", (q) => {
+  setPill(els.pillTrack, q.state === "good" ? `track: ${state.track}` : `track: ${state.track} (${q.state})`);
+  const log = q.state === "good" ? logI : logW;
+  log("track", `quality ${q.previous} -> ${q.state}`, { reasons: q.reasons, metrics: q.metrics });
+});
+
 // ---------- Watchdog ----------
 setInterval(() => {
   const now = performance.now();
@@ -992,7 +1060,7 @@ setInterval(() => {
   }
 
   // If tracking is running but gaze callbacks stopped, surface it
-  if (state.track === "running" && lastGazeAt && now - lastGazeAt > 1500) {
+  if (isGazeStale(now)) {
     logW("hb", "No gaze samples for >1.5s while tracking is running.", hb);
   }
 }, 2000);
@@ -1054,6 +1122,26 @@ async function boot() {
   setGazeInfo("gaze: -");
   showRetry(false);
 
+  // Non-SeeSo sources need neither camera nor SDK
+  if (GAZE_SOURCE_KIND !== "seeso") {
+    gazeSource = createGazeSource(GAZE_SOURCE_KIND);
+    if (!gazeSource) {
+      setStatus(`Error: unknown gaze source '${GAZE_SOURCE_KIND}'.`);
+      return false;
+    }
+    bindGazeSource(gazeSource);
+    setState("sdk", `skipped (${gazeSource.name})`);
+
+    const trackOk = await startTracking();
+    if (!trackOk) {
+      setStatus("Failed to start gaze source.");
+      showRetry(true, "gaze source failed");
+      return false;
+    }
+    logI("boot", `ready (gaze source: ${gazeSource.name})`);
+    return true;
+  }
+
   if (!navigator.mediaDevices?.getUserMedia) {
     setStatus("Error: getUserMedia not available.");
     showRetry(true, "getUserMedia not available");
@@ -1066,7 +1154,7 @@ async function boot() {
   const sdkOk = await initSeeso();
   if (!sdkOk) return false;
 
-  const trackOk = startTracking();
+  const trackOk = await startTracking();
   if (!trackOk) {
     setStatus("Failed to start tracking.");
     showRetry(true, "tracking failed");
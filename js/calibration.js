@@ -1,10 +1,27 @@
 /**
  * CalibrationManager
  * Handles SeeSo calibration callbacks, logic, and rendering.
+ *
+ * Modes: 1-point or 5-point (SeeSo cannot collect 9 points), see CALIBRATION_MODES,
+ * picked on the calibration screen or with ?calPoints=.
+ * After the tracker finishes, a validation phase shows test targets and measures the error per screen
+ * region (CalibrationValidator.js). The error map is stored in the result (saved with the session);
+ * when it is worse than the thresholds, the reader is offered a recalibration instead of the book.
  */
+import { CalibrationValidator, CALIBRATION_MODES } from "./gaze/CalibrationValidator.js";
+
+const MODE_KEY = "calibration_points";
+const MAX_VALIDATION_FAILURES = 2; // After that, "Continue anyway" is offered
+
 export class CalibrationManager {
+    /**
+     * @param {Object} context - { logI, logW, logE, setStatus, setState, requestRender, onCalibrationFinish, onRecalibrate,
+     *                             options: { points, validate: true | false | 'auto', gate, validation: CalibrationValidator options } }
+     */
     constructor(context) {
-        this.ctx = context; // { logI, logW, logE, setStatus, setState, requestRender, onCalibrationFinish }
+        this.ctx = context;
+        this.options = { validate: "auto", gate: true, validation: {}, ...(context.options || {}) };
+        this.mode = CalibrationManager.loadMode(this.options.points);
 
         this.state = {
             point: null,         // {x,y}
@@ -14,7 +31,40 @@ export class CalibrationManager {
             pointCount: 0,
             isFinishing: false,
             watchdogTimer: null,
+            phase: "idle",       // idle | calibrating | validating | done
         };
+        this.result = null; // Last finished calibration (stored with the session)
+        this.source = null;
+        this.validator = null;
+        this.validationAttempts = 0;
+        this.failedValidations = 0;
+    }
+
+    // ?calPoints= (passed in), else the stored choice, else 1
+    static loadMode(points = null) {
+        if (CALIBRATION_MODES[points]) return Number(points);
+        try {
+            const stored = typeof localStorage !== "undefined" ? Number(localStorage.getItem(MODE_KEY)) : 0;
+            if (CALIBRATION_MODES[stored]) return stored;
+        } catch (e) { }
+        return 1;
+    }
+
+    get plan() {
+        return CALIBRATION_MODES[this.mode];
+    }
+
+    setMode(points) {
+        if (!CALIBRATION_MODES[points]) return false;
+        this.mode = Number(points);
+        try {
+            if (typeof localStorage !== "undefined") localStorage.setItem(MODE_KEY, String(this.mode));
+        } catch (e) {
+            console.warn("[CalibrationManager] Could not store calibration mode:", e);
+        }
+        this.ctx.logI("cal", `Calibration mode: ${this.plan.label}`);
+        this.updateModePicker();
+        return true;
     }
 
     reset() {
@@ -23,9 +73,16 @@ export class CalibrationManager {
         this.state.progress = 0;
         this.state.isFinishing = false;
         this.state.running = false;
+        this.state.phase = "calibrating";
         if (this.state.watchdogTimer) clearTimeout(this.state.watchdogTimer);
         if (this.state.safetyTimer) clearTimeout(this.state.safetyTimer);
         if (this.state.maxWaitTimer) clearTimeout(this.state.maxWaitTimer);
+        if (this.state.softFinishTimer) { clearTimeout(this.state.softFinishTimer); this.state.softFinishTimer = null; }
+        if (this.state.targetTimer) { clearTimeout(this.state.targetTimer); this.state.targetTimer = null; }
+        this.validator = null;
+        this.result = null;
+        this.hideValidationPopup();
+        this.updateModePicker();
     }
 
     /**
@@ -37,6 +94,7 @@ export class CalibrationManager {
 
         // Clear old
         if (this.state.maxWaitTimer) clearTimeout(this.state.maxWaitTimer);
+        this.showModePicker(false);
 
         // 10 seconds max wait for 1 point
         this.state.maxWaitTimer = setTimeout(() => {
@@ -94,124 +152,146 @@ export class CalibrationManager {
     }
 
     /**
-     * Binds to the SeeSo instance.
+     * Binds to a GazeSource (see js/gaze/GazeSource.js).
+     * Sources without a tracker report 'finish' right away.
      */
-    bindTo(seeso) {
-        if (!seeso) return;
-        const { logI, logW, logE, setStatus, setState, requestRender, onCalibrationFinish } = this.ctx;
-
-        // 1. Next Point
-        if (typeof seeso.addCalibrationNextPointCallback === "function") {
-            seeso.addCalibrationNextPointCallback((x, y) => {
-                this.state.isFinishing = false;
-                this.state.pointCount = (this.state.pointCount || 0) + 1;
-
-                // Clear previous watchdog
-                if (this.state.watchdogTimer) {
-                    clearTimeout(this.state.watchdogTimer);
-                    this.state.watchdogTimer = null;
-                }
-                // Clear safety timer
-                if (this.state.safetyTimer) {
-                    clearTimeout(this.state.safetyTimer);
-                    this.state.safetyTimer = null;
-                }
+    bindToSource(source) {
+        if (!source) return;
+        this.source = source;
+        source.onCalibration((ev) => {
+            if (ev.type === 'nextPoint') this.handleNextPoint(ev.x, ev.y);
+            else if (ev.type === 'progress') this.handleProgress(ev.progress);
+            else if (ev.type === 'finish') this.handleFinish(ev.data);
+        });
+        this.ctx.logI("cal", `Bound to gaze source (${source.name})`);
+    }
 
-                this.state.point = { x, y };
-                this.state.running = true;
-                this.state.progress = 0;
-                this.state.displayProgress = 0;
+    handleNextPoint(x, y) {
+        const { logI } = this.ctx;
+        this.state.isFinishing = false;
+        this.state.pointCount = (this.state.pointCount || 0) + 1;
 
-                logI("cal", `onCalibrationNextPoint (#${this.state.pointCount}) x=${x} y=${y}`);
+        // Clear previous watchdog
+        if (this.state.watchdogTimer) {
+            clearTimeout(this.state.watchdogTimer);
+            this.state.watchdogTimer = null;
+        }
+        // Clear safety timer
+        if (this.state.safetyTimer) {
+            clearTimeout(this.state.safetyTimer);
+            this.state.safetyTimer = null;
+        }
+        // A soft finish armed on the previous point must not fire during this one
+        if (this.state.softFinishTimer) {
+            clearTimeout(this.state.softFinishTimer);
+            this.state.softFinishTimer = null;
+        }
 
-                // Update UI
-                const statusEl = document.getElementById("calibration-status");
-                if (statusEl) {
-                    statusEl.textContent = `Look at the Magic Orb! (${this.state.pointCount}/1)`;
-                    statusEl.style.color = "#0f0";
-                    statusEl.style.textShadow = "0 0 10px #0f0";
-                }
+        this.state.point = { x, y };
+        this.state.running = true;
+        this.state.progress = 0;
+        this.state.displayProgress = 0;
 
-                const btn = document.getElementById("btn-calibration-start");
-                if (btn) {
-                    btn.style.display = "inline-block";
-                    btn.textContent = `Start Point ${this.state.pointCount}`;
-                    btn.style.pointerEvents = "auto";
-                }
-            });
-            logI("sdk", "addCalibrationNextPointCallback bound (CalibrationManager)");
-        }
+        logI("cal", `onCalibrationNextPoint (#${this.state.pointCount}) x=${x} y=${y}`);
 
-        // 2. Progress
-        if (typeof seeso.addCalibrationProgressCallback === "function") {
-            seeso.addCalibrationProgressCallback((progress) => {
-                if (this.state.isFinishing) return;
-
-                this.state.progress = progress;
-                const pct = Math.round(progress * 100);
-                setStatus(`Calibrating... ${pct}% (Point ${this.state.pointCount}/1)`);
-                setState("cal", `running (${pct}%)`);
-
-                // (Old safety timer logic removed - we now strictly use startCollection timer)
-
-                if (progress >= 1.0) {
-                    // If progress reaches 1.0, clear the maxWaitTimer as we're proceeding to finish
-                    if (this.state.maxWaitTimer) clearTimeout(this.state.maxWaitTimer);
-                    if (this.state.watchdogTimer) clearTimeout(this.state.watchdogTimer);
-                    if (this.state.softFinishTimer) clearTimeout(this.state.softFinishTimer);
-
-                    this.state.watchdogTimer = setTimeout(() => {
-                        this.state.watchdogTimer = null;
-                        if (this.state.running && this.state.pointCount >= 1) {
-                            this.ctx.logW("cal", "Force finishing calibration (watchdog 100%)");
-                            this.finishSequence();
-                        }
-                    }, 700);
-                } else {
-                    if (this.state.watchdogTimer) {
-                        clearTimeout(this.state.watchdogTimer);
-                        this.state.watchdogTimer = null;
-                    }
-
-                    // Soft Finish Guard: If we are > 85% done, don't let it hang forever.
-                    if (progress > 0.85 && !this.state.softFinishTimer) {
-                        this.state.softFinishTimer = setTimeout(() => {
-                            this.ctx.logW("cal", "Soft finish triggered (>85% stuck)");
-                            this.finishSequence();
-                        }, 2500);
-                    }
-                }
+        // Update UI
+        const statusEl = document.getElementById("calibration-status");
+        if (statusEl) {
+            statusEl.textContent = `Look at the Magic Orb! (${this.state.pointCount}/${this.plan.sdkPoints})`;
+            statusEl.style.color = "#0f0";
+            statusEl.style.textShadow = "0 0 10px #0f0";
+        }
 
-                // Trigger render update
-                requestRender();
-            });
-            logI("sdk", "addCalibrationProgressCallback bound (CalibrationManager)");
+        const btn = document.getElementById("btn-calibration-start");
+        if (btn) {
+            btn.style.display = "inline-block";
+            btn.textContent = `Start Point ${this.state.pointCount}`;
+            btn.style.pointerEvents = "auto";
         }
+        // The number of points can still be changed before the first one is collected
+        this.showModePicker(this.state.pointCount === 1);
+    }
 
+    handleProgress(progress) {
+        const { setStatus, setState, requestRender } = this.ctx;
+        if (this.state.isFinishing) return;
 
-        // 3. Finish
-        if (typeof seeso.addCalibrationFinishCallback === "function") {
-            seeso.addCalibrationFinishCallback((calibrationData) => {
-                logI("cal", "onCalibrationFinished - Success");
-                this.state.isFinishing = true;
-                // Force visual 100%
-                this.state.progress = 1.0;
-                this.state.displayProgress = 1.0;
-                requestRender();
+        this.state.progress = progress;
+        const pct = Math.round(progress * 100);
+        setStatus(`Calibrating... ${pct}% (Point ${this.state.pointCount}/${this.plan.sdkPoints})`);
+        setState("cal", `running (${pct}%)`);
 
-                setStatus("Calibration Complete!");
-                setState("cal", "finished");
+        // (Old safety timer logic removed - we now strictly use startCollection timer)
 
-                // Wait 2s then finish
-                setTimeout(() => {
+        if (progress >= 1.0) {
+            // If progress reaches 1.0, clear the maxWaitTimer as we're proceeding to finish
+            if (this.state.maxWaitTimer) clearTimeout(this.state.maxWaitTimer);
+            if (this.state.watchdogTimer) clearTimeout(this.state.watchdogTimer);
+            if (this.state.softFinishTimer) { clearTimeout(this.state.softFinishTimer); this.state.softFinishTimer = null; }
+
+            // Only after the last point: earlier ones wait for the SDK's next point
+            this.state.watchdogTimer = setTimeout(() => {
+                this.state.watchdogTimer = null;
+                if (this.state.running && this.state.pointCount >= this.plan.sdkPoints) {
+                    this.ctx.logW("cal", "Force finishing calibration (watchdog 100%)");
                     this.finishSequence();
-                }, 2000);
-            });
-            logI("sdk", "addCalibrationFinishCallback bound (CalibrationManager)");
+                }
+            }, 700);
+        } else {
+            if (this.state.watchdogTimer) {
+                clearTimeout(this.state.watchdogTimer);
+                this.state.watchdogTimer = null;
+            }
+
+            // Soft Finish Guard: If the last point is > 85% done, don't let it hang forever.
+            if (progress > 0.85 && !this.state.softFinishTimer && this.state.pointCount >= this.plan.sdkPoints) {
+                this.state.softFinishTimer = setTimeout(() => {
+                    this.state.softFinishTimer = null;
+                    this.ctx.logW("cal", "Soft finish triggered (>85% stuck)");
+                    this.finishSequence();
+                }, 2500);
+            }
         }
+
+        // Trigger render update
+        requestRender();
+    }
+
+    handleFinish(calibrationData) {
+        const { logI, setStatus, setState, requestRender } = this.ctx;
+        logI("cal", "onCalibrationFinished - Success");
+        this.state.isFinishing = true;
+        // Force visual 100%
+        this.state.progress = 1.0;
+        this.state.displayProgress = 1.0;
+        requestRender();
+
+        setStatus("Calibration Complete!");
+        setState("cal", "finished");
+
+        this.result = {
+            finishedAt: Date.now(),
+            mode: this.plan.label,
+            sdkPoints: this.plan.sdkPoints,
+            checkPoints: this.plan.targets,
+            pointCount: this.state.pointCount,
+            data: calibrationData !== undefined ? calibrationData : null
+        };
+
+        // Wait 2s then finish
+        setTimeout(() => {
+            this.finishSequence();
+        }, 2000);
+    }
+
+    getResult() {
+        return this.result;
     }
 
     finishSequence() {
+        // Watchdogs and the finish callback can both land here
+        if (this.state.phase === "validating" || this.state.phase === "done") return;
+
         this.state.running = false;
         this.state.point = null;
 
@@ -219,7 +299,29 @@ export class CalibrationManager {
         if (this.state.watchdogTimer) { clearTimeout(this.state.watchdogTimer); this.state.watchdogTimer = null; }
         if (this.state.safetyTimer) { clearTimeout(this.state.safetyTimer); this.state.safetyTimer = null; }
         if (this.state.maxWaitTimer) { clearTimeout(this.state.maxWaitTimer); this.state.maxWaitTimer = null; }
+        if (this.state.softFinishTimer) { clearTimeout(this.state.softFinishTimer); this.state.softFinishTimer = null; }
+
+        // Forced finish (watchdog / skip): the SDK never reported one
+        if (!this.result) {
+            this.result = { finishedAt: Date.now(), mode: this.plan.label, sdkPoints: this.plan.sdkPoints, checkPoints: this.plan.targets, pointCount: this.state.pointCount, data: null, forced: true };
+        }
+
+        this.ctx.requestRender();
+
+        if (this.shouldValidate()) this.startValidation();
+        else this.complete();
+    }
+
+    // Sources without a tracker (mouse, replay, synthetic) have nothing to validate unless forced
+    shouldValidate() {
+        if (this.options.validate === true) return true;
+        if (this.options.validate === false) return false;
+        return !!(this.source && this.source.calibrates);
+    }
 
+    complete() {
+        this.state.phase = "done";
+        this.validator = null;
         this.ctx.requestRender();
 
         const stage = document.getElementById("stage");
@@ -230,8 +332,150 @@ export class CalibrationManager {
         }
     }
 
+    // --- Validation phase ---
+
+    startValidation() {
+        this.state.phase = "validating";
+        this.validator = new CalibrationValidator({ ...this.options.validation, mode: this.mode });
+        this.ctx.logI("cal", `Validation: ${this.validator.targets.length} targets`);
+        this.ctx.setState("cal", "validating");
+        this.showModePicker(false);
+
+        const btn = document.getElementById("btn-calibration-start");
+        if (btn) btn.style.display = "none";
+
+        this.nextTarget();
+    }
+
+    nextTarget() {
+        const target = this.validator.next();
+        if (!target) {
+            this.finishValidation();
+            return;
+        }
+        const n = this.validator.index + 1;
+        this.setHint(`Keep your eyes on the star (${n}/${this.validator.targets.length})`);
+        this.ctx.setStatus(`Checking accuracy... ${n}/${this.validator.targets.length}`);
+        this.state.targetTimer = setTimeout(() => this.nextTarget(), this.validator.targetMs);
+        this.ctx.requestRender();
+    }
+
+    /**
+     * Gaze sample (app.js handleGazeSample). Only used while validation targets are shown.
+     */
+    noteGaze(x, y, trackingState) {
+        if (this.state.phase === "validating" && this.validator) this.validator.add(x, y, trackingState);
+    }
+
+    finishValidation() {
+        this.state.targetTimer = null;
+        const summary = this.validator.summarize();
+        this.setHint("");
+        this.validationAttempts++;
+        if (!summary.passed) this.failedValidations++;
+        this.result.validation = { ...summary, attempt: this.validationAttempts };
+
+        this.ctx.logI("cal", `Validation ${summary.passed ? "passed" : "failed"}: mean ${summary.meanErrorPx}px, max ${summary.maxErrorPx}px (${summary.worstRegion})`, summary);
+        if (window.gazeDataManager) window.gazeDataManager.logEvent("calibration_validation", this.result.validation);
+
+        if (summary.passed || !this.options.gate) {
+            this.result.validation.accepted = summary.passed ? "passed" : "ungated";
+            this.complete();
+        } else {
+            this.ctx.setState("cal", "inaccurate");
+            this.showValidationPopup(summary);
+        }
+    }
+
+    showValidationPopup(summary) {
+        const popup = document.getElementById("cal-validate-popup");
+        if (!popup) {
+            this.result.validation.accepted = "no_popup";
+            this.complete();
+            return;
+        }
+        popup.style.display = "flex";
+
+        const text = document.getElementById("cal-validate-summary");
+        if (text) {
+            text.textContent = summary.missing.length > 0
+                ? `We lost your eyes at ${summary.missing.length} of the stars.`
+                : `Your gaze was off by about ${summary.meanErrorPx}px (worst: ${summary.worstRegion}).`;
+        }
+        this.renderErrorMap(document.getElementById("cal-validate-map"), summary);
+
+        const btnRecal = document.getElementById("btn-cal-recalibrate");
+        const btnAccept = document.getElementById("btn-cal-accept");
+        if (btnRecal) {
+            btnRecal.onclick = () => {
+                this.hideValidationPopup();
+                this.ctx.logI("cal", "Recalibrating after failed validation");
+                if (this.ctx.onRecalibrate) this.ctx.onRecalibrate();
+            };
+        }
+        if (btnAccept) {
+            btnAccept.style.display = this.failedValidations >= MAX_VALIDATION_FAILURES ? "inline-block" : "none";
+            btnAccept.onclick = () => {
+                this.hideValidationPopup();
+                this.result.validation.accepted = "override";
+                this.ctx.logW("cal", "Continuing with an inaccurate calibration");
+                this.complete();
+            };
+        }
+    }
+
+    hideValidationPopup() {
+        const popup = typeof document !== "undefined" ? document.getElementById("cal-validate-popup") : null;
+        if (popup) popup.style.display = "none";
+    }
+
+    // 3x3 grid of cells, coloured by each region's error
+    renderErrorMap(container, summary) {
+        if (!container) return;
+        container.innerHTML = "";
+        const byName = new Map(summary.regions.map(r => [r.name, r]));
+        ["top-left", "top", "top-right", "left", "center", "right", "bottom-left", "bottom", "bottom-right"].forEach(name => {
+            const cell = document.createElement("div");
+            const region = byName.get(name);
+            cell.className = "cal-map-cell";
+            if (region) {
+                const bad = region.samples < summary.thresholds.minSamples || region.errorPx > summary.thresholds.maxRegionErrorPx;
+                const fair = !bad && region.errorPx > summary.thresholds.maxMeanErrorPx;
+                cell.classList.add(bad ? "bad" : (fair ? "fair" : "good"));
+                cell.textContent = region.errorPx === null ? "?" : `${region.errorPx}`;
+                cell.title = `${name}: ${region.errorPx === null ? "no gaze" : `${region.errorPx}px off, ±${region.precisionPx}px`}`;
+            }
+            container.appendChild(cell);
+        });
+    }
+
+    setHint(text) {
+        const hint = document.getElementById("calibration-hint");
+        if (!hint) return;
+        hint.textContent = text;
+        hint.style.display = text ? "block" : "none";
+    }
+
+    // --- Mode picker (1 / 5 / 9 buttons on the calibration screen) ---
+
+    showModePicker(show) {
+        const picker = document.getElementById("calibration-mode-picker");
+        if (picker) picker.style.display = show ? "flex" : "none";
+    }
+
+    updateModePicker() {
+        if (typeof document === "undefined") return;
+        document.querySelectorAll("#calibration-mode-picker [data-points]").forEach(btn => {
+            btn.classList.toggle("active", Number(btn.dataset.points) === this.mode);
+        });
+    }
+
     // Draw Logic
     render(ctx, width, height, toCanvasLocalPoint) {
+        if (this.state.phase === "validating") {
+            this.renderTarget(ctx, toCanvasLocalPoint);
+            return;
+        }
         if (!this.state.running || !this.state.point) return;
 
         const pt = toCanvasLocalPoint(this.state.point.x, this.state.point.y) || this.state.point;
@@ -299,4 +543,29 @@ export class CalibrationManager {
         ctx.fillText(`${Math.round(p * 100)}%`, cx, cy - 20);
         */
     }
+
+    // Validation star: a ring that closes while samples are collected
+    renderTarget(ctx, toCanvasLocalPoint) {
+        const target = this.validator && this.validator.current;
+        if (!target) return;
+        const pt = toCanvasLocalPoint(target.x, target.y) || target;
+        const o = this.validator.options;
+        const elapsed = performance.now() - this.validator.shownAt;
+        const collected = Math.max(0, Math.min(1, (elapsed - o.settleMs) / o.collectMs));
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(pt.x, pt.y, 12, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * (1 - collected));
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = "gold";
+        ctx.shadowBlur = 8;
+        ctx.shadowColor = "gold";
+        ctx.stroke();
+        ctx.restore();
+
+        ctx.beginPath();
+        ctx.arc(pt.x, pt.y, 3, 0, Math.PI * 2);
+        ctx.fillStyle = "white";
+        ctx.fill();
+    }
 }
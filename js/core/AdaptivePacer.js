@@ -0,0 +1,129 @@
+/**
+ * AdaptivePacer.js
+ * Closed-loop pacing for the Typewriter: the reveal speed follows the reader's measured gaze WPM
+ * instead of staying at the WPM button chosen on the home screen.
+ *
+ * Measurement: the last `windowLines` return-sweep lines in GazeDataManager.wpmData (words / duration),
+ * fresher than the cumulative GazeDataManager.wpm.
+ * Control, once per new measurement:
+ *   goal  = measured * (1 + challenge), clamped to [minWpm, maxWpm]
+ *   pace += (goal - pace) * gain, at most maxStepWpm per update, ignored inside the deadband (hysteresis)
+ *   band  = TextChunker band of pace, switched only once pace is bandMargin past the edge
+ *
+ * Consumers: Typewriter.tick (reveal interval + chunk timing from `wpm` / `params`) and
+ * playNextParagraph (chunks the next paragraph with `band`).
+ */
+import { TextChunker } from "../utils/TextChunker.js";
+
+const DEFAULT_PACER_OPTIONS = {
+    enabled: true,
+    minWpm: 80,
+    maxWpm: 400,
+    challenge: 0.05,    // Run slightly ahead of the reader (+5%)
+    windowLines: 4,     // Recent lines used for the measurement
+    minLines: 2,        // Don't react before this many measured lines
+    gain: 0.35,         // Fraction of the gap closed per update
+    maxStepWpm: 25,
+    deadband: 0.08,     // Ignore gaps below 8% of the current pace
+    bandMargin: 15      // WPM past a band edge before re-chunking
+};
+
+export class AdaptivePacer {
+    /**
+     * @param {Object} options - see DEFAULT_PACER_OPTIONS
+     * @param {Function} computeParams - wpm -> { chunkSize, interval, delay } (GameLogic.calculateWPMAttributes)
+     */
+    constructor(options = {}, computeParams = null) {
+        this.options = { ...DEFAULT_PACER_OPTIONS, ...options };
+        this.computeParams = computeParams;
+        this.reset(200);
+    }
+
+    /**
+     * Start from the selected WPM (new reading run).
+     */
+    reset(baseWpm) {
+        this.baseWpm = baseWpm;
+        this.wpm = this._clamp(baseWpm);
+        this.band = TextChunker.getBand(this.wpm);
+        this.measuredWpm = null;
+        this.seenLines = 0;
+        this.params = this._params(this.wpm);
+    }
+
+    setEnabled(enabled) {
+        this.options.enabled = enabled;
+        if (!enabled) this.reset(this.baseWpm);
+    }
+
+    /**
+     * Recent reading speed from the WPM log, or null if there isn't enough of it.
+     * @param {Array} wpmData - GazeDataManager.wpmData
+     */
+    measure(wpmData) {
+        // Line 0 includes the warm-up before the first sweep; lines read under degraded tracking don't steer the pace
+        const lines = (wpmData || []).filter(r => r.lineIndex > 0 && r.duration > 0 && r.words > 0 && r.tracking !== "degraded");
+        if (lines.length < this.options.minLines) return null;
+
+        const recent = lines.slice(-this.options.windowLines);
+        const words = recent.reduce((sum, r) => sum + r.words, 0);
+        const duration = recent.reduce((sum, r) => sum + r.duration, 0);
+        return Math.round(words / (duration / 60000));
+    }
+
+    /**
+     * Fold in new measurements. Cheap when nothing changed, so it can run on every tick.
+     * @param {Array} wpmData - GazeDataManager.wpmData
+     * @returns {Object|null} { wpm, measuredWpm, band, bandChanged } when the pace moved, otherwise null
+     */
+    update(wpmData) {
+        if (!this.options.enabled || !wpmData || wpmData.length === this.seenLines) return null;
+        this.seenLines = wpmData.length;
+
+        const measured = this.measure(wpmData);
+        if (measured === null) return null;
+        this.measuredWpm = measured;
+
+        const { gain, maxStepWpm, deadband, challenge } = this.options;
+        const goal = this._clamp(measured * (1 + challenge));
+        const gap = goal - this.wpm;
+        if (Math.abs(gap) < this.wpm * deadband) return null;
+
+        const step = Math.max(-maxStepWpm, Math.min(maxStepWpm, gap * gain));
+        this.wpm = Math.round(this._clamp(this.wpm + step));
+        this.params = this._params(this.wpm);
+
+        const previousBand = this.band;
+        this.band = this._nextBand(this.wpm);
+        const bandChanged = this.band !== previousBand;
+
+        console.log(`[Pacer] Measured ${measured} WPM -> pace ${this.wpm} WPM (band: ${this.band}${bandChanged ? `, was ${previousBand}` : ''})`);
+        return { wpm: this.wpm, measuredWpm: measured, band: this.band, bandChanged };
+    }
+
+    getState() {
+        return {
+            enabled: this.options.enabled,
+            baseWpm: this.baseWpm,
+            wpm: this.wpm,
+            measuredWpm: this.measuredWpm,
+            band: this.band
+        };
+    }
+
+    // Band with hysteresis: both sides of the margin must agree before switching
+    _nextBand(wpm) {
+        const margin = this.options.bandMargin;
+        const lower = TextChunker.getBand(wpm - margin);
+        const upper = TextChunker.getBand(wpm + margin);
+        return lower === upper ? lower : this.band;
+    }
+
+    _clamp(wpm) {
+        return Math.max(this.options.minWpm, Math.min(this.options.maxWpm, wpm));
+    }
+
+    _params(wpm) {
+        return this.computeParams ? this.computeParams(wpm) : null;
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * ContentRegistry.js
+ * Books and chapters (js/data/Library.js) with lock state and the chapter currently being played.
+ *
+ * A chapter is unlocked when it has no lock or the chapter it requires has been cleared.
+ * Cleared = its clearedKey flag is 'true' in localStorage (set by WardenManager on Soul Bind).
+ * The selected chapter survives reloads ('library_selected_chapter').
+ * getVocabPool() collects every rune the library knows (chapter vocab + data/WordPool.js) for the Word Forge scheduler.
+ */
+import { books } from "../data/Library.js";
+import { wordPool } from "../data/WordPool.js";
+import { ReadingDirection } from "../utils/ReadingDirection.js";
+import { ChapterValidator } from "../utils/ChapterValidator.js";
+
+const SELECTED_KEY = "library_selected_chapter";
+
+export class ContentRegistry {
+    /**
+     * @param {Array} bookList - defaults to the built-in library
+     * @param {Storage} storage - defaults to localStorage (null = progress is not kept)
+     * @param {Array} extraWords - words outside the chapter vocab lists (defaults to data/WordPool.js)
+     */
+    constructor(bookList = books, storage = (typeof localStorage !== "undefined" ? localStorage : null), extraWords = wordPool) {
+        this.books = bookList;
+        this.extraWords = extraWords || [];
+        this.storage = storage;
+        this.chapters = new Map(); // chapter id -> { ...chapter, bookId, bookTitle, lang, direction }
+
+        this.books.forEach(book => {
+            book.chapters.forEach(ch => {
+                if (this.chapters.has(ch.id)) console.warn(`[ContentRegistry] Duplicate chapter id "${ch.id}"`);
+                const lang = (ch.content && ch.content.lang) || ch.lang || book.lang || "en";
+                const direction = (ch.content && ch.content.direction) || ch.direction || book.direction || ReadingDirection.forLanguage(lang);
+                this.chapters.set(ch.id, { ...ch, bookId: book.id, bookTitle: book.title, lang, direction });
+            });
+        });
+
+        const saved = this._get(SELECTED_KEY);
+        const first = this.books[0] && this.books[0].chapters[0];
+        this.currentId = saved && this.chapters.has(saved) && this.isUnlocked(saved) ? saved : (first ? first.id : null);
+    }
+
+    getBook(bookId) {
+        return this.books.find(b => b.id === bookId) || null;
+    }
+
+    getChapter(chapterId) {
+        return this.chapters.get(chapterId) || null;
+    }
+
+    get current() {
+        return this.getChapter(this.currentId);
+    }
+
+    isCleared(chapterId) {
+        const ch = this.getChapter(chapterId);
+        return !!(ch && ch.clearedKey && this._get(ch.clearedKey) === "true");
+    }
+
+    isUnlocked(chapterId) {
+        const ch = this.getChapter(chapterId);
+        if (!ch) return false;
+        if (!ch.lock || !ch.lock.requires) return true;
+        return this.isCleared(ch.lock.requires);
+    }
+
+    /**
+     * @returns {Object|null} the chapter, or null if it is unknown or still locked
+     */
+    select(chapterId) {
+        if (!this.isUnlocked(chapterId)) {
+            console.warn(`[ContentRegistry] Chapter "${chapterId}" is locked or unknown.`);
+            return null;
+        }
+        this.currentId = chapterId;
+        this._set(SELECTED_KEY, chapterId);
+        return this.current;
+    }
+
+    /**
+     * Mark a chapter cleared (unlocks the chapters that require it).
+     * @returns {Array} ids of chapters that became unlocked
+     */
+    markCleared(chapterId = this.currentId) {
+        const ch = this.getChapter(chapterId);
+        if (!ch || !ch.clearedKey) return [];
+        const lockedBefore = [...this.chapters.keys()].filter(id => !this.isUnlocked(id));
+        this._set(ch.clearedKey, "true");
+        const unlocked = lockedBefore.filter(id => this.isUnlocked(id));
+        if (unlocked.length > 0) console.log(`[ContentRegistry] Unlocked: ${unlocked.join(", ")}`);
+        return unlocked;
+    }
+
+    /**
+     * Library view: books with per-chapter lock state.
+     */
+    getShelf() {
+        return this.books.map(book => ({
+            id: book.id,
+            title: book.title,
+            author: book.author,
+            cover: book.cover,
+            chapters: book.chapters.map(ch => ({
+                id: ch.id,
+                number: ch.number,
+                title: ch.title,
+                unlocked: this.isUnlocked(ch.id),
+                cleared: this.isCleared(ch.id),
+                requires: ch.lock ? ch.lock.requires : null,
+                selected: ch.id === this.currentId
+            }))
+        }));
+    }
+
+    /**
+     * Every known rune word, keyed by rune id (ChapterValidator.vocabRuneId):
+     *   { id, word, meaning, sentence, options, answer, image, icon, chapterId }
+     * Chapter vocab entries come first; meaning = their correct option without the "A. " label.
+     * Pool words without a sentence can only be wrong options.
+     */
+    getVocabPool() {
+        const pool = new Map();
+        this.chapters.forEach(ch => {
+            (ch.vocab || []).forEach(entry => {
+                const id = ChapterValidator.vocabRuneId(entry);
+                if (pool.has(id)) return;
+                const correct = Array.isArray(entry.options) ? entry.options[entry.answer] : null;
+                pool.set(id, {
+                    ...entry,
+                    id,
+                    meaning: entry.meaning || (correct ? correct.replace(/^[A-Z]\.\s*/, "") : null),
+                    chapterId: ch.id
+                });
+            });
+        });
+        this.extraWords.forEach(entry => {
+            const id = ChapterValidator.vocabRuneId(entry);
+            if (!pool.has(id)) pool.set(id, { ...entry, id, chapterId: null });
+        });
+        return pool;
+    }
+
+    _get(key) {
+        try {
+            return this.storage ? this.storage.getItem(key) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _set(key, value) {
+        try {
+            if (this.storage) this.storage.setItem(key, value);
+        } catch (e) {
+            console.warn("[ContentRegistry] Could not persist library state:", e);
+        }
+    }
+}
@@ -50,13 +50,21 @@ export class DOMManager {
             this.game.confrontVillain();
         });
 
+        // 5b. Reading Heatmap Toggle
+        this.bind('btn-heatmap-toggle', 'click', () => {
+            if (this.game.typewriter) this.game.typewriter.toggleHeatmap();
+        });
+
         // 6. Victory Screen Actions
         this.bind('btn-review', 'click', () => {
             if (this.game.typewriter) this.game.typewriter.showFullTextReview();
         });
 
         this.bind('btn-export', 'click', () => {
-            if (window.gazeDataManager) window.gazeDataManager.exportCSV();
+            // Session file first; exportCSV still renders the chart image
+            if (window.gazeDataManager && window.gazeDataManager.exportSession()) window.gazeDataManager.exportCSV();
+            // Question difficulty (all runs on this device) for retiring bad items
+            if (this.game.questionLog) this.game.questionLog.download("csv");
         });
 
         this.bind('btn-share-summary', 'click', () => {
@@ -92,8 +100,8 @@ export class DOMManager {
         ['ink', 'rune', 'gem'].forEach(type => {
             const id = `card-${type}`;
             this.bind(id, 'click', () => {
-                if (window.AliceBattleRef && typeof window.AliceBattleRef.triggerAttack === 'function') {
-                    window.AliceBattleRef.triggerAttack(type);
+                if (this.game.battle) {
+                    this.game.battle.triggerAttack(type);
                 } else {
                     // Fallback to simpler logic or direct game call
                     this.game.handleBattleAction(type);
@@ -103,7 +111,7 @@ export class DOMManager {
 
         // 11. Alice Battle Restart
         this.bind('alice-restart-btn', 'click', () => {
-            if (window.AliceBattleRef) window.AliceBattleRef.init();
+            if (this.game.battle) this.game.startFinalBattle();
         });
 
         // 12. Dummy Click (If it exists)
@@ -2,7 +2,7 @@
  * EventBus.js
  * A simple Publish-Subscribe system to decouple components.
  */
-class EventBus {
+export class EventBus {
     constructor() {
         this.listeners = {};
     }
@@ -153,11 +153,9 @@ export class GameLogic {
 
             // 3. Delayed Init
             setTimeout(() => {
-                if (window.AliceBattleRef) {
-                    console.log("[GameLogic] Initializing AliceBattleRef...");
-                    if (window.Game) window.Game.AliceBattle = window.AliceBattleRef;
-
-                    window.AliceBattleRef.init();
+                if (typeof this.game.startFinalBattle === 'function') {
+                    console.log("[GameLogic] Starting final battle...");
+                    this.game.startFinalBattle();
 
                     // Pointer Events Fix
                     setTimeout(() => {
@@ -174,7 +172,7 @@ export class GameLogic {
                         }
                     }, 50);
                 } else {
-                    console.warn("[GameLogic] AliceBattleRef not found. Using simple fallback?");
+                    console.warn("[GameLogic] Final battle not available. Using simple fallback?");
                     // Keep fallback logic if requested, or assume module exists for Phase 1 cleanup
                 }
             }, 100);
@@ -184,7 +182,7 @@ export class GameLogic {
     }
 
     // --- Simple Battle Fallback (Legacy/Simple Mode) ---
-    // Kept if AliceBattleRef fails or for specific interactions
+    // Kept if the Text Conquest battle fails or for specific interactions
     updateBattleUI() {
         const pBar = document.querySelector("#screen-final-boss .warden .hp"); // Note: ID might be different
         const vBar = document.querySelector("#screen-final-boss .villain .hp"); // This seems to target 'Simple Battle' DOM?
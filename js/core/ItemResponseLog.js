@@ -0,0 +1,293 @@
+/**
+ * ItemResponseLog.js
+ * Per-item answer logging for the comprehension questions (QuestionBank.js) and item difficulty statistics.
+ *
+ * Every answer is put on the gaze timeline ('quiz_response' event: item, chosen option, latency, attempt, outcome),
+ * and aggregated per item id in localStorage so difficulty builds up across runs on this device:
+ *   { [itemId]: { type, chapterId, shown, solved, firstTry, attempts, latencyMs, notRead, misunderstood, choices: { [value]: count } } }
+ *
+ * Outcome of an answer, from the item's evidence span (GazeDataManager.getSpanAttention):
+ *   correct        right answer
+ *   not_read       wrong, and the reader never looked at the evidence
+ *   misunderstood  wrong, although the evidence was looked at
+ *   wrong          wrong, no evidence span or no gaze data
+ *
+ * difficulty() / exportDifficulty() report per item:
+ *   pFirstTry     share answered right on the first attempt (classic item p-value; low = hard)
+ *   meanAttempts  attempts until solved
+ *   meanLatencyMs time from showing the item to the first answer
+ *   pMisunderstood share of first answers wrong despite reading the evidence (high = unclear question)
+ *   flag          'too_hard' / 'too_easy' once an item has minResponses answers, so it can be retired
+ *
+ * One device rarely reaches minResponses, so retiring items works on the pooled data: aggregate() rolls the
+ * 'quiz_response' events of uploaded sessions (meta.events) up into the same per-item stats, and
+ * difficultyOf() / formatDifficulty() turn them into the table. The local storage server serves that
+ * roll-up as GET /api/items/difficulty.
+ */
+
+const STATS_KEY = "question_item_stats";
+
+const DEFAULT_DIFFICULTY_OPTIONS = {
+    minResponses: 10,  // Before that an item is never flagged
+    tooHard: 0.25,     // pFirstTry below -> 'too_hard'
+    tooEasy: 0.95      // pFirstTry above -> 'too_easy'
+};
+
+export class ItemResponseLog {
+    /**
+     * @param {Storage} storage - defaults to localStorage (null = this run only)
+     * @param {Object} options - { clock: { now() }, logEvent(type, data) (default: window.gazeDataManager.logEvent) }
+     */
+    constructor(storage = (typeof localStorage !== "undefined" ? localStorage : null), options = {}) {
+        this.storage = storage;
+        this.clock = options.clock || { now: () => Date.now() };
+        this.logEvent = options.logEvent || ((type, data) => {
+            const gdm = typeof window !== "undefined" ? window.gazeDataManager : null;
+            if (gdm && typeof gdm.logEvent === "function") gdm.logEvent(type, data);
+        });
+        this.responses = []; // This run: one entry per answer
+        this.stats = this._load();
+    }
+
+    /**
+     * An item was shown.
+     * @param {Object} presented - QuestionBank.present() result
+     * @param {Object} context - { chapterId, paraIndex, kind: 'mid' | 'final' }
+     * @returns {Object} trial, passed back to answer()
+     */
+    begin(presented, context = {}) {
+        const trial = {
+            itemId: presented.item.id,
+            type: presented.type,
+            chapterId: context.chapterId || null,
+            paraIndex: context.paraIndex !== undefined ? context.paraIndex : null,
+            kind: context.kind || "mid",
+            order: presented.options.map(o => o.value), // Shuffled option order as shown
+            shownAt: this.clock.now(),
+            attempts: 0,
+            solved: false
+        };
+        const s = this._itemStats(trial);
+        s.shown++;
+        this._save();
+        return trial;
+    }
+
+    /**
+     * An answer was given.
+     * @param {Object} trial - from begin()
+     * @param {*} value - chosen option value (sequence: array of values)
+     * @param {boolean} correct
+     * @param {Object} evidence - GazeDataManager.getSpanAttention() of the item's evidence span (optional)
+     */
+    answer(trial, value, correct, evidence = null) {
+        trial.attempts++;
+        const outcome = ItemResponseLog.outcome(correct, evidence);
+        const latencyMs = this.clock.now() - trial.shownAt;
+        const response = {
+            itemId: trial.itemId,
+            type: trial.type,
+            chapterId: trial.chapterId,
+            paraIndex: trial.paraIndex,
+            kind: trial.kind,
+            chosen: value,
+            correct,
+            attempt: trial.attempts,
+            latencyMs,
+            outcome,
+            evidence,
+            order: trial.order
+        };
+        this.responses.push(response);
+        this.logEvent("quiz_response", response);
+
+        const s = this._itemStats(trial);
+        const key = Array.isArray(value) ? value.join(">") : String(value);
+        s.choices[key] = (s.choices[key] || 0) + 1;
+        if (trial.attempts === 1) {
+            s.answered++;
+            s.latencyMs += latencyMs;
+            if (correct) s.firstTry++;
+            if (outcome === "not_read") s.notRead = (s.notRead || 0) + 1;
+            if (outcome === "misunderstood") s.misunderstood = (s.misunderstood || 0) + 1;
+        }
+        if (correct && !trial.solved) {
+            trial.solved = true;
+            s.solved++;
+            s.attempts += trial.attempts;
+        }
+        this._save();
+        return response;
+    }
+
+    static outcome(correct, evidence) {
+        if (correct) return "correct";
+        if (!evidence) return "wrong";
+        return evidence.fixated ? "misunderstood" : "not_read";
+    }
+
+    /**
+     * First answers of this run by outcome (score report).
+     * @param {string} chapterId - only this chapter (optional)
+     * @returns {Object} { total, correct, not_read, misunderstood, wrong, items: { not_read: [itemId], misunderstood: [itemId] } }
+     */
+    outcomeSummary(chapterId = null) {
+        const summary = { total: 0, correct: 0, not_read: 0, misunderstood: 0, wrong: 0, items: { not_read: [], misunderstood: [] } };
+        this.responses.forEach(r => {
+            if (r.attempt !== 1 || (chapterId && r.chapterId !== chapterId)) return;
+            summary.total++;
+            summary[r.outcome]++;
+            if (summary.items[r.outcome]) summary.items[r.outcome].push(r.itemId);
+        });
+        return summary;
+    }
+
+    /**
+     * Aggregated difficulty per item on this device, hardest first (see difficultyOf).
+     * @param {Object} options - DEFAULT_DIFFICULTY_OPTIONS overrides
+     */
+    difficulty(options = {}) {
+        return ItemResponseLog.difficultyOf(this.stats, options);
+    }
+
+    /**
+     * @param {string} format - 'csv' | 'json'
+     * @returns {string}
+     */
+    exportDifficulty(format = "csv", options = {}) {
+        return ItemResponseLog.formatDifficulty(this.difficulty(options), format);
+    }
+
+    /**
+     * Rolls 'quiz_response' events of many sessions (all players) up into per-item stats.
+     * An item counts as shown once per first attempt: items shown but never answered are not in the events.
+     * @param {Array} sessions - uploaded session metas or session files: anything with events [{ type, data }]
+     * @returns {Object} { [itemId]: stats } (same shape as the per-device stats)
+     */
+    static aggregate(sessions) {
+        const stats = {};
+        (sessions || []).forEach(session => {
+            const events = (session && Array.isArray(session.events)) ? session.events : [];
+            events.forEach(e => {
+                const r = e && e.type === "quiz_response" ? e.data : null;
+                if (!r || !r.itemId) return;
+                if (!stats[r.itemId]) stats[r.itemId] = emptyStats(r);
+                const s = stats[r.itemId];
+                const key = Array.isArray(r.chosen) ? r.chosen.join(">") : String(r.chosen);
+                s.choices[key] = (s.choices[key] || 0) + 1;
+                if (r.attempt === 1) {
+                    s.shown++;
+                    s.answered++;
+                    s.latencyMs += r.latencyMs || 0;
+                    if (r.correct) s.firstTry++;
+                    if (r.outcome === "not_read") s.notRead++;
+                    if (r.outcome === "misunderstood") s.misunderstood++;
+                }
+                // A trial ends at its first right answer
+                if (r.correct) {
+                    s.solved++;
+                    s.attempts += r.attempt;
+                }
+            });
+        });
+        return stats;
+    }
+
+    /**
+     * Difficulty per item from aggregated stats, hardest first.
+     * @param {Object} stats - { [itemId]: stats } (this.stats or aggregate())
+     * @param {Object} options - DEFAULT_DIFFICULTY_OPTIONS overrides
+     * @returns {Array} [{ itemId, type, chapterId, shown, answered, pFirstTry, meanAttempts, meanLatencyMs, pMisunderstood, choices, flag }]
+     */
+    static difficultyOf(stats, options = {}) {
+        const opts = { ...DEFAULT_DIFFICULTY_OPTIONS, ...options };
+        return Object.entries(stats || {}).map(([itemId, s]) => {
+            const pFirstTry = s.answered > 0 ? s.firstTry / s.answered : null;
+            let flag = null;
+            if (s.answered >= opts.minResponses && pFirstTry < opts.tooHard) flag = "too_hard";
+            else if (s.answered >= opts.minResponses && pFirstTry > opts.tooEasy) flag = "too_easy";
+            return {
+                itemId,
+                type: s.type,
+                chapterId: s.chapterId,
+                shown: s.shown,
+                answered: s.answered,
+                pFirstTry: pFirstTry === null ? null : +pFirstTry.toFixed(3),
+                meanAttempts: s.solved > 0 ? +(s.attempts / s.solved).toFixed(2) : null,
+                meanLatencyMs: s.answered > 0 ? Math.round(s.latencyMs / s.answered) : null,
+                pMisunderstood: s.answered > 0 ? +((s.misunderstood || 0) / s.answered).toFixed(3) : null,
+                choices: { ...s.choices },
+                flag
+            };
+        }).sort((a, b) => (a.pFirstTry ?? 2) - (b.pFirstTry ?? 2));
+    }
+
+    /**
+     * @param {Array} rows - difficultyOf() result
+     * @param {string} format - 'csv' | 'json'
+     * @returns {string}
+     */
+    static formatDifficulty(rows, format = "csv") {
+        if (format === "json") return JSON.stringify(rows, null, 2);
+
+        const header = ["itemId", "type", "chapterId", "shown", "answered", "pFirstTry", "meanAttempts", "meanLatencyMs", "pMisunderstood", "flag", "choices"];
+        const cell = (v) => {
+            const text = v === null || v === undefined ? "" : (typeof v === "object" ? JSON.stringify(v) : String(v));
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [header.join(","), ...rows.map(r => header.map(h => cell(r[h])).join(","))].join("\n");
+    }
+
+    // Download the difficulty table (browser only)
+    download(format = "csv") {
+        if (typeof document === "undefined") return false;
+        const text = this.exportDifficulty(format);
+        const blob = new Blob([text], { type: (format === "json" ? "application/json" : "text/csv") + ";charset=utf-8;" });
+        const link = document.createElement("a");
+        const url = URL.createObjectURL(blob);
+        link.href = url;
+        link.setAttribute("download", `item_difficulty_${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`);
+        link.style.display = "none";
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
+    reset() {
+        this.stats = {};
+        this.responses = [];
+        this._save();
+    }
+
+    _itemStats(trial) {
+        if (!this.stats[trial.itemId]) this.stats[trial.itemId] = emptyStats(trial);
+        return this.stats[trial.itemId];
+    }
+
+    _load() {
+        try {
+            const raw = this.storage ? this.storage.getItem(STATS_KEY) : null;
+            return raw ? JSON.parse(raw) : {};
+        } catch (e) {
+            console.warn("[ItemResponseLog] Stored item stats unreadable, starting fresh.", e);
+            return {};
+        }
+    }
+
+    _save() {
+        try {
+            if (this.storage) this.storage.setItem(STATS_KEY, JSON.stringify(this.stats));
+        } catch (e) {
+            console.warn("[ItemResponseLog] Could not store item stats:", e);
+        }
+    }
+}
+
+function emptyStats(item) {
+    return {
+        type: item.type, chapterId: item.chapterId,
+        shown: 0, answered: 0, firstTry: 0, solved: 0, attempts: 0, latencyMs: 0, notRead: 0, misunderstood: 0, choices: {}
+    };
+}
@@ -0,0 +1,198 @@
+/**
+ * QuestionBank.js
+ * Comprehension questions per paragraph: random item selection, option shuffling and answer checking.
+ *
+ * Bank format (chapter.questionBank), keyed by paragraph id (or index):
+ *   { p1: [item, ...], p2: [...] }
+ * Items (every item needs a unique id - statistics are kept per id, see ItemResponseLog.js):
+ *   { id, type: "mc", q, options: ["...", "..."], answer: 1 }                  multiple choice (answer = option index)
+ *   { id, type: "tf", q: "statement", answer: true }                           true / false
+ *   { id, type: "sequence", q, items: ["first", "second", "third"] }           put events in order (items in the right order)
+ *   { id, type: "which_sentence", q, answer: "excerpt", options?: [...] }      pick the text that said it; without options
+ *                                                                               the distractors are other clauses of the text read so far
+ * Any item can name the text that answers it (same token indices as core_phrase; para = paragraph id, default:
+ * the paragraph the item belongs to):
+ *   evidence: { start_token_index, end_token_index, para?: "p2" }
+ * The game checks whether the reader looked at it (GazeDataManager.getSpanAttention) to tell
+ * "didn't read it" from "read it but misunderstood", and re-highlights it after a wrong answer.
+ * Chapters without a bank use their midBossQuizzes ({ q, o, a }) as one multiple-choice item per paragraph.
+ *
+ * present(item) -> { item, type, prompt, options: [{ text, value }], answer, evidence: { paraIndex, start, end, text } | null }
+ *   mc / which_sentence: value = original option index, tf: value = true / false,
+ *   sequence: value = position in the right order, answer = [0, 1, 2...]
+ */
+
+import { Language } from "../utils/Language.js";
+
+export const QUESTION_TYPES = ["mc", "tf", "sequence", "which_sentence"];
+
+// Clause end for "which sentence" options: b = 4 on a token with closing punctuation
+const CLAUSE_END = /[,;:.!?。！？、，]["”’'」』)]*$/;
+const WHICH_SENTENCE_OPTIONS = 3;
+const MIN_CLAUSE_WORDS = 4;
+const DISTRACTOR_MAX_OVERLAP = 0.5; // Share of a clause's words also in the answer
+
+export class QuestionBank {
+    /**
+     * @param {Object} bank - { [paragraphId | index]: [item] } (see header), null = legacy quizzes only
+     * @param {Object} options - { paragraphs (chapter content), legacy (midBossQuizzes), chapterId, lang, random = Math.random }
+     */
+    constructor(bank = null, options = {}) {
+        this.bank = bank || {};
+        this.paragraphs = options.paragraphs || [];
+        this.legacy = options.legacy || [];
+        this.chapterId = options.chapterId || "chapter";
+        this.lang = options.lang || "en";
+        this.random = options.random || Math.random;
+        this.asked = new Set(); // Item ids already asked in this run
+    }
+
+    /**
+     * Items for a paragraph: bank[paragraph id], bank[index], or the legacy quiz as one mc item.
+     */
+    itemsFor(paraIndex) {
+        const paragraph = this.paragraphs[paraIndex];
+        const items = (paragraph && this.bank[paragraph.id]) || this.bank[paraIndex];
+        if (Array.isArray(items) && items.length > 0) return items;
+
+        const quiz = this.legacy[paraIndex];
+        return quiz ? [QuestionBank.fromLegacy(quiz, `${this.chapterId}_mid${paraIndex + 1}`)] : [];
+    }
+
+    /**
+     * Random item for a paragraph, preferring ones not asked yet in this run.
+     * @returns {Object|null} item
+     */
+    pick(paraIndex) {
+        const items = this.itemsFor(paraIndex);
+        if (items.length === 0) return null;
+        const fresh = items.filter(item => !this.asked.has(item.id));
+        const pool = fresh.length > 0 ? fresh : items;
+        const item = pool[Math.floor(this.random() * pool.length)];
+        this.asked.add(item.id);
+        return item;
+    }
+
+    /**
+     * Item -> what the player sees, with shuffled options (see header).
+     */
+    present(item, paraIndex = 0) {
+        return { ...this._presentOptions(item, paraIndex), evidence: this.evidenceFor(item, paraIndex) };
+    }
+
+    _presentOptions(item, paraIndex) {
+        switch (item.type || "mc") {
+            case "tf":
+                return {
+                    item, type: "tf", prompt: item.q, answer: !!item.answer,
+                    options: [{ text: "True", value: true }, { text: "False", value: false }]
+                };
+            case "sequence":
+                return {
+                    item, type: "sequence", prompt: item.q || "Put these in the order they happened:",
+                    answer: item.items.map((_, i) => i),
+                    options: this.shuffle(item.items.map((text, i) => ({ text, value: i })))
+                };
+            case "which_sentence": {
+                const texts = Array.isArray(item.options) && item.options.length > 0
+                    ? item.options
+                    : [item.answer, ...this._distractorClauses(item.answer, paraIndex)];
+                const answer = Array.isArray(item.options) ? (Number.isInteger(item.answerIndex) ? item.answerIndex : item.options.indexOf(item.answer)) : 0;
+                return {
+                    item, type: "which_sentence", prompt: item.q, answer,
+                    options: this.shuffle(texts.map((text, i) => ({ text: `"${text}"`, value: i })))
+                };
+            }
+            default:
+                return {
+                    item, type: "mc", prompt: item.q, answer: item.answer,
+                    options: this.shuffle(item.options.map((text, i) => ({ text, value: i })))
+                };
+        }
+    }
+
+    /**
+     * Item evidence -> { paraIndex, start, end, text }, null without (or with an out-of-range) evidence.
+     */
+    evidenceFor(item, paraIndex = 0) {
+        const ev = item && item.evidence;
+        if (!ev) return null;
+
+        const index = ev.para !== undefined ? this.paragraphs.findIndex(p => p.id === ev.para) : paraIndex;
+        const tokens = (this.paragraphs[index] && this.paragraphs[index].tokens) || [];
+        const start = ev.start_token_index;
+        const end = ev.end_token_index !== undefined ? ev.end_token_index : start;
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end >= tokens.length) {
+            console.warn(`[QuestionBank] Item ${item.id}: evidence ${start}-${end} outside paragraph ${ev.para || index}`);
+            return null;
+        }
+        const text = tokens.slice(start, end + 1).map(t => t.t).join(Language.get(this.lang).spaced ? " " : "");
+        return { paraIndex: index, start, end, text };
+    }
+
+    /**
+     * @param {Object} presented - from present()
+     * @param {*} value - option value (sequence: array of values in the chosen order)
+     */
+    static check(presented, value) {
+        if (presented.type === "sequence") {
+            return Array.isArray(value) && value.length === presented.answer.length &&
+                value.every((v, i) => v === presented.answer[i]);
+        }
+        return value === presented.answer;
+    }
+
+    // { q, o, a } -> mc item
+    static fromLegacy(quiz, id) {
+        return { id: quiz.id || id, type: "mc", q: quiz.q, options: quiz.o, answer: quiz.a };
+    }
+
+    /**
+     * Clauses (runs of tokens ending on b = 4 punctuation) of the paragraphs read so far.
+     * @returns {Array<string>}
+     */
+    clauses(uptoParaIndex = this.paragraphs.length - 1) {
+        const result = [];
+        this.paragraphs.slice(0, uptoParaIndex + 1).forEach(p => {
+            let words = [];
+            (p.tokens || []).forEach((tok, i) => {
+                words.push(tok.t);
+                if ((tok.b === 4 && CLAUSE_END.test(tok.t)) || i === p.tokens.length - 1) {
+                    if (words.length >= MIN_CLAUSE_WORDS) result.push(QuestionBank._cleanClause(words.join(" ")));
+                    words = [];
+                }
+            });
+        });
+        return result;
+    }
+
+    // Other clauses of the text, skipping any that share most of their words with the answer
+    _distractorClauses(answer, paraIndex) {
+        const answerWords = new Set(QuestionBank._words(answer));
+        const candidates = this.clauses(paraIndex).filter(c => {
+            const words = QuestionBank._words(c);
+            const shared = words.filter(w => answerWords.has(w)).length;
+            return shared / words.length < DISTRACTOR_MAX_OVERLAP;
+        });
+        return this.shuffle(candidates).slice(0, WHICH_SENTENCE_OPTIONS - 1);
+    }
+
+    // Fisher-Yates on a copy
+    shuffle(list) {
+        const copy = list.slice();
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    // Drop quotes / brackets (a clause often cuts a quote or parenthesis in half) and trailing commas
+    static _cleanClause(text) {
+        return text.replace(/[“”"()\[\]]/g, "").replace(/^['‘’]+|[,;:'‘’]+$/g, "").replace(/\s+/g, " ").trim();
+    }
+
+    static _words(text) {
+        return String(text).toLowerCase().split(/[^\p{L}\p{N}'’]+/u).filter(Boolean);
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * RevealGate.js
+ * Gaze-gated reveal: decides, before each Typewriter chunk, whether the text may keep coming.
+ *
+ *   hold - face lost, gaze samples stopped (app.js stale check), gaze off the text block,
+ *          or the reader is holdLinesBehind lines behind the revealed line
+ *   slow - the reader is slowLinesBehind lines behind (chunk delay x slowFactor)
+ *   go   - otherwise, or when there is no gaze at all yet (never block a run without a tracker)
+ *
+ * pause(reason) holds at once, even with the gate disabled (e.g. 'recalibrating' for the in-game orb check).
+ *
+ * Conditions must last `graceMs` before they count, so a blink or one wild sample doesn't stop the text.
+ * Inputs: noteGaze() from Typewriter.updateGazeStats (every on-screen sample) and
+ * window.getGazeStatus() from app.js (tracking state + stale detection, including face-lost samples).
+ */
+import { TRACKING_STATE_FACE_MISSING } from "../gaze/GazeSource.js";
+import { ReadingDirection } from "../utils/ReadingDirection.js";
+
+const DEFAULT_GATE_OPTIONS = {
+    enabled: true,
+    slowLinesBehind: 2,
+    holdLinesBehind: 3,
+    slowFactor: 1.75,
+    graceMs: 600,
+    offscreenMargin: 120, // px around the text block that still counts as "on the text"
+    smoothing: 0.2        // EMA weight of a new gaze line sample
+};
+
+export class RevealGate {
+    /**
+     * @param {Object} options - see DEFAULT_GATE_OPTIONS
+     * @param {Function} getStatus - () => { stale, trackingState, msSinceSample } (default: window.getGazeStatus)
+     */
+    constructor(options = {}, getStatus = null) {
+        this.options = { ...DEFAULT_GATE_OPTIONS, ...options };
+        this.getStatus = getStatus || (() => (typeof window !== "undefined" && window.getGazeStatus ? window.getGazeStatus() : null));
+        this.reset();
+    }
+
+    reset() {
+        this.gazeLine = null;     // Smoothed line index under the gaze
+        this.offscreen = false;
+        this.lastGazeAt = 0;
+        this.since = {};          // condition -> first time seen (ms)
+        this.state = { action: "go", reason: null, linesBehind: 0 };
+        this.paused = this.paused || null; // Survives reset(): a paragraph change must not end a pause
+    }
+
+    pause(reason) {
+        this.paused = reason || "paused";
+    }
+
+    resume() {
+        this.paused = null;
+    }
+
+    setEnabled(enabled) {
+        this.options.enabled = enabled;
+        this.reset();
+    }
+
+    /**
+     * Feed an on-screen gaze sample.
+     * @param {number} x
+     * @param {number} y
+     * @param {Object} renderer - TextRenderer with locked layout (lines[].rect, direction)
+     */
+    noteGaze(x, y, renderer) {
+        if (!renderer || !renderer.isLayoutLocked || renderer.lines.length === 0) return;
+        const lines = renderer.lines;
+        const margin = this.options.offscreenMargin;
+        // Bounding box of every line (vertical text: columns side by side)
+        const top = Math.min(...lines.map(l => l.rect.top)) - margin;
+        const bottom = Math.max(...lines.map(l => l.rect.bottom)) + margin;
+        const left = Math.min(...lines.map(l => l.rect.left)) - margin;
+        const right = Math.max(...lines.map(l => l.rect.right)) + margin;
+
+        this.lastGazeAt = Date.now();
+        this.offscreen = y < top || y > bottom || x < left || x > right;
+        if (this.offscreen) return;
+
+        // Nearest line by center across lines (vertical text: columns, found by X like renderer.hitTest)
+        const across = ReadingDirection.across(x, y, renderer.direction);
+        let nearest = 0;
+        let minDist = Infinity;
+        lines.forEach((l, i) => {
+            const dist = Math.abs(ReadingDirection.span(l.rect, renderer.direction, "across").center - across);
+            if (dist < minDist) {
+                minDist = dist;
+                nearest = i;
+            }
+        });
+        const a = this.options.smoothing;
+        this.gazeLine = this.gazeLine === null ? nearest : this.gazeLine * (1 - a) + nearest * a;
+    }
+
+    /**
+     * @param {number} revealedLine - line of the latest revealed word (renderer.currentVisibleLineIndex)
+     * @returns {Object} { action: 'go' | 'slow' | 'hold', reason, linesBehind }
+     */
+    evaluate(revealedLine, now = Date.now()) {
+        if (this.paused) return (this.state = { action: "hold", reason: this.paused, linesBehind: 0 });
+        if (!this.options.enabled) return { action: "go", reason: null, linesBehind: 0 };
+
+        const status = this.getStatus() || {};
+        const faceLost = status.trackingState === TRACKING_STATE_FACE_MISSING;
+        const stale = !!status.stale;
+        const hasGaze = this.gazeLine !== null || this.offscreen;
+        const linesBehind = this.gazeLine === null ? 0 : Math.max(0, Math.round(revealedLine - this.gazeLine));
+
+        const conditions = {
+            face_lost: faceLost,
+            stale: stale,
+            offscreen: hasGaze && this.offscreen && !faceLost && !stale,
+            behind: linesBehind >= this.options.holdLinesBehind,
+            lagging: linesBehind >= this.options.slowLinesBehind
+        };
+
+        // Conditions only count after graceMs
+        const active = (key) => {
+            if (!conditions[key]) {
+                delete this.since[key];
+                return false;
+            }
+            if (this.since[key] === undefined) this.since[key] = now;
+            return now - this.since[key] >= this.options.graceMs;
+        };
+
+        let state = { action: "go", reason: null, linesBehind };
+        const holds = ["face_lost", "stale", "offscreen", "behind"].filter(active); // filter: track every timer
+        const holdReason = holds[0];
+        const lagging = active("lagging");
+        if (holdReason) state = { action: "hold", reason: holdReason, linesBehind };
+        else if (lagging) state = { action: "slow", reason: "lagging", linesBehind };
+
+        this.state = state;
+        return state;
+    }
+}
@@ -0,0 +1,989 @@
+/**
+ * TextConquestBattle.js
+ * Final battle (Text Conquest): the Warden spends Ink / Rune / Gem cards to purify the letters of a passage,
+ * the villain's cards corrupt them. All letters white = victory, all gray = defeat.
+ *
+ * Everything chapter-specific comes from the config (js/data/Library.js -> chapter.battle):
+ *   passage        text to reclaim
+ *   villain        name, image, intro / victory / defeat text, attack timing and the three villain cards
+ *   cardValues     starting card power when the player has no scores yet
+ *   decreaseAmount card power spent per attack
+ *
+ * One instance per battle; all DOM lookups are scoped to the battle container, state lives on the instance.
+ * Hooks: onWin / onLose (the result modal's button), onEnd (result decided, before the modal).
+ */
+
+const DEFAULT_BATTLE_CONFIG = {
+    containerId: "screen-alice-battle",
+    passage: "For it flashed across her mind that she had never before seen a rabbit with either a waistcoat-pocket, or a watch to take out of it, and burning with curiosity, she ran across the field after it.",
+    corruption: 0.5,   // Share of letters that start gray
+    villain: {
+        name: "VILLAIN",
+        image: "finalredvillain.png",
+        intro: "You have traveled far, Warden.<br>Now, face <b>the Final Villain</b>!<br><br>It is trying to erase the story.<br>Use your magic to bring the words back!",
+        victoryText: "The story has been restored!<br>The rift is sealed.",
+        defeatText: "The words have faded away...<br>The Villain was too strong.",
+        cooldownMs: 2000,  // Min time between villain attacks
+        attackChance: 0.2, // Chance to attack per frame once the cooldown is over
+        cards: {
+            joker: { power: 40, weight: 0.6, color: "#ff00aa" },  // Random 10 letters
+            king: { power: 60, weight: 0.3, color: "#ff0055" },   // 3 consecutive words
+            queen: { power: 100, weight: 0.1, color: "#ff0000" }  // Random 3 words
+        }
+    },
+    cardValues: { ink: 190, rune: 30, gem: 50 },
+    decreaseAmount: { ink: 10, rune: 5, gem: 8 }
+};
+
+const WARDEN_COLORS = { ink: "#b300ff", rune: "#00f2ff", gem: "#ffffff" };
+
+// Lightning (Visuals)
+class Lightning {
+    /**
+     * @param {Array} sink - lightning list of the battle (branches are added to it)
+     */
+    constructor(sink, startX, startY, targetX, targetY, isBranch = false, depth = 0, color = '#00ffff') {
+        this.sink = sink;
+        this.segments = [];
+        this.startX = startX;
+        this.startY = startY;
+        this.targetX = targetX;
+        this.targetY = targetY;
+        this.opacity = 1.0;
+        this.depth = depth;
+        this.color = color;
+
+        // Make it Thinner!
+        const originalBaseWidth = isBranch ? (1.5 - depth * 0.5) : (color === '#ff0055' ? 4 : 3);
+        this.baseWidth = Math.max(0.5, originalBaseWidth * 0.5); // Much thinner
+        this.generateSegments();
+    }
+
+    generateSegments() {
+        let curX = this.startX;
+        let curY = this.startY;
+        const dx = this.targetX - this.startX;
+        const dy = this.targetY - this.startY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const segmentCount = Math.max(6, Math.floor(distance / 25));
+
+        for (let i = 0; i <= segmentCount; i++) {
+            const progress = i / segmentCount;
+            let nextX = this.startX + dx * progress + (Math.random() - 0.5) * (distance * 0.15);
+            let nextY = this.startY + dy * progress + (Math.random() - 0.5) * 30;
+            if (i === segmentCount) { nextX = this.targetX; nextY = this.targetY; }
+            this.segments.push({ x: curX, y: curY, nextX, nextY });
+
+            if (this.depth < 2 && Math.random() > 0.85 && i > 0 && i < segmentCount) {
+                this.sink.push(new Lightning(this.sink, nextX, nextY, nextX + (Math.random() - 0.5) * 300, nextY + (Math.random() - 0.5) * 300, true, this.depth + 1, this.color));
+            }
+            curX = nextX; curY = nextY;
+        }
+    }
+}
+
+export class TextConquestBattle {
+    /**
+     * @param {Object} config - see DEFAULT_BATTLE_CONFIG (villain / cardValues / decreaseAmount are merged per key)
+     * @param {Object} hooks - { onWin(result), onLose(result), onEnd(result) }, result = { outcome, cardValues, ... }
+     */
+    constructor(config = {}, hooks = {}) {
+        const villain = config.villain || {};
+        this.config = {
+            ...DEFAULT_BATTLE_CONFIG,
+            ...config,
+            villain: {
+                ...DEFAULT_BATTLE_CONFIG.villain,
+                ...villain,
+                cards: { ...DEFAULT_BATTLE_CONFIG.villain.cards, ...(villain.cards || {}) }
+            },
+            cardValues: { ...DEFAULT_BATTLE_CONFIG.cardValues, ...(config.cardValues || {}) },
+            decreaseAmount: { ...DEFAULT_BATTLE_CONFIG.decreaseAmount, ...(config.decreaseAmount || {}) }
+        };
+        this.hooks = { onWin: null, onLose: null, onEnd: null, ...hooks };
+
+        this.canvas = null;
+        this.ctx = null;
+        this.width = 0;
+        this.height = 0;
+        this.ui = {};
+        this.modals = [];
+        this.effects = [];
+        this.onResize = () => this.resize();
+
+        this.resetState();
+    }
+
+    onWin(fn) { this.hooks.onWin = fn; return this; }
+    onLose(fn) { this.hooks.onLose = fn; return this; }
+    onEnd(fn) { this.hooks.onEnd = fn; return this; }
+
+    resetState() {
+        this.lightnings = [];
+        this.flashOpacity = 0;
+        this.shakeTime = 0;
+        this.gameState = 'idle';
+        this.animFrameId = null;
+        this.totalChars = 0;
+        this.grayChars = 0; // Villain HP is based on this
+        this.wardenHP = 100;
+        this.lastVillainAttackTime = 0;
+        this.startedAt = 0;
+        this.cardValues = { ...this.config.cardValues };
+    }
+
+    get container() {
+        return document.getElementById(this.config.containerId);
+    }
+
+    // Scoped lookup (the page has duplicate ids in other screens)
+    $(selector) {
+        const container = this.container;
+        return container ? container.querySelector(selector) : null;
+    }
+
+    /**
+     * Show the battle and open the intro modal (the fight starts from its button).
+     * @param {Object} stats - { ink, rune, gem } player scores; defaults to config.cardValues when all are 0
+     */
+    start(stats = null) {
+        try {
+            console.log("[TextConquestBattle] start()");
+            this.reset();
+
+            const container = this.container;
+            if (!container) { console.error(`[TextConquestBattle] Container #${this.config.containerId} missing`); return; }
+            container.style.display = 'flex';
+            container.classList.add('active');
+
+            const canvas = this.$('#alice-canvas');
+            if (!canvas) { console.error("Canvas missing"); return; }
+            this.canvas = canvas;
+
+            // FORCE ESSENTIAL STYLES
+            canvas.style.display = 'block';
+            canvas.style.position = 'absolute';
+            canvas.style.top = '0';
+            canvas.style.left = '0';
+            canvas.style.width = '100vw'; // Explicit Width
+            canvas.style.height = '100vh'; // Explicit Height
+            canvas.style.zIndex = '100'; // Highest priority
+            canvas.style.pointerEvents = 'none'; // Pass clicks
+
+            this.ctx = canvas.getContext('2d');
+
+            const ui = this.ui;
+            ui.gameUi = this.$('#alice-game-ui');
+            ui.villainHp = this.$('#villain-hp');
+            ui.wardenHp = this.$('#warden-hp');
+            ui.log = this.$('#al-log');
+            if (ui.log) ui.log.innerText = ""; // Clear log
+
+            ui.finalScreen = this.$('#alice-final-screen');
+            ui.textField = this.$('#alice-text');
+
+            window.addEventListener('resize', this.onResize);
+            this.resize();
+
+            // RESET & SETUP
+            this.gameState = 'paused'; // Start PAUSED for Intro
+            this.lastVillainAttackTime = Date.now();
+
+            this.setupLayout(container);
+
+            // Villain art and cards
+            const villain = this.config.villain;
+            const villainImg = this.$('#villain-bg-img');
+            if (villainImg && villain.image) villainImg.src = villain.image;
+            const vLbl = this.$('.lbl-villain');
+            if (vLbl) vLbl.innerText = villain.name;
+            Object.entries(villain.cards).forEach(([type, card]) => {
+                const valEl = this.$(`#v-val-${type}`);
+                if (valEl) valEl.innerText = card.power;
+            });
+
+            // Score Initialization: Use Real Game Data if Available, else Default Test Values
+            if (stats && (stats.ink > 0 || stats.rune > 0 || stats.gem > 0)) {
+                this.cardValues = { ink: stats.ink || 0, rune: stats.rune || 0, gem: stats.gem || 0 };
+                console.log("[TextConquestBattle] Loaded Real Scores:", this.cardValues);
+            } else {
+                this.cardValues = { ...this.config.cardValues };
+                console.log("[TextConquestBattle] Loaded Default Test Scores:", this.cardValues);
+            }
+
+            this.initTextBattlefield();
+            this.updateCardDisplay();
+
+            this.animateLoop(); // Loop runs but does nothing if paused
+
+            // SHOW INTRO MODAL
+            this.showIntroModal();
+
+        } catch (e) { console.error(e); }
+    }
+
+    /**
+     * Stop the loop, remove modals and effects, forget the round. The container stays as it is.
+     */
+    reset() {
+        if (this.animFrameId) cancelAnimationFrame(this.animFrameId);
+        window.removeEventListener('resize', this.onResize);
+        this.modals.forEach(m => m.remove());
+        this.modals = [];
+        this.effects.forEach(e => e.remove());
+        this.effects = [];
+        if (this.ctx) this.ctx.clearRect(0, 0, this.width, this.height);
+        if (this.ui.gameUi) {
+            this.ui.gameUi.style.transition = '';
+            this.ui.gameUi.style.opacity = '1';
+        }
+        if (this.ui.textField) this.ui.textField.style.pointerEvents = '';
+        this.resetState();
+    }
+
+    /**
+     * Reset and hide the battle screen.
+     */
+    stop() {
+        this.reset();
+        const container = this.container;
+        if (container) {
+            container.classList.remove('active');
+            container.style.display = 'none';
+        }
+    }
+
+    resize() {
+        if (!this.canvas) return;
+        this.width = this.canvas.width = window.innerWidth;
+        this.height = this.canvas.height = window.innerHeight;
+    }
+
+    setupLayout(container) {
+        const ui = this.ui;
+
+        // SETUP UNIFIED BAR (TUG OF WAR) & LABELS
+        if (ui.villainHp) {
+            ui.villainHp.style.width = '50%';
+            ui.villainHp.style.backgroundColor = '#2962FF';
+
+            const parentBar = ui.villainHp.parentElement;
+            parentBar.style.backgroundColor = '#D50000';
+            parentBar.style.border = '2px solid #fff';
+            parentBar.style.height = '24px';
+
+            // FIXED POSITIONING (BREAKOUT STRATEGY)
+            parentBar.style.position = 'fixed';
+            parentBar.style.top = '35vh'; // Moved Way Up (42 -> 35)
+            parentBar.style.left = '50%';
+            parentBar.style.transform = 'translateX(-50%)';
+            parentBar.style.width = '90%';
+            parentBar.style.zIndex = '9999';
+            parentBar.style.marginTop = '0';
+            parentBar.style.boxShadow = '0 0 15px rgba(0,0,0,0.8)';
+            parentBar.style.overflow = 'visible';
+
+            // Add Labels if missing
+            if (!parentBar.querySelector('.lbl-warden')) {
+                const wLbl = document.createElement('div');
+                wLbl.className = 'lbl-warden';
+                wLbl.innerText = "WARDEN";
+                wLbl.style.position = 'absolute';
+                wLbl.style.left = '0';
+                wLbl.style.top = '-20px';
+                wLbl.style.color = '#2962FF';
+                wLbl.style.fontWeight = 'bold';
+                wLbl.style.fontSize = '0.8rem';
+                wLbl.style.fontFamily = 'Cinzel, serif';
+                wLbl.style.textShadow = '0 0 5px #000';
+                parentBar.appendChild(wLbl);
+
+                const vLbl = document.createElement('div');
+                vLbl.className = 'lbl-villain';
+                vLbl.innerText = "VILLAIN";
+                vLbl.style.position = 'absolute';
+                vLbl.style.right = '0';
+                vLbl.style.top = '-20px';
+                vLbl.style.color = '#D50000';
+                vLbl.style.fontWeight = 'bold';
+                vLbl.style.fontSize = '0.8rem';
+                vLbl.style.fontFamily = 'Cinzel, serif';
+                vLbl.style.textShadow = '0 0 5px #000';
+                parentBar.appendChild(vLbl);
+            }
+        }
+
+        // Adjust Layout compactness
+        const villainArea = container.querySelector('.entity-area.villain');
+        if (villainArea) {
+            villainArea.style.height = '40vh';
+            villainArea.style.overflow = 'visible';
+            // PUSH VILLAIN CARDS DOWN
+            villainArea.style.justifyContent = 'flex-start';
+            villainArea.style.paddingTop = '0';
+        }
+
+        // Text Field Adjustments (Fixed Position)
+        if (ui.textField) {
+            // 1. Remove Title Sibling
+            const titleEl = ui.textField.previousElementSibling;
+            if (titleEl) titleEl.style.display = 'none';
+
+            const tfParent = ui.textField.parentElement;
+            // Reset standard positioning
+            tfParent.style.position = 'fixed';
+            tfParent.style.top = '42vh'; // Below HP Bar (35vh + bar)
+            tfParent.style.left = '0';
+            tfParent.style.width = '100%';
+            tfParent.style.marginTop = '0';
+            tfParent.style.paddingTop = '0';
+            tfParent.style.zIndex = '800';
+            tfParent.style.display = 'flex';
+            tfParent.style.justifyContent = 'center';
+
+            // Box Styles - REDUCED HEIGHT (~3 lines)
+            ui.textField.style.width = '94vw';
+            ui.textField.style.marginLeft = '0';
+            ui.textField.style.height = '80px';
+            ui.textField.style.minHeight = '80px';
+            ui.textField.style.maxHeight = '80px';
+            ui.textField.style.overflowY = 'auto';
+        }
+
+
+        if (ui.wardenHp) ui.wardenHp.parentElement.style.display = 'none';
+
+        // WARDEN AREA (Push Cards Down)
+        const wardenArea = container.querySelector('.entity-area.warden');
+        if (wardenArea) {
+            wardenArea.style.justifyContent = 'flex-end';
+            wardenArea.style.paddingBottom = '0px';
+        }
+
+        if (ui.gameUi) ui.gameUi.style.opacity = '1';
+        if (ui.finalScreen) {
+            ui.finalScreen.style.display = 'none';
+            ui.finalScreen.style.opacity = '0';
+        }
+
+        // Compact Villain Cards (PUSH UP SLIGHTLY from previous)
+        const vCards = container.querySelector('.villain-cards') || container.querySelector('.entity-area.villain .card-container');
+        if (vCards) {
+            vCards.style.transform = 'scale(0.8)';
+            vCards.style.transformOrigin = 'top center';
+            vCards.style.marginTop = '18vh'; // Raised up (25 -> 18)
+        }
+
+        // BIGGER WARDEN CARDS (TOP LAYER)
+        const wCards = container.querySelector('.entity-area.warden .card-container');
+        if (wCards) {
+            wCards.style.transform = 'scale(1.2)';
+            wCards.style.transformOrigin = 'bottom center';
+            wCards.style.marginBottom = '30px';
+            wCards.style.position = 'relative';
+            wCards.style.zIndex = '10000';
+        }
+    }
+
+    initTextBattlefield() {
+        const ui = this.ui;
+        if (!ui.textField) return;
+
+        // FORCE VISIBILITY & LAYOUT (Multi-line fix)
+        ui.textField.style.setProperty('opacity', '1', 'important');
+        ui.textField.style.setProperty('mask-image', 'none', 'important');
+        ui.textField.style.setProperty('-webkit-mask-image', 'none', 'important');
+
+        ui.textField.style.overflow = 'visible';
+        ui.textField.style.color = '#fff';
+        ui.textField.style.display = 'block'; // Allow wrapping
+        ui.textField.style.whiteSpace = 'normal'; // Allow wrapping
+        ui.textField.style.height = 'auto';
+        ui.textField.style.minHeight = '150px';
+        ui.textField.style.lineHeight = '1.6';
+        ui.textField.style.fontSize = '0.9em'; // 90% size
+
+        ui.textField.innerHTML = '';
+        this.totalChars = 0;
+        this.grayChars = 0;
+
+        const words = this.config.passage.split(/\s+/).filter(Boolean);
+        words.forEach((word, wordIdx) => {
+            const wordSpan = document.createElement('span');
+            wordSpan.className = 'b-word';
+            wordSpan.dataset.wordIndex = wordIdx;
+            wordSpan.style.display = 'inline-block';
+            wordSpan.style.marginRight = '5px';
+            wordSpan.style.whiteSpace = 'nowrap';
+
+            for (let i = 0; i < word.length; i++) {
+                const charSpan = document.createElement('span');
+                charSpan.innerText = word[i];
+                charSpan.style.transition = 'color 0.3s, text-shadow 0.3s, transform 0.2s';
+
+                // Corruption chance per letter (config.corruption, 0.5 = 50/50)
+                if (Math.random() < this.config.corruption) {
+                    charSpan.className = 'b-char gray';
+                    charSpan.style.setProperty('color', '#555', 'important');
+                    charSpan.style.textShadow = 'none';
+                    charSpan.dataset.state = 'gray';
+                    this.grayChars++;
+                } else {
+                    charSpan.className = 'b-char white';
+                    charSpan.style.setProperty('color', '#ffffff', 'important');
+                    charSpan.style.textShadow = '0 0 10px #fff'; // Subtle glow for init
+                    charSpan.dataset.state = 'white';
+                }
+
+                wordSpan.appendChild(charSpan);
+                this.totalChars++;
+            }
+            ui.textField.appendChild(wordSpan);
+        });
+
+        this.updateVillainHP();
+    }
+
+    updateVillainHP() {
+        // TUG OF WAR LOGIC
+        // Blue Bar = Warden's Territory (White Chars)
+        // Red Back = Villain's Territory (Gray Chars)
+
+        const whiteChars = this.totalChars - this.grayChars;
+        const wardenPercent = (whiteChars / this.totalChars) * 100;
+
+        if (this.ui.villainHp) {
+            this.ui.villainHp.style.width = wardenPercent + '%';
+        }
+
+        // Win/Loss Condition
+        if (this.totalChars > 0) {
+            if (this.grayChars <= 0) this.endGame('victory'); // All White
+            if (whiteChars <= 0) this.endGame('defeat'); // All Gray
+        }
+    }
+
+    updateCardDisplay() {
+        for (const key in this.cardValues) {
+            const valEl = this.$(`#val-${key}`);
+            const cardEl = this.$(`#card-${key}`);
+            if (valEl) valEl.innerText = Math.max(0, this.cardValues[key]);
+            if (cardEl) cardEl.classList.toggle('disabled', this.cardValues[key] <= 0);
+        }
+    }
+
+    changeCharState(charEl, newState) {
+        if (!charEl || charEl.dataset.state === newState) return false;
+
+        charEl.dataset.state = newState;
+        if (newState === 'white') {
+            charEl.classList.remove('gray');
+            charEl.classList.add('white');
+
+            // Strong White Transition
+            charEl.style.setProperty('color', '#ffffff', 'important');
+            charEl.style.textShadow = '0 0 10px #fff, 0 0 20px cyan, 0 0 30px cyan';
+            charEl.style.transform = 'scale(1.1)';
+
+            this.grayChars--;
+        } else {
+            charEl.classList.remove('white');
+            charEl.classList.add('gray');
+
+            // Strong Gray Transition
+            charEl.style.setProperty('color', '#555', 'important');
+            charEl.style.textShadow = '0 0 10px #ff0000';
+            charEl.style.transform = 'scale(0.9)';
+
+            this.grayChars++;
+        }
+        setTimeout(() => {
+            charEl.style.textShadow = 'none';
+            charEl.style.transform = 'scale(1)';
+        }, 600);
+        return true;
+    }
+
+    // Letters of `state` picked by an attack pattern: 'chars' (random 10), 'words' (random 3 words), 'phrase' (3 consecutive words)
+    pickTargets(state, pattern) {
+        const field = this.ui.textField;
+        if (!field) return [];
+        const selector = `.b-char[data-state="${state}"]`;
+        const allChars = Array.from(field.querySelectorAll(selector));
+        if (allChars.length === 0) return [];
+
+        let targets = [];
+
+        if (pattern === 'chars') {
+            for (let i = 0; i < 10 && allChars.length > 0; i++) {
+                const idx = Math.floor(Math.random() * allChars.length);
+                targets.push(allChars[idx]);
+                allChars.splice(idx, 1);
+            }
+        } else if (pattern === 'words') {
+            const words = Array.from(field.querySelectorAll('.b-word')).filter(w => w.querySelector(selector));
+            for (let i = 0; i < 3 && words.length > 0; i++) {
+                const idx = Math.floor(Math.random() * words.length);
+                targets = targets.concat(Array.from(words[idx].querySelectorAll(selector)));
+                words.splice(idx, 1);
+            }
+        } else if (pattern === 'phrase') {
+            const words = Array.from(field.querySelectorAll('.b-word'));
+            // Find a start index that has letters to change
+            const candidateIndices = words.map((w, i) => w.querySelector(selector) ? i : -1).filter(i => i !== -1);
+            if (candidateIndices.length > 0) {
+                const startIdx = candidateIndices[Math.floor(Math.random() * candidateIndices.length)];
+                for (let i = 0; i < 3 && startIdx + i < words.length; i++) {
+                    targets = targets.concat(Array.from(words[startIdx + i].querySelectorAll(selector)));
+                }
+            }
+        }
+
+        return targets;
+    }
+
+    endGame(result) {
+        if (this.gameState === 'victory' || this.gameState === 'defeat') return; // Prevent double call
+        this.gameState = result;
+
+        const outcome = {
+            outcome: result,
+            cardValues: { ...this.cardValues },
+            durationMs: this.startedAt ? Date.now() - this.startedAt : 0
+        };
+        if (this.hooks.onEnd) this.hooks.onEnd(outcome);
+
+        // Hide Main UI
+        if (this.ui.gameUi) {
+            this.ui.gameUi.style.transition = 'opacity 1s';
+            this.ui.gameUi.style.opacity = '0';
+        }
+
+        // Disable interactions
+        if (this.ui.textField) this.ui.textField.style.pointerEvents = 'none';
+
+        setTimeout(() => {
+            if (this.gameState !== result) return; // Reset meanwhile
+            const container = this.container;
+
+            if (result === 'victory') {
+                this.createFireworks(container);
+                this.showResultModal(container, {
+                    title: "VICTORY",
+                    text: this.config.villain.victoryText,
+                    color: '#4da6ff',
+                    textColor: '#ddd',
+                    button: "SCORE REPORT",
+                    hook: this.hooks.onWin,
+                    outcome
+                });
+            } else {
+                this.createRifts(container);
+                this.showResultModal(container, {
+                    title: "DEFEATED",
+                    text: this.config.villain.defeatText,
+                    color: '#ff4d4d',
+                    textColor: '#bbb',
+                    button: "RETRY TRAINING",
+                    hook: this.hooks.onLose,
+                    outcome
+                });
+            }
+        }, 1000);
+    }
+
+    showResultModal(container, { title, text, color, textColor, button, hook, outcome }) {
+        if (!container) return;
+        const modal = this.createBaseModal();
+        modal.style.pointerEvents = 'auto';
+
+        const content = document.createElement('div');
+        content.style.textAlign = 'center';
+        content.style.color = '#fff';
+        content.innerHTML = `
+            <h1 style="font-family:'Cinzel',serif; font-size:3rem; color:${color}; text-shadow:0 0 20px ${color}; margin-bottom:20px;">${title}</h1>
+            <p style="font-size:1.2rem; margin-bottom:30px; color:${textColor};">${text}</p>
+        `;
+
+        const btn = document.createElement('button');
+        btn.innerText = button;
+        this.styleModalButton(btn, color);
+        btn.style.pointerEvents = 'auto';
+
+        btn.onclick = (e) => {
+            if (e) e.stopPropagation();
+            console.log(`[TextConquestBattle] ${outcome.outcome} confirmed.`);
+            this.stop();
+            if (hook) hook(outcome);
+        };
+
+        content.appendChild(btn);
+        modal.appendChild(content);
+        container.appendChild(modal);
+        this.modals.push(modal);
+        setTimeout(() => modal.style.opacity = '1', 50);
+    }
+
+    createBaseModal() {
+        const modal = document.createElement('div');
+        modal.style.position = 'absolute';
+        modal.style.top = '0';
+        modal.style.left = '0';
+        modal.style.width = '100%';
+        modal.style.height = '100%';
+        modal.style.backgroundColor = 'rgba(0,0,0,0.9)';
+        modal.style.zIndex = '200000'; // Very high
+        modal.style.display = 'flex';
+        modal.style.flexDirection = 'column';
+        modal.style.justifyContent = 'center';
+        modal.style.alignItems = 'center';
+        modal.style.opacity = '0';
+        modal.style.transition = 'opacity 0.5s';
+        return modal;
+    }
+
+    styleModalButton(btn, color) {
+        btn.style.padding = '15px 40px';
+        btn.style.fontSize = '1.3rem';
+        btn.style.backgroundColor = 'transparent';
+        btn.style.color = color;
+        btn.style.border = `2px solid ${color}`;
+        btn.style.borderRadius = '30px';
+        btn.style.cursor = 'pointer';
+        btn.style.fontFamily = "'Cinzel', serif";
+        btn.style.boxShadow = `0 0 15px ${color}40`;
+        btn.style.transition = 'all 0.2s';
+        btn.style.fontWeight = 'bold';
+
+        btn.onmouseover = () => {
+            btn.style.backgroundColor = color;
+            btn.style.color = '#000';
+            btn.style.boxShadow = `0 0 30px ${color}`;
+            btn.style.transform = 'scale(1.05)';
+        };
+        btn.onmouseout = () => {
+            btn.style.backgroundColor = 'transparent';
+            btn.style.color = color;
+            btn.style.boxShadow = `0 0 15px ${color}40`;
+            btn.style.transform = 'scale(1)';
+        };
+    }
+
+    createFireworks(container) {
+        if (!container) return;
+        for (let i = 0; i < 30; i++) {
+            const fw = document.createElement('div');
+            fw.style.position = 'absolute';
+            fw.style.left = (20 + Math.random() * 60) + '%';
+            fw.style.top = (20 + Math.random() * 60) + '%';
+            fw.style.width = '8px';
+            fw.style.height = '8px';
+            fw.style.borderRadius = '50%';
+            fw.style.backgroundColor = `hsl(${Math.random() * 360}, 100%, 70%)`;
+            fw.style.boxShadow = `0 0 15px currentColor`;
+            fw.style.opacity = '0';
+            fw.style.transition = 'transform 1s ease-out, opacity 1s ease-out';
+            fw.style.transform = 'scale(0)';
+
+            container.appendChild(fw);
+            this.effects.push(fw);
+
+            setTimeout(() => {
+                fw.style.opacity = '1';
+                fw.style.transform = `translate(${(Math.random() - 0.5) * 200}px, ${(Math.random() - 0.5) * 200}px) scale(2)`;
+                setTimeout(() => fw.style.opacity = '0', 800);
+            }, i * 100);
+        }
+    }
+
+    createRifts(container) {
+        // Red cracks for defeat
+        if (!container) return;
+        for (let i = 0; i < 15; i++) {
+            const rift = document.createElement('div');
+            rift.style.position = 'absolute';
+            rift.style.left = Math.random() * 100 + '%';
+            rift.style.top = Math.random() * 100 + '%';
+            rift.style.width = (100 + Math.random() * 200) + 'px';
+            rift.style.height = '2px';
+            rift.style.backgroundColor = '#ff0000';
+            rift.style.boxShadow = '0 0 10px red';
+            rift.style.transform = `rotate(${Math.random() * 360}deg)`;
+            rift.style.opacity = '0';
+            rift.style.transition = 'opacity 0.5s';
+            container.appendChild(rift);
+            this.effects.push(rift);
+            setTimeout(() => rift.style.opacity = '0.7', i * 200);
+        }
+    }
+
+    animateLoop() {
+        const ctx = this.ctx;
+        if (!ctx) return;
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        ctx.save();
+        ctx.globalCompositeOperation = 'source-over';
+
+        if (this.flashOpacity > 0) {
+            ctx.fillStyle = `rgba(255, 255, 255, ${this.flashOpacity})`;
+            ctx.fillRect(0, 0, this.width, this.height);
+            this.flashOpacity -= 0.05;
+        }
+        if (this.shakeTime > 0) {
+            ctx.translate((Math.random() - 0.5) * this.shakeTime, (Math.random() - 0.5) * this.shakeTime);
+            this.shakeTime--;
+        }
+
+        for (let i = this.lightnings.length - 1; i >= 0; i--) {
+            const l = this.lightnings[i];
+
+            ctx.beginPath();
+            ctx.strokeStyle = l.color;
+            ctx.lineWidth = 3;
+            ctx.globalAlpha = l.opacity;
+            l.segments.forEach((s, idx) => {
+                if (idx === 0) ctx.moveTo(s.x, s.y);
+                else ctx.lineTo(s.nextX, s.nextY);
+            });
+            ctx.stroke();
+
+            l.opacity -= 0.05;
+            if (l.opacity <= 0) this.lightnings.splice(i, 1);
+        }
+        ctx.restore();
+
+        // Villain AI Check
+        const villain = this.config.villain;
+        if (this.gameState === 'playing' && Date.now() - this.lastVillainAttackTime > villain.cooldownMs) {
+            if (Math.random() < villain.attackChance) {
+                this.triggerVillainAttack();
+                this.lastVillainAttackTime = Date.now();
+            }
+        }
+
+        this.animFrameId = requestAnimationFrame(() => this.animateLoop());
+    }
+
+    showIntroModal() {
+        const container = this.container;
+        if (!container) return;
+        const villain = this.config.villain;
+
+        const modal = document.createElement('div');
+        modal.className = 'battle-intro-modal';
+        modal.style.position = 'absolute';
+        modal.style.top = '0';
+        modal.style.left = '0';
+        modal.style.width = '100%';
+        modal.style.height = '100%';
+        modal.style.backgroundColor = 'rgba(0,0,0,0.85)';
+        modal.style.zIndex = '500';
+        modal.style.display = 'flex';
+        modal.style.flexDirection = 'column';
+        modal.style.justifyContent = 'center';
+        modal.style.alignItems = 'center';
+        modal.style.backdropFilter = 'blur(5px)';
+        modal.style.opacity = '0';
+        modal.style.transition = 'opacity 0.5s';
+
+        const card = document.createElement('div');
+        card.style.background = 'linear-gradient(135deg, #1a0505 0%, #000 100%)';
+        card.style.border = '2px solid #D50000';
+        card.style.borderRadius = '15px';
+        card.style.padding = '30px';
+        card.style.maxWidth = '500px';
+        card.style.textAlign = 'center';
+        card.style.boxShadow = '0 0 30px rgba(213, 0, 0, 0.4)';
+        card.style.color = '#fff';
+
+        // Villain Image
+        const img = document.createElement('img');
+        img.src = villain.image;
+        img.style.width = '80px';
+        img.style.height = '80px';
+        img.style.objectFit = 'contain';
+        img.style.borderRadius = '50%';
+        img.style.border = '2px solid #D50000';
+        img.style.marginBottom = '20px';
+        img.style.backgroundColor = '#000';
+        card.appendChild(img);
+
+        // Title
+        const title = document.createElement('h2');
+        title.innerText = "FINAL CHALLENGE";
+        title.style.fontFamily = "'Cinzel', serif";
+        title.style.color = '#D50000';
+        title.style.fontSize = '2rem';
+        title.style.marginBottom = '10px';
+        title.style.marginTop = '0';
+        card.appendChild(title);
+
+        // Story Text
+        const p = document.createElement('p');
+        p.innerHTML = villain.intro;
+        p.style.fontSize = '1.1rem';
+        p.style.lineHeight = '1.6';
+        p.style.color = '#ddd';
+        p.style.marginBottom = '30px';
+        card.appendChild(p);
+
+        // Button
+        const btn = document.createElement('button');
+        btn.innerText = "START BATTLE";
+        btn.style.padding = '12px 40px';
+        btn.style.fontSize = '1.2rem';
+        btn.style.backgroundColor = '#D50000';
+        btn.style.color = '#fff';
+        btn.style.border = 'none';
+        btn.style.borderRadius = '30px';
+        btn.style.cursor = 'pointer';
+        btn.style.fontFamily = "'Cinzel', serif";
+        btn.style.boxShadow = '0 0 15px rgba(213, 0, 0, 0.6)';
+        btn.style.transition = 'transform 0.2s';
+
+        btn.onmouseover = () => btn.style.transform = 'scale(1.05)';
+        btn.onmouseout = () => btn.style.transform = 'scale(1)';
+        btn.onclick = () => {
+            modal.style.opacity = '0';
+            setTimeout(() => {
+                modal.remove();
+                this.modals = this.modals.filter(m => m !== modal);
+                if (this.gameState !== 'paused') return; // Reset meanwhile
+                this.gameState = 'playing';
+                this.startedAt = Date.now();
+                this.lastVillainAttackTime = Date.now();
+            }, 500);
+        };
+        card.appendChild(btn);
+
+        modal.appendChild(card);
+        container.appendChild(modal);
+        this.modals.push(modal);
+
+        // Fade In
+        setTimeout(() => modal.style.opacity = '1', 10);
+    }
+
+    /**
+     * Warden card attack (ink: random 10 letters, rune: 3 random words, gem: 3 consecutive words).
+     */
+    triggerAttack(type) {
+        if (this.gameState !== 'playing' || !(this.cardValues[type] > 0)) return;
+
+        const sourceEl = this.$('#card-' + type);
+        if (!sourceEl) return;
+
+        // 1. Identify Targets
+        const pattern = { ink: 'chars', rune: 'words', gem: 'phrase' }[type];
+        const targetChars = this.pickTargets('gray', pattern);
+
+        if (targetChars.length === 0) {
+            // No log, just visual shake
+            sourceEl.style.transform = "scale(0.95)";
+            setTimeout(() => sourceEl.style.transform = "scale(1)", 100);
+            return;
+        }
+
+        // 2. Consume Resource
+        this.cardValues[type] = Math.max(0, this.cardValues[type] - (this.config.decreaseAmount[type] || 0));
+        this.updateCardDisplay();
+
+        // 3. Visual Feedback
+        const color = WARDEN_COLORS[type] || '#00ffff';
+
+        sourceEl.style.boxShadow = `0 0 20px 5px ${color}`;
+        sourceEl.style.borderColor = color;
+        setTimeout(() => {
+            sourceEl.style.boxShadow = 'none';
+            sourceEl.style.borderColor = '#555';
+        }, 300);
+
+        // 4. Launch Lightnings
+        const sBox = sourceEl.getBoundingClientRect();
+        let startX = sBox.left + sBox.width / 2;
+        let startY = sBox.top;
+
+        // FALLBACK FOR SOURCE
+        if (sBox.width === 0 && sBox.height === 0) {
+            startX = window.innerWidth / 2;
+            startY = window.innerHeight - 100; // Bottom Center fallback
+        }
+
+        this.strike(startX, startY, targetChars, color, 'white');
+
+        // Villain Re-Action
+        this.lastVillainAttackTime = Date.now(); // Reset villain timer
+    }
+
+    triggerVillainAttack() {
+        if (this.gameState !== 'playing') return;
+
+        // Decide Attack Type (weighted)
+        const cards = this.config.villain.cards;
+        const types = Object.keys(cards);
+        const totalWeight = types.reduce((sum, t) => sum + (cards[t].weight || 0), 0);
+        let roll = Math.random() * totalWeight;
+        let type = types[0];
+        for (const t of types) {
+            roll -= cards[t].weight || 0;
+            if (roll < 0) { type = t; break; }
+        }
+        const color = cards[type].color || '#ff0000';
+        const cardEl = this.$(`#v-card-${type}`);
+
+        const sourceEl = cardEl || this.$('#villain-visual-container');
+        const pattern = { queen: 'words', king: 'phrase' }[type] || 'chars';
+        const targetChars = this.pickTargets('white', pattern);
+
+        // Visual Tell
+        if (cardEl) {
+            cardEl.style.boxShadow = `0 0 20px 10px ${color}`;
+            setTimeout(() => cardEl.style.boxShadow = 'none', 500);
+        }
+
+        // If no letters to corrupt, we just wait (victory is handled by updateVillainHP)
+        if (!sourceEl || targetChars.length === 0) return;
+
+        const sBox = sourceEl.getBoundingClientRect();
+        let startX = sBox.left + sBox.width / 2;
+        let startY = sBox.bottom - 50;
+
+        // FALLBACK FOR VILLAIN SOURCE
+        if (sBox.width === 0 && sBox.height === 0) {
+            startX = window.innerWidth / 2;
+            startY = 100; // Top Center fallback
+        }
+
+        this.strike(startX, startY, targetChars, color, 'gray');
+    }
+
+    // Staggered lightning from (startX, startY) to each letter, which flips to `newState` on impact
+    strike(startX, startY, targetChars, color, newState) {
+        targetChars.forEach((charEl, idx) => {
+            setTimeout(() => {
+                if (this.gameState !== 'playing') return;
+                const tBox = charEl.getBoundingClientRect();
+                // Add some randomness to target center
+                let targetX = tBox.left + tBox.width / 2;
+                let targetY = tBox.top + tBox.height / 2;
+
+                // FALLBACK FOR TARGET
+                if (tBox.width === 0 && tBox.height === 0) {
+                    targetX = window.innerWidth / 2 + (Math.random() - 0.5) * 200;
+                    targetY = window.innerHeight / 2 + (Math.random() - 0.5) * 100;
+                }
+
+                this.lightnings.push(new Lightning(this.lightnings, startX, startY, targetX, targetY, false, 0, color));
+
+                // Apply Effect after delay (impact)
+                setTimeout(() => {
+                    if (this.gameState !== 'playing') return;
+                    this.changeCharState(charEl, newState);
+                    this.updateVillainHP();
+                }, 150); // Flight time
+
+            }, idx * 30); // Staggered launch
+        });
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * VocabScheduler.js
+ * Spaced repetition for rune words, per warden (SM-2 style), stored in localStorage ('vocab_model_<warden>').
+ *
+ * Card per rune id:
+ *   { id, seen, exposures, lastExposed, reviews, streak, reps, lapses, ease, interval (days), due (epoch ms), lastReviewed }
+ *
+ * Reviews (Word Forge answers, quality 0-5, see quality()):
+ *   quality >= 3  reps++, interval 1 -> 6 -> interval * ease days
+ *   quality <  3  lapse: reps = 0, interval 1 day
+ *   ease += 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02), never below minEase
+ * Exposures (rune words the reader gazed at, 'rune_touched'): a rune met in the text enters the schedule
+ * (due at once if it was never reviewed), and due runes met since their last review are asked first.
+ *
+ * select(chapterRuneIds) -> { reviews, fresh }: due runes from every chapter played so far,
+ * then new runes of the current chapter (and runes met in the text but never asked).
+ */
+
+const KEY_PREFIX = "vocab_model_";
+const GUEST = "guest";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+    maxReviews: 3,       // Due runes per Word Forge
+    maxNew: 3,           // New runes per Word Forge
+    initialEase: 2.5,
+    minEase: 1.3,
+    slowAnswerMs: 8000   // Correct but slower than this -> quality 4 instead of 5
+};
+
+export class VocabScheduler {
+    /**
+     * @param {string} wardenId - warden email ('guest' until the Soul Bind)
+     * @param {Storage} storage - defaults to localStorage (null = this run only)
+     * @param {Object} options - DEFAULT_SCHEDULER_OPTIONS overrides, clock: { now() }
+     */
+    constructor(wardenId = GUEST, storage = (typeof localStorage !== "undefined" ? localStorage : null), options = {}) {
+        this.options = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+        this.clock = options.clock || { now: () => Date.now() };
+        this.storage = storage;
+        this.wardenId = wardenId || GUEST;
+        this.cards = this._load(this.wardenId);
+    }
+
+    static storageKey(wardenId) {
+        return KEY_PREFIX + String(wardenId || GUEST).toLowerCase();
+    }
+
+    /**
+     * Switch to another warden. Guest progress moves over when the warden has none yet (first Soul Bind).
+     */
+    setWarden(wardenId) {
+        const id = wardenId || GUEST;
+        if (id === this.wardenId) return;
+        const existing = this._load(id);
+        const adopt = this.wardenId === GUEST && Object.keys(existing).length === 0;
+        if (adopt) {
+            this._remove(this.wardenId);
+            this.wardenId = id;
+            this._save();
+            console.log(`[VocabScheduler] Guest progress moved to warden ${id} (${Object.keys(this.cards).length} runes)`);
+        } else {
+            this.wardenId = id;
+            this.cards = existing;
+        }
+    }
+
+    card(runeId) {
+        return this.cards[runeId] || null;
+    }
+
+    /**
+     * The reader gazed at a rune word while reading.
+     */
+    expose(runeId) {
+        if (!runeId) return null;
+        const now = this.clock.now();
+        const card = this._card(runeId, now);
+        card.exposures++;
+        card.lastExposed = now;
+        this._save();
+        return card;
+    }
+
+    /**
+     * Word Forge answer (SM-2 step).
+     * @param {number} quality - 0..5 (see quality())
+     */
+    review(runeId, quality) {
+        const now = this.clock.now();
+        const card = this._card(runeId, now);
+        const q = Math.max(0, Math.min(5, Math.round(quality)));
+
+        if (q >= 3) {
+            card.reps++;
+            card.streak++;
+            card.interval = card.reps === 1 ? 1 : (card.reps === 2 ? 6 : Math.round(card.interval * card.ease));
+        } else {
+            card.reps = 0;
+            card.streak = 0;
+            card.lapses++;
+            card.interval = 1;
+        }
+        card.ease = Math.max(this.options.minEase, card.ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+        card.reviews++;
+        card.lastReviewed = now;
+        card.due = now + card.interval * DAY_MS;
+        this._save();
+        return card;
+    }
+
+    /**
+     * Word Forge answer -> SM-2 quality: right first time 5 (4 if slow), wrong 1.
+     */
+    quality(correct, latencyMs = 0) {
+        if (!correct) return 1;
+        return latencyMs > this.options.slowAnswerMs ? 4 : 5;
+    }
+
+    /**
+     * Runes for the next Word Forge.
+     * @param {Array<string>} chapterRuneIds - runes of the chapter about to be read
+     * @param {Function} available - runeId -> true if it can be asked (has a word pool entry with a sentence)
+     * @returns {Object} { reviews: [runeId], fresh: [runeId] }
+     */
+    select(chapterRuneIds = [], available = () => true) {
+        const now = this.clock.now();
+        const cards = Object.values(this.cards).filter(c => available(c.id));
+
+        // Due reviews: met again in the text since the last review first, then most overdue
+        const metSince = (c) => c.lastExposed !== null && c.lastExposed > c.lastReviewed;
+        const reviews = cards
+            .filter(c => c.lastReviewed !== null && c.due <= now)
+            .sort((a, b) => (metSince(b) - metSince(a)) || (a.due - b.due))
+            .slice(0, this.options.maxReviews)
+            .map(c => c.id);
+
+        // New: this chapter's runes never asked, then runes met in the text but never asked
+        const isNew = (id) => !this.cards[id] || this.cards[id].lastReviewed === null;
+        const metOnly = cards.filter(c => c.lastReviewed === null).sort((a, b) => a.seen - b.seen).map(c => c.id);
+        const fresh = [...new Set([...chapterRuneIds.filter(id => available(id) && isNew(id)), ...metOnly])]
+            .filter(id => !reviews.includes(id))
+            .slice(0, this.options.maxNew);
+
+        return { reviews, fresh };
+    }
+
+    /**
+     * @returns {Object} { total, reviewed, due, learning (interval < 6 days), mature }
+     */
+    summary() {
+        const now = this.clock.now();
+        const cards = Object.values(this.cards);
+        const reviewed = cards.filter(c => c.lastReviewed !== null);
+        return {
+            total: cards.length,
+            reviewed: reviewed.length,
+            due: reviewed.filter(c => c.due <= now).length,
+            learning: reviewed.filter(c => c.interval < 6).length,
+            mature: reviewed.filter(c => c.interval >= 6).length
+        };
+    }
+
+    _card(runeId, now) {
+        if (!this.cards[runeId]) {
+            this.cards[runeId] = {
+                id: runeId,
+                seen: now,
+                exposures: 0,
+                lastExposed: null,
+                reviews: 0,
+                streak: 0,
+                reps: 0,
+                lapses: 0,
+                ease: this.options.initialEase,
+                interval: 0,
+                due: now,
+                lastReviewed: null
+            };
+        }
+        return this.cards[runeId];
+    }
+
+    _load(wardenId) {
+        try {
+            const raw = this.storage ? this.storage.getItem(VocabScheduler.storageKey(wardenId)) : null;
+            const model = raw ? JSON.parse(raw) : null;
+            return (model && model.cards) || {};
+        } catch (e) {
+            console.warn("[VocabScheduler] Stored vocabulary model unreadable, starting fresh.", e);
+            return {};
+        }
+    }
+
+    _save() {
+        try {
+            if (this.storage) this.storage.setItem(VocabScheduler.storageKey(this.wardenId), JSON.stringify({ version: 1, cards: this.cards }));
+        } catch (e) {
+            console.warn("[VocabScheduler] Could not store vocabulary model:", e);
+        }
+    }
+
+    _remove(wardenId) {
+        try {
+            if (this.storage) this.storage.removeItem(VocabScheduler.storageKey(wardenId));
+        } catch (e) { }
+    }
+}
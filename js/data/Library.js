@@ -0,0 +1,83 @@
+/**
+ * Library.js
+ * Books -> chapters. Each chapter bundles everything one run of the game needs:
+ *   content   dynamic chapter (tokens, vocab_highlights, core_phrase) - see StoryContent_Dynamic.js
+ *   vocab     Word Forge runes (VocabManager): { word, icon?, image?, sentence, options, answer, id? }; the Word Forge
+ *             also asks due runes of earlier chapters (VocabScheduler) and takes wrong options from data/WordPool.js
+ *   midBossQuizzes / finalBossQuiz
+ *   questionBank  mid-boss questions per paragraph id (mc, tf, sequence, which_sentence) - see QuestionBank.js;
+ *                 paragraphs without one fall back to midBossQuizzes
+ *   art       cover (rift intro book), villain (mid-boss), finalVillain (battle background), summaryCard (share screen)
+ *   battle    final battle config: passage, villain, cardValues, decreaseAmount - see TextConquestBattle.js
+ *   lock      { requires: chapter id that must be cleared first }, null = always open
+ *   clearedKey  localStorage flag set when the chapter is cleared (Soul Bind)
+ * Books have a `lang` (BCP 47: 'en', 'ko'...); content.lang (set by the importer) wins for a single chapter.
+ * Reading direction ('ltr' | 'rtl' | 'vertical-rl') works the same way: book.direction, chapter.direction or
+ * content.direction; the default comes from the language (rtl for Arabic / Hebrew).
+ */
+import { storyChapter1 } from './StoryContent_Dynamic.js';
+import { storyChapter2 } from './StoryContent_AliceCh2.js';
+import * as aliceCh1 from './QuizData.js';
+import * as aliceCh2 from './QuizData_AliceCh2.js';
+
+export const books = [
+    {
+        id: "alice",
+        title: "Alice's Adventures in Wonderland",
+        author: "Lewis Carroll",
+        lang: "en",
+        cover: "./Book_Alice.png",
+        chapters: [
+            {
+                id: "alice_ch1",
+                number: 1,
+                title: "Down the Rabbit-Hole",
+                content: storyChapter1,
+                vocab: aliceCh1.vocabList,
+                midBossQuizzes: aliceCh1.midBossQuizzes,
+                finalBossQuiz: aliceCh1.finalBossQuiz,
+                questionBank: aliceCh1.questionBank,
+                art: {
+                    cover: "./Book_Alice.png",
+                    villain: "./ink_shadow_boss.png",
+                    finalVillain: "./finalredvillain.png",
+                    summaryCard: "./alice_summary_card.png"
+                },
+                battle: {
+                    passage: "For it flashed across her mind that she had never before seen a rabbit with either a waistcoat-pocket, or a watch to take out of it, and burning with curiosity, she ran across the field after it."
+                },
+                lock: null,
+                clearedKey: "chapter_1_unlocked" // Flag name predates the library; kept so existing players keep their progress
+            },
+            {
+                id: "alice_ch2",
+                number: 2,
+                title: "The Pool of Tears",
+                content: storyChapter2,
+                vocab: aliceCh2.vocabList,
+                midBossQuizzes: aliceCh2.midBossQuizzes,
+                finalBossQuiz: aliceCh2.finalBossQuiz,
+                questionBank: aliceCh2.questionBank,
+                art: {
+                    cover: "./Book_Alice.png",
+                    villain: "./ink_shadow_boss.png",
+                    finalVillain: "./finalredvillain.png",
+                    summaryCard: "./alice_summary_card.png"
+                },
+                battle: {
+                    passage: "“You ought to be ashamed of yourself,” said Alice, “a great girl like you, to go on crying in this way! Stop this moment, I tell you!”",
+                    villain: {
+                        name: "TEAR TIDE",
+                        intro: "The pool of tears is rising, Warden.<br>It is washing the words away!<br><br>Use your magic to keep the story afloat!",
+                        defeatText: "The words have drowned...<br>The Tear Tide was too strong.",
+                        cooldownMs: 1700,
+                        attackChance: 0.25
+                    },
+                    decreaseAmount: { ink: 12, rune: 6, gem: 10 }
+                },
+                lock: { requires: "alice_ch1" },
+                clearedKey: "alice_ch2_cleared"
+            }
+        ]
+    }
+];
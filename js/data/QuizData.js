@@ -2,6 +2,7 @@
 export const vocabList = [
     {
         word: "Luminous",
+        icon: "✨", // Shown when there is no image (or it fails to load)
         sentence: '"The <b>luminous</b> mushroom lit up the dark cave."',
         options: [
             "A. Very heavy and dark",
@@ -13,6 +14,7 @@ export const vocabList = [
     },
     {
         word: "Peculiar",
+        icon: "🎩",
         sentence: '"Alice felt a very <b>peculiar</b> change in her size."',
         options: [
             "A. Strange or odd",
@@ -24,6 +26,7 @@ export const vocabList = [
     },
     {
         word: "Vanish",
+        icon: "💨",
         sentence: '"The cat began to <b>vanish</b> slowly, starting with its tail."',
         options: [
             "A. To appear suddenly",
@@ -50,3 +53,26 @@ export const finalBossQuiz = {
     ],
     a: 0
 };
+
+// Question bank per paragraph (see js/core/QuestionBank.js): one item is picked at random per mid-boss.
+// evidence = token range of the paragraph that answers the item (checked against the reader's gaze)
+export const questionBank = {
+    p1: [
+        { id: "a1_p1_mc_bored", type: "mc", q: "Why was Alice bored?", options: ["It was raining.", "The book had no pictures.", "She was hungry."], answer: 1, evidence: { start_token_index: 34, end_token_index: 42 } },
+        { id: "a1_p1_tf_sister", type: "tf", q: "Alice was sitting by her sister on the bank.", answer: true, evidence: { start_token_index: 8, end_token_index: 14 } },
+        { id: "a1_p1_tf_reading", type: "tf", q: "Alice was reading a book full of pictures.", answer: false, evidence: { start_token_index: 24, end_token_index: 42 } },
+        { id: "a1_p1_ws_use", type: "which_sentence", q: "Which words did Alice think to herself?", answer: "what is the use of a book without pictures or conversations?", evidence: { start_token_index: 43, end_token_index: 56 } }
+    ],
+    p2: [
+        { id: "a1_p2_mc_animal", type: "mc", q: "What animal ran by Alice?", options: ["A Black Cat", "A White Rabbit", "A Brown Dog"], answer: 1, evidence: { start_token_index: 45, end_token_index: 51 } },
+        { id: "a1_p2_mc_eyes", type: "mc", q: "What colour were the Rabbit's eyes?", options: ["Pink", "Blue", "Black"], answer: 0, evidence: { start_token_index: 48, end_token_index: 50 } },
+        { id: "a1_p2_tf_sleepy", type: "tf", q: "The hot day made Alice feel sleepy.", answer: true, evidence: { start_token_index: 13, end_token_index: 23 } },
+        { id: "a1_p2_seq_daisy", type: "sequence", q: "Put these in the order they happened:", items: ["Alice thinks about making a daisy-chain", "A White Rabbit runs close by her"], evidence: { start_token_index: 24, end_token_index: 54 } }
+    ],
+    p3: [
+        { id: "a1_p3_mc_pocket", type: "mc", q: "What did the Rabbit take out of its pocket?", options: ["A Watch", "A Carrot", "A Map"], answer: 0, evidence: { start_token_index: 63, end_token_index: 73 } },
+        { id: "a1_p3_tf_late", type: "tf", q: "The Rabbit said it would be early.", answer: false, evidence: { start_token_index: 27, end_token_index: 34 } },
+        { id: "a1_p3_seq_watch", type: "sequence", q: "Put these in the order they happened:", items: ["The Rabbit says \"Oh dear! I shall be late!\"", "The Rabbit takes a watch out of its waistcoat-pocket", "Alice starts to her feet"], evidence: { start_token_index: 27, end_token_index: 86 } },
+        { id: "a1_p3_ws_remarkable", type: "which_sentence", q: "Which sentence shows the moment Alice was surprised?", answer: "when the Rabbit actually TOOK A WATCH OUT OF ITS WAISTCOAT-POCKET", evidence: { start_token_index: 62, end_token_index: 73 } }
+    ]
+};
@@ -0,0 +1,73 @@
+export const vocabList = [
+    {
+        word: "Telescope",
+        icon: "🔭", // Shown when there is no image (or it fails to load)
+        sentence: '"Now I\'m opening out like the largest <b>telescope</b> that ever was!"',
+        options: [
+            "A. A tube that makes far things look near",
+            "B. A small golden key",
+            "C. A kind of garden door"
+        ],
+        answer: 0
+    },
+    {
+        word: "Hurried",
+        icon: "🏃",
+        sentence: '"She took up the little golden key and <b>hurried</b> off to the garden door."',
+        options: [
+            "A. Walked slowly and carefully",
+            "B. Stopped to rest",
+            "C. Went quickly"
+        ],
+        answer: 2
+    },
+    {
+        word: "Hopeless",
+        icon: "😢",
+        sentence: '"To get through was more <b>hopeless</b> than ever."',
+        options: [
+            "A. Easy and quick",
+            "B. Without any chance of success",
+            "C. Full of joy"
+        ],
+        answer: 1
+    }
+];
+
+export const midBossQuizzes = [
+    { q: "What did Alice say she was opening out like?", o: ["An umbrella", "A telescope", "A flower"], a: 1 },
+    { q: "How tall was Alice when her head struck the roof?", o: ["About two feet", "More than nine feet", "Exactly six feet"], a: 1 },
+    { q: "Why couldn't Alice get into the garden?", o: ["The door was locked", "She was far too big", "The garden had vanished"], a: 1 }
+];
+
+export const finalBossQuiz = {
+    q: "Why did Alice begin to cry again?",
+    o: [
+        "She could only look at the garden with one eye, not go in.",
+        "She had lost the little golden key.",
+        "Her feet had walked away without her."
+    ],
+    a: 0
+};
+
+// Question bank per paragraph (see js/core/QuestionBank.js): one item is picked at random per mid-boss.
+// evidence = token range of the paragraph that answers the item (checked against the reader's gaze)
+export const questionBank = {
+    p1: [
+        { id: "a2_p1_mc_telescope", type: "mc", q: "What did Alice say she was opening out like?", options: ["An umbrella", "A telescope", "A flower"], answer: 1, evidence: { start_token_index: 22, end_token_index: 32 } },
+        { id: "a2_p1_tf_english", type: "tf", q: "Alice was so surprised that she forgot how to speak good English.", answer: true, evidence: { start_token_index: 5, end_token_index: 21 } },
+        { id: "a2_p1_ws_curiouser", type: "which_sentence", q: "Which words did Alice cry out?", answer: "Curiouser and curiouser!", evidence: { start_token_index: 0, end_token_index: 4 } },
+        { id: "a2_p1_mc_feet", type: "mc", q: "Why did Alice say \"Good-bye\" to her feet?", options: ["They were almost out of sight.", "They were walking away.", "She had lost her shoes."], answer: 0, evidence: { start_token_index: 33, end_token_index: 50 } }
+    ],
+    p2: [
+        { id: "a2_p2_mc_height", type: "mc", q: "How tall was Alice when her head struck the roof?", options: ["About two feet", "More than nine feet", "Exactly six feet"], answer: 1, evidence: { start_token_index: 11, end_token_index: 20 } },
+        { id: "a2_p2_tf_key", type: "tf", q: "Alice left the little golden key on the table.", answer: false, evidence: { start_token_index: 21, end_token_index: 30 } },
+        { id: "a2_p2_seq_key", type: "sequence", q: "Put these in the order they happened:", items: ["Alice's head strikes the roof of the hall", "She takes up the little golden key", "She hurries off to the garden door"], evidence: { start_token_index: 0, end_token_index: 37 } }
+    ],
+    p3: [
+        { id: "a2_p3_mc_garden", type: "mc", q: "Why couldn't Alice get into the garden?", options: ["The door was locked", "She was far too big", "The garden had vanished"], answer: 1, evidence: { start_token_index: 24, end_token_index: 32 } },
+        { id: "a2_p3_tf_eye", type: "tf", q: "Alice looked into the garden with one eye.", answer: true, evidence: { start_token_index: 15, end_token_index: 23 } },
+        { id: "a2_p3_seq_cry", type: "sequence", q: "Put these in the order they happened:", items: ["Alice lies down on one side", "She looks into the garden", "She sits down and begins to cry"], evidence: { start_token_index: 10, end_token_index: 40 } },
+        { id: "a2_p3_ws_hopeless", type: "which_sentence", q: "Which words tell us Alice could not get through?", answer: "to get through was more hopeless than ever", evidence: { start_token_index: 24, end_token_index: 32 } }
+    ]
+};
@@ -0,0 +1,170 @@
+// Generated by js/import-chapter.mjs from alice_ch2.md
+export const storyChapter2 = {
+    story_id: "alice_ch2",
+    title: "The Pool of Tears",
+    paragraphs: [
+        {
+            id: "p1",
+            tokens: [
+                { t: "“Curiouser", b: 2 },
+                { t: "and", b: 1 },
+                { t: "curiouser!”", b: 4 },
+                { t: "cried", b: 1 },
+                { t: "Alice", b: 3 },
+                { t: "(she", b: 1 },
+                { t: "was", b: 1 },
+                { t: "so", b: 1 },
+                { t: "much", b: 1 },
+                { t: "surprised,", b: 4 },
+                { t: "that", b: 1 },
+                { t: "for", b: 1 },
+                { t: "the", b: 1 },
+                { t: "moment", b: 1 },
+                { t: "she", b: 1 },
+                { t: "quite", b: 1 },
+                { t: "forgot", b: 3 },
+                { t: "how", b: 1 },
+                { t: "to", b: 1 },
+                { t: "speak", b: 1 },
+                { t: "good", b: 1 },
+                { t: "English);", b: 4 },
+                { t: "“now", b: 1 },
+                { t: "I’m", b: 1 },
+                { t: "opening", b: 3 },
+                { t: "out", b: 1 },
+                { t: "like", b: 1 },
+                { t: "the", b: 1 },
+                { t: "largest", b: 1 },
+                { t: "telescope", b: 3 },
+                { t: "that", b: 1 },
+                { t: "ever", b: 1 },
+                { t: "was!", b: 4 },
+                { t: "Good-bye,", b: 4 },
+                { t: "feet!”", b: 4 },
+                { t: "(for", b: 1 },
+                { t: "when", b: 1 },
+                { t: "she", b: 1 },
+                { t: "looked", b: 3 },
+                { t: "down", b: 1 },
+                { t: "at", b: 1 },
+                { t: "her", b: 1 },
+                { t: "feet,", b: 4 },
+                { t: "they", b: 1 },
+                { t: "seemed", b: 2 },
+                { t: "to", b: 1 },
+                { t: "be", b: 1 },
+                { t: "almost", b: 3 },
+                { t: "out", b: 1 },
+                { t: "of", b: 1 },
+                { t: "sight,", b: 4 },
+                { t: "they", b: 1 },
+                { t: "were", b: 1 },
+                { t: "getting", b: 2 },
+                { t: "so", b: 1 },
+                { t: "far", b: 2 },
+                { t: "off).", b: 4 }
+            ],
+            vocab_highlights: [
+                { word_id: "rune_telescope", target_token_index: 29, type: "bold_on_gaze" } // "telescope"
+            ],
+            core_phrase: { start_token_index: 43, end_token_index: 50, importance: "high" }
+        },
+        {
+            id: "p2",
+            tokens: [
+                { t: "Just", b: 1 },
+                { t: "then", b: 1 },
+                { t: "her", b: 1 },
+                { t: "head", b: 1 },
+                { t: "struck", b: 3 },
+                { t: "against", b: 1 },
+                { t: "the", b: 1 },
+                { t: "roof", b: 3 },
+                { t: "of", b: 1 },
+                { t: "the", b: 1 },
+                { t: "hall:", b: 4 },
+                { t: "in", b: 1 },
+                { t: "fact", b: 1 },
+                { t: "she", b: 1 },
+                { t: "was", b: 1 },
+                { t: "now", b: 2 },
+                { t: "more", b: 3 },
+                { t: "than", b: 1 },
+                { t: "nine", b: 1 },
+                { t: "feet", b: 1 },
+                { t: "high,", b: 4 },
+                { t: "and", b: 1 },
+                { t: "she", b: 1 },
+                { t: "at", b: 1 },
+                { t: "once", b: 1 },
+                { t: "took", b: 3 },
+                { t: "up", b: 1 },
+                { t: "the", b: 1 },
+                { t: "little", b: 1 },
+                { t: "golden", b: 1 },
+                { t: "key", b: 2 },
+                { t: "and", b: 1 },
+                { t: "hurried", b: 2 },
+                { t: "off", b: 1 },
+                { t: "to", b: 1 },
+                { t: "the", b: 1 },
+                { t: "garden", b: 1 },
+                { t: "door.", b: 4 }
+            ],
+            vocab_highlights: [
+                { word_id: "rune_hurried", target_token_index: 32, type: "bold_on_gaze" } // "hurried"
+            ],
+            core_phrase: { start_token_index: 13, end_token_index: 20, importance: "high" }
+        },
+        {
+            id: "p3",
+            tokens: [
+                { t: "Poor", b: 1 },
+                { t: "Alice!", b: 4 },
+                { t: "It", b: 1 },
+                { t: "was", b: 1 },
+                { t: "as", b: 1 },
+                { t: "much", b: 3 },
+                { t: "as", b: 1 },
+                { t: "she", b: 1 },
+                { t: "could", b: 1 },
+                { t: "do,", b: 4 },
+                { t: "lying", b: 2 },
+                { t: "down", b: 1 },
+                { t: "on", b: 1 },
+                { t: "one", b: 1 },
+                { t: "side,", b: 4 },
+                { t: "to", b: 1 },
+                { t: "look", b: 2 },
+                { t: "through", b: 1 },
+                { t: "into", b: 1 },
+                { t: "the", b: 1 },
+                { t: "garden", b: 3 },
+                { t: "with", b: 1 },
+                { t: "one", b: 1 },
+                { t: "eye;", b: 4 },
+                { t: "but", b: 1 },
+                { t: "to", b: 1 },
+                { t: "get", b: 3 },
+                { t: "through", b: 1 },
+                { t: "was", b: 1 },
+                { t: "more", b: 1 },
+                { t: "hopeless", b: 3 },
+                { t: "than", b: 1 },
+                { t: "ever:", b: 4 },
+                { t: "she", b: 1 },
+                { t: "sat", b: 2 },
+                { t: "down", b: 1 },
+                { t: "and", b: 1 },
+                { t: "began", b: 3 },
+                { t: "to", b: 1 },
+                { t: "cry", b: 1 },
+                { t: "again.", b: 4 }
+            ],
+            vocab_highlights: [
+                { word_id: "rune_hopeless", target_token_index: 30, type: "bold_on_gaze" } // "hopeless"
+            ],
+            core_phrase: { start_token_index: 25, end_token_index: 32, importance: "high" }
+        }
+    ]
+};
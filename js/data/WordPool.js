@@ -0,0 +1,36 @@
+/**
+ * WordPool.js
+ * Words outside the chapters' Word Forge lists, used by the vocabulary scheduler (VocabScheduler.js):
+ *   - rune words of a chapter that has no vocab entry for them (with a sentence they can be asked in the Word Forge)
+ *   - plain words whose meanings serve as wrong options for other runes
+ * { word, meaning, sentence?, icon?, id? } - id defaults to 'rune_' + word, like chapter vocab entries.
+ */
+export const wordPool = [
+    {
+        word: "Peeped",
+        meaning: "Looked quickly and secretly",
+        sentence: '"Once or twice she had <b>peeped</b> into the book her sister was reading."',
+        icon: "👀"
+    },
+    {
+        word: "Pleasure",
+        meaning: "A feeling of happy enjoyment",
+        sentence: '"Whether the <b>pleasure</b> of making a daisy-chain would be worth the trouble..."',
+        icon: "🌼"
+    },
+    {
+        word: "Remarkable",
+        meaning: "Unusual enough to be noticed",
+        sentence: '"There was nothing so VERY <b>remarkable</b> in that."',
+        icon: "❗"
+    },
+    { word: "Ancient", meaning: "Very old, from long ago" },
+    { word: "Fragile", meaning: "Easily broken or damaged" },
+    { word: "Murmur", meaning: "To speak very softly" },
+    { word: "Linger", meaning: "To stay somewhere longer than needed" },
+    { word: "Gleam", meaning: "To shine with a soft light" },
+    { word: "Wander", meaning: "To walk around without a clear aim" },
+    { word: "Vast", meaning: "Extremely large in size" },
+    { word: "Timid", meaning: "Shy and easily frightened" },
+    { word: "Drowsy", meaning: "Sleepy and half awake" }
+];
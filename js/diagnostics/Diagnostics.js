@@ -0,0 +1,211 @@
+/**
+ * Diagnostics.js
+ * Opt-in runtime diagnostics: reads a set of probes (js/diagnostics/probes.js) on their sampling intervals,
+ * checks the readings against thresholds and shows them in a compact overlay.
+ *
+ * Thresholds per metric ("probe.metric"):
+ *   warn / critical  reading above the limit
+ *   grow             leak: over the last leakSamples readings the metric never went down and grew by at least this
+ * A warning is raised when a metric enters a level (not on every reading) and cleared when it leaves it:
+ *   { t, level: "warn" | "critical" | "leak", metric, value, limit, detail }
+ * It is logged, emitted as 'diagnostics_warning' on the bus and passed to onWarning.
+ *
+ * Switched off, nothing is installed: the RAF / listener wrappers only exist for players who opt in.
+ */
+import { PROBES } from "./probes.js";
+
+const DEFAULT_THRESHOLDS = {
+    "raf.active": { critical: 2 },            // More than one render loop pending (iOS crash pattern)
+    "listeners.total": { critical: 60, grow: 10 },
+    "gaze.samples": { warn: 60000 },           // ~30 min at 30Hz
+    "heap.usedMB": { warn: 300, critical: 600, grow: 50 },
+    "heap.domNodes": { warn: 5000, grow: 500 },
+    "longtasks.maxMs": { warn: 200 },
+    "frame.p95Ms": { warn: 50 }
+};
+
+const DEFAULT_DIAGNOSTICS_OPTIONS = {
+    intervalMs: 1000,      // Default sampling interval (probes may set their own)
+    leakSamples: 10,       // Readings behind a 'grow' check
+    overlay: true,
+    logReadings: true,     // One "Meter" line per tick (goes into the crash-log backup)
+    maxWarnings: 50,       // Warnings kept for report()
+    thresholds: {},        // Merged over DEFAULT_THRESHOLDS
+    bus: null,
+    onWarning: null,
+    log: (level, msg, data) => console.log(`[Diagnostics] ${level} ${msg}`, data !== undefined ? data : "")
+};
+
+const LEVELS = ["warn", "critical"];
+
+export class Diagnostics {
+    /**
+     * @param {Array} probes - probe objects (see probes.js)
+     * @param {Object} options - DEFAULT_DIAGNOSTICS_OPTIONS overrides
+     */
+    constructor(probes, options = {}) {
+        this.options = { ...DEFAULT_DIAGNOSTICS_OPTIONS, ...options };
+        this.thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+        this.probes = probes || [];
+        this.readings = {};      // "probe.metric" -> latest value
+        this.history = {};       // "probe.metric" -> recent values (metrics with a 'grow' threshold)
+        this.active = {};        // "probe.metric" -> { level: "warn" | "critical" | null, leak: boolean }
+        this.warnings = [];
+        this.lastRead = {};      // probe name -> ms
+        this.timer = null;
+        this.overlayEl = null;
+    }
+
+    /**
+     * Build from a switch value (URL param / localStorage): "1" / "all" = every probe, "raf,frame" = those probes.
+     * @returns {Diagnostics|null} null when diagnostics are off
+     */
+    static fromSpec(spec, options = {}) {
+        if (!spec || spec === "0" || spec === "off") return null;
+        const names = spec === "1" || spec === "all" || spec === "on"
+            ? Object.keys(PROBES)
+            : spec.split(",").map(s => s.trim()).filter(name => PROBES[name]);
+        if (names.length === 0) return null;
+        return new Diagnostics(names.map(name => PROBES[name]()), options);
+    }
+
+    start() {
+        if (this.timer) return;
+        this.probes.forEach(p => { if (typeof p.install === "function") p.install(); });
+        if (this.options.overlay) this._createOverlay();
+        this.timer = setInterval(() => this.tick(), this.options.intervalMs);
+        this.options.log("INFO", `started: ${this.probes.map(p => p.name).join(", ")}`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.probes.forEach(p => { if (typeof p.uninstall === "function") p.uninstall(); });
+        if (this.overlayEl) this.overlayEl.remove();
+        this.overlayEl = null;
+    }
+
+    /**
+     * Read the probes that are due, check thresholds, log and render.
+     */
+    tick(now = Date.now()) {
+        this.probes.forEach(p => {
+            const every = p.intervalMs || this.options.intervalMs;
+            if (this.lastRead[p.name] !== undefined && now - this.lastRead[p.name] < every) return;
+            this.lastRead[p.name] = now;
+
+            let reading;
+            try {
+                reading = p.read(now) || {};
+            } catch (e) {
+                this.options.log("WARN", `probe ${p.name} failed`, { message: e.message });
+                return;
+            }
+            Object.entries(reading).forEach(([key, value]) => {
+                const metric = `${p.name}.${key}`;
+                this.readings[metric] = value;
+                this._check(metric, value, p, now);
+            });
+        });
+
+        if (this.options.logReadings) this.options.log("INFO", this.summary(), this.readings);
+        this._renderOverlay();
+        return this.readings;
+    }
+
+    // "RAF:1 | LSN:42 | GAZE:1834 | HEAP:120MB | FRAME:17ms" - metrics of probes that are off are left out
+    summary() {
+        const r = this.readings;
+        const parts = [];
+        if ("raf.active" in r) parts.push(`RAF:${fmt(r["raf.active"])}`);
+        if ("listeners.total" in r) parts.push(`LSN:${fmt(r["listeners.total"])}`);
+        if ("gaze.samples" in r) parts.push(`GAZE:${fmt(r["gaze.samples"])}`);
+        if ("heap.usedMB" in r) parts.push(`HEAP:${fmt(r["heap.usedMB"])}MB DOM:${fmt(r["heap.domNodes"])}`);
+        if ("longtasks.count" in r) parts.push(`LT:${fmt(r["longtasks.count"])}`);
+        if ("frame.p95Ms" in r) parts.push(`FRAME:${fmt(r["frame.p95Ms"])}ms`);
+        return parts.join(" | ");
+    }
+
+    report() {
+        return { readings: { ...this.readings }, active: JSON.parse(JSON.stringify(this.active)), warnings: this.warnings.slice() };
+    }
+
+    _check(metric, value, probe, now) {
+        const limits = this.thresholds[metric];
+        if (!limits || typeof value !== "number") return;
+        const active = this.active[metric] || (this.active[metric] = {});
+
+        // Highest level crossed; raised once on entering it
+        const level = LEVELS.slice().reverse().find(l => typeof limits[l] === "number" && value > limits[l]) || null;
+        if (level !== (active.level || null)) {
+            if (level) this._raise({ t: now, level, metric, value, limit: limits[level] }, probe);
+            else this.options.log("INFO", `${metric} back to ${value} (${active.level} cleared)`);
+            active.level = level;
+        }
+
+        // Leak: never down over leakSamples readings, grew by at least 'grow'
+        if (typeof limits.grow !== "number") return;
+        const history = this.history[metric] || (this.history[metric] = []);
+        history.push(value);
+        if (history.length > this.options.leakSamples) history.shift();
+        const full = history.length === this.options.leakSamples;
+        const rising = full && history.every((v, i) => i === 0 || v >= history[i - 1]);
+        const growth = history[history.length - 1] - history[0];
+        if (rising && growth >= limits.grow && !active.leak) {
+            active.leak = true;
+            this._raise({ t: now, level: "leak", metric, value, limit: limits.grow, growth, samples: history.length }, probe);
+        } else if (!rising && active.leak) {
+            active.leak = false;
+            this.options.log("INFO", `${metric} went down to ${value} (leak cleared)`);
+        }
+    }
+
+    _raise(warning, probe) {
+        if (typeof probe.detail === "function") {
+            try { warning.detail = probe.detail(); } catch (e) { /* detail is best effort */ }
+        }
+        this.warnings.push(warning);
+        if (this.warnings.length > this.options.maxWarnings) this.warnings.shift();
+
+        const what = warning.level === "leak"
+            ? `${warning.metric} grew by ${warning.growth} over ${warning.samples} readings (now ${warning.value})`
+            : `${warning.metric} = ${warning.value} > ${warning.limit}`;
+        this.options.log(warning.level === "critical" ? "ERROR" : "WARN", `${warning.level.toUpperCase()}: ${what}`, warning.detail);
+        if (this.options.bus) this.options.bus.emit("diagnostics_warning", warning);
+        if (typeof this.options.onWarning === "function") this.options.onWarning(warning);
+    }
+
+    _createOverlay() {
+        if (typeof document === "undefined" || this.overlayEl) return;
+        const el = document.createElement("div");
+        el.id = "diagnostics-overlay";
+        el.className = "diagnostics-overlay";
+        el.title = "Diagnostics (tap to collapse)";
+        el.onclick = () => el.classList.toggle("collapsed");
+        document.body.appendChild(el);
+        this.overlayEl = el;
+    }
+
+    _renderOverlay() {
+        const el = this.overlayEl;
+        if (!el) return;
+        const levelOf = (metric) => {
+            const a = this.active[metric] || {};
+            return a.level === "critical" ? "critical" : (a.level || a.leak ? "warn" : "");
+        };
+        el.innerHTML = "";
+        this.probes.forEach(p => {
+            const row = document.createElement("div");
+            row.className = "diagnostics-row";
+            const keys = Object.keys(this.readings).filter(m => m.startsWith(`${p.name}.`));
+            row.textContent = `${p.name} ` + keys.map(m => `${m.slice(p.name.length + 1)}=${fmt(this.readings[m])}`).join(" ");
+            const level = keys.map(levelOf).find(l => l === "critical") || keys.map(levelOf).find(l => l) || "";
+            if (level) row.classList.add(level);
+            el.appendChild(row);
+        });
+    }
+}
+
+function fmt(v) {
+    return v === null || v === undefined ? "-" : v;
+}
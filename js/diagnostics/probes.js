@@ -0,0 +1,340 @@
+/**
+ * probes.js
+ * Diagnostics probes (js/diagnostics/Diagnostics.js). A probe is any object with
+ *
+ *   name          prefix of its metrics ("raf" -> "raf.active")
+ *   intervalMs    how often it is read (optional, default: the pipeline's interval)
+ *   install()     start measuring (optional)
+ *   uninstall()   undo install (optional)
+ *   read(now)     -> { metric: number | null }
+ *   detail()      -> breakdown attached to warnings (optional)
+ *
+ * The RAF and listener probes wrap browser globals, so they are only installed when diagnostics are switched on.
+ */
+
+// Captured at load, before RafProbe wraps it: the frame-time loop must not count itself
+const nativeRAF = typeof window !== "undefined" && window.requestAnimationFrame ? window.requestAnimationFrame.bind(window) : null;
+const nativeCAF = typeof window !== "undefined" && window.cancelAnimationFrame ? window.cancelAnimationFrame.bind(window) : null;
+
+/**
+ * Pending requestAnimationFrame callbacks. More than one or two = a render loop that was never stopped.
+ */
+export class RafProbe {
+    constructor() {
+        this.name = "raf";
+        this.active = new Set();
+        this.requested = 0;
+        this.installed = null;
+    }
+
+    install() {
+        if (typeof window === "undefined" || this.installed) return;
+        const originalRAF = window.requestAnimationFrame;
+        const originalCAF = window.cancelAnimationFrame;
+        const active = this.active;
+        const probe = this;
+
+        const raf = function (cb) {
+            const id = originalRAF.call(window, (t) => {
+                active.delete(id);
+                if (cb) cb(t);
+            });
+            active.add(id);
+            probe.requested++;
+            return id;
+        };
+        const caf = function (id) {
+            active.delete(id);
+            return originalCAF.call(window, id);
+        };
+        window.requestAnimationFrame = raf;
+        window.cancelAnimationFrame = caf;
+        this.installed = { originalRAF, originalCAF, raf, caf };
+    }
+
+    uninstall() {
+        if (!this.installed) return;
+        const { originalRAF, originalCAF, raf, caf } = this.installed;
+        // Only restore what is still ours (someone may have wrapped it again)
+        if (window.requestAnimationFrame === raf) window.requestAnimationFrame = originalRAF;
+        if (window.cancelAnimationFrame === caf) window.cancelAnimationFrame = originalCAF;
+        this.installed = null;
+        this.active.clear();
+    }
+
+    read() {
+        const requested = this.requested;
+        this.requested = 0;
+        return { active: this.active.size, requested };
+    }
+
+    detail() {
+        return { ids: Array.from(this.active) };
+    }
+}
+
+/**
+ * Registered event listeners, by event type and by target ("window", "document", "div#hud", "WebSocket"...).
+ * Duplicates the browser ignores are not counted; { once } listeners remove themselves and are not counted at all;
+ * { signal } listeners are uncounted when the signal aborts.
+ */
+export class ListenerProbe {
+    constructor() {
+        this.name = "listeners";
+        this.registry = new WeakMap(); // target -> Map("type|capture" -> Map(listener -> label))
+        this.total = 0;
+        this.byType = {};
+        this.byTarget = {};
+        this.installed = null;
+    }
+
+    install() {
+        if (typeof EventTarget === "undefined" || this.installed) return;
+        const proto = EventTarget.prototype;
+        const originalAdd = proto.addEventListener;
+        const originalRemove = proto.removeEventListener;
+        const probe = this;
+
+        const add = function (type, listener, options) {
+            probe._added(this, type, listener, options, originalAdd);
+            return originalAdd.call(this, type, listener, options);
+        };
+        const remove = function (type, listener, options) {
+            probe._removed(this, type, listener, options);
+            return originalRemove.call(this, type, listener, options);
+        };
+        proto.addEventListener = add;
+        proto.removeEventListener = remove;
+        this.installed = { originalAdd, originalRemove, add, remove };
+    }
+
+    uninstall() {
+        if (!this.installed) return;
+        const proto = EventTarget.prototype;
+        const { originalAdd, originalRemove, add, remove } = this.installed;
+        if (proto.addEventListener === add) proto.addEventListener = originalAdd;
+        if (proto.removeEventListener === remove) proto.removeEventListener = originalRemove;
+        this.installed = null;
+    }
+
+    read() {
+        return { total: this.total };
+    }
+
+    detail() {
+        return { byType: { ...this.byType }, byTarget: top(this.byTarget, 10) };
+    }
+
+    _added(target, type, listener, options, originalAdd) {
+        if (!listener || (options && typeof options === "object" && options.once)) return;
+        const key = `${type}|${capture(options)}`;
+        let types = this.registry.get(target);
+        if (!types) {
+            types = new Map();
+            this.registry.set(target, types);
+        }
+        let listeners = types.get(key);
+        if (!listeners) {
+            listeners = new Map();
+            types.set(key, listeners);
+        }
+        if (listeners.has(listener)) return;
+
+        const label = describeTarget(target);
+        listeners.set(listener, label);
+        this._count(type, label, 1);
+
+        const signal = options && typeof options === "object" ? options.signal : null;
+        if (signal && typeof signal.aborted === "boolean") {
+            // Original add: the abort handler itself is not an app listener
+            originalAdd.call(signal, "abort", () => this._removed(target, type, listener, options), { once: true });
+        }
+    }
+
+    _removed(target, type, listener, options) {
+        const types = this.registry.get(target);
+        const listeners = types && types.get(`${type}|${capture(options)}`);
+        if (!listeners || !listeners.has(listener)) return;
+        const label = listeners.get(listener);
+        listeners.delete(listener);
+        this._count(type, label, -1);
+    }
+
+    _count(type, label, delta) {
+        this.total += delta;
+        this.byType[type] = (this.byType[type] || 0) + delta;
+        this.byTarget[label] = (this.byTarget[label] || 0) + delta;
+        if (this.byType[type] <= 0) delete this.byType[type];
+        if (this.byTarget[label] <= 0) delete this.byTarget[label];
+    }
+}
+
+/**
+ * GazeDataManager buffers: samples grow for the whole session and are the first thing to blow up on iOS.
+ */
+export class GazeBufferProbe {
+    /**
+     * @param {Function} getManager - () => GazeDataManager (default: window.gazeDataManager)
+     */
+    constructor(getManager) {
+        this.name = "gaze";
+        this.intervalMs = 5000;
+        this.getManager = getManager || (() => (typeof window !== "undefined" ? window.gazeDataManager : null));
+    }
+
+    read() {
+        const gdm = this.getManager();
+        if (!gdm) return { samples: null, events: null, fixations: null };
+        const len = (a) => (Array.isArray(a) ? a.length : 0);
+        return { samples: len(gdm.data), events: len(gdm.events), fixations: len(gdm.fixations) };
+    }
+}
+
+/**
+ * JS heap (performance.memory on Chromium, measureUserAgentSpecificMemory when cross-origin isolated)
+ * and the DOM node count - the only estimate Safari / iOS allows.
+ */
+export class HeapProbe {
+    constructor() {
+        this.name = "heap";
+        this.intervalMs = 5000;
+        this.measuredMB = null; // Last measureUserAgentSpecificMemory result
+        this.measuring = false;
+    }
+
+    read() {
+        let usedMB = null;
+        if (typeof performance !== "undefined" && performance.memory && performance.memory.usedJSHeapSize) {
+            usedMB = toMB(performance.memory.usedJSHeapSize);
+        } else if (typeof performance !== "undefined" && typeof performance.measureUserAgentSpecificMemory === "function" &&
+            typeof window !== "undefined" && window.crossOriginIsolated) {
+            // Async and slow: report the previous result, start the next one
+            if (!this.measuring) {
+                this.measuring = true;
+                performance.measureUserAgentSpecificMemory()
+                    .then((m) => { this.measuredMB = toMB(m.bytes); })
+                    .catch(() => { })
+                    .finally(() => { this.measuring = false; });
+            }
+            usedMB = this.measuredMB;
+        }
+        const domNodes = typeof document !== "undefined" ? document.getElementsByTagName("*").length : null;
+        return { usedMB, domNodes };
+    }
+}
+
+/**
+ * Main-thread tasks over 50ms (PerformanceObserver 'longtask'; not available in Safari - see FrameTimeProbe).
+ */
+export class LongTaskProbe {
+    constructor() {
+        this.name = "longtasks";
+        this.count = 0;
+        this.maxMs = 0;
+        this.observer = null;
+    }
+
+    static supported() {
+        return typeof PerformanceObserver !== "undefined" &&
+            Array.isArray(PerformanceObserver.supportedEntryTypes) &&
+            PerformanceObserver.supportedEntryTypes.includes("longtask");
+    }
+
+    install() {
+        if (this.observer || !LongTaskProbe.supported()) return;
+        this.observer = new PerformanceObserver((list) => {
+            list.getEntries().forEach((e) => {
+                this.count++;
+                this.maxMs = Math.max(this.maxMs, e.duration);
+            });
+        });
+        this.observer.observe({ type: "longtask" });
+    }
+
+    uninstall() {
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+    }
+
+    read() {
+        if (!this.observer) return { count: null, maxMs: null };
+        const reading = { count: this.count, maxMs: Math.round(this.maxMs) };
+        this.count = 0;
+        this.maxMs = 0;
+        return reading;
+    }
+}
+
+/**
+ * Frame times from a requestAnimationFrame loop of its own (the unwrapped one, so RafProbe does not count it).
+ */
+export class FrameTimeProbe {
+    constructor() {
+        this.name = "frame";
+        this.frames = [];
+        this.last = null;
+        this.rafId = null;
+    }
+
+    install() {
+        if (!nativeRAF || this.rafId !== null) return;
+        const loop = (t) => {
+            // Longer gaps are a hidden tab, not a slow frame
+            if (this.last !== null && t - this.last < 1000) this.frames.push(t - this.last);
+            this.last = t;
+            this.rafId = nativeRAF(loop);
+        };
+        this.rafId = nativeRAF(loop);
+    }
+
+    uninstall() {
+        if (this.rafId !== null && nativeCAF) nativeCAF(this.rafId);
+        this.rafId = null;
+        this.last = null;
+        this.frames = [];
+    }
+
+    read() {
+        const frames = this.frames.sort((a, b) => a - b);
+        this.frames = [];
+        if (frames.length === 0) return { fps: null, meanMs: null, p95Ms: null, maxMs: null };
+        const total = frames.reduce((s, f) => s + f, 0);
+        return {
+            fps: Math.round((frames.length / total) * 1000),
+            meanMs: Math.round((total / frames.length) * 10) / 10,
+            p95Ms: Math.round(frames[Math.min(frames.length - 1, Math.floor(frames.length * 0.95))]),
+            maxMs: Math.round(frames[frames.length - 1])
+        };
+    }
+}
+
+/**
+ * Probes by name, in install order.
+ */
+export const PROBES = {
+    raf: () => new RafProbe(),
+    listeners: () => new ListenerProbe(),
+    gaze: () => new GazeBufferProbe(),
+    heap: () => new HeapProbe(),
+    longtasks: () => new LongTaskProbe(),
+    frame: () => new FrameTimeProbe()
+};
+
+function capture(options) {
+    return typeof options === "boolean" ? options : !!(options && options.capture);
+}
+
+function describeTarget(target) {
+    if (typeof window !== "undefined" && target === window) return "window";
+    if (typeof document !== "undefined" && target === document) return "document";
+    if (target && target.nodeType === 1) return target.tagName.toLowerCase() + (target.id ? `#${target.id}` : "");
+    return (target && target.constructor && target.constructor.name) || "unknown";
+}
+
+function top(counts, n) {
+    return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, n));
+}
+
+function toMB(bytes) {
+    return Math.round(bytes / 1048576);
+}
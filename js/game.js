@@ -1,16 +1,25 @@
 import { storyParagraphs } from './data/StoryContent.js?v=FINAL_FIX_NOW';
-import { storyChapter1 } from './data/StoryContent_Dynamic.js?v=FINAL_FIX_NOW';
-import { vocabList, midBossQuizzes, finalBossQuiz } from './data/QuizData.js?v=FINAL_FIX_NOW';
 import { ScoreManager } from './managers/ScoreManager.js?v=FINAL_FIX_NOW';
 import { SceneManager } from './managers/SceneManager.js?v=FINAL_FIX_NOW';
-import { bus } from './core/EventBus.js?v=FINAL_FIX_NOW';
+import { bus } from './core/EventBus.js'; // No ?v: the one bus GazeDataManager, TextRenderer and app.js use
 import { TextRenderer } from './TextRendererV2.js?v=FINAL_FIX_NOW';
+import { TextChunker } from './utils/TextChunker.js'; // No ?v: same module instance as TextRenderer / AdaptivePacer (custom bands)
+import { Language } from './utils/Language.js';
 import { WardenManager } from './managers/WardenManager.js?v=FINAL_FIX_NOW';
 import { IntroManager } from './managers/IntroManager.js?v=FINAL_FIX_NOW';
 import { VocabManager } from './managers/VocabManager.js?v=FINAL_FIX_NOW';
 import { UIManager } from './core/UIManager.js?v=FINAL_FIX_NOW';
 import { GameLogic } from './core/GameLogic.js?v=FINAL_FIX_NOW';
 import { DOMManager } from './core/DOMManager.js?v=FINAL_FIX_NOW';
+import { AdaptivePacer } from './core/AdaptivePacer.js?v=FINAL_FIX_NOW';
+import { RevealGate } from './core/RevealGate.js?v=FINAL_FIX_NOW';
+import { ContentRegistry } from './core/ContentRegistry.js?v=FINAL_FIX_NOW';
+import { LibraryManager } from './managers/LibraryManager.js?v=FINAL_FIX_NOW';
+import { TextConquestBattle } from './core/TextConquestBattle.js?v=FINAL_FIX_NOW';
+import { QuestionBank } from './core/QuestionBank.js?v=FINAL_FIX_NOW';
+import { ItemResponseLog } from './core/ItemResponseLog.js?v=FINAL_FIX_NOW';
+import { CalibrationValidator } from './gaze/CalibrationValidator.js?v=FINAL_FIX_NOW';
+import { createRecordId } from './storage/createStorageAdapter.js';
 const Game = {
     // Initialized in init()
     scoreManager: null,
@@ -19,6 +28,12 @@ const Game = {
     // [New] Global Resource Tracker (Missing Fix)
     activeIntervals: [],
 
+    // [NEW] Implicit calibration: running "look at the orb" check ({ validator, info, timer })
+    orbCheck: null,
+
+    // [NEW] Last 'tracking_quality' from GazeDataManager ({ state, previous, reasons, metrics })
+    trackingQuality: null,
+
     trackInterval(id) {
         if (id) this.activeIntervals.push(id);
         return id;
@@ -69,10 +84,28 @@ const Game = {
         this.uiManager = new UIManager(this);
         this.gameLogic = new GameLogic(this); // Critical Dependency
 
+        // Closed-loop pacing: reveal speed follows the measured gaze WPM (?pacing=fixed keeps the selected WPM)
+        const pacingMode = new URLSearchParams(window.location.search).get('pacing');
+        this.pacer = new AdaptivePacer({ enabled: pacingMode !== 'fixed' }, (wpm) => this.gameLogic.calculateWPMAttributes(wpm));
+
+        // Gaze-gated reveal: hold/slow the text when the reader looks away or falls behind (?gate=off disables)
+        const gateMode = new URLSearchParams(window.location.search).get('gate');
+        this.revealGate = new RevealGate({ enabled: gateMode !== 'off' });
+
+        // Tracking quality (gaze/TrackingQualityMonitor.js): "find your face" prompt while reading
+        bus.on('tracking_quality', (q) => this.onTrackingQuality(q));
+
         // 2. Feature Managers (Dependent on Core)
         this.introManager = new IntroManager(this);
         this.vocabManager = new VocabManager(this);
-        this.vocabManager.init(vocabList);
+
+        // Comprehension questions: per-item answers and difficulty stats (exported with the session data)
+        this.questionLog = new ItemResponseLog();
+
+        // Content: books -> chapters (js/data/Library.js); the last selected unlocked chapter is preloaded
+        this.library = new ContentRegistry();
+        this.libraryManager = new LibraryManager(this);
+        this.loadChapter(this.library.currentId);
 
         // 3. DOM & Events (Last)
         this.domManager = new DOMManager(this);
@@ -84,15 +117,19 @@ const Game = {
         // [FIX] Bind global events (Splash click, debug keys)
         this.bindEvents();
 
-        // 4. Session ID for Firebase
-        this.sessionId = Math.random().toString(36).substring(2, 6).toUpperCase();
-        console.log("Session ID:", this.sessionId);
+        // 4. Session ID for local + remote storage (unique), short code for display only
+        this.sessionId = createRecordId("session_");
+        this.sessionCode = this.sessionId.slice(-4).toUpperCase();
+        console.log("Session ID:", this.sessionId, `(code ${this.sessionCode})`);
+        if (window.gazeDataManager && typeof window.gazeDataManager.beginSession === 'function') {
+            window.gazeDataManager.beginSession(this.sessionId);
+        }
 
         // Display Session ID permanently
         // Display Session ID permanently (REMOVED for Production)
         /*
         const sessionBadge = document.createElement("div");
-        sessionBadge.innerText = `ID: ${this.sessionId}`;
+        sessionBadge.innerText = `ID: ${this.sessionCode}`;
         sessionBadge.style.cssText = "position:fixed; bottom:10px; left:10px; background:rgba(0,0,0,0.5); color:lime; padding:5px 10px; font-family:monospace; font-weight:bold; z-index:9999; border:1px solid lime; border-radius:4px; pointer-events:none;";
         document.body.appendChild(sessionBadge);
         */
@@ -157,6 +194,40 @@ const Game = {
 
     // --- Browser Detection Moved to IntroManager ---
 
+    // --- Content: load a chapter from the library (text, runes, quizzes, art, battle text) ---
+    loadChapter(chapterId) {
+        const chapter = this.library ? this.library.select(chapterId) : null;
+        if (!chapter) return null;
+
+        this.currentChapter = chapter;
+        this.typewriter.paragraphs = chapter.content.paragraphs;
+        this.typewriter.lang = chapter.lang;
+        this.typewriter.direction = chapter.direction;
+        this.typewriter.quizzes = chapter.midBossQuizzes;
+        this.typewriter.finalQuiz = chapter.finalBossQuiz;
+        this.typewriter.questionBank = new QuestionBank(chapter.questionBank, {
+            paragraphs: chapter.content.paragraphs,
+            legacy: chapter.midBossQuizzes,
+            chapterId: chapter.id,
+            lang: chapter.lang
+        });
+        this.typewriter.currentParaIndex = 0;
+        if (this.typewriter.renderer) this.typewriter.renderer.options.vocabList = chapter.vocab;
+        this.vocabManager.init(chapter.vocab);
+
+        // Chapter art: <img data-art="cover|villain|finalVillain|summaryCard">
+        Object.entries(chapter.art || {}).forEach(([slot, src]) => {
+            document.querySelectorAll(`img[data-art="${slot}"]`).forEach(img => { img.src = src; });
+        });
+        const bookImg = document.getElementById("rift-book-image");
+        if (bookImg) bookImg.alt = chapter.bookTitle;
+        const titleEl = document.getElementById("read-chapter-title");
+        if (titleEl) titleEl.textContent = chapter.number ? `Chapter ${chapter.number}: ${chapter.title}` : chapter.title;
+
+        console.log(`[Game] Chapter loaded: ${chapter.bookTitle} - ${chapter.title} (${chapter.id})`);
+        return chapter;
+    },
+
     switchScreen(screenId) {
         // [DEBUG] Log Screen Transition
         const prevScreen = document.querySelector('.screen.active')?.id || "unknown";
@@ -166,6 +237,9 @@ const Game = {
         // [New] Resource Cleanup
         this.clearAllResources();
 
+        // [NEW] The "find your face" prompt belongs to the reading screen; shown again there if tracking is still bad
+        this.hideTrackingPrompt();
+
         // [FIX] Ensure clean state transition
         document.querySelectorAll('.screen').forEach(el => {
             el.classList.remove('active');
@@ -178,14 +252,17 @@ const Game = {
             // Use timeout to allow display change to register before adding class (for transitions)
             requestAnimationFrame(() => {
                 target.classList.add('active');
+                if (screenId === 'screen-read' && this.trackingQuality && this.trackingQuality.state !== 'good') {
+                    this.onTrackingQuality(this.trackingQuality);
+                }
             });
         }
 
         // [FIX] HUD Visibility Control
         const topHud = document.querySelector(".hud-container");
         if (topHud) {
-            // Hide HUD on Score and Share screens
-            if (screenId === "screen-new-score" || screenId === "screen-home" || screenId === "screen-new-share") {
+            // Hide HUD on Score, Share and menu screens
+            if (screenId === "screen-new-score" || screenId === "screen-home" || screenId === "screen-library" || screenId === "screen-new-share") {
                 topHud.style.opacity = "0";
                 topHud.style.pointerEvents = "none";
             } else {
@@ -357,6 +434,105 @@ const Game = {
                 this.typewriter.renderer.checkRuneTriggers(x, y);
             }
         }
+
+        // [NEW] Orb check in progress
+        if (this.orbCheck) this.orbCheck.validator.add(x, y);
+    },
+
+    // --- [NEW] Implicit Calibration: quick "look at the orb" check (requested by GazeDataManager) ---
+    startOrbRecalibration(info = {}) {
+        const renderer = this.typewriter && this.typewriter.renderer;
+        const readScreen = document.getElementById('screen-read');
+        const source = window.__gazeSource;
+        if (this.orbCheck || !renderer || !renderer.isLayoutLocked || renderer.lines.length === 0) return false;
+        if (!readScreen || !readScreen.classList.contains('active')) return false;
+        if (source && !source.calibrates) return false; // Mouse / replay: nothing to recalibrate
+
+        // Orb in the middle of the text block, where the reader is looking anyway
+        const lines = renderer.lines;
+        const x = Math.round((Math.min(...lines.map(l => l.rect.left)) + Math.max(...lines.map(l => l.rect.right))) / 2);
+        const y = Math.round((lines[0].rect.top + lines[lines.length - 1].rect.bottom) / 2);
+        const validator = new CalibrationValidator({ targets: [{ name: "orb", x, y }], settleMs: 600, collectMs: 1200 });
+        validator.next();
+        this.orbCheck = { validator, info, startedAt: Date.now() };
+
+        console.log(`[Game] Orb check (implicit calibration error ${info.error}px)`);
+        if (this.revealGate) this.revealGate.pause('recalibrating');
+        // The orb sits between lines: fixations on it must not move the correction being measured
+        if (window.gazeDataManager) window.gazeDataManager.pauseLearning('orb_check');
+
+        let orb = document.getElementById('orb-check');
+        if (!orb) {
+            orb = document.createElement('div');
+            orb.id = 'orb-check';
+            orb.className = 'orb-check';
+            orb.innerHTML = '<div class="orb-check-orb"></div><div class="orb-check-label">Look at the orb</div>';
+            document.body.appendChild(orb);
+        }
+        orb.style.left = x + 'px';
+        orb.style.top = y + 'px';
+        orb.classList.add('visible');
+
+        this.orbCheck.timer = setTimeout(() => this.finishOrbRecalibration(), validator.targetMs);
+        return true;
+    },
+
+    finishOrbRecalibration() {
+        const check = this.orbCheck;
+        if (!check) return;
+        this.orbCheck = null;
+        clearTimeout(check.timer);
+
+        const orb = document.getElementById('orb-check');
+        if (orb) orb.classList.remove('visible');
+        if (this.revealGate) this.revealGate.resume();
+        if (window.gazeDataManager) window.gazeDataManager.resumeLearning();
+
+        const summary = check.validator.summarize();
+        const region = summary.regions[0];
+        const gdm = window.gazeDataManager;
+        if (summary.missing.length > 0) {
+            console.warn("[Game] Orb check: no gaze on the orb, keeping the current correction");
+            if (gdm) gdm.logEvent('implicit_recalibration', { skipped: 'no_gaze', samples: region.samples, requestedError: check.info.error });
+            return;
+        }
+        if (gdm) gdm.applyRecalibration(region.dx, region.dy, { errorPx: region.errorPx, precisionPx: region.precisionPx, samples: region.samples, requestedError: check.info.error });
+        console.log(`[Game] Orb check: gaze was off by ${region.dx}/${region.dy}px, corrected`);
+    },
+
+    // --- [NEW] Tracking Quality: "find your face" prompt ---
+    onTrackingQuality(q) {
+        this.trackingQuality = q;
+        const readScreen = document.getElementById('screen-read');
+        const reading = !!readScreen && readScreen.classList.contains('active');
+
+        let prompt = document.getElementById('tracking-prompt');
+        if (!prompt) {
+            prompt = document.createElement('div');
+            prompt.id = 'tracking-prompt';
+            prompt.className = 'tracking-prompt';
+            document.body.appendChild(prompt);
+        }
+
+        if (!reading || q.state === 'good') {
+            this.hideTrackingPrompt();
+            return;
+        }
+        if (q.state === 'lost') {
+            prompt.textContent = q.reasons.includes('face_missing')
+                ? "🙂 Find your face: move back in front of the camera"
+                : "👀 Lost your eyes - check the camera is on and facing you";
+        } else {
+            prompt.textContent = "💡 Tracking is shaky - keep your head still and your face well lit";
+        }
+        prompt.classList.toggle('degraded', q.state === 'degraded');
+        prompt.classList.add('visible');
+        console.log(`[Game] Tracking ${q.state} (${q.reasons.join(', ')})`);
+    },
+
+    hideTrackingPrompt() {
+        const prompt = document.getElementById('tracking-prompt');
+        if (prompt) prompt.classList.remove('visible', 'degraded');
     },
 
     onCalibrationFinish() {
@@ -395,16 +571,36 @@ const Game = {
 
         // Switch to new screen
         this.switchScreen('screen-alice-battle');
+        this.startFinalBattle();
+    },
 
-        // Initialize if available
-        if (this.AliceBattle) {
-            this.AliceBattle.init();
-        } else if (window.AliceBattleRef) {
-            this.AliceBattle = window.AliceBattleRef;
-            this.AliceBattle.init();
-        } else {
-            console.error("AliceBattle module NOT loaded! Check console.");
+    // --- Final Battle (Text Conquest): one instance per chapter, configured by chapter.battle ---
+    battles: {},
+    battle: null, // Active instance (card clicks go here, see DOMManager)
+
+    startFinalBattle() {
+        const chapter = this.currentChapter;
+        const key = chapter ? chapter.id : 'default';
+        if (!this.battles[key]) {
+            this.battles[key] = new TextConquestBattle(chapter ? chapter.battle : {}, {
+                onEnd: (result) => {
+                    if (window.gazeDataManager) window.gazeDataManager.logEvent('final_boss_end', { chapterId: key, ...result });
+                },
+                onWin: () => this.goToNewScore(),
+                onLose: () => {
+                    // Back to the Word Forge for another try
+                    if (this.state) this.state.vocabIndex = 0;
+                    this.loadVocab(0);
+                    this.switchScreen('screen-word');
+                }
+            });
         }
+        if (this.battle && this.battle !== this.battles[key]) this.battle.stop();
+        this.battle = this.battles[key];
+
+        const score = this.scoreManager || {};
+        this.battle.start({ ink: score.ink || 0, rune: score.runes || 0, gem: score.gems || 0 });
+        return this.battle;
     },
     goToNewScore(scoreData) {
         console.log("Showing Score Screen with Data:", scoreData);
@@ -476,6 +672,18 @@ const Game = {
             this.animateValue("report-gem-score", 0, finalGem, 1500, "");
         }, 900);
 
+        // Step 2b: Re-reading (Regressions) - Delay 1600ms
+        const reread = (window.gazeDataManager && typeof window.gazeDataManager.getRereadSummary === 'function')
+            ? window.gazeDataManager.getRereadSummary()
+            : null;
+        if (this.scoreManager) this.scoreManager.setRereadStats(reread);
+        setTimeout(() => this.renderRereadReport(reread), 1600);
+
+        // Step 2c: Quiz answers - "didn't read it" vs. "read it but misunderstood" (gaze on the evidence)
+        const quiz = this.questionLog ? this.questionLog.outcomeSummary(this.currentChapter ? this.currentChapter.id : null) : null;
+        if (this.scoreManager) this.scoreManager.setQuizStats(quiz);
+        setTimeout(() => this.renderQuizReport(quiz), 1600);
+
         // Step 3: Golden Key (Reward) - Delay 2000ms
         setTimeout(() => {
             if (secReward) {
@@ -511,28 +719,12 @@ const Game = {
                     return;
                 }
 
-                // 1. Initialize Firebase if needed
-                if (typeof firebase === "undefined") {
-                    alert("System Error: Firebase SDK not loaded.");
+                if (!window.syncQueue) {
+                    alert("System Error: Storage not ready.");
                     return;
                 }
 
-                if (!firebase.apps.length) {
-                    if (window.FIREBASE_CONFIG) {
-                        try {
-                            firebase.initializeApp(window.FIREBASE_CONFIG);
-                        } catch (e) {
-                            console.error("Firebase Init Error:", e);
-                            alert("Database Connection Failed.");
-                            return;
-                        }
-                    } else {
-                        alert("System Error: Firebase Config missing.");
-                        return;
-                    }
-                }
-
-                // 2. Prepare Data
+                // 1. Prepare Data
                 const now = new Date();
                 // KST (UTC+9) formatting
                 const kstDate = new Date(now.getTime() + (9 * 60 * 60 * 1000));
@@ -546,39 +738,48 @@ const Game = {
                     ink: finalInk,
                     rune: finalRune,
                     gem: finalGem,
+                    regressions: reread ? reread.regressions : 0,
+                    rereadPhrases: reread ? reread.phrases.map(p => p.text) : [],
                     device: navigator.userAgent
                 };
 
-                // 3. Save to Realtime Database
+                // 2. Save through the storage adapter (outbox retries until it lands)
                 const originalText = "CLAIM REWARD";
                 newBtn.disabled = true;
                 newBtn.innerText = "⏳ SAVING...";
                 newBtn.style.opacity = "0.7";
 
-                // Use Realtime Database "warden_leads"
-                const db = firebase.database();
-                const leadsRef = db.ref("warden_leads");
-                const newLeadRef = leadsRef.push(); // Generate key first
-
-                // Add Session ID reference to report data
-                reportData.sessionId = newLeadRef.key;
+                // Generate key first: the gaze data is stored under the same id
+                const leadId = createRecordId("lead_");
+                reportData.sessionId = leadId;
 
                 // Promise Array for Parallel saving
                 const promises = [];
 
                 // 1. Save Lead Data (Summary)
-                promises.push(newLeadRef.set(reportData));
+                promises.push(window.syncQueue.enqueue('saveWarden', [{ kind: 'lead', id: leadId, ...reportData }]));
 
                 // 2. Save Full Gaze Data (Detail) - if available
                 if (window.gazeDataManager) {
                     newBtn.innerText = "⏳ DATA SYNC...";
-                    console.log("[Firebase] Starting Gaze Data Upload for Session:", newLeadRef.key);
+                    console.log("[Storage] Starting Gaze Data Upload for Session:", leadId);
                     // Upload to separate path 'sessions/{key}' to keep leads light
-                    promises.push(window.gazeDataManager.uploadToCloud(newLeadRef.key));
+                    promises.push(window.gazeDataManager.uploadToCloud(leadId));
                 }
 
+                // Show outbox progress while the session data drains
+                const stopProgress = window.syncQueue.onProgress((p) => {
+                    if (p.pending > 0 && newBtn.disabled) newBtn.innerText = `⏳ DATA SYNC (${p.pending} left)`;
+                });
+
                 Promise.all(promises)
                     .then(() => {
+                        window.syncQueue.drain();
+                        return window.syncQueue.whenIdle(15000);
+                    })
+                    .then((synced) => {
+                        stopProgress();
+                        if (!synced) console.warn("[Sync] Claim saved; session data will keep uploading in the background.");
                         // REPLACED: window.alert -> Custom Modal
                         this.showSuccessModal(() => {
                             // On Confirm action
@@ -593,7 +794,8 @@ const Game = {
                         if (emailInput) emailInput.disabled = true;
                     })
                     .catch((error) => {
-                        console.error("Firebase Save Error:", error);
+                        stopProgress();
+                        console.error("Storage Save Error:", error);
                         window.alert("Transmission Failed: " + error.message);
                         newBtn.disabled = false;
                         newBtn.innerText = originalText;
@@ -649,6 +851,62 @@ const Game = {
         this.switchScreen("screen-new-share");
     },
 
+    // [NEW] Score screen: which phrases were re-read
+    renderRereadReport(summary) {
+        const row = document.getElementById("report-reread-row");
+        if (!row) return;
+
+        if (!summary || summary.regressions === 0) {
+            row.style.display = "none";
+            return;
+        }
+        row.style.display = "block";
+
+        const countEl = document.getElementById("report-reread-count");
+        if (countEl) countEl.innerText = `${summary.regressions} (line ${summary.withinLine} / back ${summary.interLine})`;
+
+        const listEl = document.getElementById("report-reread-phrases");
+        if (listEl) {
+            listEl.innerHTML = "";
+            summary.phrases.forEach(p => {
+                const chip = document.createElement("span");
+                chip.className = "reread-phrase";
+                chip.textContent = `"${p.text}" ×${p.count}`;
+                listEl.appendChild(chip);
+            });
+        }
+    },
+
+    renderQuizReport(summary) {
+        const row = document.getElementById("report-quiz-row");
+        if (!row) return;
+
+        if (!summary || summary.total === 0) {
+            row.style.display = "none";
+            return;
+        }
+        row.style.display = "block";
+
+        const countEl = document.getElementById("report-quiz-count");
+        if (countEl) countEl.innerText = `${summary.correct} / ${summary.total} first try`;
+
+        const listEl = document.getElementById("report-quiz-outcomes");
+        if (listEl) {
+            listEl.innerHTML = "";
+            [
+                ["not_read", "Didn't read it"],
+                ["misunderstood", "Read it, misunderstood"],
+                ["wrong", "Wrong"]
+            ].forEach(([key, label]) => {
+                if (!summary[key]) return;
+                const chip = document.createElement("span");
+                chip.className = `quiz-outcome ${key.replace("_", "-")}`;
+                chip.textContent = `${label} ×${summary[key]}`;
+                listEl.appendChild(chip);
+            });
+        }
+    },
+
     // Utilities
     animateValue(id, start, end, duration, prefix = "", suffix = "") {
         this.uiManager.animateValue(id, start, end, duration, prefix, suffix);
@@ -659,19 +917,24 @@ const Game = {
 Game.typewriter = {
     renderer: null,
 
-    // Data (Content)
-    // Data (Content)
-    paragraphs: storyChapter1.paragraphs, // Use Dynamic Paragraphs
-    quizzes: midBossQuizzes,
+    // Data (Content) - filled by Game.loadChapter()
+    paragraphs: [],
+    lang: "en",   // Chapter language (tokenizing, line detection, CPM)
+    direction: "ltr", // Chapter reading direction: 'ltr' | 'rtl' | 'vertical-rl' (return sweeps, RGT, cursor)
+    quizzes: [],
+    questionBank: null,   // QuestionBank for the mid-boss questions (falls back to quizzes)
+    currentQuestion: null, // { presented, trial, order } of the question on screen
 
     // --- FINAL BOSS DATA ---
-    finalQuiz: finalBossQuiz,
+    finalQuiz: null,
 
     // State
     currentParaIndex: 0,
     chunkIndex: 0,
     isPaused: false,
     timer: null,
+    gateHold: null, // Reason the reveal gate is holding the text (separate from isPaused, which other code owns)
+    gateHoldStart: 0,
 
     // Stats
     startTime: null,
@@ -690,11 +953,17 @@ Game.typewriter = {
                 container.style.position = "relative";
                 container.style.overflow = "visible"; // Allow overflow for debugging visibility
 
+                // Dev mode (?dev or localhost): content problems are shown in an overlay
+                const host = window.location.hostname;
+                const devMode = new URLSearchParams(window.location.search).has('dev') || host === 'localhost' || host === '127.0.0.1';
+
                 this.renderer = new TextRenderer("book-content", {
                     fontSize: window.innerWidth <= 768 ? "1.0rem" : "1.3rem",
                     lineHeight: "2.8",
                     wordSpacing: "0.4em",
-                    padding: "20px"
+                    padding: "20px",
+                    vocabList: Game.currentChapter ? Game.currentChapter.vocab : null,
+                    devMode: devMode
                 });
             } else {
                 console.error("TextRenderer Container Not Found");
@@ -711,6 +980,8 @@ Game.typewriter = {
         this.currentParaIndex = 0;
         this.isPaused = false;
         this.lineStats.clear();
+        if (Game.pacer) Game.pacer.reset(Game.wpm || 200);
+        if (Game.revealGate) Game.revealGate.reset();
 
         Game.state.ink = 0;
         Game.updateUI();
@@ -770,11 +1041,14 @@ Game.typewriter = {
 
         // 1. Prepare Content (Dynamic DSC Mode)
         // Wrap single paragraph in chapter structure for renderer
-        const currentWPM = Game.wpm || 150;
-        this.renderer.prepareDynamic({ paragraphs: [paraData] }, currentWPM);
+        // Paragraphs are chunked when they start, so a pacer band change applies from the next one
+        const pacer = Game.pacer;
+        const currentWPM = pacer ? pacer.wpm : (Game.wpm || 150);
+        this.renderer.prepareDynamic({ lang: this.lang, direction: this.direction, paragraphs: [paraData] }, currentWPM, pacer ? pacer.band : undefined);
 
         this.chunkIndex = 0;
         this.lineStats.clear(); // Reset reading stats for new page
+        this.clearGateHold();
 
         // [FIX] Register Cursor with SceneManager (Cursor is recreated directly in prepare())
         if (Game.sceneManager && this.renderer.cursor) {
@@ -784,6 +1058,16 @@ Game.typewriter = {
         // 2. Lock Layout (Next Frame to allow DOM render)
         requestAnimationFrame(() => {
             this.renderer.lockLayout();
+            if (window.gazeDataManager && typeof window.gazeDataManager.recordLayout === 'function') {
+                window.gazeDataManager.recordLayout(this.currentParaIndex, this.renderer.lines, this.renderer.words, this.renderer.chunks, this.renderer.lang, this.renderer.direction);
+                window.gazeDataManager.logEvent('paragraph_start', {
+                    paraIndex: this.currentParaIndex,
+                    lines: this.renderer.lines.length,
+                    chunks: this.renderer.chunks.length,
+                    wpm: currentWPM,
+                    band: pacer ? pacer.band : null
+                });
+            }
             const debugEl = document.getElementById('line-detect-result');
             if (debugEl) debugEl.textContent = `Lines Cached: ${this.renderer.lines.length}`;
 
@@ -823,7 +1107,7 @@ Game.typewriter = {
     },
 
     tick() {
-        if (this.isPaused) return;
+        if (this.isPaused || this.gateHold) return;
 
         // Prevent double-tick: clear previous if exists (though usually it fires once)
         if (this.timer) {
@@ -841,30 +1125,44 @@ Game.typewriter = {
         // Reveal next chunk
         if (this.chunkIndex < this.renderer.chunks.length) {
 
+            // [NEW] Gaze-gated reveal: hold while the reader is away or far behind
+            const gate = Game.revealGate ? Game.revealGate.evaluate(this.renderer.currentVisibleLineIndex || 0) : null;
+            if (gate && gate.action === 'hold') {
+                this.holdReveal(gate);
+                return;
+            }
+
             // TEXT TRAIN EFFECT (Continuous Flow):
             // Instead of fading out an old chunk manually here, we SCHEDULE the death of the NEW chunk.
             // "I am born now, and I shall die in 4 seconds."
             // This ensures a smooth, independent pipeline regardless of whether the cursor pauses.
             this.renderer.scheduleFadeOut(this.chunkIndex, 3000); // 3 seconds lifetime
 
+            // [NEW] Closed-loop pacing: fold in return sweeps measured since the last tick
+            const pacer = Game.pacer;
+            const gdm = window.gazeDataManager;
+            if (pacer && gdm) {
+                const change = pacer.update(gdm.wpmData);
+                if (change) {
+                    gdm.logEvent('pace_change', { paraIndex: this.currentParaIndex, ...change });
+                    if (change.bandChanged) console.log(`[Typewriter] Chunk band -> ${change.band}, re-chunking from the next paragraph.`);
+                }
+            }
+
             // Wait for Animation to Finish (Promise-based) with Timeout Safety
             const chunkLen = this.renderer.chunks[this.chunkIndex].length;
-            const wpm = Game.wpm || 200;
+            const wpm = pacer ? pacer.wpm : (Game.wpm || 200);
+            const wpmParams = (pacer && pacer.params) || Game.wpmParams;
             const msPerWord = 60000 / wpm; // e.g. 200wpm -> 300ms
 
             // The renderer's revealChunk animation takes (length * interval) ms.
-            // Game.wpmParams.interval is usually very fast (e.g. 50ms) for 'snappy' reveal.
+            // wpmParams.interval is usually very fast (e.g. 50ms) for 'snappy' reveal.
             // We need to wait for the visual reveal, THEN wait for the remaining time to match WPM.
 
-            const revealPromise = this.renderer.revealChunk(this.chunkIndex, Game.wpmParams.interval);
-
-            // Total time this chunk *should* occupy
-            // [TUNING] Dynamic Multiplier for "Reading/Pause" buffer.
-            let buffer = 1.2; // Default (200 WPM)
-            if (wpm <= 100) buffer = 1.15; // [100 WPM] Increased chunk size, so reduce buffer slightly.
-            else if (wpm >= 300) buffer = 1.05; // [300 WPM] Needs to be faster. Reduce gap.
+            const revealPromise = this.renderer.revealChunk(this.chunkIndex, wpmParams.interval);
 
-            const targetDuration = (msPerWord * chunkLen) * buffer;
+            // Total time this chunk *should* occupy (same estimate as the TextChunker.preview used by writers)
+            const targetDuration = TextChunker.estimateChunkMs(chunkLen, wpm);
 
             // Safety timeout
             const timeoutPromise = new Promise(resolve => setTimeout(resolve, targetDuration + 1000));
@@ -912,6 +1210,11 @@ Game.typewriter = {
                     // console.log(`[WPM Sync] Line Break Detected in Chunk ${this.chunkIndex-1}. Compensating: ${baseDelay} -> ${finalDelay}ms`);
                 }
 
+                // [NEW] Reader is lagging: give them more time before the next chunk
+                if (gate && gate.action === 'slow') {
+                    finalDelay += (msPerWord * chunkLen) * (Game.revealGate.options.slowFactor - 1);
+                }
+
                 this.timer = setTimeout(() => {
                     this.timer = null;
                     this.tick();
@@ -969,12 +1272,102 @@ Game.typewriter = {
         }
     },
 
+    // --- Gaze-Gated Reveal ---
+    holdReveal(gate) {
+        if (!this.gateHold) {
+            this.gateHoldStart = Date.now();
+            console.log(`[Typewriter] Reveal held: ${gate.reason} (${gate.linesBehind} lines behind)`);
+            if (window.gazeDataManager) {
+                window.gazeDataManager.logEvent('reveal_hold', { paraIndex: this.currentParaIndex, chunkIndex: this.chunkIndex, ...gate });
+            }
+        }
+        if (this.gateHold !== gate.reason) this.showGateCue(gate.reason);
+        this.gateHold = gate.reason;
+
+        // Poll until the gate opens (tick returns early while gateHold is set)
+        this.timer = setTimeout(() => this.checkGateResume(), 250);
+    },
+
+    checkGateResume() {
+        this.timer = null;
+        if (!this.gateHold || !this.renderer) return; // Cleared (paragraph changed)
+        // Someone else paused the typewriter meanwhile (e.g. the boss battle): the hold is theirs now
+        if (this.isPaused) {
+            this.clearGateHold();
+            return;
+        }
+
+        const gate = Game.revealGate.evaluate(this.renderer.currentVisibleLineIndex || 0);
+        if (gate.action === 'hold') {
+            this.holdReveal(gate);
+            return;
+        }
+
+        const heldMs = Date.now() - this.gateHoldStart;
+        console.log(`[Typewriter] Reveal resumed after ${heldMs}ms (${this.gateHold})`);
+        if (window.gazeDataManager) {
+            window.gazeDataManager.logEvent('reveal_resume', { paraIndex: this.currentParaIndex, chunkIndex: this.chunkIndex, reason: this.gateHold, heldMs });
+        }
+        this.gateHold = null;
+        this.showGateCue('resume');
+        this.renderer.cueResume(this.chunkIndex - 1);
+
+        // Give the eyes a moment to land before the next chunk
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.tick();
+        }, 600);
+    },
+
+    clearGateHold() {
+        if (!this.gateHold) return;
+        this.gateHold = null;
+        this.showGateCue(null);
+    },
+
+    showGateCue(reason) {
+        const messages = {
+            face_lost: "🙂 Show your face to the camera",
+            stale: "👀 Looking for your eyes...",
+            offscreen: "📖 Eyes back on the page",
+            behind: "⏳ Take your time, the text will wait",
+            recalibrating: "🔮 Look at the orb",
+            resume: "▶ Continuing"
+        };
+
+        let cue = document.getElementById('reveal-gate-cue');
+        if (!cue) {
+            cue = document.createElement('div');
+            cue.id = 'reveal-gate-cue';
+            cue.className = 'reveal-gate-cue';
+            document.body.appendChild(cue);
+        }
+        if (this.cueTimer) {
+            clearTimeout(this.cueTimer);
+            this.cueTimer = null;
+        }
+
+        if (!reason) {
+            cue.classList.remove('visible', 'resume');
+            return;
+        }
+        cue.textContent = messages[reason] || messages.behind;
+        cue.classList.toggle('resume', reason === 'resume');
+        cue.classList.add('visible');
+        if (reason === 'resume') {
+            this.cueTimer = setTimeout(() => cue.classList.remove('visible', 'resume'), 1200);
+        }
+    },
+
     // --- NEW: Gaze Replay ---
     triggerGazeReplay() {
         return new Promise((resolve) => {
             console.log("[triggerGazeReplay] Preparing Gaze Replay...");
+            if (window.gazeDataManager) {
+                window.gazeDataManager.logEvent('paragraph_end', { paraIndex: this.currentParaIndex });
+            }
 
-            // [CHANGED] Upload Data to Firebase NOW (Background Sync)
+            // [CHANGED] Upload Data to remote storage NOW (Background Sync)
             // We do this here because Replay start signifies "Paragraph Done".
             if (window.gazeDataManager && Game.sessionId) {
                 console.log("[Cloud] Uploading Paragraph Data...");
@@ -1038,6 +1431,15 @@ Game.typewriter = {
 
                     // Optional: Restore active state? 
                     // No need, we are moving to the next screen (Boss Battle).
+
+                    // [NEW] Heatmap mode: hold the attention map on screen before the villain
+                    if (this.heatmapEnabled && this.showParagraphHeatmap()) {
+                        setTimeout(() => {
+                            if (this.renderer) this.renderer.hideHeatmap();
+                            resolve();
+                        }, this.HEATMAP_HOLD_MS);
+                        return;
+                    }
                     resolve();
                 });
             } else {
@@ -1047,6 +1449,30 @@ Game.typewriter = {
         });
     },
 
+    // --- NEW: Reading Heatmap ---
+    heatmapEnabled: false,
+    HEATMAP_HOLD_MS: 4000,
+
+    toggleHeatmap() {
+        this.heatmapEnabled = !this.heatmapEnabled;
+        const btn = document.getElementById("btn-heatmap-toggle");
+        if (btn) btn.classList.toggle("active", this.heatmapEnabled);
+
+        if (!this.renderer) return;
+        if (this.heatmapEnabled) this.showParagraphHeatmap();
+        else this.renderer.hideHeatmap();
+    },
+
+    // Current paragraph: word tints from GazeDataManager word stats, density from live fixations
+    showParagraphHeatmap() {
+        const gdm = window.gazeDataManager;
+        if (!this.renderer || !gdm || typeof gdm.getWordStats !== 'function') return false;
+
+        const para = this.currentParaIndex;
+        const fixations = gdm.getFixations().filter(f => f.paraIndex === para);
+        return this.renderer.showHeatmap(gdm.getWordStats(para), { fixations });
+    },
+
     // --- NEW: Mid-Boss Battle (After each paragraph) ---
     triggerMidBossBattle() {
         console.log(`[Typewriter] Triggering Villain for Para ${this.currentParaIndex}`);
@@ -1062,19 +1488,31 @@ Game.typewriter = {
         const villainScreen = document.getElementById("screen-boss");
         if (villainScreen) villainScreen.style.pointerEvents = "auto";
 
-        if (!this.quizzes || !this.quizzes[index]) return;
+        // Random item of this paragraph's question bank, options shuffled
+        this.hideLookAgain();
+        this.currentQuestion = null;
+        const bank = this.questionBank || new QuestionBank(null, { paragraphs: this.paragraphs, legacy: this.quizzes });
+        const item = bank.pick(index);
+        if (!item) return;
+
+        const presented = bank.present(item, index);
+        const trial = Game.questionLog ? Game.questionLog.begin(presented, { chapterId: bank.chapterId, paraIndex: index }) : null;
+        this.currentQuestion = { presented, trial, order: [] };
+        this.renderBossQuestion();
+    },
 
-        const quiz = this.quizzes[index];
+    renderBossQuestion() {
+        const { presented } = this.currentQuestion;
         const questionEl = document.getElementById("boss-question");
         const optionsEl = document.getElementById("boss-options");
 
-        if (questionEl) questionEl.textContent = `"${quiz.q}"`;
+        if (questionEl) questionEl.textContent = presented.type === "tf" ? `True or false? "${presented.prompt}"` : `"${presented.prompt}"`;
         if (optionsEl) {
             optionsEl.innerHTML = "";
-            quiz.o.forEach((optText, i) => {
-                const btn = document.createElement("button"); // FIXED: Re-added missing variable declaration
+            presented.options.forEach((opt, i) => {
+                const btn = document.createElement("button");
                 btn.className = "quiz-btn";
-                btn.textContent = optText;
+                btn.textContent = opt.text;
                 btn.onclick = () => Game.checkBossAnswer(i); // Direct call to global Game object
                 optionsEl.appendChild(btn);
             });
@@ -1085,6 +1523,9 @@ Game.typewriter = {
     updateGazeStats(x, y) {
         if (!this.renderer || !this.renderer.isLayoutLocked) return;
 
+        // Feed the reveal gate (where the reader is vs. what has been revealed)
+        if (Game.revealGate) Game.revealGate.noteGaze(x, y, this.renderer);
+
         // 1. Hit Test (Visual Feedback Only)
         // Used only to highlight words, NOT to change the Line Index context.
         const hit = this.renderer.hitTest(x, y);
@@ -1166,13 +1607,18 @@ Game.typewriter = {
     updateWPM() {
         // Check if currently reading (screen-read is active)
         const isReading = document.getElementById("screen-read")?.classList.contains("active");
-        if (!isReading || this.isPaused) return;
+        if (!isReading || this.isPaused || this.gateHold) return;
 
         let targetWPM = 0;
         // Priority 1: GazeDataManager (Accurate)
-        if (window.gazeDataManager && window.gazeDataManager.wpm > 0) {
-            targetWPM = window.gazeDataManager.wpm;
+        // Korean / Japanese / Chinese texts show characters per minute instead
+        const gdm = window.gazeDataManager;
+        const unit = gdm && gdm.readingUnit === 'cpm' ? 'cpm' : 'wpm';
+        if (gdm && gdm[unit] > 0) {
+            targetWPM = gdm[unit];
         }
+        const unitEl = document.getElementById("wpm-unit");
+        if (unitEl) unitEl.textContent = unit.toUpperCase();
         // Priority 2: Simple estimation (Fallback) - REMOVED
         // We strictly use GazeDataManager's calculated WPM.
         // If 0, display 0. Do not use time-based estimation as it causes fluctuations.
@@ -1234,28 +1680,56 @@ Game.typewriter = {
 
     checkBossAnswer(optionIndex) {
         try {
-            // [Safety] Find Quiz Data (Safely)
-            const quiz = (this.currentChapter && this.currentChapter.boss_quiz)
-                ? this.currentChapter.boss_quiz
-                : (this.quizzes ? this.quizzes[this.currentParaIndex] : null);
-
-            if (!quiz) {
+            const question = this.currentQuestion;
+            if (!question) {
                 console.warn("[Game] No quiz data found for index " + this.currentParaIndex);
                 this.forceAdvanceStage(); // Safety Fallback
                 return;
             }
 
+            const { presented } = question;
+            const btns = document.querySelectorAll("#boss-options button");
+            let value;
+            if (presented.type === "sequence") {
+                // Each tap places the next event; the order is checked once all are placed
+                if (question.order.includes(optionIndex)) return;
+                question.order.push(optionIndex);
+                if (btns[optionIndex]) {
+                    btns[optionIndex].disabled = true;
+                    btns[optionIndex].textContent = `${question.order.length}. ${presented.options[optionIndex].text}`;
+                }
+                if (question.order.length < presented.options.length) return;
+                value = question.order.map(i => presented.options[i].value);
+            } else {
+                value = presented.options[optionIndex].value;
+            }
+
+            const correct = QuestionBank.check(presented, value);
+            // Did the reader look at the text that answers it? (checked once, before any "look again")
+            if (question.attention === undefined) question.attention = this.getEvidenceAttention(presented.evidence);
+            const outcome = ItemResponseLog.outcome(correct, question.attention);
+            if (Game.questionLog && question.trial) Game.questionLog.answer(question.trial, value, correct, question.attention);
+
+            if (window.gazeDataManager) {
+                window.gazeDataManager.logEvent('boss_answer', {
+                    paraIndex: this.currentParaIndex,
+                    itemId: presented.item.id,
+                    option: value,
+                    correct,
+                    outcome
+                });
+            }
+
             // Correct Answer?
-            if (optionIndex === quiz.a) {
+            if (correct) {
                 // [FIX] Disable ALL buttons immediately
-                const allBtns = document.querySelectorAll("#boss-options button, #boss-quiz-options button");
-                allBtns.forEach(b => b.disabled = true);
+                btns.forEach(b => b.disabled = true);
 
                 // SUCCESS
                 // 1. Logic moved to flying resource callback if possible
 
                 // Trigger Visuals
-                const btn = document.querySelectorAll("#boss-quiz-options button")[optionIndex];
+                const btn = btns[optionIndex];
                 if (btn && typeof Game.spawnFlyingResource === 'function') {
                     const rect = btn.getBoundingClientRect();
                     Game.spawnFlyingResource(rect.left + rect.width / 2, rect.top + rect.height / 2, 10, 'gem');
@@ -1305,12 +1779,21 @@ Game.typewriter = {
                     this.spawnFloatingText(document.querySelector(".boss-dialog-box"), "-10 Gems", "error");
                 } catch (e) { console.warn("FloatingText failed", e); }
 
-                const btns = document.querySelectorAll("#boss-quiz-options button");
-                if (btns && btns[optionIndex]) {
+                if (presented.type === "sequence") {
+                    // Wrong order: start placing again
+                    question.order = [];
+                    setTimeout(() => { if (this.currentQuestion === question) this.renderBossQuestion(); }, 600);
+                } else if (btns[optionIndex]) {
                     btns[optionIndex].style.background = "#c62828";
                     btns[optionIndex].innerText += " (Wrong)";
                     btns[optionIndex].disabled = true;
                 }
+
+                // Never looked at the answer: show the passage again with it highlighted (once per question)
+                if (outcome === "not_read" && !question.lookedAgain) {
+                    question.lookedAgain = true;
+                    setTimeout(() => { if (this.currentQuestion === question) this.showLookAgain(presented.evidence); }, 700);
+                }
             }
         } catch (e) {
             console.error("[Game] checkBossAnswer Critical Error:", e);
@@ -1320,6 +1803,70 @@ Game.typewriter = {
         }
     },
 
+    // Gaze on the evidence span while its paragraph was read (null: no evidence or no gaze data)
+    getEvidenceAttention(evidence) {
+        const gdm = window.gazeDataManager;
+        if (!evidence || !gdm || typeof gdm.getSpanAttention !== 'function') return null;
+        return gdm.getSpanAttention(evidence.paraIndex, evidence.start, evidence.end);
+    },
+
+    // "Look again": the passage with the evidence highlighted, over the boss options
+    showLookAgain(evidence) {
+        const screen = document.getElementById("screen-boss");
+        const optionsEl = document.getElementById("boss-options");
+        const para = this.paragraphs[evidence.paraIndex];
+        if (!screen || !para) return;
+
+        this.hideLookAgain();
+        if (window.gazeDataManager) {
+            window.gazeDataManager.logEvent('look_again', { paraIndex: evidence.paraIndex, start: evidence.start, end: evidence.end });
+        }
+
+        const panel = document.createElement("div");
+        panel.id = "look-again-panel";
+        panel.className = "look-again-panel";
+        panel.lang = this.lang;
+        panel.dir = this.direction === "rtl" ? "rtl" : "ltr";
+
+        const title = document.createElement("h4");
+        title.textContent = "Look again, Warden! The answer is in the glowing words.";
+        panel.appendChild(title);
+
+        const spaced = Language.get(this.lang).spaced;
+        const text = document.createElement("p");
+        const mark = document.createElement("mark");
+        mark.className = "evidence-span";
+        para.tokens.forEach((tok, i) => {
+            const sep = (spaced && i > 0) ? " " : "";
+            if (i === evidence.start) {
+                text.append(sep, mark);
+                mark.append(tok.t);
+            } else if (i > evidence.start && i <= evidence.end) {
+                mark.append(sep + tok.t);
+            } else {
+                text.append(sep + tok.t);
+            }
+        });
+        panel.appendChild(text);
+
+        const btn = document.createElement("button");
+        btn.className = "quiz-btn";
+        btn.textContent = "Back to the question";
+        btn.onclick = () => this.hideLookAgain();
+        panel.appendChild(btn);
+
+        if (optionsEl) optionsEl.style.display = "none";
+        screen.appendChild(panel);
+        mark.scrollIntoView({ block: "center", behavior: "smooth" });
+    },
+
+    hideLookAgain() {
+        const panel = document.getElementById("look-again-panel");
+        if (panel) panel.remove();
+        const optionsEl = document.getElementById("boss-options");
+        if (optionsEl) optionsEl.style.display = "";
+    },
+
     // [New] Helper to force advance on error
     forceAdvanceStage() {
         this.currentParaIndex++;
@@ -1341,6 +1888,7 @@ Game.typewriter = {
 
         // 2. Log
         console.log("Direct Trigger Final Boss (v14.1.32)! Skip GameLogic.");
+        if (window.gazeDataManager) window.gazeDataManager.logEvent('final_boss_start');
 
         // 3. FORCE SWITCH SCREEN (Manual)
         const aliceScreen = document.getElementById("screen-alice-battle");
@@ -1355,19 +1903,8 @@ Game.typewriter = {
             return;
         }
 
-        // 4. INIT ALICE BATTLE (WITH DATA)
-        setTimeout(() => {
-            if (window.AliceBattleRef) {
-                const currentStats = {
-                    ink: Game.state.ink,
-                    rune: Game.state.rune,
-                    gem: Game.state.gems
-                };
-                window.AliceBattleRef.init(currentStats);
-            } else {
-                console.error("FATAL: AliceBattleRef NOT FOUND!");
-            }
-        }, 100);
+        // 4. START BATTLE (chapter passage, villain and card economy; player scores as card power)
+        setTimeout(() => Game.startFinalBattle(), 100);
     },
 
     // [State] Simple Battle System (Delegated to GameLogic)
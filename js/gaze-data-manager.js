@@ -4,9 +4,53 @@
  */
 import { detectVelXSpikes } from "./velx-spike-detector.js";
 import { bus } from "./core/EventBus.js"; // Import Event Bus
+import { RendererLayoutProvider, hitTestLayout, serializeLines, serializeWords } from "./gaze/LayoutProvider.js";
+import { GazeEventDetector } from "./gaze/GazeEventDetector.js";
+import { RegressionDetector } from "./gaze/RegressionDetector.js";
+import { DriftCorrector, realignFixations } from "./gaze/DriftCorrector.js";
+import { ImplicitCalibrator } from "./gaze/ImplicitCalibrator.js";
+import { TrackingQualityMonitor } from "./gaze/TrackingQualityMonitor.js";
+import { buildSession, serializeSession, describeEnvironment } from "./session/SessionFormat.js";
+import { Language } from "./utils/Language.js";
+import { ReadingDirection } from "./utils/ReadingDirection.js";
+
+// Default clock: wall time in epoch ms (same base as game.js Date.now() logic)
+const systemClock = { now: () => Date.now() };
+
+// RGT: how long after a line start we keep collecting the min X ('a')
+const LINE_START_COLLECT_MS = 200;
+
+// Gaps longer than this (or in a 'lost' tracking window) are left as gaps by preprocessData
+const MAX_INTERPOLATE_GAP_MS = 250;
+
+// Drift correction: log the parameters at most this often, and only after a change of this size (px / scale)
+const DRIFT_LOG_MS = 1000;
+const DRIFT_LOG_MIN_CHANGE = { px: 5, scale: 0.02 };
+
+// Quiz evidence (getSpanAttention): how much looking at a span counts as having read it
+const DEFAULT_SPAN_ATTENTION = {
+    minFixationMs: 120, // Detected fixations on the span (wordStats)
+    minDwellMs: 200,    // Or raw samples inside the span's word rects
+    maxSampleGapMs: 100 // A sample stands for at most this long (tracking gaps)
+};
 
 export class GazeDataManager {
-    constructor() {
+    /**
+     * @param {Object} options
+     *  - clock: { now() } epoch ms source (default Date.now). Replay injects a manual clock.
+     *  - layoutProvider: line layout + effect hooks (default: live TextRendererV2 via window.Game)
+     *  - bus: event bus for 'pang' / 'fixation' / 'saccade' / 'regression' / 'tracking_quality' (default: global bus)
+     *  - eventDetection: GazeEventDetector options ({ algorithm: 'ivt' | 'idt', thresholds... })
+     *  - persistence: SessionPersistence (local storage + sync queue; default none)
+     *  - driftCorrection: DriftCorrector options ({ enabled: false } turns it off, { fitScale: true } adds a scale)
+     *  - implicitCalibration: ImplicitCalibrator options ({ enabled: false } turns it off)
+     *  - trackingQuality: TrackingQualityMonitor options (false: no monitor, quality only via setTrackingQuality - replay)
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || systemClock;
+        this.layout = options.layoutProvider || new RendererLayoutProvider();
+        this.bus = options.bus || bus;
+
         this.data = []; // { t, x, y, gx, gy, vx, vy, gvx, gvy, type ... }
         this.buffer = []; // for smoothing window
         this.firstTimestamp = null;
@@ -23,6 +67,17 @@ export class GazeDataManager {
         // NEW: Replay Data Storage (Chart 6)
         this.replayData = null;
 
+        // [NEW] Serialized renderer.lines per paragraph (for offline replay)
+        this.layoutLog = {};
+
+        // [NEW] Session Recording (see session/SessionFormat.js)
+        this.pangHistory = []; // Every Pang of the session (pangLog only holds the current paragraph)
+        this.events = [];      // Game events { t, type, data } on the sample timeline
+        this.calibration = null;
+        if (this.bus) {
+            this.bus.on('rune_touched', (runeId) => this.logEvent('rune_touched', { runeId }));
+        }
+
         // NEW: Max Reach Line Guard (V9.5) - Tracks highest line index triggered
         this.maxLineIndexReached = -1; // Initialize to -1 so line 0 can fire (0 > -1)
         this.pangLog = []; // NEW: Log of successful Pang events
@@ -31,11 +86,14 @@ export class GazeDataManager {
         this.wpm = 0;              // Real-time WPM
         this.validWordSum = 0;     // Cumulative words from valid lines
         this.validTimeSum = 0;     // Cumulative time from valid lines (ms)
+        this.cpm = 0;              // Characters per minute (letters/digits) - the usual measure for ko / ja / zh
+        this.validCharSum = 0;     // Cumulative characters from valid lines
+        this.readingUnit = 'wpm';  // What the HUD shows for the current text ('wpm' | 'cpm', see utils/Language.js)
         this.lastRSTime = 0;       // Timestamp of last valid Return Sweep
         this.lastRSLine = -1;      // Line Index of last valid Return Sweep
 
-        // NEW: Incremental Upload State (Memory Optimization)
-        this.lastUploadedIndex = 0;
+        // [NEW] Local-first storage + sync cursor (see storage/SessionPersistence.js). Off for offline replay.
+        this.persistence = options.persistence || null;
 
         // [NEW] WPM Log for Dashboard
         this.wpmData = [];
@@ -44,9 +102,74 @@ export class GazeDataManager {
         this.searchStartIndex = 0;
 
         // --- RGT (Relative-Gaze Trigger) State ---
+        // 'a' / 'b' are positions along the line in the reading direction (ReadingDirection.along):
+        // screen X for ltr, -X for rtl, Y for vertical text. So 'a' is always the min and 'b' the max.
         this.currentLineMinX = 99999;     // 'a' (Line Start)
-        this.globalMaxX = 0;              // 'b' (Line End / Screen Right)
-        this.isCollectingLineStart = false;
+        this.globalMaxX = -99999;         // 'b' (Line End / Screen Right in ltr)
+        this.rgtDirection = 'ltr';        // Direction 'a' / 'b' were measured in (reset when it changes)
+        this.lineStartCollectUntil = 0;   // clock time (epoch ms) until which 'a' is collected
+
+        // --- [NEW] Fixation / Saccade Events ---
+        this.eventOptions = { ...(options.eventDetection || {}) };
+        this.eventDetector = new GazeEventDetector(this.eventOptions);
+        this.fixations = [];   // { start, end, duration, x, y, dispersion, paraIndex, lineIndex, wordIndex ... }
+        this.saccades = [];    // { start, end, amplitude, peakVelocity, direction ... }
+        this.wordStats = {};   // { [paraIndex]: { [wordIndex]: { firstFixationDuration, gazeDuration, totalFixationDuration, fixationCount } } }
+        this.lastFixatedWord = null; // { paraIndex, wordIndex } (first-pass tracking)
+
+        // --- [NEW] Regressions / Re-reading ---
+        this.regressionDetector = new RegressionDetector(options.regression);
+        this.regressions = [];   // { type: 'within-line' | 'inter-line', t, paraIndex, fromWord, toWord, fromLine, toLine, lengthWords }
+        this.regressionPara = null;
+
+        // --- [NEW] Drift Correction (see gaze/DriftCorrector.js) ---
+        this.driftOptions = { ...(options.driftCorrection || {}) };
+        this.driftCorrector = new DriftCorrector(this.driftOptions);
+        this.lastDriftLog = null; // { at (clock ms), params }
+        this.driftTrace = [];     // Offline re-alignment (detectEvents): [{ t, ...params }]
+
+        // --- [NEW] Tracking Quality: every sample is marked good / degraded / lost ---
+        this.qualityMonitor = options.trackingQuality === false ? null : new TrackingQualityMonitor(options.trackingQuality);
+        this.trackingQuality = { state: 'good', reasons: [], metrics: null, since: 0 };
+        this.qualityWindows = []; // Degraded / lost stretches: { state, reasons, start, end (null = ongoing) } on the sample timeline
+        this.learningPaused = false; // pauseLearning(): no drift / implicit-calibration updates
+
+        // --- [NEW] Implicit Calibration: fixations paired with freshly revealed text ---
+        this.implicitCalibrator = new ImplicitCalibrator(this.driftCorrector, options.implicitCalibration);
+        if (this.bus) {
+            this.bus.on('cursor_moved', (reveal) => this._noteReveal(reveal));
+        }
+    }
+
+    setClock(clock) {
+        this.clock = clock || systemClock;
+    }
+
+    setLayoutProvider(provider) {
+        this.layout = provider || new RendererLayoutProvider();
+    }
+
+    // Reading direction of the text on screen ('ltr' | 'rtl' | 'vertical-rl'), from the layout provider
+    _direction() {
+        return typeof this.layout.getDirection === 'function' ? this.layout.getDirection() : 'ltr';
+    }
+
+    setPersistence(persistence) {
+        this.persistence = persistence || null;
+    }
+
+    // Start recording into local storage under `sessionId` (Game.sessionId)
+    beginSession(sessionId) {
+        if (!this.persistence) return;
+        this.persistence.beginSession(sessionId, {
+            userAgent: typeof navigator !== "undefined" ? navigator.userAgent : ""
+        });
+    }
+
+    // [RGT] Open the line-start ('a') collection window.
+    // Clock-based instead of setTimeout so offline replay sees exactly the same window.
+    _startLineStartCollection() {
+        this.lineStartCollectUntil = this.clock.now() + LINE_START_COLLECT_MS;
     }
 
     /**
@@ -66,7 +189,8 @@ export class GazeDataManager {
             // [CRITICAL FIX] Force align timestamp to Date.now() (Epoch ms).
             // This ensures alignment with game.js Logic which uses Date.now().
             // Seeso SDK might return performance.now() or sensor time, causing mismatch.
-            gazeInfo.timestamp = Date.now();
+            // (Clock is injectable so recorded sessions replay on their original timeline.)
+            gazeInfo.timestamp = this.clock.now();
 
             // Initialize start time OR Reset if timestamp went backwards (Session Reset)
             if (this.firstTimestamp === null || gazeInfo.timestamp < this.firstTimestamp) {
@@ -78,16 +202,24 @@ export class GazeDataManager {
             const x = gazeInfo.x;
             const y = gazeInfo.y;
 
+            // [NEW] Tracking quality of this sample
+            if (this.qualityMonitor) this._trackQuality(this.qualityMonitor.push(gazeInfo, gazeInfo.timestamp));
+
             let type = 'Unknown';
             if (gazeInfo.eyemovementState === 0) type = 'Fixation';
             else if (gazeInfo.eyemovementState === 2) type = 'Saccade';
 
+            // Drift-corrected position (what hit tests and the RGT range use)
+            const corrected = this.correctGaze(x, y);
+
             const entry = {
                 t, x, y,
+                cx: corrected.x, cy: corrected.y,
                 gx: null, gy: null,
                 vx: null, vy: null,
                 targetY: null, avgY: null,
                 type,
+                quality: this.trackingQuality.state,
                 sdkFixationX: gazeInfo.fixationX,
                 sdkFixationY: gazeInfo.fixationY,
                 ...(this.context || {}),
@@ -99,23 +231,32 @@ export class GazeDataManager {
             // CRITICAL: Always push raw data
             this.data.push(entry);
 
-            // [DEBUG] Gaze Data Pressure Monitor
-            if (this.data.length % 1000 === 0) {
-                console.log(`[Mem] GazeData size: ${this.data.length} (Warning!)`);
+            // [NEW] Stream to local storage (chunked, survives reload / crash)
+            if (this.persistence) {
+                this.persistence.recordSample(entry);
             }
 
             // [NEW] Capture Start of Content (First valid Line Index)
             if (this.firstContentTime === null && typeof entry.lineIndex === 'number' && entry.lineIndex >= 0) {
                 this.firstContentTime = entry.t;
                 // [RGT] Initial Line Start Collection
-                this.isCollectingLineStart = true;
-                setTimeout(() => this.isCollectingLineStart = false, 200);
+                this._startLineStartCollection();
             }
 
-            // [RGT] Collect Min X for 'a' (Start Point)
-            if (this.isCollectingLineStart) {
-                if (entry.x < this.currentLineMinX && entry.x > 0) {
-                    this.currentLineMinX = entry.x;
+            // [RGT] A new direction (chapter change) invalidates the learned line range
+            const direction = this._direction();
+            if (direction !== this.rgtDirection) {
+                this.rgtDirection = direction;
+                this.currentLineMinX = 99999;
+                this.globalMaxX = -99999;
+            }
+
+            // [RGT] Collect Min X for 'a' (Start Point) - min position along the line
+            if (gazeInfo.timestamp < this.lineStartCollectUntil) {
+                const pos = ReadingDirection.along(entry.cx, entry.cy, direction);
+                const onScreen = (ReadingDirection.get(direction).vertical ? entry.cy : entry.cx) > 0;
+                if (pos < this.currentLineMinX && onScreen) {
+                    this.currentLineMinX = pos;
                 }
             }
 
@@ -156,6 +297,9 @@ export class GazeDataManager {
                     }
                 }
 
+                // --- [NEW] Incremental Fixation / Saccade Detection ---
+                this._handleGazeEvents(this.eventDetector.push(entry), true);
+
                 // --- Execute Realtime Detection ---
                 this.detectRealtimeReturnSweep();
             } catch (logicErr) {
@@ -167,7 +311,7 @@ export class GazeDataManager {
             // LAST RESORT: Save raw data anyway
             try {
                 this.data.push({
-                    t: Date.now(),
+                    t: this.clock.now(),
                     x: gazeInfo.x,
                     y: gazeInfo.y,
                     type: 'Emergency_Backup',
@@ -185,12 +329,13 @@ export class GazeDataManager {
     preprocessData() {
         if (this.data.length < 2) return;
 
-        // 1. Interpolation
+        const isMissing = (d) => typeof d.x !== 'number' || isNaN(d.x) || isNaN(d.y) || (d.x === 0 && d.y === 0);
+
+        // 1. Interpolation (short gaps only: a lost face or a long gap stays a gap)
         for (let i = 0; i < this.data.length; i++) {
             const curr = this.data[i];
-            const isMissing = isNaN(curr.x) || isNaN(curr.y) || (curr.x === 0 && curr.y === 0) || typeof curr.x !== 'number';
 
-            if (isMissing) {
+            if (isMissing(curr) && curr.quality !== 'lost') {
                 let prevIdx = i - 1;
                 while (prevIdx >= 0) {
                     const p = this.data[prevIdx];
@@ -205,7 +350,7 @@ export class GazeDataManager {
                     nextIdx++;
                 }
 
-                if (prevIdx >= 0 && nextIdx < this.data.length) {
+                if (prevIdx >= 0 && nextIdx < this.data.length && this.data[nextIdx].t - this.data[prevIdx].t <= MAX_INTERPOLATE_GAP_MS) {
                     const p = this.data[prevIdx];
                     const n = this.data[nextIdx];
                     const ratio = (curr.t - p.t) / (n.t - p.t);
@@ -220,10 +365,18 @@ export class GazeDataManager {
         const half = Math.floor(kernel.length / 2);
 
         for (let i = 0; i < this.data.length; i++) {
+            // Gaps stay gaps (no smoothed point, no velocity)
+            if (isMissing(this.data[i])) {
+                this.data[i].gx = null;
+                this.data[i].gy = null;
+                this.data[i].vx = null;
+                this.data[i].vy = null;
+                continue;
+            }
             let sumX = 0, sumY = 0, sumK = 0;
             for (let k = -half; k <= half; k++) {
                 const idx = i + k;
-                if (idx >= 0 && idx < this.data.length) {
+                if (idx >= 0 && idx < this.data.length && !isMissing(this.data[idx])) {
                     sumX += this.data[idx].x * kernel[k + half];
                     sumY += this.data[idx].y * kernel[k + half];
                     sumK += kernel[k + half];
@@ -236,7 +389,10 @@ export class GazeDataManager {
             if (i > 0) {
                 const prev = this.data[i - 1];
                 const dt = this.data[i].t - prev.t;
-                if (dt > 0) {
+                if (prev.gx === null) {
+                    this.data[i].vx = null;
+                    this.data[i].vy = null;
+                } else if (dt > 0) {
                     this.data[i].vx = (this.data[i].gx - prev.gx) / dt;
                     this.data[i].vy = (this.data[i].gy - prev.gy) / dt;
                 } else {
@@ -262,8 +418,480 @@ export class GazeDataManager {
         this.replayData = data;
     }
 
+    // [NEW] Keep the locked layout of a paragraph so the session can be replayed / re-analysed offline
+    recordLayout(paraIndex, lines, words, chunks, lang = "en", direction = "ltr") {
+        this.layoutLog[paraIndex] = {
+            lang,
+            direction,
+            chunks: Array.isArray(chunks) ? chunks.map(c => c.slice()) : [],
+            lines: serializeLines(lines),
+            words: serializeWords(words)
+        };
+    }
+
+    // [NEW] Game event on the gaze timeline (t = ms since first sample, like data[].t)
+    logEvent(type, data = null) {
+        const now = this.clock.now();
+        const t = this.firstTimestamp !== null ? Math.floor(now - this.firstTimestamp) : 0;
+        const event = { t, type, data };
+        this.events.push(event);
+        if (this.persistence) this.persistence.recordEvent(event);
+    }
+
+    setCalibration(result) {
+        this.calibration = result || null;
+        if (!result) return;
+
+        // A fresh calibration starts from zero: the old correction would be applied on top of it
+        this.driftCorrector.reset(this._direction());
+        this.implicitCalibrator.reset();
+        const drift = this.driftCorrector.params();
+        this.lastDriftLog = { at: this.clock.now(), params: drift };
+        this.logEvent('drift_correction', { ...drift, reason: 'calibration' });
+    }
+
+    /**
+     * Raw gaze -> drift-corrected gaze (app.js corrects before Game.onGaze, so hit tests see the same point).
+     */
+    correctGaze(x, y) {
+        this.driftCorrector.setDirection(this._direction());
+        return this.driftCorrector.apply(x, y);
+    }
+
+    getDriftCorrection() {
+        return this.driftCorrector.params();
+    }
+
+    /**
+     * Re-check tracking quality without a sample (app.js timer): gaze that stops arriving becomes 'lost'.
+     */
+    checkTrackingQuality() {
+        if (this.qualityMonitor) this._trackQuality(this.qualityMonitor.tick(this.clock.now()));
+        return this.trackingQuality;
+    }
+
+    /**
+     * Apply a recorded 'tracking_quality' change (ReplayHarness), at the current clock time.
+     */
+    setTrackingQuality(state, reasons = [], metrics = null) {
+        const previous = this.trackingQuality.state;
+        this._trackQuality({ changed: state !== previous, state, previous, reasons: reasons || [], metrics });
+        return this.trackingQuality;
+    }
+
+    _trackQuality(result) {
+        if (!result.changed) return;
+        const t = this.firstTimestamp !== null ? Math.floor(this.clock.now() - this.firstTimestamp) : 0;
+        const open = this.qualityWindows.length > 0 ? this.qualityWindows[this.qualityWindows.length - 1] : null;
+        if (open && open.end === null) open.end = t;
+        if (result.state !== 'good') this.qualityWindows.push({ state: result.state, reasons: result.reasons, start: t, end: null });
+
+        this.trackingQuality = { state: result.state, reasons: result.reasons, metrics: result.metrics, since: t };
+        console.log(`[GazeDataManager] Tracking ${result.previous} -> ${result.state}${result.reasons.length ? ` (${result.reasons.join(', ')})` : ''}`);
+        this.logEvent('tracking_quality', { state: result.state, previous: result.previous, reasons: result.reasons, metrics: result.metrics });
+        if (this.bus) this.bus.emit('tracking_quality', { state: result.state, previous: result.previous, reasons: result.reasons, metrics: result.metrics });
+    }
+
+    /**
+     * True when no degraded / lost window overlaps [start, end] (sample timeline ms).
+     */
+    isTrackingReliable(start, end) {
+        return !this.qualityWindows.some(w => w.start <= end && (w.end === null || w.end >= start));
+    }
+
+    // Fresh text on screen -> implicit calibration target (t on the sample timeline).
+    // Logged as a 'reveal' event so the replay pairs the same fixations.
+    _noteReveal(reveal) {
+        if (!reveal || this.firstTimestamp === null) return;
+        const target = { x: reveal.x, y: reveal.y, lineIndex: reveal.lineIndex, wordIndex: reveal.wordIndex };
+        this.logEvent('reveal', target);
+        this.implicitCalibrator.noteReveal({ ...target, t: Math.floor(this.clock.now() - this.firstTimestamp) });
+    }
+
+    // @returns {boolean} true if the fixation was paired (and moved the drift correction)
+    _implicitCalibrate(fix) {
+        const pair = this.implicitCalibrator.noteFixation(fix);
+        if (!pair) return false;
+        this._logDrift();
+        if (pair.recalibrate) {
+            console.warn(`[GazeDataManager] Implicit calibration error ${pair.error}px - asking for a recalibration`);
+            this.logEvent('recalibration_request', { error: pair.error, drift: this.driftCorrector.params() });
+            if (typeof this.layout.requestRecalibration === 'function') this.layout.requestRecalibration({ error: pair.error });
+        }
+        return true;
+    }
+
+    /**
+     * Stop / restart drift learning (line snapping and implicit calibration), e.g. while Game's orb check
+     * measures the correction: fixations on the orb sit between lines and would move what is being measured.
+     */
+    pauseLearning(reason = null) {
+        this.learningPaused = reason || true;
+        this.logEvent('learning_paused', { reason });
+    }
+
+    resumeLearning() {
+        if (!this.learningPaused) return;
+        this.learningPaused = false;
+        this.logEvent('learning_resumed', null);
+    }
+
+    /**
+     * Result of a quick in-game check (Game.startOrbRecalibration): the corrected gaze was off by dx / dy.
+     */
+    applyRecalibration(dx, dy, info = {}) {
+        this.implicitCalibrator.recalibrated(dx, dy);
+        const drift = this.driftCorrector.params();
+        this.logEvent('implicit_recalibration', { dx, dy, ...info, drift });
+        this.lastDriftLog = { at: this.clock.now(), params: drift };
+    }
+
+    getImplicitCalibration() {
+        return this.implicitCalibrator.status();
+    }
+
+    // 'drift_correction' event when the parameters moved noticeably (throttled)
+    _logDrift() {
+        const now = this.clock.now();
+        const params = this.driftCorrector.params();
+        const last = this.lastDriftLog;
+        if (last) {
+            if (now - last.at < DRIFT_LOG_MS) return;
+            const moved = Math.abs(params.offsetX - last.params.offsetX) >= DRIFT_LOG_MIN_CHANGE.px ||
+                Math.abs(params.offsetY - last.params.offsetY) >= DRIFT_LOG_MIN_CHANGE.px ||
+                Math.abs(params.scale - last.params.scale) >= DRIFT_LOG_MIN_CHANGE.scale;
+            if (!moved) return;
+        }
+        this.lastDriftLog = { at: now, params };
+        this.logEvent('drift_correction', params);
+    }
+
+    /**
+     * [NEW] Whole session in the versioned recording format.
+     * @param {Object} context - overrides for { sessionId, wpm, wpmParams, gazeSource, calibration }
+     */
+    toSession(context = {}) {
+        return buildSession(this, { ...this._sessionContext(), ...context });
+    }
+
+    _sessionContext() {
+        const game = (typeof window !== "undefined" && window.Game) ? window.Game : null;
+        const source = (typeof window !== "undefined" && window.__gazeSource) ? window.__gazeSource : null;
+        return {
+            sessionId: game ? game.sessionId : null,
+            wpm: game ? game.wpm : null,
+            wpmParams: game ? game.wpmParams : null,
+            gazeSource: source ? source.name : null
+        };
+    }
+
+    // [NEW] Download the session file (format: 'json' | 'ndjson')
+    exportSession(format = 'json', context = {}) {
+        if (!this.data || this.data.length === 0) {
+            alert("No gaze data to export.");
+            return;
+        }
+        this.preprocessData();
+        const session = this.toSession(context);
+        const text = serializeSession(session, format);
+        const type = format === 'ndjson' ? 'application/x-ndjson' : 'application/json';
+
+        const blob = new Blob([text], { type: type + ';charset=utf-8;' });
+        const link = document.createElement("a");
+        const url = URL.createObjectURL(blob);
+        link.href = url;
+        link.setAttribute("download", `${session.device.deviceType}_session_${session.sessionId || 'local'}_${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`);
+        link.style.display = "none";
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        return session;
+    }
+
+    // [NEW] Everything ReplayHarness.replaySession() / TextRenderer.renderSessionHeatmap() need
+    getReplaySession() {
+        return {
+            samples: this.data,
+            layouts: this.layoutLog,
+            wordStats: this.wordStats
+        };
+    }
+
+    // Detected fixation events (see GazeEventDetector), not raw SDK-labelled frames
     getFixations() {
-        return this.data.filter(d => d.type === 'Fixation');
+        return this.fixations;
+    }
+
+    getSaccades() {
+        return this.saccades;
+    }
+
+    getWordStats(paraIndex) {
+        if (paraIndex === undefined) return this.wordStats;
+        return this.wordStats[paraIndex] || {};
+    }
+
+    /**
+     * [NEW] Batch event detection over the whole session (after preprocessData, on smoothed gaze).
+     * Fixations are mapped to words with the recorded per-paragraph layouts, so this also works
+     * after the renderer has moved on. Replaces the incremental results.
+     * @param {Object} options - GazeEventDetector overrides (e.g. { algorithm: 'idt' })
+     */
+    detectEvents(options = {}) {
+        this.preprocessData();
+        const opts = { ...this.eventOptions, useSmoothed: true, ...options };
+        const { fixations, saccades } = GazeEventDetector.detect(this.data, opts);
+
+        this.fixations = [];
+        this.saccades = saccades;
+        this.wordStats = {};
+        this.lastFixatedWord = null;
+        this._resetRegressions();
+
+        // Fixations re-aligned with a fresh drift corrector and mapped to words on the recorded layouts
+        fixations.forEach(fix => {
+            fix.tracking = this.isTrackingReliable(fix.start, fix.start + (fix.duration || 0)) ? 'good' : 'degraded';
+        });
+        const drift = realignFixations(fixations, this.layoutLog, { ...this.driftOptions, ...(options.driftCorrection || {}) });
+        drift.fixations.forEach(fix => this._addFixation(fix, false));
+        this.driftTrace = drift.trace;
+
+        console.log(`[GazeDataManager] Batch events (${opts.algorithm || 'ivt'}): ${this.fixations.length} fixations, ${this.saccades.length} saccades, drift ${drift.params.offsetX}/${drift.params.offsetY}px`);
+        return { fixations: this.fixations, saccades: this.saccades, wordStats: this.wordStats, regressions: this.regressions, drift };
+    }
+
+    _handleGazeEvents(events, live) {
+        events.forEach(ev => {
+            if (ev.type === 'fixation') {
+                // Fixations seen through degraded / lost tracking teach the drift model nothing and score nothing
+                ev.tracking = this.isTrackingReliable(ev.start, ev.start + (ev.duration || 0)) ? 'good' : 'degraded';
+                // One model update per fixation: paired with fresh text (implicit calibration), else line snapping.
+                // None while an explicit check (orb) is measuring the model.
+                const learn = ev.tracking === 'good' && !this.learningPaused;
+                const paired = learn && live && this._implicitCalibrate(ev);
+                this._mapFixation(ev, this.layout, learn && !paired);
+                this._addFixation(ev, live);
+            } else {
+                this.saccades.push(ev);
+            }
+            if (live && this.bus) this.bus.emit(ev.type, ev);
+        });
+    }
+
+    // Fixation centroid -> word index (only against the layout of the fixation's own paragraph)
+    _mapFixation(fix, layout, learn = true) {
+        fix.wordIndex = null;
+        const layoutPara = layout.getParagraphIndex();
+        if (typeof fix.paraIndex === 'number' && typeof layoutPara === 'number' && fix.paraIndex !== layoutPara) return;
+
+        // Learn from the raw centroid, hit-test the corrected one
+        if (learn && this.driftCorrector.learn(fix, layout.getLines())) this._logDrift();
+        const corrected = this.driftCorrector.apply(fix.x, fix.y);
+        fix.cx = corrected.x;
+        fix.cy = corrected.y;
+
+        const hit = layout.hitTest(corrected.x, corrected.y);
+        if (!hit) return;
+        fix.hitLineIndex = hit.line ? hit.line.index : null;
+        if (hit.type === 'word' && hit.word) fix.wordIndex = hit.word.index;
+    }
+
+    // Per-word reading measures:
+    //  firstFixationDuration - duration of the first fixation on the word
+    //  gazeDuration          - sum of first-pass fixations (until the eyes leave the word)
+    //  totalFixationDuration - sum of all fixations, including re-reading
+    _addFixation(fix, live) {
+        this.fixations.push(fix);
+        if (typeof fix.wordIndex !== 'number' || fix.tracking === 'degraded') return;
+
+        const para = typeof fix.paraIndex === 'number' ? fix.paraIndex : -1;
+        if (!this.wordStats[para]) this.wordStats[para] = {};
+        let stats = this.wordStats[para][fix.wordIndex];
+
+        const last = this.lastFixatedWord;
+        const isSameWord = last && last.paraIndex === para && last.wordIndex === fix.wordIndex;
+
+        if (!stats) {
+            stats = this.wordStats[para][fix.wordIndex] = {
+                firstFixationDuration: fix.duration,
+                firstFixationAt: fix.start,
+                gazeDuration: fix.duration,
+                totalFixationDuration: 0,
+                fixationCount: 0,
+                firstPassOpen: true
+            };
+        } else if (isSameWord && stats.firstPassOpen) {
+            stats.gazeDuration += fix.duration;
+        }
+        stats.totalFixationDuration += fix.duration;
+        stats.fixationCount++;
+
+        // Leaving a word ends its first pass
+        if (last && !isSameWord) {
+            const prev = this.wordStats[last.paraIndex] && this.wordStats[last.paraIndex][last.wordIndex];
+            if (prev) prev.firstPassOpen = false;
+        }
+        this.lastFixatedWord = { paraIndex: para, wordIndex: fix.wordIndex };
+
+        this._trackRegression(fix, stats, live);
+    }
+
+    _trackRegression(fix, wordStats, live) {
+        // Word indices restart with every paragraph
+        if (fix.paraIndex !== this.regressionPara) {
+            this.regressionDetector.reset();
+            this.regressionPara = fix.paraIndex;
+        }
+
+        const { regression, reread } = this.regressionDetector.push(fix);
+        const line = typeof fix.hitLineIndex === 'number' ? fix.hitLineIndex : fix.lineIndex;
+
+        if (regression) {
+            this.regressions.push(regression);
+            if (typeof regression.toLine === 'number') {
+                const meta = this.lineMetadata[regression.toLine] || {};
+                this.setLineMetadata(regression.toLine, { regressionsIn: (meta.regressionsIn || 0) + 1 });
+            }
+            if (live && this.bus) this.bus.emit('regression', regression);
+        }
+
+        if (reread) {
+            wordStats.rereadCount = (wordStats.rereadCount || 0) + 1;
+            if (typeof line === 'number') {
+                const meta = this.lineMetadata[line] || {};
+                const rereadWords = { ...(meta.rereadWords || {}) };
+                rereadWords[fix.wordIndex] = (rereadWords[fix.wordIndex] || 0) + 1;
+                this.setLineMetadata(line, {
+                    rereadCount: (meta.rereadCount || 0) + 1,
+                    rereadWords
+                });
+            }
+        }
+    }
+
+    _resetRegressions() {
+        this.regressionDetector.reset();
+        this.regressions = [];
+        this.regressionPara = null;
+        Object.keys(this.lineMetadata).forEach(k => {
+            delete this.lineMetadata[k].regressionsIn;
+            delete this.lineMetadata[k].rereadCount;
+            delete this.lineMetadata[k].rereadWords;
+        });
+    }
+
+    getRegressions() {
+        return this.regressions;
+    }
+
+    /**
+     * [NEW] Re-reading summary for the score report.
+     * Phrases are runs of consecutive re-read words (text from the recorded layouts), most re-read first.
+     */
+    getRereadSummary(maxPhrases = 3) {
+        const within = this.regressions.filter(r => r.type === 'within-line').length;
+        const inter = this.regressions.length - within;
+
+        const phrases = [];
+        let rereadWords = 0;
+        Object.keys(this.wordStats).forEach(para => {
+            const stats = this.wordStats[para];
+            const layout = this.layoutLog[para];
+            const words = (layout && layout.words) || [];
+            const indices = Object.keys(stats).map(Number).filter(i => stats[i].rereadCount > 0).sort((a, b) => a - b);
+            rereadWords += indices.length;
+
+            let run = null;
+            indices.forEach(i => {
+                if (run && i === run.end + 1) {
+                    run.end = i;
+                    run.count = Math.max(run.count, stats[i].rereadCount);
+                } else {
+                    if (run) phrases.push(run);
+                    run = { paraIndex: Number(para), start: i, end: i, count: stats[i].rereadCount };
+                }
+            });
+            if (run) phrases.push(run);
+
+            phrases.forEach(p => {
+                if (p.text === undefined && p.paraIndex === Number(para)) {
+                    p.text = words.slice(p.start, p.end + 1).map(w => w.text).join(" ");
+                }
+            });
+        });
+
+        phrases.sort((a, b) => (b.count - a.count) || ((b.end - b.start) - (a.end - a.start)));
+
+        return {
+            regressions: this.regressions.length,
+            withinLine: within,
+            interLine: inter,
+            rereadWords,
+            phrases: phrases.slice(0, maxPhrases)
+        };
+    }
+
+    /**
+     * [NEW] Did the reader look at a token span while reading its paragraph? (quiz evidence, see QuestionBank.js)
+     * Fixations mapped to words count first; drift-corrected samples taken with good tracking are also hit-tested
+     * against the recorded word rects (recordLayout, no snapping to the nearest line) so a span read in short or
+     * undetected fixations still counts. Only samples between the
+     * paragraph's 'paragraph_start' and 'paragraph_end' events are used (not the replay or the quiz screen).
+     * @returns {Object} { fixated, fixationMs, dwellMs, words, wordsLooked, coverage } or null without a layout
+     */
+    getSpanAttention(paraIndex, startIndex, endIndex, options = {}) {
+        const opts = { ...DEFAULT_SPAN_ATTENTION, ...options };
+        const layout = this.layoutLog[paraIndex];
+        if (!layout || !Array.isArray(layout.words) || layout.words.length === 0) return null;
+
+        const inSpan = (i) => typeof i === 'number' && i >= startIndex && i <= endIndex;
+        const looked = new Set();
+
+        let fixationMs = 0;
+        const stats = this.wordStats[paraIndex] || {};
+        Object.keys(stats).map(Number).filter(inSpan).forEach(i => {
+            fixationMs += stats[i].totalFixationDuration || 0;
+            looked.add(i);
+        });
+
+        // Reading windows of this paragraph on the timeline
+        const windows = [];
+        this.events.forEach(ev => {
+            if (!ev.data || ev.data.paraIndex !== paraIndex) return;
+            if (ev.type === 'paragraph_start') windows.push({ start: ev.t, end: Infinity });
+            else if (ev.type === 'paragraph_end' && windows.length > 0) windows[windows.length - 1].end = ev.t;
+        });
+        const inWindow = (t) => windows.some(w => t >= w.start && t <= w.end);
+
+        let dwellMs = 0;
+        for (let i = 0; i < this.data.length; i++) {
+            const d = this.data[i];
+            if (d.paraIndex !== paraIndex || !inWindow(d.t)) continue;
+            // Degraded / lost tracking says nothing about what was read (older sessions carry no quality)
+            if (d.quality !== undefined && d.quality !== 'good') continue;
+            // Drift-corrected position, the one fixations are mapped with
+            const x = typeof d.cx === 'number' ? d.cx : d.x;
+            const y = typeof d.cy === 'number' ? d.cy : d.y;
+            if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+
+            // No snapping: a glance at the options or the margin is not reading the span
+            const hit = hitTestLayout(layout.lines, layout.words, x, y, layout.direction, { snap: false });
+            if (!hit || hit.type !== 'word' || !inSpan(hit.word.index)) continue;
+            looked.add(hit.word.index);
+            const next = this.data[i + 1];
+            dwellMs += next ? Math.min(opts.maxSampleGapMs, Math.max(0, next.t - d.t)) : 0;
+        }
+
+        const words = endIndex - startIndex + 1;
+        return {
+            fixated: fixationMs >= opts.minFixationMs || dwellMs >= opts.minDwellMs,
+            fixationMs: Math.round(fixationMs),
+            dwellMs: Math.round(dwellMs),
+            words,
+            wordsLooked: looked.size,
+            coverage: words > 0 ? +(looked.size / words).toFixed(2) : 0
+        };
     }
 
     getAllData() {
@@ -279,7 +907,18 @@ export class GazeDataManager {
         this.lastTriggerTime = 0;
         this.lastPosPeakTime = 0;
         this.firstContentTime = null;
-        this.lastUploadedIndex = 0; // Reset upload cursor
+        this.layoutLog = {};
+        this.pangHistory = [];
+        this.events = [];
+        this.eventDetector.reset();
+        this.fixations = [];
+        this.saccades = [];
+        this.wordStats = {};
+        this.lastFixatedWord = null;
+        this._resetRegressions();
+        if (this.qualityMonitor) this.qualityMonitor.reset();
+        this.trackingQuality = { state: 'good', reasons: [], metrics: null, since: 0 };
+        this.qualityWindows = [];
     }
 
     // NEW: Reset only trigger logic (for new paragraph/level) without clearing data
@@ -292,7 +931,7 @@ export class GazeDataManager {
         this.pangLog = []; // NEW: Reset Pang Logs
 
         // Reset WPM State (Partially)
-        // [FIX] Do NOT reset cumulative WPM stats (wpm, validWordSum, validTimeSum)
+        // [FIX] Do NOT reset cumulative WPM stats (wpm, cpm, validWordSum, validCharSum, validTimeSum)
         // This ensures WPM is averaged across the entire session, not per paragraph.
         // this.wpm = 0; 
         // this.validWordSum = 0;
@@ -310,8 +949,11 @@ export class GazeDataManager {
 
         // [RGT] Reset 'a' but keep 'b' (User Width Habit persists)
         this.currentLineMinX = 99999;
-        this.isCollectingLineStart = true;
-        setTimeout(() => this.isCollectingLineStart = false, 200);
+        this._startLineStartCollection();
+
+        // [NEW] Don't let a fixation/saccade span two paragraphs
+        this._handleGazeEvents(this.eventDetector.flush(), true);
+        this.lastFixatedWord = null;
     }
 
     // NEW: Retrieve Pang Logs for Replay
@@ -353,7 +995,7 @@ export class GazeDataManager {
             if (lineYCount[k] > 0) lineYAvg[k] = lineYSum[k] / lineYCount[k];
         });
 
-        let csv = "RelativeTimestamp_ms,RawX,RawY,SmoothX,SmoothY,VelX,VelY,Type,ReturnSweep,LineIndex,CharIndex,InkY_Px,AlgoLineIndex,TargetY_Px,AvgCoolGazeY_Px,ReplayX,ReplayY,InkSuccess,DidFire,ReturnSweepState,TriggerType,Debug_Median,Debug_Threshold,Debug_RealtimeVX\n";
+        let csv = "RelativeTimestamp_ms,RawX,RawY,SmoothX,SmoothY,VelX,VelY,Type,ReturnSweep,LineIndex,CharIndex,InkY_Px,AlgoLineIndex,TargetY_Px,AvgCoolGazeY_Px,ReplayX,ReplayY,InkSuccess,DidFire,ReturnSweepState,TriggerType,Debug_Median,Debug_Threshold,Debug_RealtimeVX,ParaIndex\n";
         this.data.forEach(d => {
             if (d.t < startTime || d.t > endTime) return;
             const lIdx = d.lineIndex;
@@ -387,7 +1029,8 @@ export class GazeDataManager {
                 (d.rsTriggerType || ""),
                 (d.debugMedian !== undefined) ? d.debugMedian.toFixed(3) : "",
                 (d.debugThreshold !== undefined) ? d.debugThreshold.toFixed(3) : "",
-                (d.debugVX !== undefined) ? d.debugVX.toFixed(3) : ""
+                (d.debugVX !== undefined) ? d.debugVX.toFixed(3) : "",
+                (d.paraIndex !== undefined && d.paraIndex !== null) ? d.paraIndex : ""
             ];
             csv += row.join(",") + "\n";
         });
@@ -412,76 +1055,43 @@ export class GazeDataManager {
         this.exportChartImage(deviceType, startTime, endTime);
     }
 
+    // Queues unsent samples + latest metadata for the remote session `sessionId` (see SessionPersistence).
+    // Resolves once queued locally; SyncQueue delivers it when the backend is reachable.
     async uploadToCloud(sessionId) {
-        if (!window.firebase || !window.FIREBASE_CONFIG) {
-            console.error("[Firebase] SDK or Config not loaded.");
-            // alert("Firebase not configured. Cannot upload."); // Silence alert for background sync
+        if (!this.persistence) {
+            console.warn("[Sync] No session storage configured. Skipping upload.");
             return;
         }
 
-        // console.log(`[Firebase] Syncing session [${sessionId}]...`);
         try {
-            if (!firebase.apps.length) firebase.initializeApp(window.FIREBASE_CONFIG);
-
             // 1. Ensure Data is Processed
             this.preprocessData();
 
-            const db = firebase.database();
-
-            // 2. Upload Metadata (Always update to reflect latest stats)
-            // Use 'update' instead of 'set' to avoid wiping other fields if any
+            // 2. Metadata (Always update to reflect latest stats)
             const metaData = {
                 timestamp: Date.now(),
                 userAgent: navigator.userAgent,
                 lineMetadata: this.lineMetadata,
                 totalSamples: this.data.length,
                 firstContentTime: this.firstContentTime,
-                wpmData: this.wpmData || [] // [NEW] Send WPM Log
+                wpmData: this.wpmData || [], // [NEW] Send WPM Log
+                wordStats: this.wordStats, // [NEW] Per-word fixation measures
+                regressions: this.regressions, // [NEW] Regression events
+                layouts: this.layoutLog, // [NEW] Line layout per paragraph (offline replay)
+                pangLog: this.pangHistory, // [NEW] Session format v2 fields
+                events: this.events,
+                calibration: this.calibration,
+                ...describeEnvironment({ ...this._sessionContext(), measuredWpm: this.wpm, measuredCpm: this.cpm, readingUnit: this.readingUnit })
             };
 
-            // A. Full Session Path (Heavy Data Context)
-            await db.ref('sessions/' + sessionId + '/meta').set(metaData);
-
-            // B. Lightweight List Path (Fast Retrieval)
-            // Storing metadata separately allows the dashboard to load the list instantly
-            // without downloading the massive gaze data array.
-            await db.ref('session_list/' + sessionId).set(metaData);
-
-            // 3. Incremental Chunk Upload (Memory Safe)
-            // Only upload data that hasn't been uploaded yet
-            const startIndex = this.lastUploadedIndex;
-            const newData = this.data.slice(startIndex);
-
-            if (newData.length > 0) {
-                console.log(`[Firebase] Uploading Chunk: ${newData.length} items (Index ${startIndex} -> ${this.data.length})`);
-
-                // Sanitize Payload (Remove Infinity/NaN which Firebase hates)
-                const payload = JSON.parse(JSON.stringify(newData, (key, value) => {
-                    if (typeof value === 'number' && isNaN(value)) return null;
-                    return value;
-                }));
-
-                // Push as a new chunk
-                const chunksRef = db.ref('sessions/' + sessionId + '/chunks');
-                await chunksRef.push(payload);
-
-                // Update Cursor
-                this.lastUploadedIndex = this.data.length;
-            } else {
-                // console.log("[Firebase] Nothing new to upload.");
-            }
-
-            // 4. Upload Replay Data (If exists and changed - simplest to just set it)
-            // Replay Data is usually set once per paragraph or updated infrequently.
-            if (this.replayData) {
-                await db.ref('sessions/' + sessionId + '/replayData').set(this.replayData);
-            }
-
-            // console.log("[Firebase] Sync Complete! ✅");
-
+            // 3. Unsent chunks (durable cursor per session) + meta + replay data (Chart 6)
+            await this.persistence.sync(sessionId, {
+                samples: this.data,
+                meta: metaData,
+                replayData: this.replayData
+            });
         } catch (e) {
-            console.error("[Firebase] Upload Failed", e);
-            // Don't alert on background sync fail
+            console.error("[Sync] Queueing upload failed", e);
         }
     }
 
@@ -601,7 +1211,11 @@ export class GazeDataManager {
         if (startIndex === -1 || endIndex === -1) return 0;
 
         const validDataSlice = this.data.slice(startIndex, endIndex + 1);
-        const samples = validDataSlice.map(d => ({ ts_ms: d.t, velX: d.vx < 0 ? d.vx : 0 }));
+        const direction = this._direction();
+        const samples = validDataSlice.map(d => {
+            const v = ReadingDirection.alongVelocity(d.vx, d.vy, direction);
+            return { ts_ms: d.t, velX: v < 0 ? v : 0 };
+        });
         const { threshold, spikeIntervals } = detectVelXSpikes(samples, { k: 1.5, gapMs: 120, expandOneSample: true });
 
         let lineNum = 1;
@@ -613,6 +1227,8 @@ export class GazeDataManager {
     // 1. Position Peak (Right side)
     // 2. Velocity Valley (Fast Left Movement)
     // 3. Cascade Check (Valley within 600ms of Peak) -> FIRE IMMEDIATELY
+    // Positions / velocities are along the reading direction: "right" is the line end, "left" the line start
+    // (mirrored for rtl, top/bottom for vertical text).
     detectRealtimeReturnSweep(lookbackMs = 2000) {
         try {
             const len = this.data.length;
@@ -623,23 +1239,34 @@ export class GazeDataManager {
             const d2 = this.data[len - 3]; // Prev-Prev (t-2)
             const now = d0.t;
 
-            // 1. Calculate Realtime SMOOTH X
+            const direction = this._direction();
+            const vertical = ReadingDirection.get(direction).vertical;
+
+            // 1. Calculate Realtime SMOOTH X (and Y for vertical text)
             const smoothX = (d0.x * 0.5 + d1.x * 0.3 + d2.x * 0.2);
             d0.gx = smoothX;
             if (d1.gx === null) d1.gx = d1.x;
             if (d2.gx === null) d2.gx = d2.x;
+            if (vertical) {
+                d0.gy = (d0.y * 0.5 + d1.y * 0.3 + d2.y * 0.2);
+                if (d1.gy === null) d1.gy = d1.y;
+                if (d2.gy === null) d2.gy = d2.y;
+            }
 
             // -- STEP 0: PREPARE VELOCITY DATA --
-            const repairVX = (d) => { if (d.vx === null || d.vx === undefined || isNaN(d.vx)) return 0; return d.vx; };
+            const repair = (v) => { if (v === null || v === undefined || isNaN(v)) return 0; return v; };
             if (d0.vx === null) { const dt = d0.t - d1.t; d0.vx = dt > 0 ? (d0.x - d1.x) / dt : 0; }
-            const v0 = repairVX(d0);
-            const v1 = repairVX(d1);
-            const v2 = repairVX(d2);
+            if (d0.vy === null) { const dt = d0.t - d1.t; d0.vy = dt > 0 ? (d0.y - d1.y) / dt : 0; }
+            const velAlong = (d) => ReadingDirection.alongVelocity(repair(d.vx), repair(d.vy), direction);
+            const v0 = velAlong(d0);
+            const v1 = velAlong(d1);
+            const v2 = velAlong(d2);
 
             // -- STEP A: POSITION PEAK DETECTION --
-            const sx0 = d0.gx || d0.x;
-            const sx1 = d1.gx || d1.x;
-            const sx2 = d2.gx || d2.x;
+            const posAlong = (d) => ReadingDirection.along(d.gx || d.x, d.gy || d.y, direction);
+            const sx0 = posAlong(d0);
+            const sx1 = posAlong(d1);
+            const sx2 = posAlong(d2);
 
             // 1. Geometric Peak (3-point)
             const isPosPeak = (sx1 >= sx2) && (sx1 > sx0);
@@ -735,6 +1362,9 @@ export class GazeDataManager {
         // Return Sweep means we moved FROM line N TO line N+1. We want to mark line N.
         const targetLine = (d0.lineIndex > 0) ? d0.lineIndex - 1 : 0;
 
+        // [NEW] Tracking Quality: a sweep seen through degraded / lost tracking earns nothing
+        const tracked = this.trackingQuality.state === 'good';
+
         // [NEW] Log for Replay
         if (this.pangLog) {
             this.pangLog.push({
@@ -744,39 +1374,39 @@ export class GazeDataManager {
                 vx: vx
             });
         }
+        this.pangHistory.push({
+            t: d0.t,
+            paraIndex: d0.paraIndex !== undefined ? d0.paraIndex : null,
+            lineIndex: targetLine,
+            type: type,
+            vx: vx,
+            quality: this.trackingQuality.state
+        });
 
         // 1. Visual Effect (Existing)
-        if (window.Game && window.Game.typewriter && window.Game.typewriter.renderer &&
-            typeof window.Game.typewriter.renderer.triggerReturnEffect === 'function') {
-
-            // [Fix 1] Only trigger visual effect if we are actively reading (screen-read active)
-            // This prevents Pang effects during Boss Battles or Transitions.
-            const readScreen = document.getElementById('screen-read');
-            if (readScreen && readScreen.classList.contains('active')) {
-                window.Game.typewriter.renderer.triggerReturnEffect(targetLine);
-            }
+        // [Fix 1] Only trigger visual effect if we are actively reading (screen-read active)
+        // This prevents Pang effects during Boss Battles or Transitions.
+        if (tracked && this.layout.isReading()) {
+            this.layout.triggerReturnEffect(targetLine);
         }
 
         // 2. Game Reward (New: Ink +10) via Event Bus
         // DECOUPLED: No direct Game.addInk call.
-        if (bus) {
-            bus.emit('pang');
+        if (tracked && this.bus) {
+            this.bus.emit('pang');
         }
 
         // --- RGT: Update 'b' (Global Max X) & Reset 'a' ---
         // 1. Update Global Max (b) with current X (End of Line)
-        if (d0.x > this.globalMaxX) {
-            this.globalMaxX = d0.x;
+        const endPos = ReadingDirection.along(d0.cx ?? d0.x, d0.cy ?? d0.y, this._direction());
+        if (endPos > this.globalMaxX) {
+            this.globalMaxX = endPos;
             // console.log(`[RGT] New Global Max (b): ${this.globalMaxX}`);
         }
 
         // 2. Start Collecting New Min X (a) for Next Line
         this.currentLineMinX = 99999;
-        this.isCollectingLineStart = true;
-        setTimeout(() => {
-            this.isCollectingLineStart = false;
-            // console.log(`[RGT] Line Start (a) Locked: ${this.currentLineMinX}`);
-        }, 200);
+        this._startLineStartCollection();
 
         // --- 3. GAZE-BASED WPM CALCULATION (User Spec) ---
         // Logic:
@@ -784,10 +1414,8 @@ export class GazeDataManager {
         // 2. Measure Time Interval & Word Count for valid lines.
         // 3. Accumulate and Calculate WPM.
 
-        if (window.Game && window.Game.typewriter && window.Game.typewriter.renderer) {
-            const renderer = window.Game.typewriter.renderer;
-            const lines = renderer.lines;
-
+        const lines = this.layout.getLines();
+        if (lines) {
             // Check 2.3: Skip Last Line
             // If targetLine is the last line (or greater), we ignore it per user request.
             // (Last line usually doesn't have a distinct RS to a "next" line, or ends the paragraph)
@@ -796,6 +1424,10 @@ export class GazeDataManager {
                 // Get Word Count for this line
                 const lineObj = lines[targetLine];
                 const wordCount = (lineObj && lineObj.wordIndices) ? lineObj.wordIndices.length : 0;
+                // [NEW] Character Count: Korean eojeol / Chinese words vary a lot in length, CPM is steadier there
+                const charCount = (lineObj && lineObj.chars) || 0;
+                const lang = typeof this.layout.getLanguage === 'function' ? this.layout.getLanguage() : "en";
+                this.readingUnit = Language.readingUnit(lang);
 
                 let duration = 0;
                 const now = d0.t;
@@ -833,16 +1465,38 @@ export class GazeDataManager {
                 // Sanity Check: Ignore impossibly short lines (< 100ms) to prevent noise
                 if (duration > 100 && wordCount > 0) {
 
+                    // [NEW] Tracking Quality: lines read while tracking was degraded / lost don't count
+                    const reliable = this.isTrackingReliable(now - duration, now);
+
                     // [NEW] Ignore First Pang of Each Paragraph
                     // The first transition (whether 0->1 or 0->2 skip) is often unstable or includes warm-up.
-                    this.pangCountInPara++;
+                    // Only reliable lines count here, so a degraded first line doesn't use up the skip.
+                    if (reliable) this.pangCountInPara++;
 
-                    if (this.pangCountInPara > 1) {
+                    if (!reliable) {
+                        console.log(`[WPM] Skipping Line ${targetLine} (tracking degraded)`);
+                        // Still logged, flagged, so replay / analysis see the line; the WPM leaves it out
+                        if (!this.wpmData) this.wpmData = [];
+                        this.wpmData.push({
+                            paraIndex: (this.context && this.context.paraIndex !== undefined) ? this.context.paraIndex : -1,
+                            lineIndex: targetLine,
+                            startTime: Math.round(now - duration),
+                            endTime: now,
+                            duration: duration,
+                            words: wordCount,
+                            chars: charCount,
+                            wpm: this.wpm, // Unchanged by this line
+                            cpm: this.cpm,
+                            unit: this.readingUnit,
+                            tracking: 'degraded'
+                        });
+                    } else if (this.pangCountInPara > 1) {
                         // [FIX] Exclude Line 0 logic is now redundant if we skip first pang, 
                         // but kept for safety if pangCount logic changes.
                         if (targetLine > 0) {
                             this.validTimeSum += duration;
                             this.validWordSum += wordCount;
+                            this.validCharSum += charCount;
                         }
                     } else {
                         console.log(`[WPM] Skipping First Pang of Paragraph (Line ${targetLine})`);
@@ -850,8 +1504,9 @@ export class GazeDataManager {
 
                     // 4. Calculate WPM (Only if we have valid lines > 0)
                     const minutes = this.validTimeSum / 60000;
-                    if (minutes > 0 && this.validWordSum > 0) {
+                    if (reliable && minutes > 0 && this.validWordSum > 0) {
                         this.wpm = Math.round(this.validWordSum / minutes);
+                        this.cpm = Math.round(this.validCharSum / minutes);
 
                         // [NEW] WPM Data Logging
                         if (!this.wpmData) this.wpmData = [];
@@ -862,10 +1517,14 @@ export class GazeDataManager {
                             endTime: now,
                             duration: duration,
                             words: wordCount,
-                            wpm: this.wpm // This will be the cumulative WPM (unchanged for Line 0)
+                            chars: charCount,
+                            wpm: this.wpm, // This will be the cumulative WPM (unchanged for Line 0)
+                            cpm: this.cpm,
+                            unit: this.readingUnit,
+                            tracking: 'good'
                         });
 
-                        console.log(`[WPM] Updated: ${this.wpm} (Line: ${targetLine}, Words: ${this.validWordSum}, Time: ${this.validTimeSum}ms)`);
+                        console.log(`[WPM] Updated: ${this.wpm} WPM / ${this.cpm} CPM (Line: ${targetLine}, Words: ${this.validWordSum}, Chars: ${this.validCharSum}, Time: ${this.validTimeSum}ms)`);
                     }
 
                     // Update State
@@ -873,9 +1532,7 @@ export class GazeDataManager {
                     this.lastRSLine = targetLine;
 
                     // 5. Real-time Update HUD
-                    if (window.Game && window.Game.typewriter && typeof window.Game.typewriter.updateWPM === 'function') {
-                        window.Game.typewriter.updateWPM();
-                    }
+                    this.layout.onWPMUpdate(this.wpm);
                 }
             } else {
                 console.log(`[WPM] Skipping Last/Invalid Line: ${targetLine} (Total: ${lines.length})`);
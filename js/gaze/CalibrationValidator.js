@@ -0,0 +1,159 @@
+/**
+ * CalibrationValidator.js
+ * Measures how accurate a finished calibration is: the reader looks at a few test targets,
+ * and the gaze samples around each one give its offset and precision.
+ *
+ * Per region (target):
+ *   dx, dy       mean gaze minus target (px) - systematic offset
+ *   errorPx      length of that offset (accuracy)
+ *   precisionPx  RMS distance of the samples from their own mean (jitter)
+ *   samples      valid samples used (trackingState SUCCESS, collected after the settle time)
+ *
+ * summarize() -> { mode (label), checkPoints, viewport, regions: [...], meanErrorPx, maxErrorPx, meanPrecisionPx, worstRegion,
+ *                  missing: [region names without enough samples], passed, thresholds }
+ * The result is stored with the calibration (GazeDataManager.setCalibration), so every session
+ * carries its own error map.
+ */
+import { TRACKING_STATE_SUCCESS } from "./GazeSource.js";
+
+/**
+ * Calibration modes. SeeSo collects 1 or 5 calibration points (any other count runs 5), so there is no 9-point mode;
+ * targets(9) (3x3 grid) is still available for custom checks.
+ */
+export const CALIBRATION_MODES = {
+    1: { points: 1, sdkPoints: 1, targets: 5, label: "1-point" },
+    5: { points: 5, sdkPoints: 5, targets: 5, label: "5-point" }
+};
+
+const DEFAULT_VALIDATION_OPTIONS = {
+    settleMs: 500,          // Ignore samples while the eyes move to a new target
+    collectMs: 1000,        // Then collect for this long
+    minSamples: 5,          // Fewer valid samples -> region counts as missing
+    maxMeanErrorPx: 120,    // Mean error over all regions above -> failed
+    maxRegionErrorPx: 220,  // Any single region above -> failed
+    margin: 0.15            // Outer targets sit this far (share of the viewport) from the edges
+};
+
+// 3x3 grid names, row by row
+const GRID_NAMES = [
+    "top-left", "top", "top-right",
+    "left", "center", "right",
+    "bottom-left", "bottom", "bottom-right"
+];
+
+export class CalibrationValidator {
+    /**
+     * @param {Object} options - DEFAULT_VALIDATION_OPTIONS overrides, plus { mode, width, height }
+     *                            or targets: [{ name, x, y }] instead of a mode's grid
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+        this.mode = options.mode || 1;
+        this.width = options.width || (typeof window !== "undefined" ? window.innerWidth : 0);
+        this.height = options.height || (typeof window !== "undefined" ? window.innerHeight : 0);
+        const plan = CALIBRATION_MODES[this.mode] || CALIBRATION_MODES[1];
+        this.targets = Array.isArray(options.targets)
+            ? options.targets.map(t => ({ name: t.name, x: t.x, y: t.y, samples: [] }))
+            : CalibrationValidator.targets(plan.targets, this.width, this.height, this.options.margin);
+        this.index = -1;
+        this.shownAt = 0;
+    }
+
+    /**
+     * Test targets in viewport pixels: 5 = centre and the four corners, 9 = 3x3 grid.
+     * @returns {Array} [{ name, x, y, samples: [] }]
+     */
+    static targets(count, width, height, margin = DEFAULT_VALIDATION_OPTIONS.margin) {
+        const cols = [margin, 0.5, 1 - margin];
+        const grid = GRID_NAMES.map((name, i) => ({
+            name,
+            x: Math.round(cols[i % 3] * width),
+            y: Math.round(cols[Math.floor(i / 3)] * height),
+            samples: []
+        }));
+        if (count === 9) return grid;
+        return [4, 0, 2, 6, 8].map(i => grid[i]);
+    }
+
+    get current() {
+        return this.targets[this.index] || null;
+    }
+
+    get done() {
+        return this.index >= this.targets.length;
+    }
+
+    // Show the next target; returns it (null when all were shown)
+    next(now = performance.now()) {
+        this.index++;
+        this.shownAt = now;
+        return this.current;
+    }
+
+    /**
+     * Gaze sample while a target is shown.
+     */
+    add(x, y, trackingState = TRACKING_STATE_SUCCESS, now = performance.now()) {
+        const target = this.current;
+        if (!target || now - this.shownAt < this.options.settleMs) return;
+        if (now - this.shownAt > this.options.settleMs + this.options.collectMs) return;
+        if (typeof x !== "number" || typeof y !== "number" || !Number.isFinite(x) || !Number.isFinite(y)) return;
+        if (trackingState !== undefined && trackingState !== null && trackingState !== TRACKING_STATE_SUCCESS) return;
+        target.samples.push({ x, y });
+    }
+
+    // Time a target stays on screen
+    get targetMs() {
+        return this.options.settleMs + this.options.collectMs;
+    }
+
+    summarize() {
+        const o = this.options;
+        const regions = this.targets.map(t => CalibrationValidator.measure(t));
+        const measured = regions.filter(r => r.samples >= o.minSamples);
+        const missing = regions.filter(r => r.samples < o.minSamples).map(r => r.name);
+        const mean = (list, key) => list.length ? Math.round(list.reduce((s, r) => s + r[key], 0) / list.length) : null;
+
+        const worst = measured.reduce((w, r) => (!w || r.errorPx > w.errorPx ? r : w), null);
+        const meanErrorPx = mean(measured, "errorPx");
+        const maxErrorPx = worst ? worst.errorPx : null;
+        const passed = measured.length > 0 && missing.length === 0 &&
+            meanErrorPx <= o.maxMeanErrorPx && maxErrorPx <= o.maxRegionErrorPx;
+
+        return {
+            mode: Array.isArray(this.options.targets) ? "custom" : (CALIBRATION_MODES[this.mode] || CALIBRATION_MODES[1]).label,
+            checkPoints: this.targets.length,
+            viewport: { width: this.width, height: this.height },
+            regions,
+            meanErrorPx,
+            maxErrorPx,
+            meanPrecisionPx: mean(measured, "precisionPx"),
+            worstRegion: worst ? worst.name : null,
+            missing,
+            passed,
+            thresholds: { maxMeanErrorPx: o.maxMeanErrorPx, maxRegionErrorPx: o.maxRegionErrorPx, minSamples: o.minSamples }
+        };
+    }
+
+    // Target + its samples -> { name, x, y, dx, dy, errorPx, precisionPx, samples }
+    static measure(target) {
+        const n = target.samples.length;
+        if (n === 0) return { name: target.name, x: target.x, y: target.y, dx: null, dy: null, errorPx: null, precisionPx: null, samples: 0 };
+
+        const mx = target.samples.reduce((s, p) => s + p.x, 0) / n;
+        const my = target.samples.reduce((s, p) => s + p.y, 0) / n;
+        const spread = target.samples.reduce((s, p) => s + (p.x - mx) ** 2 + (p.y - my) ** 2, 0) / n;
+        const dx = mx - target.x;
+        const dy = my - target.y;
+        return {
+            name: target.name,
+            x: target.x,
+            y: target.y,
+            dx: Math.round(dx),
+            dy: Math.round(dy),
+            errorPx: Math.round(Math.hypot(dx, dy)),
+            precisionPx: Math.round(Math.sqrt(spread)),
+            samples: n
+        };
+    }
+}
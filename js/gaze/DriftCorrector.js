@@ -0,0 +1,240 @@
+/**
+ * DriftCorrector.js
+ * Learns how far the gaze has drifted from the text, assuming fixations during reading fall on text lines.
+ *
+ * Works in reading coordinates (utils/ReadingDirection.js), so the same rules hold for vertical text:
+ *   across  each fixation near a line is paired with the nearest line's centre. The line the typewriter is on
+ *           (fix.lineIndex) only wins when it is within half a line pitch: readers reread lines above and lag
+ *           behind the reveal, and pulling those fixations to the reveal line would teach a false offset. The running offset follows
+ *           the residual (exponential average); with fitScale, a linear fit over the recent pairs also
+ *           corrects gaze that is compressed / stretched across lines (target = scale * raw + offset).
+ *   along   fixations past the start or end of their line pull the offset back towards the line.
+ * Fixations further than maxSnapPx from every line (a glance away) teach nothing.
+ *
+ * apply(x, y) -> corrected screen point. GazeDataManager corrects every sample before it is hit-tested,
+ * and logs params() as 'drift_correction' events. realignFixations() does the same offline
+ * on a recorded session's fixations and layouts.
+ */
+import { ReadingDirection } from "../utils/ReadingDirection.js";
+import { StaticLayoutProvider } from "./LayoutProvider.js";
+
+const DEFAULT_DRIFT_OPTIONS = {
+    rate: 0.2,            // Share of each residual taken into the offset
+    minFixationMs: 100,   // Shorter fixations are too noisy to learn from
+    maxSnapPx: 80,        // A fixation further than this from every line is not reading
+    maxOffsetPx: 200,     // Offsets never grow beyond this (a runaway fit is worse than none)
+    fitScale: false,      // Also fit a linear scale across lines
+    window: 30,           // Recent pairs kept for the scale fit
+    minPairs: 8,          // Pairs needed before fitting a scale
+    minSpreadPx: 100,     // The pairs must span at least this much across lines
+    minScale: 0.8,
+    maxScale: 1.25
+};
+
+export class DriftCorrector {
+    /**
+     * @param {Object} options - DEFAULT_DRIFT_OPTIONS overrides, plus enabled (default true)
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_DRIFT_OPTIONS, ...options };
+        this.enabled = options.enabled !== false;
+        this.reset();
+    }
+
+    reset(direction = "ltr") {
+        this.direction = direction;
+        this.scale = 1;         // across: corrected = scale * raw + offsetAcross
+        this.offsetAcross = 0;
+        this.offsetAlong = 0;   // along:  corrected = raw + offsetAlong
+        this.pairs = [];        // [{ raw, target }] across positions
+        this.updates = 0;
+    }
+
+    // A new reading direction (chapter change) invalidates what was learned
+    setDirection(direction) {
+        if (direction !== this.direction) this.reset(direction);
+    }
+
+    /**
+     * Raw screen point -> drift-corrected screen point.
+     */
+    apply(x, y) {
+        if (!this.enabled || typeof x !== "number" || typeof y !== "number") return { x, y };
+        const dir = this.direction;
+        const along = ReadingDirection.along(x, y, dir) + this.offsetAlong;
+        const across = this.scale * ReadingDirection.across(x, y, dir) + this.offsetAcross;
+        return ReadingDirection.toScreen(along, across, dir);
+    }
+
+    /**
+     * Learn from one fixation against the lines it was made on.
+     * @param {Object} fix - { x, y, duration, lineIndex? } raw centroid (lineIndex = line being revealed)
+     * @param {Array} lines - renderer.lines (or serialized lines) of the fixation's paragraph
+     * @returns {boolean} true if the parameters changed
+     */
+    learn(fix, lines) {
+        if (!this.enabled || !fix || !Array.isArray(lines) || lines.length === 0) return false;
+        if (typeof fix.x !== "number" || typeof fix.y !== "number") return false;
+        if ((fix.duration || 0) < this.options.minFixationMs) return false;
+
+        const o = this.options;
+        const dir = this.direction;
+        const rawAcross = ReadingDirection.across(fix.x, fix.y, dir);
+        const corrected = this.apply(fix.x, fix.y);
+        const across = ReadingDirection.across(corrected.x, corrected.y, dir);
+        const along = ReadingDirection.along(corrected.x, corrected.y, dir);
+
+        // The nearest line (after the current correction); the line being revealed only if it is
+        // just as plausible - within half a line pitch
+        const distance = (l) => Math.abs(ReadingDirection.span(l.rect, dir, "across").center - across);
+        let line = null;
+        let best = Infinity;
+        lines.forEach(l => {
+            if (!l || !l.rect) return;
+            const d = distance(l);
+            if (d < best) { best = d; line = l; }
+        });
+        const expected = typeof fix.lineIndex === "number" ? lines[fix.lineIndex] : null;
+        if (expected && expected.rect && expected !== line && distance(expected) <= linePitch(lines, dir) / 2) {
+            line = expected;
+            best = distance(expected);
+        }
+        if (!line || best > o.maxSnapPx) return false;
+
+        // Across: follow the residual to the line centre
+        const target = ReadingDirection.span(line.rect, dir, "across").center;
+        this.pairs.push({ raw: rawAcross, target });
+        if (this.pairs.length > o.window) this.pairs.shift();
+        this.offsetAcross += o.rate * (target - across);
+        if (o.fitScale) this._fitScale();
+        this.offsetAcross = clamp(this.offsetAcross, -o.maxOffsetPx, o.maxOffsetPx);
+
+        // Along: only fixations outside the line say anything about horizontal drift
+        const extent = ReadingDirection.span(line.rect, dir, "along");
+        const outside = along < extent.start ? extent.start - along : (along > extent.end ? extent.end - along : 0);
+        if (outside !== 0) this.offsetAlong = clamp(this.offsetAlong + o.rate * outside, -o.maxOffsetPx, o.maxOffsetPx);
+
+        this.updates++;
+        return true;
+    }
+
+    /**
+     * Pull the correction towards a known target for this fixation (implicit calibration, gaze/ImplicitCalibrator.js).
+     * @param {Object} fix - { x, y } raw
+     * @param {Object} target - { x, y } screen point the reader was looking at
+     * @param {number} rate - share of the residual taken (default options.rate)
+     */
+    anchor(fix, target, rate = this.options.rate) {
+        if (!this.enabled) return false;
+        const dir = this.direction;
+        const corrected = this.apply(fix.x, fix.y);
+        const o = this.options;
+        this.offsetAlong = clamp(this.offsetAlong + rate * (ReadingDirection.along(target.x, target.y, dir) - ReadingDirection.along(corrected.x, corrected.y, dir)), -o.maxOffsetPx, o.maxOffsetPx);
+        this.offsetAcross = clamp(this.offsetAcross + rate * (ReadingDirection.across(target.x, target.y, dir) - ReadingDirection.across(corrected.x, corrected.y, dir)), -o.maxOffsetPx, o.maxOffsetPx);
+        this.updates++;
+        return true;
+    }
+
+    /**
+     * Move every corrected point by a screen offset (a measured error: pass -dx, -dy).
+     */
+    shift(dx, dy) {
+        const o = this.options;
+        this.offsetAlong = clamp(this.offsetAlong + ReadingDirection.along(dx, dy, this.direction), -o.maxOffsetPx, o.maxOffsetPx);
+        this.offsetAcross = clamp(this.offsetAcross + ReadingDirection.across(dx, dy, this.direction), -o.maxOffsetPx, o.maxOffsetPx);
+        this.pairs = []; // Pairs from before the shift would pull the scale fit back
+        this.updates++;
+    }
+
+    // Least squares target = scale * raw + offset over the recent pairs, once they span enough lines
+    _fitScale() {
+        const o = this.options;
+        const n = this.pairs.length;
+        if (n < o.minPairs) return;
+        const raws = this.pairs.map(p => p.raw);
+        if (Math.max(...raws) - Math.min(...raws) < o.minSpreadPx) return;
+
+        const meanRaw = raws.reduce((s, v) => s + v, 0) / n;
+        const meanTarget = this.pairs.reduce((s, p) => s + p.target, 0) / n;
+        let cov = 0, varRaw = 0;
+        this.pairs.forEach(p => {
+            cov += (p.raw - meanRaw) * (p.target - meanTarget);
+            varRaw += (p.raw - meanRaw) ** 2;
+        });
+        if (varRaw === 0) return;
+        this.scale = clamp(cov / varRaw, o.minScale, o.maxScale);
+        this.offsetAcross = meanTarget - this.scale * meanRaw;
+    }
+
+    /**
+     * Current correction, for logs: offsets in reading coordinates and as a screen shift.
+     * offsetX / offsetY = what is added to a raw point on the middle line of the recent pairs.
+     */
+    params() {
+        const ref = this.pairs.length > 0 ? this.pairs.reduce((s, p) => s + p.raw, 0) / this.pairs.length : 0;
+        const shiftAcross = (this.scale - 1) * ref + this.offsetAcross;
+        const shift = ReadingDirection.toScreen(this.offsetAlong, shiftAcross, this.direction);
+        return {
+            direction: this.direction,
+            scale: round(this.scale, 3),
+            offsetAcross: round(this.offsetAcross, 1),
+            offsetAlong: round(this.offsetAlong, 1),
+            offsetX: round(shift.x, 1),
+            offsetY: round(shift.y, 1),
+            updates: this.updates
+        };
+    }
+}
+
+/**
+ * Offline re-alignment: runs a fresh corrector over recorded fixations in time order and re-maps
+ * each one to a word with its paragraph's layout.
+ * @param {Array} fixations - [{ x, y, duration, paraIndex, start, tracking? }]
+ * @param {Object} layouts - GazeDataManager.layoutLog (or a session's layouts)
+ * @param {Object} options - DEFAULT_DRIFT_OPTIONS overrides
+ * @returns {Object} { fixations: copies with cx, cy, wordIndex, hitLineIndex, trace: [{ t, ...params }], params }
+ */
+export function realignFixations(fixations, layouts, options = {}) {
+    const corrector = new DriftCorrector(options);
+    const layout = new StaticLayoutProvider(layouts);
+    const trace = [];
+
+    const result = (fixations || []).slice().sort((a, b) => a.start - b.start).map(f => {
+        const fix = { ...f, wordIndex: null, hitLineIndex: null };
+        if (typeof fix.paraIndex === "number") layout.setParagraph(fix.paraIndex);
+        corrector.setDirection(layout.getDirection());
+
+        // Fixations flagged as badly tracked (GazeDataManager) are mapped but not learned from
+        if (fix.tracking !== "degraded" && corrector.learn(fix, layout.getLines())) trace.push({ t: fix.start, ...corrector.params() });
+        const c = corrector.apply(fix.x, fix.y);
+        fix.cx = c.x;
+        fix.cy = c.y;
+        const hit = layout.hitTest(c.x, c.y);
+        if (hit) {
+            fix.hitLineIndex = hit.line ? hit.line.index : null;
+            if (hit.type === "word" && hit.word) fix.wordIndex = hit.word.index;
+        }
+        return fix;
+    });
+
+    return { fixations: result, trace, params: corrector.params() };
+}
+
+// Median distance between neighbouring line centres (across); Infinity for a single line
+function linePitch(lines, dir) {
+    const centers = lines.filter(l => l && l.rect).map(l => ReadingDirection.span(l.rect, dir, "across").center).sort((a, b) => a - b);
+    const gaps = [];
+    for (let i = 1; i < centers.length; i++) gaps.push(centers[i] - centers[i - 1]);
+    if (gaps.length === 0) return Infinity;
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)];
+}
+
+function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+}
+
+function round(v, digits) {
+    const f = 10 ** digits;
+    return Math.round(v * f) / f;
+}
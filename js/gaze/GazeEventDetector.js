@@ -0,0 +1,258 @@
+/**
+ * GazeEventDetector.js
+ * Groups gaze samples into fixations and saccades without relying on the SDK's eyemovementState
+ * (which is missing on many frames).
+ *
+ * Algorithms:
+ *  - 'ivt' (Velocity-Threshold): a sample is part of a fixation when its point-to-point velocity
+ *    is below velocityThreshold (px/ms).
+ *  - 'idt' (Dispersion-Threshold): a window of at least minFixationMs whose dispersion
+ *    ((maxX - minX) + (maxY - minY)) stays under dispersionThreshold (px) is a fixation.
+ *
+ * Usage:
+ *  - Incremental: push(sample) per frame -> returns events closed by that sample. flush() at the end.
+ *  - Batch: GazeEventDetector.detect(samples, options) -> { fixations, saccades }
+ *
+ * Events:
+ *  fixation: { type, start, end, duration, x, y, dispersion, sampleCount, startIndex, endIndex, paraIndex, lineIndex }
+ *  saccade:  { type, start, end, duration, startX, startY, endX, endY, amplitude, peakVelocity, direction, sampleCount }
+ *  (times in ms on the sample timeline, direction in degrees: 0 = right, 180 = left, 90 = down)
+ */
+
+export const DEFAULT_EVENT_OPTIONS = {
+    algorithm: 'ivt',
+    velocityThreshold: 1.0,    // px/ms (I-VT). Webcam jitter at 30Hz sits well below this.
+    dispersionThreshold: 100,  // px (I-DT)
+    minFixationMs: 80,         // Shorter "fixations" are dropped
+    maxGapMs: 150,             // A larger hole in the stream (tracking loss) ends the current event
+    useSmoothed: false         // Read gx/gy instead of x/y (batch after preprocessData)
+};
+
+export class GazeEventDetector {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_EVENT_OPTIONS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.index = 0;         // Running sample index (position in the pushed stream)
+        this.prev = null;       // Previous valid point (I-VT velocity)
+        this.group = null;      // Open run of equally-labelled points
+        this.window = [];       // I-DT candidate window
+        this.inFixation = false;
+        this.lastFixationEnd = null;
+        this.out = [];
+    }
+
+    _point(sample) {
+        const useSmoothed = this.options.useSmoothed && typeof sample.gx === 'number' && typeof sample.gy === 'number';
+        const x = useSmoothed ? sample.gx : sample.x;
+        const y = useSmoothed ? sample.gy : sample.y;
+        if (typeof x !== 'number' || typeof y !== 'number' || isNaN(x) || isNaN(y)) return null;
+        return {
+            t: sample.t, x, y,
+            index: this.index,
+            paraIndex: sample.paraIndex,
+            lineIndex: sample.lineIndex
+        };
+    }
+
+    /**
+     * Feed one sample ({ t, x, y } or a GazeDataManager entry).
+     * @returns {Array} events completed by this sample (possibly empty)
+     */
+    push(sample) {
+        this.out = [];
+        const p = this._point(sample);
+        this.index++;
+        if (!p) return this.out;
+
+        // Tracking gap: close whatever is open, start fresh
+        const last = this.options.algorithm === 'idt'
+            ? (this.window.length ? this.window[this.window.length - 1] : null)
+            : this.prev;
+        if (last && (p.t - last.t) > this.options.maxGapMs) {
+            this._finish();
+        }
+
+        if (this.options.algorithm === 'idt') this._pushIDT(p);
+        else this._pushIVT(p);
+
+        return this.out;
+    }
+
+    /**
+     * Close the open event (end of stream / paragraph).
+     * @returns {Array} events completed by flushing
+     */
+    flush() {
+        this.out = [];
+        this._finish();
+        return this.out;
+    }
+
+    _finish() {
+        if (this.options.algorithm === 'idt') {
+            if (this.inFixation) this._emitFixationWindow(this.window);
+            else this.window.forEach(q => this._label(q, 'saccade'));
+            this.window = [];
+            this.inFixation = false;
+        }
+        this._closeGroup(null);
+        this.prev = null;
+    }
+
+    // --- I-VT ---
+    _pushIVT(p) {
+        let label = 'fixation';
+        if (this.prev) {
+            const dt = p.t - this.prev.t;
+            p.v = dt > 0 ? Math.hypot(p.x - this.prev.x, p.y - this.prev.y) / dt : 0;
+            if (p.v >= this.options.velocityThreshold) label = 'saccade';
+        }
+        this.prev = p;
+        this._label(p, label);
+    }
+
+    // --- I-DT ---
+    _pushIDT(p) {
+        const prev = this.window.length ? this.window[this.window.length - 1] : null;
+        if (prev) {
+            const dt = p.t - prev.t;
+            p.v = dt > 0 ? Math.hypot(p.x - prev.x, p.y - prev.y) / dt : 0;
+        }
+        this.window.push(p);
+
+        const { dispersionThreshold, minFixationMs } = this.options;
+
+        if (this.inFixation) {
+            if (dispersion(this.window) <= dispersionThreshold) return;
+            // Window broke: everything before p was the fixation
+            this._emitFixationWindow(this.window.slice(0, -1));
+            this.window = [p];
+            this.inFixation = false;
+            return;
+        }
+
+        // Not yet in a fixation: slide the window until it qualifies
+        while (this.window.length > 1 && (p.t - this.window[0].t) >= minFixationMs) {
+            if (dispersion(this.window) <= dispersionThreshold) {
+                this.inFixation = true;
+                return;
+            }
+            this._label(this.window.shift(), 'saccade');
+        }
+    }
+
+    // Each I-DT window is its own fixation, even when two of them touch
+    _emitFixationWindow(points) {
+        if (points.length === 0) return;
+        this._closeGroup(points[0]);
+        // Back-to-back fixations: the jump between them is a saccade without samples of its own
+        if (this.lastFixationEnd && this.lastFixationEnd.index === points[0].index - 1) {
+            this._pushSaccade(this.lastFixationEnd, points[0], []);
+        }
+        points.forEach(q => this._label(q, 'fixation'));
+        this._closeGroup(null);
+    }
+
+    // --- Grouping of labelled points into events ---
+    _label(p, label) {
+        if (this.group && this.group.label !== label) {
+            this._closeGroup(p);
+        }
+        if (!this.group) this.group = { label, points: [] };
+        this.group.points.push(p);
+    }
+
+    /**
+     * @param {Object|null} next - first point of the following group (end point of a saccade)
+     */
+    _closeGroup(next) {
+        const group = this.group;
+        this.group = null;
+        if (!group || group.points.length === 0) return;
+
+        const pts = group.points;
+        const first = pts[0];
+        const last = pts[pts.length - 1];
+
+        if (group.label === 'fixation') {
+            const duration = last.t - first.t;
+            if (duration < this.options.minFixationMs) return;
+
+            let sx = 0, sy = 0;
+            pts.forEach(q => { sx += q.x; sy += q.y; });
+            this.out.push({
+                type: 'fixation',
+                start: first.t,
+                end: last.t,
+                duration,
+                x: sx / pts.length,
+                y: sy / pts.length,
+                dispersion: dispersion(pts),
+                sampleCount: pts.length,
+                startIndex: first.index,
+                endIndex: last.index,
+                paraIndex: first.paraIndex,
+                lineIndex: first.lineIndex
+            });
+            this.lastFixationEnd = last;
+        } else {
+            // A saccade runs from the last fixation sample before it to the first one after it
+            const from = this.lastFixationEnd && this.lastFixationEnd.index === first.index - 1 ? this.lastFixationEnd : first;
+            this._pushSaccade(from, next || last, pts);
+        }
+    }
+
+    _pushSaccade(from, to, pts) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        let peakVelocity = 0;
+        pts.concat([to]).forEach(q => { if (typeof q.v === 'number' && q.v > peakVelocity) peakVelocity = q.v; });
+
+        this.out.push({
+            type: 'saccade',
+            start: from.t,
+            end: to.t,
+            duration: to.t - from.t,
+            startX: from.x,
+            startY: from.y,
+            endX: to.x,
+            endY: to.y,
+            amplitude: Math.hypot(dx, dy),
+            peakVelocity,
+            direction: Math.atan2(dy, dx) * 180 / Math.PI,
+            sampleCount: pts.length,
+            paraIndex: from.paraIndex,
+            lineIndex: from.lineIndex
+        });
+    }
+
+    /**
+     * Batch detection over a full sample array.
+     */
+    static detect(samples, options = {}) {
+        const detector = new GazeEventDetector(options);
+        const events = [];
+        (samples || []).forEach(s => {
+            detector.push(s).forEach(e => events.push(e));
+        });
+        detector.flush().forEach(e => events.push(e));
+        return {
+            fixations: events.filter(e => e.type === 'fixation'),
+            saccades: events.filter(e => e.type === 'saccade')
+        };
+    }
+}
+
+function dispersion(points) {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    points.forEach(q => {
+        if (q.x < minX) minX = q.x;
+        if (q.x > maxX) maxX = q.x;
+        if (q.y < minY) minY = q.y;
+        if (q.y > maxY) maxY = q.y;
+    });
+    return (maxX - minX) + (maxY - minY);
+}
@@ -0,0 +1,89 @@
+/**
+ * GazeSource.js
+ *
+ * Base class for anything that can feed gaze samples into the game.
+ * The reading loop (Game.onGaze -> GazeDataManager.processGaze) only talks to this interface,
+ * so it can run against SeeSo, the mouse, a recorded session or a scripted reader.
+ *
+ * Samples are emitted in the SeeSo gazeInfo shape:
+ *   { x, y, timestamp, trackingState, confidence, eyemovementState, fixationX, fixationY }
+ *
+ * Calibration events are emitted as:
+ *   { type: 'nextPoint', x, y } | { type: 'progress', progress } | { type: 'finish', data }
+ */
+export const TRACKING_STATE_SUCCESS = 0;
+export const TRACKING_STATE_FACE_MISSING = 3; // SeeSo TrackingState.FACE_MISSING
+
+export class GazeSource {
+    constructor(options = {}) {
+        this.options = options;
+        this.name = "base";
+        this.calibrates = false; // true = a real tracker, whose calibration can be validated
+        this.running = false;
+        this.sampleListeners = [];
+        this.calibrationListeners = [];
+    }
+
+    /**
+     * Subscribe to gaze samples. Returns an unsubscribe function.
+     */
+    onSample(callback) {
+        this.sampleListeners.push(callback);
+        return () => {
+            this.sampleListeners = this.sampleListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Subscribe to calibration events. Returns an unsubscribe function.
+     */
+    onCalibration(callback) {
+        this.calibrationListeners.push(callback);
+        return () => {
+            this.calibrationListeners = this.calibrationListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    async start() {
+        this.running = true;
+        return true;
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Sources without a real tracker have nothing to calibrate.
+     * We report an immediate finish so the game flow continues as usual.
+     */
+    startCalibration() {
+        setTimeout(() => this._emitCalibration({ type: 'finish', data: null }), 0);
+        return true;
+    }
+
+    startCollectSamples() {
+        // No-op for non-SDK sources
+    }
+
+    _emitSample(gazeInfo) {
+        if (!this.running) return;
+        this.sampleListeners.forEach(cb => {
+            try {
+                cb(gazeInfo);
+            } catch (e) {
+                console.error(`[GazeSource:${this.name}] Sample listener failed`, e);
+            }
+        });
+    }
+
+    _emitCalibration(event) {
+        this.calibrationListeners.forEach(cb => {
+            try {
+                cb(event);
+            } catch (e) {
+                console.error(`[GazeSource:${this.name}] Calibration listener failed`, e);
+            }
+        });
+    }
+}
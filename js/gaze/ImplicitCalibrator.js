@@ -0,0 +1,126 @@
+/**
+ * ImplicitCalibrator.js
+ * Keeps the calibration honest during long chapters, without interrupting the reader.
+ *
+ * The Typewriter shows exactly where fresh text appears (TextRendererV2.updateCursor emits 'cursor_moved'),
+ * and readers almost always look there. A fixation that starts shortly after a word appeared is paired
+ * with that word's centre:
+ *   - the residual (word centre - corrected fixation) nudges the drift correction (DriftCorrector.anchor)
+ *   - the median residual over the recent pairs is the running error estimate
+ * Only when that estimate stays above maxErrorPx does it ask for a quick "look at the orb" check
+ * (GazeDataManager -> layout provider -> Game.startOrbRecalibration), at most once per cooldownMs.
+ */
+
+const DEFAULT_IMPLICIT_OPTIONS = {
+    enabled: true,
+    minLagMs: 100,       // A fixation pairs with text that appeared between maxLagMs and minLagMs before it started
+    maxLagMs: 800,
+    minFixationMs: 150,
+    maxPairPx: 300,      // Further from the fresh text = reading somewhere else, not a pair
+    rate: 0.1,           // Share of each residual fed into the drift correction
+    window: 12,          // Recent pairs behind the error estimate
+    minPairs: 8,
+    maxErrorPx: 110,     // Median residual above this -> ask for a recalibration
+    cooldownMs: 60000,   // Between two recalibration requests
+    maxReveals: 30       // Revealed words remembered
+};
+
+export class ImplicitCalibrator {
+    /**
+     * @param {DriftCorrector} corrector - correction model the pairs feed into
+     * @param {Object} options - DEFAULT_IMPLICIT_OPTIONS overrides
+     */
+    constructor(corrector, options = {}) {
+        this.corrector = corrector;
+        this.options = { ...DEFAULT_IMPLICIT_OPTIONS, ...options };
+        this.reveals = [];  // [{ t, x, y, lineIndex, wordIndex }] on the sample timeline
+        this.pairs = [];    // [{ t, dx, dy, dist }] target - corrected fixation
+        this.lastRequest = null;
+        this.recalibrations = 0;
+    }
+
+    /**
+     * Fresh text appeared (word centre, t on the gaze sample timeline).
+     */
+    noteReveal(reveal) {
+        if (!this.options.enabled || !reveal || typeof reveal.x !== "number" || typeof reveal.y !== "number") return;
+        this.reveals.push(reveal);
+        if (this.reveals.length > this.options.maxReveals) this.reveals.shift();
+    }
+
+    /**
+     * A fixation was detected.
+     * @param {Object} fix - { start, duration, x, y } raw centroid
+     * @returns {Object|null} { target, dist, error, recalibrate } when it was paired
+     */
+    noteFixation(fix) {
+        const o = this.options;
+        if (!o.enabled || !fix || (fix.duration || 0) < o.minFixationMs) return null;
+
+        const target = this._targetFor(fix.start);
+        if (!target) return null;
+
+        const corrected = this.corrector.apply(fix.x, fix.y);
+        const dx = target.x - corrected.x;
+        const dy = target.y - corrected.y;
+        const dist = Math.hypot(dx, dy);
+        if (dist > o.maxPairPx) return null;
+
+        this.pairs.push({ t: fix.start, dx, dy, dist });
+        if (this.pairs.length > o.window) this.pairs.shift();
+        this.corrector.anchor(fix, target, o.rate);
+
+        const error = this.error();
+        const cooledDown = this.lastRequest === null || fix.start - this.lastRequest >= o.cooldownMs;
+        const recalibrate = error !== null && error > o.maxErrorPx && cooledDown;
+        if (recalibrate) this.lastRequest = fix.start;
+        return { target, dist: Math.round(dist), error, recalibrate };
+    }
+
+    /**
+     * Median residual (px) of the recent pairs, null until there are minPairs.
+     */
+    error() {
+        if (this.pairs.length < this.options.minPairs) return null;
+        const dists = this.pairs.map(p => p.dist).sort((a, b) => a - b);
+        const mid = Math.floor(dists.length / 2);
+        return Math.round(dists.length % 2 ? dists[mid] : (dists[mid - 1] + dists[mid]) / 2);
+    }
+
+    /**
+     * An explicit check measured the remaining error: move the correction by it and start a new estimate.
+     * @param {number} dx - mean gaze minus target (px)
+     * @param {number} dy
+     */
+    recalibrated(dx, dy) {
+        this.corrector.shift(-dx, -dy);
+        this.pairs = [];
+        this.recalibrations++;
+    }
+
+    /**
+     * New calibration: the pairs measured the old one.
+     */
+    reset() {
+        this.pairs = [];
+    }
+
+    status() {
+        return { error: this.error(), pairs: this.pairs.length, recalibrations: this.recalibrations, lastRequest: this.lastRequest };
+    }
+
+    // Words revealed in [start - maxLagMs, start - minLagMs]; the chunk's centre on the latest word's line
+    _targetFor(start) {
+        const o = this.options;
+        const recent = this.reveals.filter(r => r.t >= start - o.maxLagMs && r.t <= start - o.minLagMs);
+        if (recent.length === 0) return null;
+        const latest = recent[recent.length - 1];
+        const sameLine = recent.filter(r => r.lineIndex === latest.lineIndex);
+        return {
+            x: sameLine.reduce((s, r) => s + r.x, 0) / sameLine.length,
+            y: sameLine.reduce((s, r) => s + r.y, 0) / sameLine.length,
+            lineIndex: latest.lineIndex,
+            wordIndex: latest.wordIndex
+        };
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * LayoutProvider.js
+ * What GazeDataManager needs to know about the rendered text, and the hooks it calls back into.
+ *
+ * Interface:
+ *   getLines()                  -> renderer.lines of the current paragraph (or null)
+ *   getLanguage()               -> language of the text ('en', 'ko'... see utils/Language.js)
+ *   getDirection()              -> reading direction ('ltr' | 'rtl' | 'vertical-rl', see utils/ReadingDirection.js)
+ *   getParagraphIndex()         -> paragraph the layout belongs to
+ *   hitTest(x, y)               -> { type: 'word' | 'line', word, line } like TextRendererV2.hitTest (or null)
+ *   isReading()                 -> true while the reading screen is active
+ *   triggerReturnEffect(line)   -> visual Pang on the finished line
+ *   onWPMUpdate(wpm)            -> HUD refresh after a WPM change
+ *   requestRecalibration(info)  -> the implicit calibration error grew too large (quick in-game check)
+ */
+import { ReadingDirection } from "../utils/ReadingDirection.js";
+
+/**
+ * Live game: reads window.Game.typewriter.renderer and the DOM.
+ */
+export class RendererLayoutProvider {
+    _typewriter() {
+        return (typeof window !== "undefined" && window.Game && window.Game.typewriter) || null;
+    }
+
+    getLines() {
+        const tw = this._typewriter();
+        return (tw && tw.renderer) ? tw.renderer.lines : null;
+    }
+
+    getLanguage() {
+        const tw = this._typewriter();
+        return (tw && tw.renderer && tw.renderer.lang) || "en";
+    }
+
+    getDirection() {
+        const tw = this._typewriter();
+        return (tw && tw.renderer && tw.renderer.direction) || "ltr";
+    }
+
+    getParagraphIndex() {
+        const tw = this._typewriter();
+        return tw ? tw.currentParaIndex : null;
+    }
+
+    hitTest(x, y) {
+        const tw = this._typewriter();
+        if (!tw || !tw.renderer || typeof tw.renderer.hitTest !== 'function') return null;
+        return tw.renderer.hitTest(x, y);
+    }
+
+    isReading() {
+        if (typeof document === "undefined") return false;
+        const readScreen = document.getElementById('screen-read');
+        return !!(readScreen && readScreen.classList.contains('active'));
+    }
+
+    triggerReturnEffect(lineIndex) {
+        const tw = this._typewriter();
+        if (tw && tw.renderer && typeof tw.renderer.triggerReturnEffect === 'function') {
+            tw.renderer.triggerReturnEffect(lineIndex);
+        }
+    }
+
+    onWPMUpdate() {
+        const tw = this._typewriter();
+        if (tw && typeof tw.updateWPM === 'function') {
+            tw.updateWPM();
+        }
+    }
+
+    requestRecalibration(info) {
+        const game = typeof window !== "undefined" ? window.Game : null;
+        if (game && typeof game.startOrbRecalibration === 'function') game.startOrbRecalibration(info);
+    }
+}
+
+/**
+ * Offline: serialized layout, no DOM and no effects.
+ * Accepts a single layout, or an object keyed by paraIndex ({ "0": ..., "1": ... }).
+ * A layout is either a lines array or { lines, words, lang, direction } (words enable word-level hitTest).
+ */
+export class StaticLayoutProvider {
+    constructor(layouts) {
+        const single = Array.isArray(layouts) || (layouts && Array.isArray(layouts.lines));
+        this.layoutsByPara = single ? { 0: layouts } : (layouts || {});
+        this.paraIndex = 0;
+    }
+
+    setParagraph(paraIndex) {
+        this.paraIndex = paraIndex;
+    }
+
+    _layout() {
+        // A single layout serves every paragraph (e.g. a one-paragraph recording)
+        const keys = Object.keys(this.layoutsByPara);
+        const layout = keys.length === 1 ? this.layoutsByPara[keys[0]] : this.layoutsByPara[this.paraIndex];
+        if (!layout) return null;
+        return Array.isArray(layout) ? { lines: layout, words: null } : layout;
+    }
+
+    getLines() {
+        const layout = this._layout();
+        return layout ? layout.lines : null;
+    }
+
+    getLanguage() {
+        const layout = this._layout();
+        return (layout && layout.lang) || "en";
+    }
+
+    getDirection() {
+        const layout = this._layout();
+        return (layout && layout.direction) || "ltr";
+    }
+
+    getParagraphIndex() {
+        return this.paraIndex;
+    }
+
+    hitTest(x, y) {
+        const layout = this._layout();
+        return layout ? hitTestLayout(layout.lines, layout.words, x, y, layout.direction) : null;
+    }
+
+    isReading() {
+        return false;
+    }
+
+    triggerReturnEffect() { }
+
+    onWPMUpdate() { }
+
+    requestRecalibration() { }
+}
+
+/**
+ * Same rules as TextRendererV2.hitTest, on serialized lines/words.
+ * Vertical text: lines are columns, so the line is found by X and the word by Y.
+ * options.snap = false: gaze outside every line's band is no hit (instead of the nearest line).
+ */
+export function hitTestLayout(lines, words, gx, gy, direction = "ltr", options = {}) {
+    if (!Array.isArray(lines) || lines.length === 0) return null;
+
+    const vertical = ReadingDirection.get(direction).vertical;
+    const [lineLo, lineHi, lineGaze] = vertical ? ["left", "right", gx] : ["top", "bottom", gy];
+    const [wordLo, wordHi, wordGaze] = vertical ? ["top", "bottom", gy] : ["left", "right", gx];
+
+    const LINE_PADDING = 30;
+    let line = lines.find(l => l.rect && lineGaze >= (l.rect[lineLo] - LINE_PADDING) && lineGaze <= (l.rect[lineHi] + LINE_PADDING));
+
+    // Snap to nearest line
+    if (!line && options.snap !== false) {
+        let minDist = Infinity;
+        lines.forEach(l => {
+            const center = vertical ? (l.rect ? (l.rect.left + l.rect.right) / 2 : Infinity) : l.visualY;
+            const dist = Math.abs(center - lineGaze);
+            if (dist < minDist) {
+                minDist = dist;
+                line = l;
+            }
+        });
+    }
+    if (!line) return null;
+
+    if (Array.isArray(words)) {
+        const WORD_PADDING = 15;
+        const wordIndex = line.wordIndices.find(idx => {
+            const w = words[idx];
+            return w && w.rect && wordGaze >= (w.rect[wordLo] - WORD_PADDING) && wordGaze <= (w.rect[wordHi] + WORD_PADDING);
+        });
+        if (wordIndex !== undefined) return { type: 'word', word: words[wordIndex], line };
+    }
+
+    return { type: 'line', line };
+}
+
+function serializeRect(rect) {
+    return rect ? {
+        left: rect.left,
+        right: rect.right,
+        top: rect.top,
+        bottom: rect.bottom,
+        width: rect.width,
+        height: rect.height
+    } : null;
+}
+
+/**
+ * Strips renderer.lines down to plain JSON (no DOM elements) so it can be stored with a session.
+ */
+export function serializeLines(lines) {
+    if (!Array.isArray(lines)) return [];
+    return lines.map(line => ({
+        index: line.index,
+        startIndex: line.startIndex,
+        endIndex: line.endIndex,
+        wordIndices: Array.isArray(line.wordIndices) ? line.wordIndices.slice() : [],
+        chars: line.chars || 0,
+        visualY: line.visualY,
+        rect: serializeRect(line.rect)
+    }));
+}
+
+/**
+ * Strips renderer.words down to plain JSON (index, text, line, rect, rune id).
+ */
+export function serializeWords(words) {
+    if (!Array.isArray(words)) return [];
+    return words.map(w => ({
+        index: w.index,
+        text: w.text,
+        lineIndex: w.lineIndex,
+        runeId: w.runeId || null,
+        rect: serializeRect(w.rect)
+    }));
+}
@@ -0,0 +1,58 @@
+/**
+ * MouseGazeSource.js
+ * Uses the pointer as gaze. Lets us play through the reading loop without a webcam.
+ */
+import { GazeSource, TRACKING_STATE_SUCCESS } from "./GazeSource.js";
+
+export class MouseGazeSource extends GazeSource {
+    /**
+     * @param {Object} options - { sampleRate: Hz (default 30), target: EventTarget (default window) }
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = "mouse";
+        this.sampleRate = options.sampleRate || 30;
+        this.target = options.target || window;
+        this.pointer = null;
+        this.timer = null;
+
+        this.handleMove = this.handleMove.bind(this);
+    }
+
+    handleMove(e) {
+        const p = (e.touches && e.touches[0]) ? e.touches[0] : e;
+        this.pointer = { x: p.clientX, y: p.clientY };
+    }
+
+    async start() {
+        if (this.running) return true;
+        this.running = true;
+
+        this.target.addEventListener("mousemove", this.handleMove);
+        this.target.addEventListener("touchmove", this.handleMove, { passive: true });
+
+        // Emit at a fixed rate like a real tracker (even when the pointer is still = fixation)
+        this.timer = setInterval(() => {
+            if (!this.pointer) return;
+            this._emitSample({
+                x: this.pointer.x,
+                y: this.pointer.y,
+                timestamp: Date.now(),
+                trackingState: TRACKING_STATE_SUCCESS,
+                confidence: 1
+            });
+        }, 1000 / this.sampleRate);
+
+        return true;
+    }
+
+    stop() {
+        this.running = false;
+        this.target.removeEventListener("mousemove", this.handleMove);
+        this.target.removeEventListener("touchmove", this.handleMove);
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * RegressionDetector.js
+ * Finds backward eye movements in the stream of word-mapped fixations.
+ *
+ *  - within-line: the eyes jump left to an earlier word on the same line
+ *  - inter-line:  the eyes jump up to an earlier line
+ *
+ * Return sweeps (end of line N -> start of line N+1) move forward in word order, so they never count.
+ * Every word fixated while the reader is behind their furthest word is a re-read.
+ */
+export class RegressionDetector {
+    /**
+     * @param {Object} options - { minWords: smallest backward jump that counts (default 1) }
+     */
+    constructor(options = {}) {
+        this.minWords = options.minWords || 1;
+        this.reset();
+    }
+
+    // Call at each new paragraph (word indices restart)
+    reset() {
+        this.prev = null;          // Previous word-mapped fixation
+        this.maxWordIndex = -1;    // Furthest word reached in this paragraph
+        this.inPass = false;       // Re-reading after a regression
+        this.passWords = new Set(); // Words already counted in the current pass
+    }
+
+    /**
+     * @param {Object} fix - fixation with wordIndex / hitLineIndex (see GazeDataManager._mapFixation)
+     * @returns {Object} { regression: event | null, reread: boolean }
+     */
+    push(fix) {
+        const result = { regression: null, reread: false };
+        if (typeof fix.wordIndex !== 'number') return result;
+
+        const line = typeof fix.hitLineIndex === 'number' ? fix.hitLineIndex : fix.lineIndex;
+        const prev = this.prev;
+
+        if (prev && fix.wordIndex < prev.wordIndex) {
+            const length = prev.wordIndex - fix.wordIndex;
+            const sameLine = line === prev.line;
+            const isInterLine = typeof line === 'number' && typeof prev.line === 'number' && line < prev.line;
+
+            if (length >= this.minWords && (sameLine || isInterLine)) {
+                result.regression = {
+                    type: sameLine ? 'within-line' : 'inter-line',
+                    t: fix.start,
+                    paraIndex: fix.paraIndex,
+                    fromWord: prev.wordIndex,
+                    toWord: fix.wordIndex,
+                    fromLine: prev.line,
+                    toLine: line,
+                    lengthWords: length,
+                    lineSpan: sameLine ? 0 : prev.line - line
+                };
+                this.inPass = true;
+                this.passWords = new Set();
+            }
+        }
+
+        // Re-reading pass: from a regression until the eyes pass the furthest word again
+        if (this.inPass) {
+            if (fix.wordIndex > this.maxWordIndex) {
+                this.inPass = false;
+            } else if (!this.passWords.has(fix.wordIndex)) {
+                this.passWords.add(fix.wordIndex);
+                result.reread = true;
+            }
+        }
+
+        this.maxWordIndex = Math.max(this.maxWordIndex, fix.wordIndex);
+        this.prev = { wordIndex: fix.wordIndex, line };
+
+        return result;
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * ReplayGazeSource.js
+ * Plays back a recorded session (session file, see session/SessionFormat.js, or the legacy exportCSV text) as live gaze.
+ */
+import { GazeSource, TRACKING_STATE_SUCCESS } from "./GazeSource.js";
+
+const now = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+export class ReplayGazeSource extends GazeSource {
+    /**
+     * @param {Object} options - { session, samples, csv, url, speed (default 1), loop (default false), onEnd }
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = "replay";
+        this.speed = options.speed || 1;
+        this.loop = !!options.loop;
+        this.samples = options.session ? options.session.samples
+            : (options.samples || (options.csv ? ReplayGazeSource.parseCSV(options.csv) : []));
+        this.cursor = 0;
+        this.startedAt = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Parses the exportCSV format. Only time, raw position and type are needed for live playback;
+     * everything else is recomputed by GazeDataManager. The recorded line/paragraph context is kept
+     * for the offline ReplayHarness.
+     * @returns {Array} [{ t, x, y, eyemovementState, lineIndex, paraIndex }]
+     */
+    static parseCSV(text) {
+        const rows = String(text || "").split(/\r?\n/).filter(r => r.trim() !== "");
+        if (rows.length === 0) return [];
+
+        const header = rows[0].split(",").map(h => h.trim());
+        const col = (name, fallback) => {
+            const idx = header.indexOf(name);
+            return idx >= 0 ? idx : fallback;
+        };
+        const hasHeader = isNaN(parseFloat(header[0]));
+        const cT = hasHeader ? col("RelativeTimestamp_ms", 0) : 0;
+        const cX = hasHeader ? col("RawX", 1) : 1;
+        const cY = hasHeader ? col("RawY", 2) : 2;
+        const cType = hasHeader ? col("Type", -1) : -1;
+        const cLine = hasHeader ? col("LineIndex", -1) : -1;
+        const cPara = hasHeader ? col("ParaIndex", -1) : -1;
+        const intOrNull = (c, parts) => {
+            if (c < 0) return null;
+            const v = parseInt(parts[c], 10);
+            return Number.isFinite(v) ? v : null;
+        };
+
+        const samples = [];
+        for (let i = hasHeader ? 1 : 0; i < rows.length; i++) {
+            const parts = rows[i].split(",");
+            const t = parseFloat(parts[cT]);
+            if (!Number.isFinite(t)) continue;
+
+            const x = parseFloat(parts[cX]);
+            const y = parseFloat(parts[cY]);
+            const type = cType >= 0 ? parts[cType] : "";
+
+            let eyemovementState;
+            if (type === "Fixation") eyemovementState = 0;
+            else if (type === "Saccade") eyemovementState = 2;
+
+            samples.push({
+                t,
+                x: Number.isFinite(x) ? x : NaN,
+                y: Number.isFinite(y) ? y : NaN,
+                eyemovementState,
+                lineIndex: intOrNull(cLine, parts),
+                paraIndex: intOrNull(cPara, parts)
+            });
+        }
+
+        samples.sort((a, b) => a.t - b.t);
+        return samples;
+    }
+
+    async load(url) {
+        const res = await fetch(url, { cache: "no-store" });
+        if (!res.ok) throw new Error(`Failed to fetch replay: ${url} (HTTP ${res.status})`);
+        // Loaded lazily: SessionFormat itself uses parseCSV for legacy files
+        const { loadSession } = await import("../session/SessionFormat.js");
+        this.samples = loadSession(await res.text(), { strict: false }).samples;
+        console.log(`[ReplayGazeSource] Loaded ${this.samples.length} samples from ${url}`);
+        return this.samples.length;
+    }
+
+    async start() {
+        if (this.running) return true;
+
+        if (this.samples.length === 0 && this.options.url) {
+            try {
+                await this.load(this.options.url);
+            } catch (e) {
+                console.error("[ReplayGazeSource] Load failed", e);
+                return false;
+            }
+        }
+        if (this.samples.length === 0) {
+            console.warn("[ReplayGazeSource] No samples to replay.");
+            return false;
+        }
+
+        this.running = true;
+        this.cursor = 0;
+        this.startedAt = now();
+        this.timer = setInterval(() => this.tick(), 10);
+        return true;
+    }
+
+    tick() {
+        const origin = this.samples[0].t;
+        const elapsed = (now() - this.startedAt) * this.speed;
+
+        while (this.cursor < this.samples.length && this.samples[this.cursor].t - origin <= elapsed) {
+            const s = this.samples[this.cursor++];
+            this._emitSample({
+                x: s.x,
+                y: s.y,
+                timestamp: Date.now(),
+                trackingState: TRACKING_STATE_SUCCESS,
+                confidence: 1,
+                eyemovementState: s.eyemovementState !== undefined ? s.eyemovementState
+                    : (s.type === "Fixation" ? 0 : (s.type === "Saccade" ? 2 : undefined))
+            });
+        }
+
+        if (this.cursor >= this.samples.length) {
+            if (this.loop) {
+                this.cursor = 0;
+                this.startedAt = now();
+            } else {
+                console.log("[ReplayGazeSource] Replay finished.");
+                this.stop();
+                if (this.options.onEnd) this.options.onEnd();
+            }
+        }
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
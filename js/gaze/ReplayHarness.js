@@ -0,0 +1,202 @@
+/**
+ * ReplayHarness.js
+ * Deterministic offline replay of GazeDataManager return-sweep detection.
+ *
+ * Feeds a recorded session through a fresh GazeDataManager on its original timeline
+ * (manual clock, serialized line layout, no DOM, private event bus), so the same input
+ * always produces the same pangLog / wpmData / rsState annotations.
+ *
+ * What the live run reacted to besides the samples is replayed from session.events at its recorded time:
+ *   tracking_quality          the live quality changes (sessions recorded before per-sample quality instead
+ *                             re-run the monitor, ticked on the replay clock like app.js's timer)
+ *   reveal                    fresh text for implicit calibration
+ *   learning_paused/_resumed  the orb check
+ *   implicit_recalibration    the orb check's result
+ *   drift_correction          (reason 'calibration') a new calibration resetting the drift model
+ * Runs in the browser or in Node:
+ *
+ *   import { replaySession } from "./js/gaze/ReplayHarness.js";
+ *   const result = replaySession(loadSession(fileText));
+ *
+ * Input is a session (see session/SessionFormat.js; older versions are migrated first),
+ * or a bare { samples, layouts }:
+ *   samples: [{ t, x, y, type | eyemovementState, fixationX?, fixationY?, lineIndex?, paraIndex?, lineY?, targetY? }]
+ *   layouts: serialized layout, either one or { [paraIndex]: layout }
+ *            (layout = lines array or { lines, words }, see GazeDataManager.recordLayout)
+ */
+import { GazeDataManager } from "../gaze-data-manager.js";
+import { EventBus } from "../core/EventBus.js";
+import { StaticLayoutProvider } from "./LayoutProvider.js";
+import { migrateSession } from "../session/SessionFormat.js";
+
+/**
+ * Clock that only moves when told to.
+ */
+export class ManualClock {
+    constructor(start = 0) {
+        this.time = start;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    set(time) {
+        this.time = time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+    }
+}
+
+// Arbitrary fixed epoch so absolute timestamps are identical on every run.
+const REPLAY_EPOCH = 1700000000000;
+
+// app.js re-checks tracking quality this often
+const QUALITY_TICK_MS = 500;
+
+const REPLAYED_EVENTS = ['tracking_quality', 'reveal', 'learning_paused', 'learning_resumed', 'implicit_recalibration', 'drift_correction'];
+
+// Re-apply a recorded event to the replaying manager (clock already at its time)
+function applyEvent(gdm, event, session) {
+    const data = event.data || {};
+    switch (event.type) {
+        case 'tracking_quality':
+            gdm.setTrackingQuality(data.state, data.reasons, data.metrics);
+            break;
+        case 'reveal':
+            gdm._noteReveal(data);
+            break;
+        case 'learning_paused':
+            gdm.pauseLearning(data.reason);
+            break;
+        case 'learning_resumed':
+            gdm.resumeLearning();
+            break;
+        case 'implicit_recalibration': {
+            const { dx, dy, drift, ...info } = data;
+            gdm.applyRecalibration(dx, dy, info);
+            break;
+        }
+        case 'drift_correction':
+            if (data.reason === 'calibration') gdm.setCalibration(session.calibration || { replayed: true });
+            break;
+    }
+}
+
+function toEyeMovementState(sample) {
+    if (sample.eyemovementState !== undefined) return sample.eyemovementState;
+    if (sample.type === 'Fixation') return 0;
+    if (sample.type === 'Saccade') return 2;
+    return undefined;
+}
+
+const isIndex = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * @param {Object} session - session or { samples, layouts } (see header)
+ * @param {Object} options - { epoch, bus (receives 'pang'; default private), onSample(entry, i), trackingQuality (monitor options) }
+ * @returns {Object} { pangLog, wpmData, wpm, cpm, rsStates, fixations, saccades, wordStats, regressions, drift, data }
+ */
+export function replaySession(session, options = {}) {
+    // Legacy upload tree / parsed CSV rows
+    if (session && (Array.isArray(session) || !Array.isArray(session.samples))) session = migrateSession(session);
+
+    const samples = (session && Array.isArray(session.samples)) ? session.samples : [];
+    const events = (session && Array.isArray(session.events) ? session.events : [])
+        .filter(e => e && REPLAYED_EVENTS.includes(e.type) && isIndex(e.t))
+        .sort((a, b) => a.t - b.t);
+    // Per-sample quality means the live quality changes are in the events; older sessions re-run the monitor
+    const recordedQuality = samples.some(s => s.quality !== undefined) || events.some(e => e.type === 'tracking_quality');
+    const layout = new StaticLayoutProvider(session ? (session.layouts || session.lines) : null);
+    const clock = new ManualClock(options.epoch || REPLAY_EPOCH);
+    const gdm = new GazeDataManager({
+        clock,
+        layoutProvider: layout,
+        bus: options.bus || new EventBus(),
+        trackingQuality: recordedQuality ? false : (options.trackingQuality || {})
+    });
+
+    // pangLog is cleared on every paragraph reset, so collect it as we go
+    const pangLog = [];
+    const flushPangs = () => {
+        gdm.getPangLogs().forEach(p => pangLog.push({ ...p }));
+    };
+
+    if (samples.length === 0) {
+        return { pangLog, wpmData: [], wpm: 0, rsStates: [], fixations: [], saccades: [], wordStats: {}, regressions: [], data: [] };
+    }
+
+    const origin = samples[0].t;
+    const epoch = options.epoch || REPLAY_EPOCH;
+    let currentPara = null;
+    let nextEvent = 0;
+    let nextTick = QUALITY_TICK_MS;
+
+    // Everything the live run saw up to (and including) sample time t
+    const catchUp = (t) => {
+        if (!recordedQuality) {
+            for (; nextTick < t - origin; nextTick += QUALITY_TICK_MS) {
+                clock.set(epoch + nextTick);
+                gdm.checkTrackingQuality();
+            }
+        }
+        for (; nextEvent < events.length && events[nextEvent].t <= t; nextEvent++) {
+            clock.set(epoch + (events[nextEvent].t - origin));
+            applyEvent(gdm, events[nextEvent], session);
+        }
+    };
+
+    samples.forEach((s, i) => {
+        // New paragraph -> same reset the Typewriter does in playNextParagraph()
+        const paraIndex = isIndex(s.paraIndex) ? s.paraIndex : 0;
+        if (paraIndex !== currentPara) {
+            flushPangs();
+            currentPara = paraIndex;
+            layout.setParagraph(paraIndex);
+            gdm.resetTriggers();
+            gdm.setContext({ paraIndex, lineIndex: null, targetY: null, wordIndex: null });
+        }
+
+        // Recorded context (what Typewriter/renderer had set when the sample arrived)
+        const ctx = { lineIndex: isIndex(s.lineIndex) ? s.lineIndex : null };
+        if (s.lineY !== undefined) ctx.lineY = s.lineY;
+        if (s.targetY !== undefined) ctx.targetY = s.targetY;
+        gdm.setContext(ctx);
+
+        catchUp(s.t);
+        clock.set(epoch + (s.t - origin));
+        gdm.processGaze({
+            x: s.x,
+            y: s.y,
+            eyemovementState: toEyeMovementState(s),
+            fixationX: s.fixationX !== undefined ? s.fixationX : s.sdkFixationX,
+            fixationY: s.fixationY !== undefined ? s.fixationY : s.sdkFixationY
+        });
+
+        if (options.onSample) options.onSample(gdm.data[gdm.data.length - 1], i);
+    });
+    flushPangs();
+    // Same as the flush on the next paragraph live (pairs with reveals, feeds the drift model)
+    gdm._handleGazeEvents(gdm.eventDetector.flush(), true);
+
+    return {
+        pangLog,
+        wpmData: gdm.wpmData.map(w => ({ ...w })),
+        wpm: gdm.wpm,
+        cpm: gdm.cpm,
+        rsStates: gdm.data.map(d => ({
+            t: d.t,
+            rsState: d.rsState || null,
+            rsTriggerType: d.rsTriggerType || null,
+            didFire: !!d.didFire
+        })),
+        fixations: gdm.fixations,
+        saccades: gdm.saccades,
+        wordStats: gdm.wordStats,
+        regressions: gdm.regressions,
+        drift: gdm.getDriftCorrection(),
+        data: gdm.data
+    };
+}
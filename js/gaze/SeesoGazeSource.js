@@ -0,0 +1,71 @@
+/**
+ * SeesoGazeSource.js
+ * Wraps an initialized SeeSo SDK instance behind the GazeSource interface.
+ */
+import { GazeSource } from "./GazeSource.js";
+
+export class SeesoGazeSource extends GazeSource {
+    /**
+     * @param {Object} seeso - Initialized SeeSo instance
+     * @param {Object} options - { mediaStream }
+     */
+    constructor(seeso, options = {}) {
+        super(options);
+        this.name = "seeso";
+        this.calibrates = true;
+        this.seeso = seeso;
+        this.mediaStream = options.mediaStream || null;
+        this.isBound = false;
+    }
+
+    setMediaStream(mediaStream) {
+        this.mediaStream = mediaStream;
+    }
+
+    // SDK callbacks can only be added, never removed, so bind exactly once.
+    bind() {
+        if (this.isBound || !this.seeso) return;
+        this.isBound = true;
+
+        if (typeof this.seeso.addGazeCallback === "function") {
+            this.seeso.addGazeCallback((gazeInfo) => this._emitSample(gazeInfo));
+        } else {
+            console.warn("[SeesoGazeSource] addGazeCallback not found on seeso instance");
+        }
+
+        if (typeof this.seeso.addCalibrationNextPointCallback === "function") {
+            this.seeso.addCalibrationNextPointCallback((x, y) => this._emitCalibration({ type: 'nextPoint', x, y }));
+        }
+        if (typeof this.seeso.addCalibrationProgressCallback === "function") {
+            this.seeso.addCalibrationProgressCallback((progress) => this._emitCalibration({ type: 'progress', progress }));
+        }
+        if (typeof this.seeso.addCalibrationFinishCallback === "function") {
+            this.seeso.addCalibrationFinishCallback((data) => this._emitCalibration({ type: 'finish', data }));
+        }
+    }
+
+    async start() {
+        if (!this.seeso || !this.mediaStream) return false;
+        this.bind();
+        const ok = this.seeso.startTracking(this.mediaStream);
+        this.running = !!ok;
+        return this.running;
+    }
+
+    stop() {
+        this.running = false;
+        if (this.seeso && typeof this.seeso.stopTracking === "function") {
+            this.seeso.stopTracking();
+        }
+    }
+
+    // mode = number of calibration points: SeeSo supports 1 and 5 (anything else runs 5)
+    startCalibration(mode = 1, criteria = 1) {
+        if (!this.seeso) return false;
+        return this.seeso.startCalibration(mode, criteria);
+    }
+
+    startCollectSamples() {
+        if (this.seeso) this.seeso.startCollectSamples();
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * SyntheticGazeSource.js
+ * A scripted reader: sweeps across the rendered lines left-to-right at a chosen WPM,
+ * then makes a fast return sweep to the start of the next line.
+ *
+ * Line geometry comes from TextRendererV2 (renderer.lines). When the layout object changes
+ * (new paragraph / page), the reader starts again from line 0.
+ */
+import { GazeSource, TRACKING_STATE_SUCCESS } from "./GazeSource.js";
+
+// Small seeded PRNG (mulberry32) so a given seed always produces the same session.
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class SyntheticGazeSource extends GazeSource {
+    /**
+     * @param {Object} options
+     *  - wpm: reading speed (default 200)
+     *  - sampleRate: Hz (default 30)
+     *  - returnSweepMs: duration of the sweep back to the next line (default 120)
+     *  - jitter: gaussian-ish noise in px (default 0)
+     *  - seed: PRNG seed for jitter (default 1)
+     *  - getLines: () => renderer.lines (default: Game.typewriter.renderer.lines)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = "synthetic";
+        this.wpm = options.wpm || 200;
+        this.sampleRate = options.sampleRate || 30;
+        this.returnSweepMs = options.returnSweepMs || 120;
+        this.jitter = options.jitter || 0;
+        this.random = createRandom(options.seed || 1);
+        this.getLines = options.getLines || (() => {
+            const renderer = window.Game && window.Game.typewriter && window.Game.typewriter.renderer;
+            return renderer ? renderer.lines : null;
+        });
+
+        this.timer = null;
+        this.lines = null;
+        this.lineIndex = 0;
+        this.lineElapsed = 0; // ms spent on current line (incl. return sweep)
+    }
+
+    setWPM(wpm) {
+        if (wpm > 0) this.wpm = wpm;
+    }
+
+    async start() {
+        if (this.running) return true;
+        this.running = true;
+        const stepMs = 1000 / this.sampleRate;
+        this.timer = setInterval(() => this.step(stepMs), stepMs);
+        return true;
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    _noise() {
+        if (!this.jitter) return 0;
+        // Sum of 3 uniforms ~ normal
+        return ((this.random() + this.random() + this.random()) / 3 - 0.5) * 2 * this.jitter;
+    }
+
+    _lineDuration(line) {
+        const words = (line.wordIndices && line.wordIndices.length) || 1;
+        return (words / this.wpm) * 60000;
+    }
+
+    /**
+     * Advances the script by dtMs and returns the emitted sample (or null).
+     * Exposed so tests can drive the reader without timers.
+     */
+    step(dtMs) {
+        const lines = this.getLines();
+
+        if (!lines || lines.length === 0) {
+            this.lines = null;
+            return null;
+        }
+
+        // New layout -> start over
+        if (lines !== this.lines) {
+            this.lines = lines;
+            this.lineIndex = 0;
+            this.lineElapsed = 0;
+        }
+
+        this.lineElapsed += dtMs;
+
+        let line = lines[this.lineIndex];
+        let readMs = this._lineDuration(line);
+
+        // Finished this line (+ sweep) -> move on
+        if (this.lineIndex < lines.length - 1 && this.lineElapsed >= readMs + this.returnSweepMs) {
+            this.lineElapsed -= readMs + this.returnSweepMs;
+            this.lineIndex++;
+            line = lines[this.lineIndex];
+            readMs = this._lineDuration(line);
+        }
+        // Of the line being read now: the last one has no return sweep after it
+        const isLastLine = this.lineIndex >= lines.length - 1;
+
+        const left = line.rect.left;
+        const right = line.rect.right;
+        const y = (typeof line.visualY === "number") ? line.visualY : (line.rect.top + line.rect.bottom) / 2;
+
+        let x;
+        let gy = y;
+        let eyemovementState = 0; // Fixation-ish while reading
+
+        if (this.lineElapsed <= readMs) {
+            x = left + (right - left) * (this.lineElapsed / readMs);
+        } else if (!isLastLine) {
+            // Return sweep: right end of this line -> left start of the next
+            const next = lines[this.lineIndex + 1];
+            const p = Math.min(1, (this.lineElapsed - readMs) / this.returnSweepMs);
+            const nextY = (typeof next.visualY === "number") ? next.visualY : (next.rect.top + next.rect.bottom) / 2;
+            x = right + (next.rect.left - right) * p;
+            gy = y + (nextY - y) * p;
+            eyemovementState = 2;
+        } else {
+            // Done reading the last line: rest at its end
+            x = right;
+        }
+
+        const sample = {
+            x: x + this._noise(),
+            y: gy + this._noise(),
+            timestamp: Date.now(),
+            trackingState: TRACKING_STATE_SUCCESS,
+            confidence: 1,
+            eyemovementState
+        };
+        this._emitSample(sample);
+        return sample;
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * TrackingQualityMonitor.js
+ * How trustworthy the gaze stream is right now, from the samples of the last windowMs:
+ *
+ *   sampleRate    samples per second
+ *   dropout       share of samples without a usable point (NaN, or a tracking state other than SUCCESS)
+ *   jitterPx      median distance between consecutive points while the eyes are still (saccades left out)
+ *   confidence    mean SDK confidence, when the source reports one
+ *   faceMissingMs current streak of FACE_MISSING samples
+ *   msSinceSample time since the last sample of any kind
+ *
+ * States:
+ *   lost      no samples for staleMs, or the face has been missing for faceMissingLostMs
+ *   degraded  sample rate, dropout, jitter or confidence outside the limits
+ *   good      otherwise
+ * A worse state applies at once; going back to a better one needs recoverMs of better readings,
+ * so a flickering signal does not flap between states.
+ */
+import { TRACKING_STATE_SUCCESS, TRACKING_STATE_FACE_MISSING } from "./GazeSource.js";
+
+export const QUALITY_STATES = ["good", "degraded", "lost"];
+
+const DEFAULT_QUALITY_OPTIONS = {
+    windowMs: 1000,
+    minSampleRate: 15,       // Hz (SeeSo runs at ~30)
+    maxDropout: 0.3,
+    maxJitterPx: 40,
+    saccadePx: 100,          // Bigger sample-to-sample jumps are eye movements, not jitter
+    minConfidence: 0.3,
+    faceMissingLostMs: 800,
+    staleMs: 1500,
+    recoverMs: 1000
+};
+
+const RANK = { good: 0, degraded: 1, lost: 2 };
+
+export class TrackingQualityMonitor {
+    /**
+     * @param {Object} options - DEFAULT_QUALITY_OPTIONS overrides
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];           // [{ t, valid, x, y, moving, confidence }] within windowMs
+        this.firstSampleAt = null;
+        this.lastSampleAt = null;
+        this.faceMissingSince = null;
+        this.state = "good";
+        this.reasons = [];
+        this.betterSince = null;     // When readings first got better than the current state
+    }
+
+    /**
+     * @param {Object} gazeInfo - SeeSo-shaped sample (see GazeSource.js)
+     * @param {number} now - ms, same clock as tick()
+     * @returns {Object} evaluate() result
+     */
+    push(gazeInfo, now) {
+        const state = gazeInfo ? gazeInfo.trackingState : undefined;
+        const finite = gazeInfo && Number.isFinite(gazeInfo.x) && Number.isFinite(gazeInfo.y);
+        const stateOk = state === undefined || state === null || state === TRACKING_STATE_SUCCESS;
+
+        if (state === TRACKING_STATE_FACE_MISSING) {
+            if (this.faceMissingSince === null) this.faceMissingSince = now;
+        } else {
+            this.faceMissingSince = null;
+        }
+
+        this.samples.push({
+            t: now,
+            valid: !!(finite && stateOk),
+            x: finite ? gazeInfo.x : null,
+            y: finite ? gazeInfo.y : null,
+            moving: gazeInfo && gazeInfo.eyemovementState === 2, // SeeSo SACCADE
+            confidence: gazeInfo && typeof gazeInfo.confidence === "number" ? gazeInfo.confidence : null
+        });
+        if (this.firstSampleAt === null) this.firstSampleAt = now;
+        this.lastSampleAt = now;
+        return this.evaluate(now);
+    }
+
+    /**
+     * Re-evaluate without a sample (stale detection). Call from a timer.
+     */
+    tick(now) {
+        return this.evaluate(now);
+    }
+
+    metrics(now) {
+        const o = this.options;
+        this.samples = this.samples.filter(s => now - s.t <= o.windowMs);
+        const n = this.samples.length;
+        const span = this.firstSampleAt === null ? 0 : Math.min(o.windowMs, now - this.firstSampleAt);
+
+        const jumps = [];
+        for (let i = 1; i < n; i++) {
+            const a = this.samples[i - 1];
+            const b = this.samples[i];
+            if (!a.valid || !b.valid || b.moving) continue;
+            const d = Math.hypot(b.x - a.x, b.y - a.y);
+            if (d < o.saccadePx) jumps.push(d);
+        }
+        jumps.sort((a, b) => a - b);
+        const confidences = this.samples.map(s => s.confidence).filter(c => c !== null);
+
+        return {
+            sampleRate: span > 0 ? Math.round((n / span) * 1000) : null,
+            dropout: n > 0 ? +(this.samples.filter(s => !s.valid).length / n).toFixed(2) : null,
+            jitterPx: jumps.length > 0 ? Math.round(jumps[Math.floor(jumps.length / 2)]) : null,
+            confidence: confidences.length > 0 ? +(confidences.reduce((s, c) => s + c, 0) / confidences.length).toFixed(2) : null,
+            faceMissingMs: this.faceMissingSince === null ? 0 : Math.round(now - this.faceMissingSince),
+            msSinceSample: this.lastSampleAt === null ? null : Math.round(now - this.lastSampleAt),
+            judgeRate: span >= o.windowMs / 2
+        };
+    }
+
+    /**
+     * @returns {Object} { state, previous, changed, reasons, metrics }
+     */
+    evaluate(now) {
+        const o = this.options;
+        const m = this.metrics(now);
+        const reasons = [];
+        let raw = "good";
+
+        // Nothing is known before the first sample
+        if (this.lastSampleAt !== null) {
+            if (m.msSinceSample > o.staleMs) reasons.push("stale");
+            if (m.faceMissingMs >= o.faceMissingLostMs) reasons.push("face_missing");
+            if (reasons.length > 0) {
+                raw = "lost";
+            } else {
+                if (m.judgeRate && m.sampleRate < o.minSampleRate) reasons.push("low_rate");
+                if (m.dropout !== null && m.dropout > o.maxDropout) reasons.push("dropout");
+                if (m.jitterPx !== null && m.jitterPx > o.maxJitterPx) reasons.push("jitter");
+                if (m.confidence !== null && m.confidence < o.minConfidence) reasons.push("low_confidence");
+                if (reasons.length > 0) raw = "degraded";
+            }
+        }
+
+        const previous = this.state;
+        if (RANK[raw] >= RANK[previous]) {
+            // Same or worse: applies now
+            this.state = raw;
+            this.betterSince = null;
+        } else {
+            // Better: only after recoverMs
+            if (this.betterSince === null) this.betterSince = now;
+            if (now - this.betterSince >= o.recoverMs) {
+                this.state = raw;
+                this.betterSince = null;
+            }
+        }
+        if (this.state === raw) this.reasons = reasons;
+
+        delete m.judgeRate;
+        return { state: this.state, previous, changed: this.state !== previous, reasons: this.reasons, metrics: m };
+    }
+}
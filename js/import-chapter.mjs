@@ -0,0 +1,87 @@
+import fs from 'fs';
+import { ChapterImporter, ChapterImportError } from './utils/ChapterImporter.js';
+import { ChapterValidator } from './utils/ChapterValidator.js';
+
+/**
+ * Chapter Importer (plain text / Markdown -> dynamic chapter module)
+ * Usage: node import-chapter.mjs <input.md> [output.js] [--name storyChapter2] [--id alice_ch2] [--title "..."] [--lang ko] [--direction rtl]
+ * Markup: see js/utils/ChapterImporter.js ([[rune]], [[word|rune_id]], {{core phrase}}, # Title)
+ * Without output path the module is printed to stdout. --lang defaults to the language detected from the script.
+ */
+
+const args = process.argv.slice(2);
+const flags = {};
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) flags[args[i].slice(2)] = args[++i];
+    else positional.push(args[i]);
+}
+
+if (positional.length < 1) {
+    console.log('Usage: node import-chapter.mjs <input.md> [output.js] [--name storyChapter2] [--id alice_ch2] [--title "..."] [--lang ko] [--direction rtl]');
+    process.exit(1);
+}
+
+const [inputFile, outputFile] = positional;
+const text = fs.readFileSync(inputFile, 'utf-8');
+
+let chapter;
+try {
+    chapter = ChapterImporter.import(text, { storyId: flags.id, title: flags.title, lang: flags.lang, direction: flags.direction });
+} catch (e) {
+    if (!(e instanceof ChapterImportError)) throw e;
+    console.error(`${inputFile}: ${e.message}`);
+    e.errors.forEach(err => console.error(`  paragraph ${err.paragraph} (line ${err.line}): ${err.message}`));
+    process.exit(1);
+}
+
+const report = ChapterValidator.validate(chapter);
+[...report.errors, ...report.warnings].forEach(issue => console.error(`${inputFile}: ${ChapterValidator.format(issue)}`));
+if (!report.valid) process.exit(1);
+
+const name = flags.name || 'storyChapter';
+const tokenCount = chapter.paragraphs.reduce((sum, p) => sum + p.tokens.length, 0);
+const runeCount = chapter.paragraphs.reduce((sum, p) => sum + p.vocab_highlights.length, 0);
+const source = `// Generated by js/import-chapter.mjs from ${inputFile.split(/[\\/]/).pop()}\n` + formatModule(name, chapter);
+
+if (outputFile) {
+    fs.writeFileSync(outputFile, source);
+    console.log(`Wrote ${outputFile}: "${chapter.title}", ${chapter.paragraphs.length} paragraphs, ${tokenCount} tokens, ${runeCount} rune words`);
+} else {
+    process.stdout.write(source);
+}
+
+// Same layout as the hand-written StoryContent_Dynamic.js (one token per line)
+function formatModule(exportName, ch) {
+    const q = (v) => JSON.stringify(v);
+    const out = [];
+    out.push(`export const ${exportName} = {`);
+    out.push(`    story_id: ${q(ch.story_id)},`);
+    out.push(`    title: ${q(ch.title)},`);
+    if (ch.lang) out.push(`    lang: ${q(ch.lang)},`);
+    if (ch.direction) out.push(`    direction: ${q(ch.direction)},`);
+    out.push(`    paragraphs: [`);
+    ch.paragraphs.forEach((p, pi) => {
+        out.push(`        {`);
+        out.push(`            id: ${q(p.id)},`);
+        out.push(`            tokens: [`);
+        p.tokens.forEach((tok, i) => {
+            out.push(`                { t: ${q(tok.t)}, b: ${tok.b} }${i < p.tokens.length - 1 ? ',' : ''}`);
+        });
+        out.push(`            ],`);
+        out.push(`            vocab_highlights: [`);
+        p.vocab_highlights.forEach((h, i) => {
+            const comma = i < p.vocab_highlights.length - 1 ? ',' : '';
+            out.push(`                { word_id: ${q(h.word_id)}, target_token_index: ${h.target_token_index}, type: ${q(h.type)} }${comma} // ${q(p.tokens[h.target_token_index].t)}`);
+        });
+        out.push(p.core_phrase ? `            ],` : `            ]`);
+        if (p.core_phrase) {
+            const c = p.core_phrase;
+            out.push(`            core_phrase: { start_token_index: ${c.start_token_index}, end_token_index: ${c.end_token_index}, importance: ${q(c.importance)} }`);
+        }
+        out.push(`        }${pi < ch.paragraphs.length - 1 ? ',' : ''}`);
+    });
+    out.push(`    ]`);
+    out.push(`};`);
+    return out.join('\n') + '\n';
+}
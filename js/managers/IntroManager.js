@@ -41,8 +41,9 @@ export class IntroManager {
                         throw new Error("Initialization Failed. Check Camera Permissions.");
                     }
 
-                    // 4. Success -> Start Intro
-                    this.startRiftIntro();
+                    // 4. Success -> Library (picking a chapter starts the intro)
+                    if (this.game.libraryManager) this.game.libraryManager.show();
+                    else this.startRiftIntro();
 
                 } catch (error) {
                     console.error("[IntroManager] Boot Error:", error);
@@ -0,0 +1,70 @@
+/**
+ * LibraryManager.js
+ * Library screen (#screen-library): books and their chapters with lock state.
+ * Shown after the eye tracker has booted; picking an unlocked chapter loads it and starts the rift intro.
+ */
+export class LibraryManager {
+    constructor(game) {
+        this.game = game;
+    }
+
+    show() {
+        this.render();
+        this.game.switchScreen("screen-library");
+    }
+
+    render() {
+        const shelf = document.getElementById("library-shelf");
+        if (!shelf || !this.game.library) return;
+        shelf.innerHTML = "";
+
+        this.game.library.getShelf().forEach(book => {
+            const bookEl = document.createElement("div");
+            bookEl.className = "library-book";
+
+            const header = document.createElement("div");
+            header.className = "library-book-header";
+            if (book.cover) {
+                const cover = document.createElement("img");
+                cover.className = "library-book-cover";
+                cover.src = book.cover;
+                cover.alt = book.title;
+                header.appendChild(cover);
+            }
+            const title = document.createElement("div");
+            title.className = "library-book-title";
+            title.textContent = book.author ? `${book.title} · ${book.author}` : book.title;
+            header.appendChild(title);
+            bookEl.appendChild(header);
+
+            book.chapters.forEach(ch => bookEl.appendChild(this.renderChapter(ch)));
+            shelf.appendChild(bookEl);
+        });
+    }
+
+    renderChapter(ch) {
+        const btn = document.createElement("button");
+        btn.className = "library-chapter";
+        if (!ch.unlocked) btn.classList.add("locked");
+        if (ch.cleared) btn.classList.add("cleared");
+
+        const status = !ch.unlocked ? "🔒" : (ch.cleared ? "✅" : "📖");
+        btn.textContent = `${status} Chapter ${ch.number}: ${ch.title}`;
+
+        if (!ch.unlocked) {
+            const required = this.game.library.getChapter(ch.requires);
+            btn.title = required ? `Clear "${required.title}" to unlock` : "Locked";
+            btn.disabled = true;
+        } else {
+            btn.onclick = () => this.startChapter(ch.id);
+        }
+        return btn;
+    }
+
+    startChapter(chapterId) {
+        if (!this.game.loadChapter(chapterId)) return;
+        console.log(`[LibraryManager] Starting chapter ${chapterId}`);
+        if (window.gazeDataManager) window.gazeDataManager.logEvent('chapter_select', { chapterId, bookId: this.game.currentChapter.bookId });
+        this.game.introManager.startRiftIntro();
+    }
+}
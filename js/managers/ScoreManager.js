@@ -18,7 +18,9 @@ export class ScoreManager {
         this.stats = {
             ink: { totalLines: 0, pangs: 0 },
             rune: { total: 0, correct: 0 }, // Will rely on quiz counts
-            gem: { total: 0, correct: 0 }
+            gem: { total: 0, correct: 0 },
+            reread: { regressions: 0, withinLine: 0, interLine: 0, rereadWords: 0, phrases: [] },
+            quiz: { total: 0, correct: 0, not_read: 0, misunderstood: 0, wrong: 0 }
         };
     }
 
@@ -33,11 +35,26 @@ export class ScoreManager {
         this.stats = {
             ink: { totalLines: 0, pangs: 0 },
             rune: { total: 0, correct: 0 },
-            gem: { total: 0, correct: 0 }
+            gem: { total: 0, correct: 0 },
+            reread: { regressions: 0, withinLine: 0, interLine: 0, rereadWords: 0, phrases: [] },
+            quiz: { total: 0, correct: 0, not_read: 0, misunderstood: 0, wrong: 0 }
         };
         this.updateUI();
     }
 
+    // Re-reading stats come from GazeDataManager.getRereadSummary()
+    setRereadStats(summary) {
+        if (!summary) return;
+        this.stats.reread = { ...this.stats.reread, ...summary };
+    }
+
+    // Quiz outcomes come from ItemResponseLog.outcomeSummary()
+    setQuizStats(summary) {
+        if (!summary) return;
+        const { total, correct, not_read, misunderstood, wrong } = summary;
+        this.stats.quiz = { total, correct, not_read, misunderstood, wrong };
+    }
+
     addInk(amount) {
         this.ink = Math.max(0, this.ink + amount);
         this.updateUI();
@@ -107,6 +124,7 @@ export class ScoreManager {
             ink: { val: this.ink, pct: inkPct, label: 'Reading Flow' },
             rune: { val: this.runes, pct: runePct, label: 'Vocabulary' },
             gem: { val: this.gems, pct: gemPct, label: 'Comprehension' },
+            reread: this.stats.reread,
             wpm: Math.round(this.wpmDisplay),
             rank: this.calculateRank(inkPct, runePct, gemPct)
         };
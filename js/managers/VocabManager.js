@@ -1,14 +1,101 @@
+import { VocabScheduler } from "../core/VocabScheduler.js";
+import { ChapterValidator } from "../utils/ChapterValidator.js";
+import { bus } from "../core/EventBus.js";
+
+// Rune icon when a word has no image and no icon of its own (picked by the word, so it stays the same)
+const RUNE_ICONS = ["📜", "✨", "🔮", "🗝️", "🌙", "🪶", "💎", "🌀"];
+const WRONG_OPTIONS = 2;
+
 export class VocabManager {
     constructor(game) {
         this.game = game;
-        this.vocabList = [];
+        this.vocabList = [];  // Word Forge items of this run (see buildItem)
         this.currentIndex = 0;
         this.isProcessing = false;
+
+        // Spaced repetition per warden; runes gazed at while reading count as exposures
+        this.scheduler = new VocabScheduler(localStorage.getItem('warden_email') || undefined);
+        this.pool = new Map();
+        this.shownAt = 0;
+        this.reviewed = new Set(); // Rune ids already scheduled this run (only the first answer counts)
+        bus.on('rune_touched', (runeId) => this.scheduler.expose(runeId));
     }
 
+    /**
+     * Picks the Word Forge items: due runes from earlier chapters, then this chapter's new runes.
+     * @param {Array} vocabList - the chapter's vocab entries (Library.js)
+     */
     init(vocabList) {
-        this.vocabList = vocabList || [];
+        const chapterVocab = vocabList || [];
+        this.pool = (this.game.library && typeof this.game.library.getVocabPool === 'function')
+            ? this.game.library.getVocabPool()
+            : new Map(chapterVocab.map(entry => [ChapterValidator.vocabRuneId(entry), { ...entry, id: ChapterValidator.vocabRuneId(entry) }]));
+
+        const chapterIds = chapterVocab.map(entry => ChapterValidator.vocabRuneId(entry));
+        const askable = (id) => {
+            const entry = this.pool.get(id);
+            return !!(entry && entry.sentence && entry.meaning);
+        };
+        const { reviews, fresh } = this.scheduler.select(chapterIds, askable);
+
+        let items = [...reviews.map(id => ({ id, kind: "review" })), ...fresh.map(id => ({ id, kind: "new" }))];
+        if (items.length === 0) {
+            // Nothing due and nothing new: practise this chapter's runes, soonest due first
+            const due = (id) => (this.scheduler.card(id) || { due: 0 }).due;
+            items = chapterIds.filter(askable).sort((a, b) => due(a) - due(b))
+                .slice(0, this.scheduler.options.maxNew).map(id => ({ id, kind: "practice" }));
+        }
+
+        this.vocabList = items.map(({ id, kind }) => this.buildItem(this.pool.get(id), kind));
         this.currentIndex = 0;
+        this.reviewed.clear();
+        console.log(`[VocabManager] Word Forge: ${reviews.length} review, ${fresh.length} new (${this.vocabList.map(v => v.word).join(", ")})`);
+    }
+
+    // Called on Soul Bind: progress follows the warden (guest progress is adopted on the first bind)
+    setWarden(email) {
+        this.scheduler.setWarden(email);
+    }
+
+    /**
+     * Pool entry -> Word Forge item: the right meaning and wrong ones from the word pool
+     * (plus the entry's own wrong options when the pool is small), shuffled and labelled A., B., C.
+     * @returns {Object} { runeId, word, sentence, image, icon, options, answer, kind }
+     */
+    buildItem(entry, kind = "new") {
+        const meaning = entry.meaning;
+        const own = Array.isArray(entry.options)
+            ? entry.options.filter((_, i) => i !== entry.answer).map(o => o.replace(/^[A-Z]\.\s*/, ""))
+            : [];
+        const fromPool = [...this.pool.values()]
+            .filter(other => other.id !== entry.id && other.meaning && other.meaning !== meaning)
+            .map(other => other.meaning);
+
+        // One hand-written distractor when there is one, the rest from the pool
+        const wrong = [...this._shuffle(own).slice(0, 1), ...this._shuffle(fromPool)]
+            .filter((m, i, all) => all.indexOf(m) === i)
+            .slice(0, WRONG_OPTIONS);
+        const options = this._shuffle([meaning, ...wrong]);
+
+        return {
+            runeId: entry.id,
+            word: entry.word,
+            sentence: entry.sentence,
+            image: entry.image || null,
+            icon: entry.icon || null,
+            options: options.map((text, i) => `${String.fromCharCode(65 + i)}. ${text}`),
+            answer: options.indexOf(meaning),
+            kind
+        };
+    }
+
+    _shuffle(list) {
+        const copy = list.slice();
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
     }
 
     loadVocab(index) {
@@ -35,11 +122,11 @@ export class VocabManager {
                 img.style.filter = "drop-shadow(0 0 10px rgba(255, 215, 0, 0.5))";
                 img.onerror = () => {
                     img.style.display = "none";
-                    this.renderFallbackIcon(imgPlaceholder, data.word);
+                    this.renderFallbackIcon(imgPlaceholder, data);
                 };
                 imgPlaceholder.appendChild(img);
             } else {
-                this.renderFallbackIcon(imgPlaceholder, data.word);
+                this.renderFallbackIcon(imgPlaceholder, data);
             }
         }
 
@@ -52,7 +139,7 @@ export class VocabManager {
 
         // Update Counter
         const counterDiv = document.querySelector("#screen-word > div:first-child");
-        if (counterDiv) counterDiv.textContent = `WORD FORGE (${index + 1}/${this.vocabList.length})`;
+        if (counterDiv) counterDiv.textContent = `WORD FORGE (${index + 1}/${this.vocabList.length})${data.kind === "review" ? " · REVIEW" : ""}`;
 
         // Update Options
         const optionsDiv = document.getElementById("vocab-options");
@@ -68,13 +155,13 @@ export class VocabManager {
                 optionsDiv.appendChild(btn);
             });
         }
+        this.shownAt = Date.now();
     }
 
-    renderFallbackIcon(container, word) {
-        let icon = "📜";
-        if (word === "Luminous") icon = "✨";
-        if (word === "Peculiar") icon = "🎩";
-        if (word === "Vanish") icon = "💨";
+    renderFallbackIcon(container, data) {
+        const word = String(data.word || "");
+        const hash = [...word].reduce((h, ch) => (h * 31 + ch.codePointAt(0)) >>> 0, 0);
+        const icon = data.icon || RUNE_ICONS[hash % RUNE_ICONS.length];
 
         container.style.display = "flex";
         container.style.justifyContent = "center";
@@ -89,6 +176,23 @@ export class VocabManager {
         const currentData = this.vocabList[this.currentIndex];
         const isCorrect = (optionIndex === currentData.answer);
 
+        // Schedule on the first answer only (a retry after a wrong answer is not a recall)
+        if (!this.reviewed.has(currentData.runeId)) {
+            this.reviewed.add(currentData.runeId);
+            const latencyMs = Date.now() - this.shownAt;
+            const card = this.scheduler.review(currentData.runeId, this.scheduler.quality(isCorrect, latencyMs));
+            if (window.gazeDataManager) {
+                window.gazeDataManager.logEvent('vocab_review', {
+                    runeId: currentData.runeId,
+                    kind: currentData.kind,
+                    correct: isCorrect,
+                    latencyMs,
+                    interval: card.interval,
+                    ease: +card.ease.toFixed(2)
+                });
+            }
+        }
+
         // UI Feedback
         const optionsDiv = document.getElementById("vocab-options");
         const btns = optionsDiv ? optionsDiv.querySelectorAll(".option-btn") : [];
@@ -1,3 +1,5 @@
+import { createRecordId } from "../storage/createStorageAdapter.js";
+
 export class WardenManager {
     constructor(gameRef) {
         this.game = gameRef;
@@ -20,13 +22,16 @@ export class WardenManager {
 
         this.email = email;
         localStorage.setItem('warden_email', email);
-        localStorage.setItem('chapter_1_unlocked', 'true');
+        // Word Forge progress (spaced repetition) belongs to the warden from now on
+        if (this.game && this.game.vocabManager) this.game.vocabManager.setWarden(email);
+        // Clearing the chapter unlocks the next one in the library
+        if (this.game && this.game.library) this.game.library.markCleared();
 
         // Visual Feedback
         this._triggerButtonEffect();
 
         // Store Data (Async)
-        this._saveToFirebase();
+        this._saveWarden();
 
         // Transition Logic
         this._transitionToShareScreen();
@@ -70,34 +75,37 @@ export class WardenManager {
         }, 500);
     }
 
-    async _saveToFirebase() {
+    // Queued in the local outbox (js/storage/SyncQueue.js): retried until the storage adapter accepts it, even across reloads
+    async _saveWarden() {
         try {
-            if (window.firebase && window.FIREBASE_CONFIG && !firebase.apps.length) {
-                firebase.initializeApp(window.FIREBASE_CONFIG);
-            }
-
             const score = (this.game && this.game.scoreManager) ? this.game.scoreManager : {};
+            const chapter = this.game ? this.game.currentChapter : null;
 
             // Construct Data Payload
             const wardenData = {
+                kind: 'bind',
+                id: createRecordId(), // Retry-safe document id
                 email: this.email,
                 wpm: score.wpm || 0,
                 ink: score.ink || 0,
                 runes: score.runes || 0,
                 gems: score.gems || 0,
-                chapter: 'The Rabbit Hole',
-                timestamp: (window.firebase && firebase.firestore) ? firebase.firestore.FieldValue.serverTimestamp() : new Date(),
+                chapter: chapter ? chapter.title : null,
+                chapterId: chapter ? chapter.id : null,
+                bookId: chapter ? chapter.bookId : null,
+                clientTimestamp: Date.now(),
                 device: navigator.userAgent
             };
 
-            if (window.firebase && firebase.firestore) {
-                await firebase.firestore().collection("wardens").add(wardenData);
-                console.log("[WardenManager] Data saved to Firebase.");
+            if (window.syncQueue) {
+                await window.syncQueue.enqueue('saveWarden', [wardenData]);
+                window.syncQueue.drain();
+                console.log("[WardenManager] Warden queued for sync.");
             } else {
-                console.warn("[WardenManager] Firebase SDK not ready. Data stored locally only.");
+                console.warn("[WardenManager] Sync queue not ready. Data stored locally only.");
             }
         } catch (e) {
-            console.error("[WardenManager] Firebase Save Error:", e);
+            console.error("[WardenManager] Warden Save Error:", e);
         }
     }
 }
@@ -0,0 +1,46 @@
+import { pathToFileURL } from 'url';
+import path from 'path';
+import { TextChunker } from './utils/TextChunker.js';
+
+/**
+ * Chunk Preview (pacing check before publishing a chapter)
+ * Usage: node preview-chunks.mjs <chapter.js> [--export storyChapter2] [--wpm 100,200,300] [--band mid] [--json]
+ * Prints each paragraph's chunks ("|" = boundary) and the estimated reading time per WPM.
+ */
+
+const args = process.argv.slice(2);
+const flags = {};
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json') flags.json = true;
+    else if (args[i].startsWith('--')) flags[args[i].slice(2)] = args[++i];
+    else positional.push(args[i]);
+}
+
+if (positional.length < 1) {
+    console.log('Usage: node preview-chunks.mjs <chapter.js> [--export storyChapter2] [--wpm 100,200,300] [--band mid] [--json]');
+    process.exit(1);
+}
+
+const mod = await import(pathToFileURL(path.resolve(positional[0])).href);
+const chapter = flags.export ? mod[flags.export] : Object.values(mod).find(v => v && Array.isArray(v.paragraphs));
+if (!chapter) {
+    console.error(`${positional[0]}: no chapter export found${flags.export ? ` (${flags.export})` : ''}`);
+    process.exit(1);
+}
+
+const wpms = (flags.wpm || '100,200,300').split(',').map(Number).filter(n => n > 0);
+const previews = TextChunker.preview(chapter, wpms, flags.band ? { band: flags.band } : {});
+
+if (flags.json) {
+    console.log(JSON.stringify(previews, null, 2));
+} else {
+    console.log(`"${chapter.title}" (${chapter.story_id})`);
+    previews.forEach(pv => {
+        console.log(`\n=== ${pv.wpm} WPM (band: ${pv.band}) - ${pv.chunkCount} chunks, ${pv.avgWords} words/chunk, ~${(pv.totalMs / 1000).toFixed(1)}s ===`);
+        pv.paragraphs.forEach(p => {
+            console.log(`[${p.id}] ~${(p.totalMs / 1000).toFixed(1)}s`);
+            console.log('  ' + p.chunks.map(c => c.text).join(' | '));
+        });
+    });
+}
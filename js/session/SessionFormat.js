@@ -0,0 +1,360 @@
+/**
+ * SessionFormat.js
+ * One versioned record of a reading session: everything needed to reproduce it without the original screen.
+ *
+ * Current version (2):
+ * {
+ *   format: "bookwardens.session", version: 2,
+ *   sessionId, createdAt, exportedAt,           // epoch ms
+ *   device:   { userAgent, deviceType, platform, language, gazeSource },
+ *   viewport: { width, height, devicePixelRatio },
+ *   wpm:      { selected, chunkSize, interval, delay, measured },
+ *   calibration: { ... } | null,
+ *   layouts:  { [paraIndex]: { chunks: [[wordIndex]], lines: [...], words: [...] } },
+ *   samples:  [{ t, x, y, type, lineIndex, paraIndex, ... }],   // GazeDataManager.data
+ *   pangLog:  [{ t, paraIndex, lineIndex, type, vx }],
+ *   wpmLog:   [{ paraIndex, lineIndex, startTime, endTime, duration, words, wpm, tracking: 'good' | 'degraded' }],
+ *   events:   [{ t, type, data }],                // incl. what ReplayHarness re-applies (tracking_quality, reveal, ...)
+ *   analysis: { lineMetadata, wordStats, fixations, saccades, regressions, drift, quality },  // derived, optional
+ *   replayData                                                              // Chart 6 path, optional
+ * }
+ *
+ * Older inputs are migrated on load:
+ *   v0 - exportCSV text
+ *   v1 - the Firebase RTDB tree written by uploadToCloud: { meta, chunks: { pushId: [samples] }, replayData }
+ *
+ * Serialized as JSON, or NDJSON (header line + one line per sample / pang / wpm / event record).
+ */
+import { ReplayGazeSource } from "../gaze/ReplayGazeSource.js";
+
+export const SESSION_FORMAT = "bookwardens.session";
+export const SESSION_VERSION = 2;
+
+export class SessionFormatError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = "SessionFormatError";
+        this.errors = errors;
+    }
+}
+
+function detectDeviceType(ua) {
+    const s = String(ua || "").toLowerCase();
+    if (/mobile|android|iphone|ipod|blackberry|iemobile|opera mini/i.test(s)) return "smartphone";
+    if (/tablet|ipad|playbook|silk/i.test(s)) return "tablet";
+    return "desktop";
+}
+
+// RTDB hands back sparse arrays as objects and drops empty ones
+function toArray(v) {
+    if (Array.isArray(v)) return v;
+    if (v && typeof v === 'object') return Object.values(v);
+    return [];
+}
+
+// Firebase hates NaN / Infinity, JSON turns them into null anyway. Do it explicitly.
+function sanitize(value) {
+    return JSON.parse(JSON.stringify(value, (key, v) => {
+        if (typeof v === 'number' && !Number.isFinite(v)) return null;
+        return v;
+    }));
+}
+
+/**
+ * Device / viewport / WPM part of a session (small enough to go with every sync).
+ * @param {Object} context - { wpm, wpmParams, gazeSource, measuredWpm, measuredCpm, readingUnit }
+ */
+export function describeEnvironment(context = {}) {
+    const hasNavigator = typeof navigator !== "undefined";
+    const hasWindow = typeof window !== "undefined";
+    const ua = hasNavigator ? navigator.userAgent : "";
+    const params = context.wpmParams || {};
+
+    return {
+        device: {
+            userAgent: ua,
+            deviceType: detectDeviceType(ua),
+            platform: hasNavigator ? (navigator.platform || "") : "",
+            language: hasNavigator ? (navigator.language || "") : "",
+            gazeSource: context.gazeSource || null
+        },
+        viewport: {
+            width: hasWindow ? window.innerWidth : null,
+            height: hasWindow ? window.innerHeight : null,
+            devicePixelRatio: hasWindow ? (window.devicePixelRatio || 1) : 1
+        },
+        wpm: {
+            selected: context.wpm || null,
+            chunkSize: params.chunkSize !== undefined ? params.chunkSize : null,
+            interval: params.interval !== undefined ? params.interval : null,
+            delay: params.delay !== undefined ? params.delay : null,
+            measured: context.measuredWpm || 0,
+            measuredCpm: context.measuredCpm || 0,
+            unit: context.readingUnit || "wpm"
+        }
+    };
+}
+
+/**
+ * Builds a current-version session from a GazeDataManager and game context.
+ * @param {GazeDataManager} gdm
+ * @param {Object} context - { sessionId, wpm, wpmParams, gazeSource, calibration, createdAt }
+ */
+export function buildSession(gdm, context = {}) {
+    const session = {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        sessionId: context.sessionId || null,
+        createdAt: context.createdAt || gdm.firstTimestamp || null,
+        exportedAt: Date.now(),
+        ...describeEnvironment({ ...context, measuredWpm: gdm.wpm, measuredCpm: gdm.cpm, readingUnit: gdm.readingUnit }),
+        calibration: context.calibration || gdm.calibration || null,
+        layouts: gdm.layoutLog || {},
+        samples: gdm.data || [],
+        pangLog: gdm.pangHistory || [],
+        wpmLog: gdm.wpmData || [],
+        events: gdm.events || [],
+        analysis: {
+            lineMetadata: gdm.lineMetadata || {},
+            wordStats: gdm.wordStats || {},
+            fixations: gdm.fixations || [],
+            saccades: gdm.saccades || [],
+            regressions: gdm.regressions || [],
+            drift: gdm.driftCorrector ? { params: gdm.driftCorrector.params(), trace: gdm.driftTrace || [] } : null,
+            quality: gdm.qualityWindows || []
+        },
+        replayData: gdm.replayData || null
+    };
+
+    return sanitize(session);
+}
+
+/**
+ * Checks a current-version session. Never throws.
+ * @returns {Object} { valid, errors: [string] }
+ */
+export function validateSession(session) {
+    const errors = [];
+    const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+    if (!isObj(session)) return { valid: false, errors: ["session: not an object"] };
+
+    if (session.format !== SESSION_FORMAT) errors.push(`format: expected "${SESSION_FORMAT}", got ${JSON.stringify(session.format)}`);
+    if (session.version !== SESSION_VERSION) errors.push(`version: expected ${SESSION_VERSION}, got ${JSON.stringify(session.version)}`);
+
+    ['device', 'viewport', 'wpm', 'layouts'].forEach(key => {
+        if (!isObj(session[key])) errors.push(`${key}: expected object`);
+    });
+    ['samples', 'pangLog', 'wpmLog', 'events'].forEach(key => {
+        if (!Array.isArray(session[key])) errors.push(`${key}: expected array`);
+    });
+
+    if (Array.isArray(session.samples)) {
+        let prevT = -Infinity;
+        for (let i = 0; i < session.samples.length; i++) {
+            const s = session.samples[i];
+            if (!isObj(s)) { errors.push(`samples[${i}]: expected object`); continue; }
+            if (!isNum(s.t)) errors.push(`samples[${i}].t: expected number`);
+            else if (s.t < prevT && s.type !== 'Emergency_Backup') errors.push(`samples[${i}].t: out of order (${s.t} < ${prevT})`);
+            else prevT = s.t;
+            if (s.x !== null && s.x !== undefined && typeof s.x !== 'number') errors.push(`samples[${i}].x: expected number or null`);
+            if (s.y !== null && s.y !== undefined && typeof s.y !== 'number') errors.push(`samples[${i}].y: expected number or null`);
+            if (errors.length > 50) { errors.push("samples: too many errors, stopped"); break; }
+        }
+    }
+
+    if (isObj(session.layouts)) {
+        Object.keys(session.layouts).forEach(para => {
+            const layout = session.layouts[para];
+            if (!isObj(layout)) { errors.push(`layouts.${para}: expected object`); return; }
+            if (!Array.isArray(layout.lines)) errors.push(`layouts.${para}.lines: expected array`);
+            if (!Array.isArray(layout.words)) errors.push(`layouts.${para}.words: expected array`);
+            if (layout.chunks !== undefined && !Array.isArray(layout.chunks)) errors.push(`layouts.${para}.chunks: expected array`);
+        });
+    }
+
+    if (Array.isArray(session.pangLog)) {
+        session.pangLog.forEach((p, i) => {
+            if (!isObj(p) || !isNum(p.t) || !isNum(p.lineIndex)) errors.push(`pangLog[${i}]: expected { t, lineIndex }`);
+        });
+    }
+    if (Array.isArray(session.events)) {
+        session.events.forEach((e, i) => {
+            if (!isObj(e) || !isNum(e.t) || typeof e.type !== 'string') errors.push(`events[${i}]: expected { t, type }`);
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+// --- Migrations (each step takes version N and returns version N + 1) ---
+
+const MIGRATIONS = {
+    // v0 (exportCSV rows) -> v1 (RTDB tree)
+    0: (csvSamples) => ({
+        meta: {},
+        chunks: { csv: csvSamples },
+        replayData: null
+    }),
+
+    // v1 (RTDB tree) -> v2
+    1: (legacy) => {
+        const meta = legacy.meta || {};
+        const chunks = legacy.chunks || {};
+        // Push IDs sort chronologically
+        const samples = [];
+        Object.keys(chunks).sort().forEach(k => {
+            const chunk = chunks[k];
+            toArray(chunk).forEach(r => { if (r) samples.push(r); });
+        });
+        if (Array.isArray(legacy.data)) legacy.data.forEach(r => samples.push(r)); // Pre-chunk sessions
+
+        // Layouts were stored as plain line arrays at first
+        const layouts = {};
+        Object.keys(meta.layouts || {}).forEach(para => {
+            const l = meta.layouts[para];
+            layouts[para] = Array.isArray(l)
+                ? { chunks: [], lines: l, words: [] }
+                : { chunks: toArray(l.chunks), lines: toArray(l.lines), words: toArray(l.words) };
+        });
+
+        // Older uploads have no pang log: recover it from the per-sample fire flags
+        const pangLog = meta.pangLog ? toArray(meta.pangLog) : samples
+            .filter(s => s.didFire)
+            .map(s => ({
+                t: s.t,
+                paraIndex: s.paraIndex !== undefined ? s.paraIndex : null,
+                lineIndex: typeof s.lineIndex === 'number' ? Math.max(0, s.lineIndex - 1) : 0,
+                type: s.rsTriggerType || null,
+                vx: s.vx !== undefined ? s.vx : null
+            }));
+
+        const ua = meta.userAgent || "";
+        return {
+            format: SESSION_FORMAT,
+            version: 2,
+            sessionId: legacy.sessionId || null,
+            createdAt: meta.timestamp || null,
+            exportedAt: null,
+            device: meta.device || { userAgent: ua, deviceType: detectDeviceType(ua), platform: "", language: "", gazeSource: null },
+            viewport: meta.viewport || { width: null, height: null, devicePixelRatio: 1 },
+            wpm: meta.wpm || { selected: null, chunkSize: null, interval: null, delay: null, measured: null },
+            calibration: meta.calibration || null,
+            layouts,
+            samples,
+            pangLog,
+            wpmLog: toArray(meta.wpmData),
+            events: toArray(meta.events),
+            analysis: {
+                lineMetadata: meta.lineMetadata || {},
+                wordStats: meta.wordStats || {},
+                fixations: [],
+                saccades: [],
+                regressions: toArray(meta.regressions)
+            },
+            replayData: legacy.replayData || null
+        };
+    }
+};
+
+function detectVersion(input) {
+    if (Array.isArray(input)) return 0; // Parsed CSV rows
+    if (input && input.format === SESSION_FORMAT && typeof input.version === 'number') return input.version;
+    if (input && (input.meta || input.chunks || input.data)) return 1;
+    return null;
+}
+
+/**
+ * Brings any known version up to SESSION_VERSION.
+ */
+export function migrateSession(input) {
+    let version = detectVersion(input);
+    if (version === null) throw new SessionFormatError("Unrecognized session data");
+    if (version > SESSION_VERSION) throw new SessionFormatError(`Session version ${version} is newer than this build (${SESSION_VERSION})`);
+
+    let current = input;
+    while (version < SESSION_VERSION) {
+        current = MIGRATIONS[version](current);
+        version++;
+        console.log(`[SessionFormat] Migrated session to v${version}`);
+    }
+    return current;
+}
+
+// --- Serialization ---
+
+export function serializeSession(session, format = 'json') {
+    if (format !== 'ndjson') return JSON.stringify(session);
+
+    const { samples, pangLog, wpmLog, events, ...header } = session;
+    const lines = [JSON.stringify({ kind: 'header', ...header })];
+    (samples || []).forEach(r => lines.push(JSON.stringify({ kind: 'sample', ...r })));
+    (pangLog || []).forEach(r => lines.push(JSON.stringify({ kind: 'pang', ...r })));
+    (wpmLog || []).forEach(r => lines.push(JSON.stringify({ kind: 'wpm', ...r })));
+    (events || []).forEach(r => lines.push(JSON.stringify({ kind: 'event', ...r })));
+    return lines.join("\n") + "\n";
+}
+
+function parseNDJSON(text) {
+    const out = { samples: [], pangLog: [], wpmLog: [], events: [] };
+    let header = null;
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim()) return;
+        let rec;
+        try {
+            rec = JSON.parse(line);
+        } catch (e) {
+            throw new SessionFormatError(`NDJSON line ${i + 1}: ${e.message}`);
+        }
+        const { kind, ...rest } = rec;
+        if (kind === 'header') header = rest;
+        else if (kind === 'sample') out.samples.push(rest);
+        else if (kind === 'pang') out.pangLog.push(rest);
+        else if (kind === 'wpm') out.wpmLog.push(rest);
+        else if (kind === 'event') out.events.push(rest);
+    });
+    if (!header) throw new SessionFormatError("NDJSON: missing header line");
+    return { ...header, ...out };
+}
+
+/**
+ * Loads a session from JSON / NDJSON / exportCSV text or an already-parsed object,
+ * migrates it to the current version and validates it.
+ * @param {string|Object} input
+ * @param {Object} options - { strict: throw on validation errors (default true) }
+ * @returns {Object} session (current version)
+ * @throws {SessionFormatError} unparseable text, or an invalid session when strict
+ */
+export function loadSession(input, options = {}) {
+    const strict = options.strict !== false;
+    let data = input;
+
+    if (typeof input === 'string') {
+        const text = input.trim();
+        if (text.startsWith('{')) {
+            const firstLine = text.split(/\r?\n/, 1)[0];
+            let first = null;
+            try { first = JSON.parse(firstLine); } catch (e) { first = null; }
+            if (first && first.kind === 'header') {
+                data = parseNDJSON(text);
+            } else {
+                try {
+                    data = JSON.parse(text);
+                } catch (e) {
+                    throw new SessionFormatError(`Session JSON: ${e.message}`);
+                }
+            }
+        } else {
+            data = ReplayGazeSource.parseCSV(text);
+        }
+    }
+
+    const session = migrateSession(data);
+    const { valid, errors } = validateSession(session);
+    if (!valid) {
+        if (strict) throw new SessionFormatError(`Invalid session (${errors.length} errors): ${errors[0]}`, errors);
+        console.warn(`[SessionFormat] Session has ${errors.length} validation errors`, errors);
+    }
+    return session;
+}
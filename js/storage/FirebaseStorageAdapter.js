@@ -0,0 +1,115 @@
+/**
+ * FirebaseStorageAdapter.js
+ * StorageAdapter over the Firebase layout the dashboards were built on.
+ *
+ *   sessions/{id}/chunks/{i<startIndex>}  gaze sample chunks
+ *   sessions/{id}/meta, session_list/{id} session metadata
+ *   sessions/{id}/replayData              Chart 6 path
+ *   warden_leads/{id}                     reward claims (Realtime Database)
+ *   wardens/{id}                          soul-bound wardens (Firestore)
+ *   logs/{id}                             debug log uploads
+ *
+ * The app is initialized once, here, instead of by every caller.
+ */
+import { StorageAdapter } from "./StorageAdapter.js";
+
+const pad = (n) => String(n).padStart(9, "0");
+
+export class FirebaseStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.name = "firebase";
+        this.config = options.config || null;
+    }
+
+    _app() {
+        const fb = typeof window !== "undefined" ? window.firebase : null;
+        const config = this.config || (typeof window !== "undefined" ? window.FIREBASE_CONFIG : null);
+        if (!fb || !config) throw new Error("Firebase SDK or config not loaded");
+        if (!fb.apps.length) fb.initializeApp(config);
+        return fb;
+    }
+
+    _db() {
+        return this._app().database();
+    }
+
+    async saveWarden(warden) {
+        const { kind, ...data } = warden;
+        if (kind === "lead") {
+            const { id, ...lead } = data;
+            await this._db().ref(`warden_leads/${id}`).set(lead);
+            return id;
+        }
+
+        const fb = this._app();
+        if (!fb.firestore) throw new Error("Firestore SDK not loaded");
+        await fb.firestore().collection("wardens").doc(data.id).set({
+            ...data,
+            timestamp: fb.firestore.FieldValue.serverTimestamp()
+        });
+        return data.id;
+    }
+
+    async appendGazeChunk(sessionId, records, startIndex = 0) {
+        // Keys sort like the indices (SessionFormat sorts chunk keys)
+        await this._db().ref(`sessions/${sessionId}/chunks/i${pad(startIndex)}`).set(records);
+    }
+
+    async saveSessionMeta(sessionId, meta) {
+        const db = this._db();
+        await db.ref(`sessions/${sessionId}/meta`).set(meta);
+        // Lightweight list path: the dashboard loads the list without the gaze data
+        await db.ref(`session_list/${sessionId}`).set(meta);
+    }
+
+    async saveReplayData(sessionId, replayData) {
+        await this._db().ref(`sessions/${sessionId}/replayData`).set(replayData);
+    }
+
+    async saveLogs(logId, data) {
+        await this._db().ref(`logs/${logId}`).set(data);
+    }
+
+    async listSessions(options = {}) {
+        const snapshot = await this._db().ref("session_list")
+            .orderByChild("timestamp").limitToLast(options.limit || 10).once("value");
+        const sessions = [];
+        snapshot.forEach(child => {
+            sessions.push({ sessionId: child.key, meta: child.val() });
+        });
+        return sessions.reverse();
+    }
+
+    async loadSessionTree(sessionId) {
+        const snapshot = await this._db().ref(`sessions/${sessionId}`).once("value");
+        return snapshot.val();
+    }
+
+    // Realtime listeners instead of polling
+    watchSession(sessionId, onChange) {
+        const ref = this._db().ref(`sessions/${sessionId}`);
+        const handler = (snapshot) => {
+            const tree = snapshot.val();
+            if (!tree) return;
+            try {
+                onChange(this.sessionFromTree(sessionId, tree));
+            } catch (e) {
+                console.error("[FirebaseStorageAdapter] watchSession", e);
+            }
+        };
+        ref.on("value", handler);
+        return () => ref.off("value", handler);
+    }
+
+    async listLogs(options = {}) {
+        const snapshot = await this._db().ref("logs").orderByKey().limitToLast(options.limit || 20).once("value");
+        const data = snapshot.val() || {};
+        return Object.keys(data).reverse().map(logId => ({ logId, ...data[logId] }));
+    }
+
+    async loadLogs(logId) {
+        const snapshot = await this._db().ref(`logs/${logId}`).once("value");
+        return snapshot.val();
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * LocalSessionStore.js
+ * Durable on-device storage for sessions (IndexedDB). Survives reloads and crashes.
+ *
+ * Object stores:
+ *   sessions : { sessionId, createdAt, updatedAt, sampleCount, eventCount, chunkSeq, meta, cursors: { [target]: { queued, uploaded } } }
+ *   chunks   : { key, sessionId, kind: 'samples' | 'events', seq, startIndex, endIndex, records }
+ *   outbox   : { id, op, args, sessionId, cursor, attempts, nextAttemptAt, lastError, createdAt }   (see SyncQueue)
+ *
+ * Falls back to memory when IndexedDB is unavailable (Node / private mode), so callers never branch.
+ */
+const DB_NAME = "bookwardens";
+const DB_VERSION = 1;
+const STORES = {
+    sessions: { keyPath: "sessionId" },
+    chunks: { keyPath: "key", index: "sessionId" },
+    outbox: { keyPath: "id", autoIncrement: true }
+};
+
+// Chunk keys sort by session, kind, then sequence
+const chunkKey = (sessionId, kind, seq) => `${sessionId}|${kind}|${String(seq).padStart(8, "0")}`;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class LocalSessionStore {
+    /**
+     * @param {Object} options - { dbName, indexedDB (override / null to force memory) }
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || DB_NAME;
+        this.idb = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== "undefined" ? indexedDB : null);
+        this.db = null;
+        this.memory = null; // { [store]: Map }
+        this.ready = null;
+        this.lock = Promise.resolve(); // Session records are read-modify-write: one writer at a time
+    }
+
+    get isPersistent() {
+        return !!this.db;
+    }
+
+    open() {
+        if (this.ready) return this.ready;
+        this.ready = this._openDB().catch((e) => {
+            console.warn("[LocalSessionStore] IndexedDB unavailable, keeping sessions in memory only.", e);
+            this.db = null;
+            this.memory = {};
+            Object.keys(STORES).forEach(name => { this.memory[name] = new Map(); });
+            return this;
+        });
+        return this.ready;
+    }
+
+    _openDB() {
+        if (!this.idb) return Promise.reject(new Error("No IndexedDB"));
+        return new Promise((resolve, reject) => {
+            const request = this.idb.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.keys(STORES).forEach(name => {
+                    if (db.objectStoreNames.contains(name)) return;
+                    const def = STORES[name];
+                    const store = db.createObjectStore(name, { keyPath: def.keyPath, autoIncrement: !!def.autoIncrement });
+                    if (def.index) store.createIndex(def.index, def.index);
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                console.log(`[LocalSessionStore] Opened IndexedDB "${this.dbName}"`);
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error("IndexedDB open blocked"));
+        });
+    }
+
+    // --- Primitive operations (IndexedDB or memory) ---
+
+    async _put(storeName, value) {
+        await this.open();
+        if (!this.db) {
+            const store = this.memory[storeName];
+            const def = STORES[storeName];
+            if (def.autoIncrement && value[def.keyPath] === undefined) {
+                store.lastId = (store.lastId || 0) + 1;
+                value = { ...value, [def.keyPath]: store.lastId };
+            }
+            store.set(value[def.keyPath], JSON.parse(JSON.stringify(value)));
+            return value[def.keyPath];
+        }
+        const tx = this.db.transaction(storeName, "readwrite");
+        return promisify(tx.objectStore(storeName).put(value));
+    }
+
+    async _get(storeName, key) {
+        await this.open();
+        if (!this.db) {
+            const v = this.memory[storeName].get(key);
+            return v ? JSON.parse(JSON.stringify(v)) : undefined;
+        }
+        const tx = this.db.transaction(storeName, "readonly");
+        return promisify(tx.objectStore(storeName).get(key));
+    }
+
+    async _delete(storeName, key) {
+        await this.open();
+        if (!this.db) {
+            this.memory[storeName].delete(key);
+            return;
+        }
+        const tx = this.db.transaction(storeName, "readwrite");
+        return promisify(tx.objectStore(storeName).delete(key));
+    }
+
+    // All records in key order, optionally only those whose index field equals `value`
+    async _getAll(storeName, indexName = null, value = undefined) {
+        await this.open();
+        if (!this.db) {
+            const all = Array.from(this.memory[storeName].values())
+                .filter(v => !indexName || v[indexName] === value)
+                .map(v => JSON.parse(JSON.stringify(v)));
+            const keyPath = STORES[storeName].keyPath;
+            return all.sort((a, b) => (a[keyPath] < b[keyPath] ? -1 : (a[keyPath] > b[keyPath] ? 1 : 0)));
+        }
+        const store = this.db.transaction(storeName, "readonly").objectStore(storeName);
+        return promisify(indexName ? store.index(indexName).getAll(value) : store.getAll());
+    }
+
+    _exclusive(fn) {
+        const run = this.lock.then(fn);
+        this.lock = run.catch(() => { });
+        return run;
+    }
+
+    // --- Sessions ---
+
+    async getSession(sessionId) {
+        return this._get("sessions", sessionId);
+    }
+
+    async listSessions() {
+        return this._getAll("sessions");
+    }
+
+    /**
+     * Creates the session record if needed and merges `fields` into it.
+     */
+    updateSession(sessionId, fields = {}) {
+        return this._exclusive(() => this._updateSession(sessionId, fields));
+    }
+
+    async _updateSession(sessionId, fields) {
+        const now = Date.now();
+        const current = await this.getSession(sessionId) || {
+            sessionId,
+            createdAt: now,
+            sampleCount: 0,
+            eventCount: 0,
+            chunkSeq: { samples: 0, events: 0 },
+            meta: null,
+            cursors: {}
+        };
+        const next = { ...current, ...fields, updatedAt: now };
+        await this._put("sessions", next);
+        return next;
+    }
+
+    deleteSession(sessionId) {
+        return this._exclusive(async () => {
+            const chunks = await this._getAll("chunks", "sessionId", sessionId);
+            for (const c of chunks) await this._delete("chunks", c.key);
+            await this._delete("sessions", sessionId);
+        });
+    }
+
+    // --- Chunks ---
+
+    /**
+     * Appends records of one kind and bumps the session counter.
+     * @returns {Object} the stored chunk
+     */
+    appendChunk(sessionId, kind, records) {
+        return this._exclusive(() => this._appendChunk(sessionId, kind, records));
+    }
+
+    async _appendChunk(sessionId, kind, records) {
+        const countField = kind === "events" ? "eventCount" : "sampleCount";
+        const session = await this._updateSession(sessionId, {});
+        const startIndex = session[countField] || 0;
+        const chunkSeq = { samples: 0, events: 0, ...(session.chunkSeq || {}) };
+        const seq = chunkSeq[kind];
+
+        const chunk = {
+            key: chunkKey(sessionId, kind, seq),
+            sessionId,
+            kind,
+            seq,
+            startIndex,
+            endIndex: startIndex + records.length,
+            records
+        };
+        await this._put("chunks", chunk);
+        chunkSeq[kind] = seq + 1;
+        await this._updateSession(sessionId, { [countField]: chunk.endIndex, chunkSeq });
+        return chunk;
+    }
+
+    /**
+     * Records of one kind in [startIndex, endIndex)
+     */
+    async readRecords(sessionId, kind, startIndex = 0, endIndex = Infinity) {
+        const chunks = (await this._getAll("chunks", "sessionId", sessionId)).filter(c => c.kind === kind);
+        const out = [];
+        chunks.sort((a, b) => a.seq - b.seq).forEach(c => {
+            if (c.endIndex <= startIndex || c.startIndex >= endIndex) return;
+            c.records.forEach((r, i) => {
+                const index = c.startIndex + i;
+                if (index >= startIndex && index < endIndex) out.push(r);
+            });
+        });
+        return out;
+    }
+
+    // --- Sync cursors (per session and remote target) ---
+
+    async getCursor(sessionId, target) {
+        const session = await this.getSession(sessionId);
+        const cursor = session && session.cursors ? session.cursors[target] : null;
+        return cursor || { queued: 0, uploaded: 0 };
+    }
+
+    setCursor(sessionId, target, fields) {
+        return this._exclusive(async () => {
+            const session = await this._updateSession(sessionId, {});
+            const cursors = { ...(session.cursors || {}) };
+            cursors[target] = { ...(cursors[target] || { queued: 0, uploaded: 0 }), ...fields };
+            await this._updateSession(sessionId, { cursors });
+            return cursors[target];
+        });
+    }
+
+    // --- Outbox ---
+
+    async addOutbox(entry) {
+        return this._put("outbox", entry);
+    }
+
+    async updateOutbox(entry) {
+        return this._put("outbox", entry);
+    }
+
+    async removeOutbox(id) {
+        return this._delete("outbox", id);
+    }
+
+    async listOutbox() {
+        return this._getAll("outbox");
+    }
+}
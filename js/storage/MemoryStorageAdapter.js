@@ -0,0 +1,79 @@
+/**
+ * MemoryStorageAdapter.js
+ * In-process StorageAdapter: keeps the same tree the Firebase adapter writes, in plain objects.
+ * For tests and for running the game with no server at all (?storage=memory).
+ *
+ * Adapters created without a `tree` share one per page, so a dashboard opened in the same
+ * page sees what the game wrote. Nothing survives a reload.
+ */
+import { StorageAdapter } from "./StorageAdapter.js";
+
+const pad = (n) => String(n).padStart(9, "0");
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+export function createMemoryTree() {
+    return { sessions: {}, session_list: {}, warden_leads: {}, wardens: {}, logs: {} };
+}
+
+const sharedTree = createMemoryTree();
+
+export class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - { tree } to isolate the adapter (see createMemoryTree), { pollMs }
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = "memory";
+        this.tree = options.tree || sharedTree;
+    }
+
+    _session(sessionId) {
+        if (!this.tree.sessions[sessionId]) this.tree.sessions[sessionId] = { chunks: {} };
+        return this.tree.sessions[sessionId];
+    }
+
+    async saveWarden(warden) {
+        const { kind, id, ...data } = clone(warden);
+        const collection = kind === "lead" ? this.tree.warden_leads : this.tree.wardens;
+        collection[id] = kind === "lead" ? data : { id, ...data, timestamp: Date.now() };
+        return id;
+    }
+
+    async appendGazeChunk(sessionId, records, startIndex = 0) {
+        this._session(sessionId).chunks[`i${pad(startIndex)}`] = clone(records);
+    }
+
+    async saveSessionMeta(sessionId, meta) {
+        this._session(sessionId).meta = clone(meta);
+        this.tree.session_list[sessionId] = clone(meta);
+    }
+
+    async saveReplayData(sessionId, replayData) {
+        this._session(sessionId).replayData = clone(replayData);
+    }
+
+    async saveLogs(logId, data) {
+        this.tree.logs[logId] = clone(data);
+    }
+
+    async listSessions(options = {}) {
+        return Object.keys(this.tree.session_list)
+            .map(sessionId => ({ sessionId, meta: clone(this.tree.session_list[sessionId]) }))
+            .sort((a, b) => (b.meta.timestamp || 0) - (a.meta.timestamp || 0))
+            .slice(0, options.limit || 10);
+    }
+
+    async loadSessionTree(sessionId) {
+        return clone(this.tree.sessions[sessionId]) || null;
+    }
+
+    async listLogs(options = {}) {
+        return Object.keys(this.tree.logs).sort().reverse()
+            .slice(0, options.limit || 20)
+            .map(logId => ({ logId, ...clone(this.tree.logs[logId]) }));
+    }
+
+    async loadLogs(logId) {
+        return clone(this.tree.logs[logId]) || null;
+    }
+}
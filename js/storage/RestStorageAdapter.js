@@ -0,0 +1,76 @@
+/**
+ * RestStorageAdapter.js
+ * StorageAdapter over plain HTTP/JSON, for a local server instead of Firebase (?storage=rest).
+ * local-storage-server.mjs (next to this file) implements these routes; any server that does works.
+ *
+ *   PUT /wardens/{id}                     body: warden (incl. kind)
+ *   PUT /sessions/{id}/chunks/{start}     body: sample records
+ *   PUT /sessions/{id}/meta               body: meta
+ *   PUT /sessions/{id}/replayData         body: replayData
+ *   GET /sessions?limit=N                 -> [{ sessionId, meta }] newest first
+ *   GET /sessions/{id}                    -> { meta, chunks, replayData } or 404
+ *   PUT /logs/{id}, GET /logs?limit=N, GET /logs/{id}
+ */
+import { StorageAdapter } from "./StorageAdapter.js";
+
+export class RestStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - { baseUrl = '/api', headers, pollMs }
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = "rest";
+        this.baseUrl = (options.baseUrl || "/api").replace(/\/+$/, "");
+        this.headers = options.headers || {};
+    }
+
+    async _request(method, path, body) {
+        const init = { method, headers: { ...this.headers } };
+        if (body !== undefined) {
+            init.headers["Content-Type"] = "application/json";
+            init.body = JSON.stringify(body);
+        }
+        const res = await fetch(this.baseUrl + path, init);
+        if (method === "GET" && res.status === 404) return null;
+        if (!res.ok) throw new Error(`${method} ${path} failed: HTTP ${res.status}`);
+        const text = await res.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    async saveWarden(warden) {
+        await this._request("PUT", `/wardens/${encodeURIComponent(warden.id)}`, warden);
+        return warden.id;
+    }
+
+    async appendGazeChunk(sessionId, records, startIndex = 0) {
+        await this._request("PUT", `/sessions/${encodeURIComponent(sessionId)}/chunks/${startIndex}`, records);
+    }
+
+    async saveSessionMeta(sessionId, meta) {
+        await this._request("PUT", `/sessions/${encodeURIComponent(sessionId)}/meta`, meta);
+    }
+
+    async saveReplayData(sessionId, replayData) {
+        await this._request("PUT", `/sessions/${encodeURIComponent(sessionId)}/replayData`, replayData);
+    }
+
+    async saveLogs(logId, data) {
+        await this._request("PUT", `/logs/${encodeURIComponent(logId)}`, data);
+    }
+
+    async listSessions(options = {}) {
+        return (await this._request("GET", `/sessions?limit=${options.limit || 10}`)) || [];
+    }
+
+    async loadSessionTree(sessionId) {
+        return this._request("GET", `/sessions/${encodeURIComponent(sessionId)}`);
+    }
+
+    async listLogs(options = {}) {
+        return (await this._request("GET", `/logs?limit=${options.limit || 20}`)) || [];
+    }
+
+    async loadLogs(logId) {
+        return this._request("GET", `/logs/${encodeURIComponent(logId)}`);
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * SessionPersistence.js
+ * Local-first recording of a session: samples and game events are streamed into LocalSessionStore
+ * in chunks as they arrive, and sync() hands the unsent part to the SyncQueue.
+ *
+ * Sync cursor (durable, per session and remote target, replaces GazeDataManager.lastUploadedIndex):
+ *   queued   - samples [0, queued) are in the outbox or already sent
+ *   uploaded - samples [0, uploaded) are confirmed by the backend
+ *
+ * After a reload, recover() queues whatever previous sessions never got out.
+ * Once the queue is idle, prune() deletes the local copy of finished sessions the backend has confirmed,
+ * so IndexedDB does not grow with every play.
+ */
+const DEFAULT_PERSISTENCE_OPTIONS = {
+    chunkSize: 300,     // Samples per local chunk (~10s at 30Hz)
+    eventChunkSize: 20
+};
+
+export class SessionPersistence {
+    /**
+     * @param {LocalSessionStore} store
+     * @param {SyncQueue} queue
+     * @param {Object} options - { chunkSize, eventChunkSize }
+     */
+    constructor(store, queue, options = {}) {
+        this.store = store;
+        this.queue = queue;
+        this.options = { ...DEFAULT_PERSISTENCE_OPTIONS, ...options };
+
+        this.sessionId = null;
+        this.sampleBuffer = [];
+        this.eventBuffer = [];
+        this.samplesRecorded = 0; // Samples recorded in this session (stored or buffered)
+        this.writes = Promise.resolve(); // Chunk writes run in order
+        this.syncs = Promise.resolve();  // So do syncs (cursor read-modify-write)
+        this.pruning = null;
+        this.prunedAtSent = 0;           // queue.progress.sent at the last prune
+
+        // Prune after every drain that sent something and left the outbox empty
+        if (queue && typeof queue.onProgress === "function") {
+            queue.onProgress((p) => {
+                if (p.pending === 0 && !p.draining && p.sent > this.prunedAtSent) {
+                    this.prunedAtSent = p.sent;
+                    this.prune();
+                }
+            });
+        }
+    }
+
+    beginSession(sessionId, info = {}) {
+        if (this.sessionId === sessionId) return this.writes;
+        const previous = this.sessionId;
+        if (previous) this.flush();
+
+        this.sessionId = sessionId;
+        this.samplesRecorded = 0;
+        this.sampleBuffer = [];
+        this.eventBuffer = [];
+        this.writes = this.writes.then(() => this.store.updateSession(sessionId, { info }))
+            .catch(e => console.error("[SessionPersistence] beginSession failed", e));
+        console.log(`[SessionPersistence] Recording session ${sessionId}`);
+        return this.writes;
+    }
+
+    recordSample(entry) {
+        if (!this.sessionId) return;
+        this.sampleBuffer.push(entry);
+        this.samplesRecorded++;
+        if (this.sampleBuffer.length >= this.options.chunkSize) this._flushSamples();
+    }
+
+    recordEvent(event) {
+        if (!this.sessionId) return;
+        this.eventBuffer.push(event);
+        if (this.eventBuffer.length >= this.options.eventChunkSize) this._flushEvents();
+    }
+
+    /**
+     * Write buffered samples/events to the store.
+     * @returns {Promise} resolves when everything recorded so far is on disk
+     */
+    flush() {
+        this._flushSamples();
+        this._flushEvents();
+        return this.writes;
+    }
+
+    _flushSamples() {
+        if (this.sampleBuffer.length === 0) return;
+        // Snapshot now: entries keep being annotated in memory
+        const records = this.sampleBuffer.map(e => ({ ...e }));
+        this.sampleBuffer = [];
+        this._write(this.sessionId, "samples", records);
+    }
+
+    _flushEvents() {
+        if (this.eventBuffer.length === 0) return;
+        const records = this.eventBuffer.map(e => ({ ...e }));
+        this.eventBuffer = [];
+        this._write(this.sessionId, "events", records);
+    }
+
+    _write(sessionId, kind, records) {
+        this.writes = this.writes
+            .then(() => this.store.appendChunk(sessionId, kind, records))
+            .catch(e => console.error(`[SessionPersistence] Failed to store ${kind} chunk`, e));
+    }
+
+    /**
+     * Queue everything not yet queued for `target` (a remote session id) plus the latest metadata.
+     * @param {string} target - remote session id (the local session by default)
+     * @param {Object} payload - { samples: in-memory sample array ending with the recorded ones
+     *                             (fresher than the stored copy), meta, replayData }
+     * @returns {Promise} resolves when queued (not when uploaded)
+     */
+    sync(target, payload = {}) {
+        const run = this.syncs.then(() => this._sync(target, payload));
+        this.syncs = run.catch(e => console.error("[SessionPersistence] Sync failed", e));
+        return run;
+    }
+
+    async _sync(target, payload) {
+        const sessionId = this.sessionId;
+        if (!sessionId) return;
+        target = target || sessionId;
+        await this.flush();
+
+        const cursor = await this.store.getCursor(sessionId, target);
+        const session = await this.store.getSession(sessionId);
+        const total = session ? session.sampleCount : 0;
+
+        if (total > cursor.queued) {
+            // Prefer the in-memory copy (smoothed / annotated since it was stored), unless it was reset
+            const base = Array.isArray(payload.samples) ? payload.samples.length - this.samplesRecorded : -1;
+            const records = base >= 0 && this.samplesRecorded === total
+                ? payload.samples.slice(base + cursor.queued, base + total)
+                : await this.store.readRecords(sessionId, "samples", cursor.queued, total);
+            await this._queueSamples(sessionId, target, records, cursor.queued);
+        }
+
+        if (payload.meta) {
+            await this.store.updateSession(sessionId, { meta: payload.meta });
+            await this.queue.enqueue("saveSessionMeta", [target, sanitize(payload.meta)]);
+        }
+        if (payload.replayData) {
+            await this.queue.enqueue("saveReplayData", [target, sanitize(payload.replayData)]);
+        }
+
+        this.queue.drain();
+    }
+
+    async _queueSamples(sessionId, target, records, startIndex) {
+        const size = this.options.chunkSize;
+        for (let i = 0; i < records.length; i += size) {
+            const part = records.slice(i, i + size);
+            const from = startIndex + i;
+            const to = from + part.length;
+            console.log(`[SessionPersistence] Queueing chunk: ${part.length} items (Index ${from} -> ${to}) for ${target}`);
+            await this.queue.enqueue("appendGazeChunk", [target, sanitize(part), from], {
+                sessionId, target, kind: "samples", index: to
+            });
+            await this.store.setCursor(sessionId, target, { queued: to });
+        }
+    }
+
+    /**
+     * Queue what earlier (crashed / closed) sessions never queued for their own id.
+     */
+    async recover() {
+        const sessions = await this.store.listSessions();
+        let recovered = 0;
+        for (const session of sessions) {
+            if (session.sessionId === this.sessionId) continue;
+            const cursor = (session.cursors && session.cursors[session.sessionId]) || { queued: 0 };
+            if (session.sampleCount <= cursor.queued) continue;
+
+            console.log(`[SessionPersistence] Recovering session ${session.sessionId}: ${session.sampleCount - cursor.queued} unsent samples`);
+            const records = await this.store.readRecords(session.sessionId, "samples", cursor.queued, session.sampleCount);
+            await this._queueSamples(session.sessionId, session.sessionId, records, cursor.queued);
+
+            const meta = session.meta || {
+                timestamp: session.updatedAt,
+                totalSamples: session.sampleCount,
+                recovered: true
+            };
+            if (!meta.events) meta.events = await this.store.readRecords(session.sessionId, "events");
+            await this.queue.enqueue("saveSessionMeta", [session.sessionId, sanitize(meta)]);
+            recovered++;
+        }
+        if (recovered > 0) this.queue.drain();
+        return recovered;
+    }
+
+    /**
+     * Delete local sessions (other than the one recording) whose samples the backend has confirmed
+     * for their own id, once nothing is left in the outbox.
+     * @returns {Promise<number>} sessions deleted
+     */
+    prune() {
+        if (!this.pruning) {
+            this.pruning = this._prune()
+                .catch(e => { console.error("[SessionPersistence] Prune failed", e); return 0; })
+                .finally(() => { this.pruning = null; });
+        }
+        return this.pruning;
+    }
+
+    async _prune() {
+        const outbox = await this.store.listOutbox();
+        if (outbox.length > 0) return 0; // Meta / replay data may still be on its way
+        const sessions = await this.store.listSessions();
+        let deleted = 0;
+        for (const session of sessions) {
+            if (session.sessionId === this.sessionId) continue;
+            const cursor = (session.cursors && session.cursors[session.sessionId]) || { queued: 0, uploaded: 0 };
+            if (cursor.queued < session.sampleCount || cursor.uploaded < session.sampleCount) continue;
+            await this.store.deleteSession(session.sessionId);
+            deleted++;
+        }
+        if (deleted > 0) console.log(`[SessionPersistence] Pruned ${deleted} uploaded session(s) from local storage`);
+        return deleted;
+    }
+
+    /**
+     * Durable sync state of the current session for `target`.
+     */
+    async getSyncState(target) {
+        if (!this.sessionId) return null;
+        const session = await this.store.getSession(this.sessionId);
+        const cursor = await this.store.getCursor(this.sessionId, target || this.sessionId);
+        return {
+            sessionId: this.sessionId,
+            stored: session ? session.sampleCount : 0,
+            queued: cursor.queued,
+            uploaded: cursor.uploaded
+        };
+    }
+}
+
+// Firebase rejects NaN / Infinity
+function sanitize(value) {
+    return JSON.parse(JSON.stringify(value, (key, v) => {
+        if (typeof v === 'number' && !Number.isFinite(v)) return null;
+        return v;
+    }));
+}
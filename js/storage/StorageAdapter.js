@@ -0,0 +1,75 @@
+/**
+ * StorageAdapter.js
+ * Everything the game and the dashboards read from / write to a server goes through one adapter.
+ *
+ * Interface (all async):
+ *   saveWarden(warden)                           -> warden.kind 'bind' (soul bind) | 'lead' (reward claim), keyed by warden.id
+ *   appendGazeChunk(sessionId, records, start)   -> sample chunk starting at sample index `start`
+ *   saveSessionMeta(sessionId, meta)             -> session metadata (also feeds listSessions)
+ *   saveReplayData(sessionId, replayData)        -> Chart 6 path
+ *   saveLogs(logId, data)                        -> debug log upload { ua, timestamp, logs, crashLogs }
+ *   listSessions({ limit })                      -> [{ sessionId, meta }] newest first
+ *   loadSession(sessionId)                       -> session in the current SessionFormat (or null)
+ *   watchSession(sessionId, onChange)            -> unsubscribe; onChange(session) on every update
+ *   listLogs({ limit }) / loadLogs(logId)        -> log viewer
+ *
+ * Writes are keyed (never "push"), so SyncQueue can retry them safely.
+ *
+ * Implementations: FirebaseStorageAdapter, MemoryStorageAdapter, RestStorageAdapter (see createStorageAdapter.js).
+ */
+import { loadSession as loadSessionFormat } from "../session/SessionFormat.js";
+
+export class StorageAdapter {
+    constructor(options = {}) {
+        this.name = "base";
+        this.pollMs = options.pollMs || 3000;
+    }
+
+    async saveWarden(warden) { throw new Error(`${this.name}: saveWarden not implemented`); }
+    async appendGazeChunk(sessionId, records, startIndex) { throw new Error(`${this.name}: appendGazeChunk not implemented`); }
+    async saveSessionMeta(sessionId, meta) { throw new Error(`${this.name}: saveSessionMeta not implemented`); }
+    async saveReplayData(sessionId, replayData) { throw new Error(`${this.name}: saveReplayData not implemented`); }
+    async saveLogs(logId, data) { throw new Error(`${this.name}: saveLogs not implemented`); }
+    async listSessions(options = {}) { throw new Error(`${this.name}: listSessions not implemented`); }
+    async listLogs(options = {}) { throw new Error(`${this.name}: listLogs not implemented`); }
+    async loadLogs(logId) { throw new Error(`${this.name}: loadLogs not implemented`); }
+
+    // Raw stored tree { meta, chunks, replayData } (SessionFormat v1 layout), or null
+    async loadSessionTree(sessionId) { throw new Error(`${this.name}: loadSessionTree not implemented`); }
+
+    async loadSession(sessionId) {
+        return this.sessionFromTree(sessionId, await this.loadSessionTree(sessionId));
+    }
+
+    // Stored tree -> current SessionFormat (migrates and validates)
+    sessionFromTree(sessionId, tree) {
+        if (!tree) return null;
+        return loadSessionFormat({ sessionId, ...tree }, { strict: false });
+    }
+
+    // Polling by default; adapters with push updates override it
+    watchSession(sessionId, onChange) {
+        let stopped = false;
+        let lastVersion = null;
+        const poll = async () => {
+            if (stopped) return;
+            try {
+                const session = await this.loadSession(sessionId);
+                // Meta carries a fresh timestamp on every sync
+                const version = session ? `${session.samples.length}|${session.createdAt}` : null;
+                if (session && version !== lastVersion) {
+                    lastVersion = version;
+                    onChange(session);
+                }
+            } catch (e) {
+                console.warn(`[${this.name}] watchSession poll failed`, e);
+            }
+            if (!stopped) timer = setTimeout(poll, this.pollMs);
+        };
+        let timer = setTimeout(poll, 0);
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }
+}
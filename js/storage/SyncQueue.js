@@ -0,0 +1,225 @@
+/**
+ * SyncQueue.js
+ * Retrying outbox that drains locally stored work to a remote backend.
+ *
+ * Every entry names a backend method and its arguments: { op: 'appendGazeChunk', args: [sessionId, records] }.
+ * Entries live in LocalSessionStore.outbox, so anything queued offline (or before a crash) is sent later.
+ *
+ *  - Strict order: the queue stops at the first failure, so chunks of a session never arrive out of order.
+ *  - Backoff: baseDelayMs * 2^(attempts - 1), capped at maxDelayMs. Drains again when the browser comes online.
+ *  - Timeout: a call that hangs (Firebase queues writes while offline instead of failing) counts as failed
+ *    after opTimeoutMs, so backend methods must be idempotent.
+ *  - Cursor: an entry may carry { sessionId, target, kind, index }; on success the durable
+ *    'uploaded' cursor of that session/target moves to index.
+ *
+ * Progress: onProgress(cb) / bus 'sync_progress' -> { pending, sent, failed, draining, online, lastError, lastSyncAt }
+ */
+const DEFAULT_SYNC_OPTIONS = {
+    baseDelayMs: 2000,
+    maxDelayMs: 60000,
+    intervalMs: 15000, // Periodic retry while entries are pending
+    opTimeoutMs: 20000
+};
+
+export class SyncQueue {
+    /**
+     * @param {LocalSessionStore} store
+     * @param {Object} backend - remote backend (methods named by entry.op), may be set later
+     * @param {Object} options - { baseDelayMs, maxDelayMs, intervalMs, opTimeoutMs, bus, clock }
+     */
+    constructor(store, backend = null, options = {}) {
+        this.store = store;
+        this.backend = backend;
+        this.options = { ...DEFAULT_SYNC_OPTIONS, ...options };
+        this.bus = options.bus || null;
+        this.clock = options.clock || { now: () => Date.now() };
+
+        this.draining = null;   // Promise of the running drain (single flight)
+        this.timer = null;
+        this.listeners = [];
+        this.progress = {
+            pending: 0,
+            sent: 0,
+            failed: 0,          // Failed attempts (entries stay queued)
+            draining: false,
+            online: typeof navigator !== "undefined" ? navigator.onLine !== false : true,
+            lastError: null,
+            lastSyncAt: null
+        };
+
+        this._onOnline = () => {
+            this._setProgress({ online: true });
+            this.drain(true);
+        };
+        this._onOffline = () => this._setProgress({ online: false });
+    }
+
+    setBackend(backend) {
+        this.backend = backend;
+        this.drain();
+    }
+
+    start() {
+        if (typeof window !== "undefined") {
+            window.addEventListener("online", this._onOnline);
+            window.addEventListener("offline", this._onOffline);
+        }
+        if (!this.timer) this.timer = setInterval(() => this.drain(), this.options.intervalMs);
+        return this.refresh().then(() => this.drain());
+    }
+
+    stop() {
+        if (typeof window !== "undefined") {
+            window.removeEventListener("online", this._onOnline);
+            window.removeEventListener("offline", this._onOffline);
+        }
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @param {Function} cb - called with a copy of the progress object
+     * @returns {Function} unsubscribe
+     */
+    onProgress(cb) {
+        this.listeners.push(cb);
+        cb({ ...this.progress });
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== cb);
+        };
+    }
+
+    _setProgress(fields) {
+        this.progress = { ...this.progress, ...fields };
+        const snapshot = { ...this.progress };
+        this.listeners.forEach(cb => {
+            try { cb(snapshot); } catch (e) { console.error("[SyncQueue] Progress listener error", e); }
+        });
+        if (this.bus) this.bus.emit('sync_progress', snapshot);
+    }
+
+    async refresh() {
+        const entries = await this.store.listOutbox();
+        this._setProgress({ pending: entries.length });
+        return entries;
+    }
+
+    /**
+     * Queue a backend call. Resolves once it is stored locally (not when it reaches the server).
+     * @param {string} op - backend method name
+     * @param {Array} args
+     * @param {Object} cursor - optional { sessionId, target, kind, index }
+     */
+    async enqueue(op, args = [], cursor = null) {
+        const id = await this.store.addOutbox({
+            op,
+            args,
+            cursor,
+            attempts: 0,
+            nextAttemptAt: 0,
+            lastError: null,
+            createdAt: this.clock.now()
+        });
+        this._setProgress({ pending: this.progress.pending + 1 });
+        return id;
+    }
+
+    /**
+     * Send due entries in order. Concurrent calls share one run.
+     * @param {boolean} force - ignore backoff (e.g. just came online)
+     */
+    drain(force = false) {
+        if (this.draining) return this.draining;
+        this.draining = this._drain(force).finally(() => {
+            this.draining = null;
+            this._setProgress({ draining: false });
+        });
+        return this.draining;
+    }
+
+    async _drain(force) {
+        if (!this.backend) return;
+        this._setProgress({ draining: true });
+
+        // Entries queued while sending are picked up by the next pass
+        let entries = await this.refresh();
+        while (entries.length > 0) {
+            for (const entry of entries) {
+                if (!force && entry.nextAttemptAt > this.clock.now()) return;
+                if (!(await this._send(entry))) return; // Keep order: nothing behind it goes first
+            }
+            entries = await this.refresh();
+        }
+    }
+
+    _withTimeout(promise, op) {
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`${op} timed out after ${this.options.opTimeoutMs}ms`)), this.options.opTimeoutMs);
+        });
+        return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    // @returns {boolean} false if the entry failed and stays queued
+    async _send(entry) {
+        const fn = this.backend[entry.op];
+        if (typeof fn !== "function") {
+            // Nothing will ever handle it; don't block the rest of the queue
+            console.error(`[SyncQueue] Backend has no "${entry.op}", dropping entry ${entry.id}`);
+            await this.store.removeOutbox(entry.id);
+            this._setProgress({ pending: Math.max(0, this.progress.pending - 1) });
+            return true;
+        }
+
+        try {
+            await this._withTimeout(fn.apply(this.backend, entry.args || []), entry.op);
+        } catch (e) {
+            entry.attempts = (entry.attempts || 0) + 1;
+            entry.lastError = e && e.message ? e.message : String(e);
+            const delay = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * Math.pow(2, entry.attempts - 1));
+            entry.nextAttemptAt = this.clock.now() + delay;
+            await this.store.updateOutbox(entry);
+            console.warn(`[SyncQueue] ${entry.op} failed (attempt ${entry.attempts}), retry in ${delay}ms: ${entry.lastError}`);
+            this._setProgress({ failed: this.progress.failed + 1, lastError: entry.lastError });
+            return false;
+        }
+
+        await this.store.removeOutbox(entry.id);
+        if (entry.cursor) {
+            const { sessionId, target, index } = entry.cursor;
+            await this.store.setCursor(sessionId, target, { uploaded: index });
+        }
+        this._setProgress({
+            pending: Math.max(0, this.progress.pending - 1),
+            sent: this.progress.sent + 1,
+            lastError: null,
+            lastSyncAt: this.clock.now()
+        });
+        return true;
+    }
+
+    /**
+     * Resolves when the outbox is empty (or after timeoutMs, with false).
+     */
+    whenIdle(timeoutMs = 30000) {
+        return new Promise((resolve) => {
+            let unsubscribe = null;
+            let timer = null;
+            let done = false;
+            const finish = (idle) => {
+                if (done) return;
+                done = true;
+                if (timer) clearTimeout(timer);
+                // onProgress calls back synchronously on subscribe, before unsubscribe exists
+                setTimeout(() => unsubscribe && unsubscribe(), 0);
+                resolve(idle);
+            };
+            unsubscribe = this.onProgress((p) => {
+                if (p.pending === 0 && !p.draining) finish(true);
+            });
+            if (!done) timer = setTimeout(() => finish(false), timeoutMs);
+        });
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * createStorageAdapter.js
+ * Picks the storage backend for this page.
+ *
+ *   ?storage=firebase (default) | memory | rest   (&storageUrl=http://localhost:8787/api)
+ *   or window.STORAGE_CONFIG = { kind, baseUrl } before the app loads
+ */
+import { FirebaseStorageAdapter } from "./FirebaseStorageAdapter.js";
+import { MemoryStorageAdapter } from "./MemoryStorageAdapter.js";
+import { RestStorageAdapter } from "./RestStorageAdapter.js";
+
+// Unique, roughly time-ordered id for records created on the client
+export function createRecordId(prefix = "") {
+    return `${prefix}${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * @param {Object} config - { kind: 'firebase' | 'memory' | 'rest', baseUrl, firebaseConfig } (defaults: URL params, window.STORAGE_CONFIG)
+ */
+export function createStorageAdapter(config = {}) {
+    const hasWindow = typeof window !== "undefined";
+    const params = hasWindow ? new URLSearchParams(window.location.search) : new URLSearchParams();
+    const defaults = (hasWindow && window.STORAGE_CONFIG) || {};
+
+    const kind = config.kind || params.get("storage") || defaults.kind || "firebase";
+    const baseUrl = config.baseUrl || params.get("storageUrl") || defaults.baseUrl || "/api";
+
+    let adapter;
+    if (kind === "memory") adapter = new MemoryStorageAdapter(config);
+    else if (kind === "rest") adapter = new RestStorageAdapter({ ...config, baseUrl });
+    else adapter = new FirebaseStorageAdapter({ ...config, config: config.firebaseConfig });
+
+    console.log(`[Storage] Using ${adapter.name} adapter`);
+    return adapter;
+}
@@ -0,0 +1,259 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ItemResponseLog } from '../core/ItemResponseLog.js';
+
+/**
+ * Local stand-in for Firebase (no dependencies)
+ * Serves the game and the RestStorageAdapter routes, storing everything as JSON files.
+ *
+ * Usage: node js/storage/local-storage-server.mjs [port=8787] [dataDir=./local-data]
+ * Then open http://localhost:8787/index.html?storage=rest
+ * (or set window.STORAGE_CONFIG = { kind: 'rest' } in index.html for a school deployment)
+ *
+ * There is no authentication, so by default it only listens on 127.0.0.1 and only answers
+ * cross-origin requests from its own origin. Static files are limited to the root pages / images
+ * and js/, css/, seeso/ (no dotfiles). Environment:
+ *   HOST=0.0.0.0                    listen on every interface (classroom LAN - trusted network only)
+ *   CORS_ORIGIN=http://host:port    extra allowed origins (comma-separated), e.g. a separate dev server
+ *   MAX_BODY_BYTES=10485760         bigger request bodies are refused with 413
+ *
+ * GET /api/items/difficulty[?format=csv|json&minResponses=10] rolls the 'quiz_response' events of every
+ * stored session up into the question difficulty table (ItemResponseLog), pooled over all players.
+ *
+ * Layout:
+ *   <dataDir>/sessions/<id>/meta.json, replayData.json, chunks/<start>.json
+ *   <dataDir>/wardens/<id>.json, <dataDir>/logs/<id>.json
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const DATA_DIR = path.resolve(process.argv[3] || 'local-data');
+const HOST = process.env.HOST || '127.0.0.1';
+const MAX_BODY_BYTES = parseInt(process.env.MAX_BODY_BYTES || String(10 * 1024 * 1024), 10);
+const ALLOWED_ORIGINS = new Set([
+    `http://localhost:${PORT}`,
+    `http://127.0.0.1:${PORT}`,
+    ...(process.env.CORS_ORIGIN || '').split(',').map(o => o.trim()).filter(Boolean)
+]);
+
+const MIME = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.wasm': 'application/wasm'
+};
+
+// --- 1. Files ---
+// Only what the game loads: the pages and images in the root, and these folders.
+// Never dotfiles (.git, .env) or anything else lying around the checkout (backups, notes).
+const STATIC_DIRS = new Set(['js', 'css', 'seeso']);
+const STATIC_ROOT_FILE = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*\.(html|png|jpg|svg)$|^coi-serviceworker\.js$/;
+
+function isServable(relative) {
+    const segments = relative.split('/');
+    if (segments.some(seg => seg === '' || seg.startsWith('.'))) return false;
+    if (segments.length === 1) return STATIC_ROOT_FILE.test(segments[0]);
+    return STATIC_DIRS.has(segments[0]);
+}
+
+const safeId = (id) => /^[A-Za-z0-9_.-]+$/.test(id) && id !== '.' && id !== '..';
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeJson(file, value) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write then rename, so a reader never sees half a file
+    fs.writeFileSync(file + '.tmp', JSON.stringify(value));
+    fs.renameSync(file + '.tmp', file);
+}
+
+function listDir(dir) {
+    try {
+        return fs.readdirSync(dir);
+    } catch (e) {
+        return [];
+    }
+}
+
+function loadSessionTree(id) {
+    const dir = path.join(DATA_DIR, 'sessions', id);
+    if (!fs.existsSync(dir)) return null;
+    const chunks = {};
+    listDir(path.join(dir, 'chunks')).filter(f => f.endsWith('.json')).forEach(f => {
+        const start = parseInt(f, 10);
+        // Same keys as the Firebase layout
+        chunks['i' + String(start).padStart(9, '0')] = readJson(path.join(dir, 'chunks', f));
+    });
+    return {
+        meta: readJson(path.join(dir, 'meta.json')),
+        chunks,
+        replayData: readJson(path.join(dir, 'replayData.json'))
+    };
+}
+
+// --- 2. Routes ---
+function handleApi(method, parts, query, body) {
+    const [collection, id, sub, key] = parts;
+    const limit = parseInt(query.get('limit') || '10', 10);
+    if (id !== undefined && !safeId(id)) return [400, { error: 'bad id' }];
+
+    if (collection === 'wardens' && method === 'PUT' && id) {
+        writeJson(path.join(DATA_DIR, 'wardens', id + '.json'), body);
+        return [200, { ok: true }];
+    }
+
+    if (collection === 'logs') {
+        if (method === 'PUT' && id) {
+            writeJson(path.join(DATA_DIR, 'logs', id + '.json'), body);
+            return [200, { ok: true }];
+        }
+        if (method === 'GET' && id) {
+            const data = readJson(path.join(DATA_DIR, 'logs', id + '.json'));
+            return data ? [200, data] : [404, { error: 'not found' }];
+        }
+        if (method === 'GET') {
+            const ids = listDir(path.join(DATA_DIR, 'logs')).filter(f => f.endsWith('.json'))
+                .map(f => f.slice(0, -5)).sort().reverse().slice(0, limit);
+            return [200, ids.map(logId => ({ logId, ...readJson(path.join(DATA_DIR, 'logs', logId + '.json')) }))];
+        }
+    }
+
+    if (collection === 'sessions') {
+        const dir = id ? path.join(DATA_DIR, 'sessions', id) : null;
+        if (method === 'PUT' && sub === 'chunks' && /^\d+$/.test(key || '')) {
+            writeJson(path.join(dir, 'chunks', key + '.json'), body);
+            return [200, { ok: true }];
+        }
+        if (method === 'PUT' && (sub === 'meta' || sub === 'replayData')) {
+            writeJson(path.join(dir, sub + '.json'), body);
+            return [200, { ok: true }];
+        }
+        if (method === 'GET' && id) {
+            const tree = loadSessionTree(id);
+            return tree ? [200, tree] : [404, { error: 'not found' }];
+        }
+        if (method === 'GET') {
+            const sessions = listDir(path.join(DATA_DIR, 'sessions'))
+                .map(sessionId => ({ sessionId, meta: readJson(path.join(DATA_DIR, 'sessions', sessionId, 'meta.json')) }))
+                .filter(s => s.meta)
+                .sort((a, b) => (b.meta.timestamp || 0) - (a.meta.timestamp || 0))
+                .slice(0, limit);
+            return [200, sessions];
+        }
+    }
+
+    if (collection === 'items' && id === 'difficulty' && method === 'GET') {
+        const metas = listDir(path.join(DATA_DIR, 'sessions'))
+            .map(sessionId => readJson(path.join(DATA_DIR, 'sessions', sessionId, 'meta.json')))
+            .filter(Boolean);
+        const options = {};
+        ['minResponses', 'tooHard', 'tooEasy'].forEach(k => {
+            if (query.has(k) && Number.isFinite(parseFloat(query.get(k)))) options[k] = parseFloat(query.get(k));
+        });
+        const rows = ItemResponseLog.difficultyOf(ItemResponseLog.aggregate(metas), options);
+        return query.get('format') === 'csv'
+            ? [200, ItemResponseLog.formatDifficulty(rows, 'csv'), 'text/csv; charset=utf-8']
+            : [200, rows];
+    }
+
+    return [404, { error: 'unknown route' }];
+}
+
+function serveStatic(pathname, res) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (e) {
+        // Malformed escape (e.g. /%E0%A4%A)
+        res.writeHead(400);
+        return res.end('Bad request');
+    }
+    const relative = decoded.replace(/^\/+/, '');
+    const file = path.resolve(ROOT, relative);
+    if (!isServable(relative) || relative.includes('\\') || !file.startsWith(ROOT + path.sep) || file.startsWith(DATA_DIR)) {
+        res.writeHead(403);
+        return res.end();
+    }
+    fs.readFile(file, (err, content) => {
+        if (err) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+// --- 3. Server ---
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const origin = req.headers.origin;
+    if (origin && ALLOWED_ORIGINS.has(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    }
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+    }
+
+    if (!url.pathname.startsWith('/api/')) return serveStatic(url.pathname, res);
+
+    if (parseInt(req.headers['content-length'] || '0', 10) > MAX_BODY_BYTES) {
+        res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+        res.end(JSON.stringify({ error: 'body too large' }));
+        return req.destroy();
+    }
+
+    let raw = '';
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            // Chunked uploads carry no Content-Length: stop reading as soon as the limit is passed
+            tooLarge = true;
+            res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+            res.end(JSON.stringify({ error: 'body too large' }));
+            req.destroy();
+            return;
+        }
+        raw += chunk;
+    });
+    req.on('end', () => {
+        if (tooLarge) return;
+        let status = 500;
+        let payload = null;
+        let type = null; // Set by routes that answer with something other than JSON
+        try {
+            const body = raw ? JSON.parse(raw) : undefined;
+            const parts = url.pathname.slice('/api/'.length).split('/').filter(Boolean);
+            [status, payload, type] = handleApi(req.method, parts, url.searchParams, body);
+        } catch (e) {
+            status = e instanceof SyntaxError ? 400 : 500;
+            payload = { error: e.message };
+            console.error(`[LocalStorageServer] ${req.method} ${url.pathname}`, e.message);
+        }
+        res.writeHead(status, { 'Content-Type': type || 'application/json' });
+        res.end(type ? payload : JSON.stringify(payload));
+    });
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`[LocalStorageServer] http://${HOST === '0.0.0.0' ? 'localhost' : HOST}:${PORT}/ on ${HOST} (data: ${DATA_DIR})`);
+});
@@ -0,0 +1,297 @@
+/**
+ * ChapterImporter.js
+ * Plain text / Markdown -> dynamic chapter format (see StoryContent_Dynamic.js):
+ *   { story_id, title, paragraphs: [{ id, tokens: [{t, b}], vocab_highlights, core_phrase }] }
+ *
+ * Markup:
+ *   # Title                      chapter title (first H1); other headings are skipped
+ *   blank line                   paragraph break (single newlines are joined)
+ *   [[peeped]]                   rune word -> vocab_highlights, word_id "rune_peeped"
+ *   [[peeped|rune_peek]]         rune word with an explicit word_id
+ *   {{ ... }}                    core phrase (one per paragraph), {{! ... }} for importance "medium"
+ *   *emphasis*, **bold**, > quote markers are stripped
+ *
+ * Pause strengths (b), as in the hand-made chapters:
+ *   4  sentence / clause punctuation (, ; : . ! ? 、 。 and closing quotes or brackets after them), paragraph end
+ *   3  a clause or quotation starts next (subordinator, opening quote or bracket), or a prepositional phrase after a long run
+ *   2  end of a phrase: content word before a preposition / conjunction, or a run that got too long
+ *   1  inside a phrase
+ * Korean / Japanese / Chinese (options.lang, detected from the script by default) use the rules in Language.js:
+ * a clause-linking ending ("-고", "-て") gives 3, a phrase-closing particle after a run gives 2.
+ * Japanese and Chinese have no spaces: their text is split into words with Intl.Segmenter.
+ */
+import { PREPOSITIONS, CONJUNCTIONS, SUBORDINATORS, FUNCTION_WORDS, bareWord } from "./WordClasses.js";
+import { Language, OPENERS, CLAUSE_END } from "./Language.js";
+
+export class ChapterImportError extends Error {
+    /**
+     * @param {string} message
+     * @param {Array} errors - [{ paragraph, line, message }]
+     */
+    constructor(message, errors = []) {
+        super(message);
+        this.name = "ChapterImportError";
+        this.errors = errors;
+    }
+}
+
+export class ChapterImporter {
+    /**
+     * @param {string} text - plain text or Markdown
+     * @param {Object} options - { storyId, title, lang = detected, direction, idPrefix = 'p', maxRun, highlightType = 'bold_on_gaze' }
+     * @returns {Object} chapter in the dynamic format (with `lang` unless it is English, `direction` if given)
+     * @throws {ChapterImportError} on broken markup (all problems, with paragraph and line numbers)
+     */
+    static import(text, options = {}) {
+        const { title, blocks } = ChapterImporter.splitParagraphs(text);
+        const chapterTitle = options.title || title || "Untitled";
+        const idPrefix = options.idPrefix || "p";
+        const lang = options.lang || Language.detect(blocks.map(b => b.text).join(" "));
+        const errors = [];
+
+        const paragraphs = blocks.map((block, i) => {
+            const parsed = ChapterImporter.parseParagraph(block.text, { ...options, lang });
+            parsed.errors.forEach(message => errors.push({ paragraph: i + 1, line: block.line, message }));
+
+            const paragraph = {
+                id: `${idPrefix}${i + 1}`,
+                tokens: parsed.words.map((t, k) => ({ t, b: parsed.pauses[k] })),
+                vocab_highlights: parsed.highlights
+            };
+            if (parsed.corePhrase) paragraph.core_phrase = parsed.corePhrase;
+            return paragraph;
+        });
+
+        if (paragraphs.length === 0) errors.push({ paragraph: 0, line: 1, message: "No paragraphs found" });
+        if (errors.length > 0) {
+            throw new ChapterImportError(`Chapter import failed: ${errors.length} problem(s)`, errors);
+        }
+
+        const chapter = {
+            story_id: options.storyId || ChapterImporter.slug(chapterTitle),
+            title: chapterTitle,
+            paragraphs
+        };
+        if (Language.base(lang) !== "en") chapter.lang = lang;
+        if (options.direction) chapter.direction = options.direction;
+        return chapter;
+    }
+
+    /**
+     * Markdown/plain text -> title + paragraph blocks (with their first source line).
+     */
+    static splitParagraphs(text) {
+        const lines = String(text).replace(/^﻿/, "").split(/\r?\n/);
+        const blocks = [];
+        let title = null;
+        let current = null;
+
+        const close = () => {
+            if (current && current.parts.length > 0) blocks.push({ text: current.parts.join(" "), line: current.line });
+            current = null;
+        };
+
+        lines.forEach((raw, i) => {
+            const line = raw.trim();
+            if (line === "" || /^(-{3,}|\*{3,}|_{3,})$/.test(line)) return close();
+
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            if (heading) {
+                close();
+                if (heading[1].length === 1 && title === null) title = heading[2].trim();
+                return;
+            }
+
+            const content = line.replace(/^>\s?/, "");
+            if (!current) current = { parts: [], line: i + 1 };
+            current.parts.push(content);
+        });
+        close();
+
+        return { title, blocks };
+    }
+
+    /**
+     * One paragraph with markup -> words, pause strengths, rune highlights and core phrase.
+     */
+    static parseParagraph(text, options = {}) {
+        const words = [];
+        const highlights = [];
+        const errors = [];
+        let corePhrase = null;
+        let coreStart = null;
+        let coreImportance = "high";
+        let current = "";
+        // ja / zh: markup is a word boundary, and the text between is segmented on flush
+        const spaced = Language.get(options.lang).spaced;
+        let glueNext = false;
+
+        const flush = () => {
+            const word = current.replace(/\*\*|__|\*/g, "");
+            current = "";
+            if (word.length === 0) {
+                glueNext = false; // "[[望遠鏡]] を": a space in between, nothing to glue
+                return;
+            }
+            if (spaced) {
+                words.push(word);
+                return;
+            }
+            const tokens = Language.segment(word, options.lang);
+            // "[[望遠鏡]]を" -> "望遠鏡を": particles / punctuation stay with the word before the markup
+            if (glueNext && tokens.length > 0 && Language.attachesToPrevious(tokens[0], options.lang)) {
+                words[words.length - 1] += tokens.shift();
+            }
+            glueNext = false;
+            words.push(...tokens);
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            if (text.startsWith("[[", i)) {
+                const end = text.indexOf("]]", i + 2);
+                if (end < 0) {
+                    errors.push(`Unclosed rune markup "[[" near "${text.slice(i, i + 20)}"`);
+                    i += 2;
+                    continue;
+                }
+                const [word, wordId] = text.slice(i + 2, end).split("|").map(s => s.trim());
+                if (!word || /\s/.test(word)) {
+                    errors.push(`Rune markup must wrap exactly one word: "${text.slice(i, end + 2)}"`);
+                } else {
+                    if (!spaced) flush();
+                    highlights.push({
+                        word_id: wordId || `rune_${ChapterImporter.slug(word)}`,
+                        target_token_index: words.length,
+                        type: options.highlightType || "bold_on_gaze"
+                    });
+                    if (spaced) current += word;
+                    else {
+                        words.push(word); // The rune word is one token, never segmented
+                        glueNext = true;
+                    }
+                }
+                i = end + 2;
+                continue;
+            }
+
+            if (text.startsWith("{{", i)) {
+                if (coreStart !== null || corePhrase) errors.push("Only one core phrase {{ }} per paragraph");
+                if (!spaced) flush();
+                coreStart = words.length;
+                coreImportance = text[i + 2] === "!" ? "medium" : "high";
+                i += coreImportance === "medium" ? 3 : 2;
+                continue;
+            }
+
+            if (text.startsWith("}}", i)) {
+                if (!spaced) {
+                    flush();
+                    glueNext = words.length > 0;
+                }
+                if (coreStart === null) {
+                    errors.push('Core phrase closed with "}}" but never opened');
+                } else {
+                    const end = current.length > 0 ? words.length : words.length - 1;
+                    if (end < coreStart) errors.push("Empty core phrase {{ }}");
+                    else corePhrase = { start_token_index: coreStart, end_token_index: end, importance: coreImportance };
+                    coreStart = null;
+                }
+                i += 2;
+                continue;
+            }
+
+            if (/\s/.test(text[i])) flush();
+            else current += text[i];
+            i++;
+        }
+        flush();
+        if (coreStart !== null) errors.push('Unclosed core phrase "{{"');
+
+        return {
+            words,
+            pauses: ChapterImporter.inferPauses(words, options),
+            highlights,
+            corePhrase,
+            errors
+        };
+    }
+
+    /**
+     * Pause strength (b) per word.
+     * @param {Array<string>} words
+     * @param {Object} options - { lang = 'en', maxRun } maxRun: words without a break before a forced phrase end
+     * @returns {Array<number>}
+     */
+    static inferPauses(words, options = {}) {
+        if (Language.base(options.lang) !== "en" && Language.isSupported(options.lang)) {
+            return ChapterImporter.inferPausesByProfile(words, Language.get(options.lang), options);
+        }
+        const maxRun = options.maxRun || 5;
+        const pauses = [];
+        let run = 0; // Words since the last b >= 2
+
+        words.forEach((word, i) => {
+            run++;
+            let b = 1;
+            const next = words[i + 1];
+
+            if (next === undefined || CLAUSE_END.test(word)) {
+                b = 4;
+            } else {
+                const lower = ChapterImporter.bare(word);
+                const nextLower = ChapterImporter.bare(next);
+                const isContent = !FUNCTION_WORDS.has(lower);
+
+                if (OPENERS.test(next)) b = 3;
+                else if (isContent && SUBORDINATORS.has(nextLower)) b = 3;
+                else if (isContent && PREPOSITIONS.has(nextLower)) b = run >= 3 ? 3 : 2;
+                else if (isContent && CONJUNCTIONS.has(nextLower)) b = 2;
+                else if (isContent && run >= maxRun) b = 2;
+            }
+
+            pauses.push(b);
+            if (b >= 2) run = 0;
+        });
+
+        return pauses;
+    }
+
+    /**
+     * Pause strength for languages without English function words (Korean eojeol, ja / zh segmented words):
+     * endings decide it, since particles and connectives sit at the end of the word.
+     */
+    static inferPausesByProfile(words, profile, options = {}) {
+        const maxRun = options.maxRun || profile.maxRun;
+        const pauses = [];
+        let run = 0;
+
+        words.forEach((word, i) => {
+            run++;
+            let b = 1;
+            const next = words[i + 1];
+            const lower = ChapterImporter.bare(word);
+
+            if (next === undefined || CLAUSE_END.test(word)) b = 4;
+            else if (OPENERS.test(next)) b = 3;
+            else if (profile.proclitic(word)) b = 1;
+            else if (profile.connective && profile.connective.test(lower)) b = 3;
+            else if (profile.particle && profile.particle.test(lower)) b = run >= 2 ? 2 : 1;
+            else if (run >= maxRun) b = 2;
+
+            pauses.push(b);
+            if (b >= 2) run = 0;
+        });
+
+        return pauses;
+    }
+
+    // Lowercase word without surrounding punctuation
+    static bare(word) {
+        return bareWord(word);
+    }
+
+    static slug(text) {
+        return ChapterImporter.bare(text).replace(/[^\p{L}\p{N}]+/gu, "_") || "untitled";
+    }
+}
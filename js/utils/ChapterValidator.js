@@ -0,0 +1,209 @@
+/**
+ * ChapterValidator.js
+ * Checks dynamic chapter objects (StoryContent_Dynamic.js format) before they are rendered.
+ *
+ *   errors   - the chapter will misbehave: bad token shape, b outside 0-4, vocab_highlights / core_phrase
+ *              indices out of bounds, a rune index that doesn't point at its word (rune_peeped -> "peeped")
+ *   warnings - probably a mistake: rune word without a vocab entry, paragraph not ending on b=4, ...
+ *
+ * Every issue carries its location: { severity, paragraph, paragraphId, token, path, message }.
+ */
+
+import { Language } from "./Language.js";
+import { ReadingDirection } from "./ReadingDirection.js";
+
+const MAX_PAUSE = 4;
+const IMPORTANCE = ["critical", "high", "medium", "low"];
+
+// Lowercase word without surrounding punctuation
+const bare = (text) => String(text).toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+// Letters and digits only ("daisy-chain" == rune_daisy_chain)
+const squash = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+
+export class ChapterValidator {
+    /**
+     * Vocab entry -> rune word_id ('rune_' + word, unless the entry has an explicit id).
+     */
+    static vocabRuneId(entry) {
+        return entry.id || `rune_${bare(entry.word).replace(/[^\p{L}\p{N}]+/gu, "_")}`;
+    }
+
+    /**
+     * @param {Object} chapter - { story_id, title, lang?, direction?, paragraphs }
+     * @param {Object} options - { vocabList, partial: true skips chapter-level fields (single paragraph in prepareDynamic) }
+     * @returns {Object} { valid, errors, warnings }
+     */
+    static validate(chapter, options = {}) {
+        const issues = [];
+        const add = (severity, message, loc = {}) => issues.push({ severity, message, ...loc });
+
+        if (!chapter || typeof chapter !== "object") {
+            add("error", "Chapter must be an object", { path: "" });
+            return ChapterValidator._report(issues);
+        }
+        if (!options.partial) {
+            if (typeof chapter.story_id !== "string" || !chapter.story_id) add("error", "story_id must be a non-empty string", { path: "story_id" });
+            if (typeof chapter.title !== "string") add("warning", "title should be a string", { path: "title" });
+        }
+        if (chapter.lang !== undefined && chapter.lang !== null && !Language.isSupported(chapter.lang)) {
+            add("warning", `lang "${chapter.lang}" has no language rules, English ones are used`, { path: "lang" });
+        }
+        if (chapter.direction !== undefined && chapter.direction !== null && !ReadingDirection.isSupported(chapter.direction)) {
+            add("error", `direction must be 'ltr', 'rtl' or 'vertical-rl', got ${JSON.stringify(chapter.direction)}`, { path: "direction" });
+        }
+        if (!Array.isArray(chapter.paragraphs) || chapter.paragraphs.length === 0) {
+            add("error", "paragraphs must be a non-empty array", { path: "paragraphs" });
+            return ChapterValidator._report(issues);
+        }
+
+        const vocabIds = Array.isArray(options.vocabList)
+            ? new Set(options.vocabList.map(v => ChapterValidator.vocabRuneId(v)))
+            : null;
+        const seenIds = new Set();
+        const usedRunes = new Set();
+
+        chapter.paragraphs.forEach((p, pi) => {
+            ChapterValidator._validateParagraph(p, pi, { add, vocabIds, seenIds, usedRunes });
+        });
+
+        if (vocabIds && !options.partial) {
+            vocabIds.forEach(id => {
+                if (!usedRunes.has(id)) add("warning", `Vocab entry "${id}" has no rune word in this chapter`, { path: "vocabList" });
+            });
+        }
+
+        return ChapterValidator._report(issues);
+    }
+
+    static _validateParagraph(p, pi, { add, vocabIds, seenIds, usedRunes }) {
+        const base = `paragraphs[${pi}]`;
+        const paragraphId = p && typeof p.id === "string" ? p.id : null;
+        const at = (path, token = null, extra = {}) => ({ paragraph: pi, paragraphId, token, path: `${base}${path}`, ...extra });
+
+        if (!p || typeof p !== "object") {
+            add("error", "Paragraph must be an object", at(""));
+            return;
+        }
+        if (!paragraphId) add("error", "id must be a non-empty string", at(".id"));
+        else if (seenIds.has(paragraphId)) add("error", `Duplicate paragraph id "${paragraphId}"`, at(".id"));
+        else seenIds.add(paragraphId);
+
+        if (!Array.isArray(p.tokens) || p.tokens.length === 0) {
+            add("error", "tokens must be a non-empty array", at(".tokens"));
+            return;
+        }
+
+        // --- Tokens ---
+        p.tokens.forEach((tok, ti) => {
+            const path = `.tokens[${ti}]`;
+            if (!tok || typeof tok.t !== "string" || tok.t.length === 0) {
+                add("error", "Token t must be a non-empty string", at(path, ti));
+                return;
+            }
+            if (/\s/.test(tok.t)) add("warning", `Token "${tok.t}" contains whitespace (one word per token)`, at(path, ti));
+            if (!Number.isInteger(tok.b) || tok.b < 0 || tok.b > MAX_PAUSE) {
+                add("error", `Pause strength b must be an integer 0-${MAX_PAUSE}, got ${JSON.stringify(tok.b)} ("${tok.t}")`, at(`${path}.b`, ti));
+            }
+        });
+        const last = p.tokens[p.tokens.length - 1];
+        if (last && Number.isInteger(last.b) && last.b !== MAX_PAUSE) {
+            add("warning", `Last token "${last.t}" should end the paragraph with b=${MAX_PAUSE}, got ${last.b}`, at(`.tokens[${p.tokens.length - 1}].b`, p.tokens.length - 1));
+        }
+
+        const inRange = (i) => Number.isInteger(i) && i >= 0 && i < p.tokens.length;
+        const tokenText = (i) => (p.tokens[i] && p.tokens[i].t) || "";
+
+        // --- Rune words ---
+        if (p.vocab_highlights !== undefined && !Array.isArray(p.vocab_highlights)) {
+            add("error", "vocab_highlights must be an array", at(".vocab_highlights"));
+        }
+        (Array.isArray(p.vocab_highlights) ? p.vocab_highlights : []).forEach((h, hi) => {
+            const path = `.vocab_highlights[${hi}]`;
+            if (!h || typeof h.word_id !== "string" || !h.word_id) {
+                add("error", "word_id must be a non-empty string", at(path));
+                return;
+            }
+            usedRunes.add(h.word_id);
+            if (typeof h.type !== "string") add("warning", `"${h.word_id}" has no highlight type`, at(`${path}.type`));
+
+            const index = h.target_token_index;
+            if (!inRange(index)) {
+                add("error", `"${h.word_id}" target_token_index ${JSON.stringify(index)} is out of bounds (0-${p.tokens.length - 1})`, at(`${path}.target_token_index`, null));
+            } else {
+                // rune_<word> names its word; inflections ("vanish" / "vanished") still match
+                const expected = h.word_id.startsWith("rune_") ? squash(h.word_id.slice(5)) : null;
+                const actual = squash(tokenText(index));
+                if (expected && actual && !actual.startsWith(expected) && !expected.startsWith(actual)) {
+                    const suggestion = p.tokens.findIndex(t => t && squash(t.t).startsWith(expected));
+                    // The word is elsewhere in the paragraph: the index is off. Otherwise the id may just be a custom name.
+                    add(suggestion >= 0 ? "error" : "warning",
+                        `"${h.word_id}" target_token_index ${index} points at "${tokenText(index)}"` +
+                        (suggestion >= 0 ? ` (did you mean ${suggestion}, "${tokenText(suggestion)}"?)` : ""),
+                        at(`${path}.target_token_index`, index));
+                }
+            }
+            if (vocabIds && !vocabIds.has(h.word_id)) {
+                add("warning", `Rune "${h.word_id}" has no entry in the vocab list`, at(`${path}.word_id`, inRange(index) ? index : null));
+            }
+        });
+
+        // --- Core phrase ---
+        const cp = p.core_phrase;
+        if (cp !== undefined && cp !== null) {
+            const { start_token_index: start, end_token_index: end } = cp;
+            if (!inRange(start)) add("error", `core_phrase start_token_index ${JSON.stringify(start)} is out of bounds (0-${p.tokens.length - 1})`, at(".core_phrase.start_token_index"));
+            if (!inRange(end)) add("error", `core_phrase end_token_index ${JSON.stringify(end)} is out of bounds (0-${p.tokens.length - 1})`, at(".core_phrase.end_token_index"));
+            if (inRange(start) && inRange(end) && start > end) add("error", `core_phrase starts after it ends (${start} > ${end})`, at(".core_phrase", start));
+            if (cp.importance !== undefined && !IMPORTANCE.includes(cp.importance)) {
+                add("warning", `core_phrase importance "${cp.importance}" is not one of ${IMPORTANCE.join(", ")}`, at(".core_phrase.importance"));
+            }
+        }
+    }
+
+    static _report(issues) {
+        const errors = issues.filter(i => i.severity === "error");
+        const warnings = issues.filter(i => i.severity === "warning");
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * One line per issue: "error p1 (paragraphs[0].vocab_highlights[0].target_token_index) token 25: ..."
+     */
+    static format(issue) {
+        const where = issue.paragraphId || (issue.paragraph !== undefined ? `#${issue.paragraph}` : "chapter");
+        const token = issue.token !== null && issue.token !== undefined ? ` token ${issue.token}` : "";
+        return `${issue.severity} ${where}${token} (${issue.path}): ${issue.message}`;
+    }
+
+    /**
+     * Dev-mode overlay listing the issues (replaces the previous one). No-op without issues.
+     */
+    static showOverlay(report, title = "Chapter validation") {
+        if (typeof document === "undefined") return;
+        const old = document.getElementById("chapter-validation-overlay");
+        if (old) old.remove();
+        const issues = [...report.errors, ...report.warnings];
+        if (issues.length === 0) return;
+
+        const panel = document.createElement("div");
+        panel.id = "chapter-validation-overlay";
+        panel.className = "chapter-validation-overlay";
+
+        const header = document.createElement("div");
+        header.className = "chapter-validation-header";
+        header.textContent = `⚠️ ${title}: ${report.errors.length} errors, ${report.warnings.length} warnings`;
+        const close = document.createElement("button");
+        close.textContent = "✕";
+        close.onclick = () => panel.remove();
+        header.appendChild(close);
+        panel.appendChild(header);
+
+        issues.forEach(issue => {
+            const row = document.createElement("div");
+            row.className = `chapter-validation-${issue.severity}`;
+            row.textContent = ChapterValidator.format(issue);
+            panel.appendChild(row);
+        });
+        document.body.appendChild(panel);
+    }
+}
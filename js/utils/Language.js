@@ -0,0 +1,177 @@
+/**
+ * Language.js
+ * Per-language rules shared by the importer (tokens, pause inference), the chunker and the WPM measurement.
+ *
+ * Profile fields:
+ *   spaced      words are separated by spaces (en, ko). ja / zh runs are split with Intl.Segmenter.
+ *   unit        reading speed unit reported next to WPM: 'wpm' or 'cpm' (characters per minute)
+ *   maxRun      words without a break before a forced phrase end (pause inference)
+ *   attach      segments glued to the previous token (particles), so ja / zh tokens are phrase-sized like Korean eojeol
+ *   connective  token ending that closes a clause ("-고", "-て") -> b=3
+ *   particle    token ending that closes a phrase ("-는", "-を") -> b=2 after a run
+ *   proclitic   word -> true if a chunk should not end on it ("the", "그", "的")
+ */
+import { PROCLITICS, bareWord } from "./WordClasses.js";
+
+// CJK punctuation on top of the English set (full-width comma/stop, ideographic comma, corner brackets), Arabic ، ؛ ؟
+export const CLAUSE_END = /[,;:.!?—)、。，．！？；：）」』】》…،؛؟]["”’'\]」』）】》]*$|[”’」』]$/;
+export const OPENERS = /^[“"‘'(\[「『（【《]/;
+
+const KO_PROCLITICS = new Set([
+    "그", "이", "저", "한", "두", "세", "네", "몇", "모든", "어느", "무슨", "어떤", "온갖", "각",
+    "아주", "매우", "너무", "가장", "더", "덜", "안", "못", "잘", "꼭", "다시"
+]);
+const ZH_PROCLITICS = new Set(["在", "把", "被", "从", "对", "向", "给", "跟", "和", "与", "很", "最", "不", "没"]);
+
+const LANGUAGES = {
+    en: {
+        spaced: true,
+        unit: "wpm",
+        maxRun: 5,
+        proclitic: word => PROCLITICS.has(bareWord(word))
+    },
+    ko: {
+        spaced: true,
+        unit: "cpm",
+        maxRun: 3, // Eojeol carry their particles, so runs are shorter than in English
+        connective: /(고|며|면서|지만|는데|은데|니까|으니|므로|아서|어서|여서|려고|도록|자마자)$/,
+        particle: /(은|는|이|가|을|를|에게|에서|에|와|과|로|으로|의|도|만|한테|께서)$/,
+        proclitic: word => KO_PROCLITICS.has(bareWord(word))
+    },
+    ja: {
+        spaced: false,
+        unit: "cpm",
+        maxRun: 4,
+        attach: new Set([
+            "は", "が", "を", "に", "で", "と", "も", "へ", "の", "や", "から", "まで", "より", "て", "って", "た", "だ",
+            // Auxiliaries / verb endings the segmenter splits off ("座|って", "し|始め", "いま|した")
+            "し", "した", "して", "ま", "ます", "ました", "ません", "です", "でした", "ない", "なかった", "いる", "いた", "いま", "ん"
+        ]),
+        connective: /(て|で|ば|ので|から|けど|けれど|ながら|たら)$/,
+        particle: /(は|が|を|に|と|も|へ|や|まで|より)$/,
+        proclitic: word => /の$/.test(bareWord(word))
+    },
+    zh: {
+        spaced: false,
+        unit: "cpm",
+        maxRun: 4,
+        attach: new Set(["的", "地", "得", "了", "着", "过", "们", "吗", "呢", "吧"]),
+        connective: /(但是|可是|因为|所以|如果|虽然)$/,
+        particle: /(了|着|过)$/,
+        proclitic: word => /[的地得]$/.test(bareWord(word)) || ZH_PROCLITICS.has(bareWord(word))
+    },
+    // Right-to-left scripts (see ReadingDirection.js): punctuation-based pauses only, no word lists yet
+    ar: { spaced: true, unit: "wpm", maxRun: 5, proclitic: () => false },
+    he: { spaced: true, unit: "wpm", maxRun: 5, proclitic: () => false }
+};
+
+export class Language {
+    /**
+     * @param {string} lang - BCP 47 tag ('ko', 'ko-KR', 'ja', 'zh-Hant'...); unknown languages use the English rules
+     * @returns {Object} profile (see header)
+     */
+    static get(lang) {
+        return LANGUAGES[Language.base(lang)] || LANGUAGES.en;
+    }
+
+    static base(lang) {
+        return String(lang || "en").toLowerCase().split(/[-_]/)[0];
+    }
+
+    static isSupported(lang) {
+        return Language.base(lang) in LANGUAGES;
+    }
+
+    static isCJK(lang) {
+        return ["ko", "ja", "zh"].includes(Language.base(lang));
+    }
+
+    /**
+     * Guess the language of a text from its script (Hangul -> ko, Kana -> ja, Han -> zh, Arabic -> ar, Hebrew -> he, else en).
+     */
+    static detect(text) {
+        const s = String(text || "");
+        const count = re => (s.match(re) || []).length;
+        const hangul = count(/\p{Script=Hangul}/gu);
+        const kana = count(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+        const han = count(/\p{Script=Han}/gu);
+        const latin = count(/\p{Script=Latin}/gu);
+        const arabic = count(/\p{Script=Arabic}/gu);
+        const hebrew = count(/\p{Script=Hebrew}/gu);
+
+        if (hangul > 0 && hangul >= kana + han && hangul >= latin) return "ko";
+        if (kana > 0 && kana + han >= latin) return "ja";
+        if (han > 0 && han >= latin) return "zh";
+        if (arabic > 0 && arabic >= latin) return "ar";
+        if (hebrew > 0 && hebrew >= latin) return "he";
+        return "en";
+    }
+
+    /**
+     * Text -> word tokens. Spaced languages split on whitespace; ja / zh runs go through Intl.Segmenter
+     * (word granularity), with punctuation glued to its word and particles to the word before them.
+     * @param {string} text
+     * @param {string} lang
+     * @returns {Array<string>}
+     */
+    static segment(text, lang) {
+        const profile = Language.get(lang);
+        const pieces = String(text || "").trim().split(/\s+/).filter(Boolean);
+        if (profile.spaced) return pieces;
+        return pieces.flatMap(piece => Language._segmentRun(piece, lang, profile));
+    }
+
+    // One whitespace-free run of ja / zh text -> tokens
+    static _segmentRun(piece, lang, profile) {
+        const Segmenter = typeof Intl !== "undefined" ? Intl.Segmenter : undefined;
+        if (!Segmenter) {
+            // No segmenter (old browsers): break after punctuation only
+            return piece.split(/(?<=[、。，！？；：])/).filter(Boolean);
+        }
+
+        const tokens = [];
+        let opening = ""; // Opening quotes/brackets wait for the next word
+        for (const { segment, isWordLike } of new Segmenter(Language.base(lang), { granularity: "word" }).segment(piece)) {
+            const last = tokens.length - 1;
+            if (!isWordLike) {
+                if (OPENERS.test(segment)) opening += segment;
+                else if (last < 0) tokens.push(segment); // Leading punctuation: the caller may glue it to the word before
+                else tokens[last] += segment;
+            } else if (last >= 0 && !opening && profile.attach && profile.attach.has(segment) && !CLAUSE_END.test(tokens[last])) {
+                tokens[last] += segment;
+            } else {
+                tokens.push(opening + segment);
+                opening = "";
+            }
+        }
+        if (opening) {
+            if (tokens.length > 0) tokens[tokens.length - 1] += opening;
+            else tokens.push(opening);
+        }
+        return tokens;
+    }
+
+    /**
+     * Would this token be glued to the word before it (punctuation, particles)? For callers that split text
+     * around markup, e.g. "[[望遠鏡]]を" in the importer.
+     */
+    static attachesToPrevious(token, lang) {
+        const profile = Language.get(lang);
+        if (!/[\p{L}\p{N}]/u.test(token)) return !OPENERS.test(token);
+        return !profile.spaced && !!profile.attach && profile.attach.has(token.replace(/[^\p{L}\p{N}]+$/u, ""));
+    }
+
+    /**
+     * Letters and digits in a text (spaces and punctuation don't count) - the unit of CPM.
+     */
+    static countChars(text) {
+        return (String(text || "").match(/[\p{L}\p{N}]/gu) || []).length;
+    }
+
+    /**
+     * @returns {string} 'wpm' | 'cpm'
+     */
+    static readingUnit(lang) {
+        return Language.get(lang).unit;
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * ReadingDirection.js
+ * Which way lines run on screen. Gaze logic works in reading coordinates so it is the same for every script:
+ *   along   position along a line, growing in reading order (ltr: x, rtl: -x, vertical-rl: y)
+ *   across  position across lines, growing from one line to the next (horizontal: y, vertical-rl: -x)
+ * A return sweep is then always a fast jump back in 'along', and a line start is always the smallest 'along'.
+ *
+ *   ltr          Latin, Hangul, horizontal CJK (default)
+ *   rtl          Arabic, Hebrew, Persian, Urdu
+ *   vertical-rl  Japanese / Chinese tategaki: columns top to bottom, placed right to left
+ */
+
+const DIRECTIONS = {
+    "ltr": { id: "ltr", vertical: false, along: { axis: "x", sign: 1 }, across: { axis: "y", sign: 1 }, writingMode: "horizontal-tb", dir: "ltr" },
+    "rtl": { id: "rtl", vertical: false, along: { axis: "x", sign: -1 }, across: { axis: "y", sign: 1 }, writingMode: "horizontal-tb", dir: "rtl" },
+    "vertical-rl": { id: "vertical-rl", vertical: true, along: { axis: "y", sign: 1 }, across: { axis: "x", sign: -1 }, writingMode: "vertical-rl", dir: "ltr" }
+};
+const ALIASES = { "ttb": "vertical-rl", "vertical": "vertical-rl", "tb-rl": "vertical-rl" };
+const RTL_LANGUAGES = new Set(["ar", "he", "iw", "fa", "ur", "yi"]);
+
+// Rect edges per axis: x -> left / right, y -> top / bottom
+const EDGES = { x: ["left", "right"], y: ["top", "bottom"] };
+
+export class ReadingDirection {
+    /**
+     * @param {string} direction - 'ltr' | 'rtl' | 'vertical-rl' (aliases: 'ttb', 'vertical'); unknown -> ltr
+     * @returns {Object} { id, vertical, along: { axis, sign }, across: { axis, sign }, writingMode, dir }
+     */
+    static get(direction) {
+        const id = ALIASES[direction] || direction;
+        return DIRECTIONS[id] || DIRECTIONS.ltr;
+    }
+
+    static isSupported(direction) {
+        return (ALIASES[direction] || direction) in DIRECTIONS;
+    }
+
+    /**
+     * Default direction of a language (BCP 47): rtl for Arabic, Hebrew..., ltr otherwise.
+     * Vertical text is a layout choice, never a default.
+     */
+    static forLanguage(lang) {
+        return RTL_LANGUAGES.has(String(lang || "").toLowerCase().split(/[-_]/)[0]) ? "rtl" : "ltr";
+    }
+
+    /**
+     * Screen point -> position along the line (grows in reading order).
+     */
+    static along(x, y, direction) {
+        const { along } = ReadingDirection.get(direction);
+        return along.sign * (along.axis === "x" ? x : y);
+    }
+
+    /**
+     * Screen point -> position across lines (grows towards the next line).
+     */
+    static across(x, y, direction) {
+        const { across } = ReadingDirection.get(direction);
+        return across.sign * (across.axis === "x" ? x : y);
+    }
+
+    /**
+     * Screen velocity -> velocity along the line (negative = moving back towards the line start).
+     */
+    static alongVelocity(vx, vy, direction) {
+        return ReadingDirection.along(vx || 0, vy || 0, direction);
+    }
+
+    /**
+     * Rect -> its extent in reading coordinates: { start, end, center } with start <= end.
+     * @param {Object} rect - { left, right, top, bottom }
+     * @param {string} axisName - 'along' | 'across'
+     */
+    static span(rect, direction, axisName = "along") {
+        const { axis, sign } = ReadingDirection.get(direction)[axisName];
+        const [lo, hi] = EDGES[axis].map(edge => sign * rect[edge]);
+        const start = Math.min(lo, hi);
+        const end = Math.max(lo, hi);
+        return { start, end, center: (start + end) / 2 };
+    }
+
+    /**
+     * Screen point at a reading-coordinate position: inverse of along() / across().
+     */
+    static toScreen(alongPos, acrossPos, direction) {
+        const { along, across } = ReadingDirection.get(direction);
+        const point = {};
+        point[along.axis] = along.sign * alongPos;
+        point[across.axis] = across.sign * acrossPos;
+        return point;
+    }
+}
@@ -1,70 +1,123 @@
+import { Language } from "./Language.js";
+
+/**
+ * Bands: WPM range -> chunking rules. A chunk ends after a token when
+ *   - the token has b=4 (sentence / clause end), or
+ *   - the chunk has hardLimit words, or
+ *   - one of `breaks` matches: chunk length >= minLen and token pause b >= minPause
+ * but never inside a protected span (rune word, core_phrase) and never right after a proclitic
+ * ("the", "of", "and"..., per language: "그", "的" - see Language.js) - those get up to `graceWords` extra words to reach their head.
+ * `below`: the band applies to WPM < below (bands are tried in ascending order).
+ */
+const DEFAULT_BANDS = {
+    // Novice (100 WPM):
+    // [FEEDBACK] "100wpm 속도시에는 너무 청크가 1개가 많이 나옴." -> Increase chunk size.
+    // Minimum 2 words, Target 3, Hard Limit 4.
+    low: { below: 150, hardLimit: 4, breaks: [{ minLen: 2, minPause: 1 }] },
+    // Apprentice (200 WPM): Sense Groups (3-4 words). Measured 198 WPM - keep it.
+    mid: { below: 250, hardLimit: 5, breaks: [{ minLen: 3, minPause: 2 }, { minLen: 2, minPause: 3 }] },
+    // Master (300 WPM):
+    // [FEEDBACK] "300wpm 속도시에는 청크를 조금 더 많이 나오게(잘게)" -> Decrease chunk size.
+    // 4-7 words: break on medium pauses (b>=2) from 4 words, strong ones (b>=3) from 3.
+    high: { below: Infinity, hardLimit: 7, breaks: [{ minLen: 4, minPause: 2 }, { minLen: 3, minPause: 3 }] }
+};
+
+const DEFAULT_CHUNK_OPTIONS = {
+    keepSpans: true,      // Rune words / core phrases stay in one chunk
+    maxSpanWords: 12,     // Longer spans fall back to the normal rules
+    attachFunctionWords: true,
+    graceWords: 2,        // Extra words past hardLimit to reach a proclitic's head
+    lang: "en"            // Chapter language (proclitic rules)
+};
+
+const bands = { ...DEFAULT_BANDS };
 
 export class TextChunker {
+    /**
+     * WPM Bands
+     * @param {number} wpm
+     * @returns {string} band name ('low' | 'mid' | 'high' unless custom bands were defined)
+     */
+    static getBand(wpm) {
+        const sorted = Object.entries(bands).sort((a, b) => a[1].below - b[1].below);
+        const match = sorted.find(([, rule]) => wpm < rule.below);
+        return (match || sorted[sorted.length - 1])[0];
+    }
+
+    /**
+     * Add or replace a band, e.g. defineBand('dyslexia', { below: 90, hardLimit: 3, breaks: [{ minLen: 1, minPause: 2 }] }).
+     * @param {string} name
+     * @param {Object} rule - { below, hardLimit, breaks: [{ minLen, minPause }] }
+     */
+    static defineBand(name, rule) {
+        if (!rule || !(rule.hardLimit >= 1) || !Array.isArray(rule.breaks)) {
+            throw new Error(`[TextChunker] Invalid band "${name}": needs hardLimit >= 1 and breaks[]`);
+        }
+        bands[name] = { below: Infinity, ...rule };
+    }
+
+    static removeBand(name) {
+        if (DEFAULT_BANDS[name]) bands[name] = DEFAULT_BANDS[name];
+        else delete bands[name];
+    }
+
+    static getBands() {
+        return { ...bands };
+    }
+
     /**
      * Splits tokens into semantic chunks based on WPM.
      * @param {Array} tokens - Array of {t, b} objects
      * @param {number} wpm - Words Per Minute
-     * @param {Array} highlights - Array of {target_token_index, type, word_id}
+     * @param {Array} highlights - Array of {target_token_index, end_token_index?, type, word_id} (kept in one chunk)
+     * @param {string|Object} band - optional override of getBand(wpm) (e.g. AdaptivePacer's band, which has hysteresis), or a rule object
+     * @param {Object} options - { spans: [{ start_token_index, end_token_index }] (core phrases), lang, ...DEFAULT_CHUNK_OPTIONS }
      * @returns {Array} Array of Arrays of Token Objects
      */
-    static process(tokens, wpm, highlights = []) {
+    static process(tokens, wpm, highlights = [], band = TextChunker.getBand(wpm), options = {}) {
+        const opts = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+        const rule = typeof band === "object" && band !== null ? band : (bands[band] || bands[TextChunker.getBand(wpm)]);
+        const isProclitic = Language.get(opts.lang).proclitic;
+        const spanEnd = opts.keepSpans ? TextChunker._spanEnds(tokens.length, highlights, opts.spans || [], opts.maxSpanWords) : [];
+
         const chunks = [];
         let currentChunk = [];
 
-        // Define WPM Bands
-        let band = 'mid'; // Default
-        if (wpm < 150) band = 'low';       // Novice
-        else if (wpm < 250) band = 'mid';  // Apprentice (Target: 200)
-        else band = 'high';                // Master (300+)
-
         // Loop through tokens
         for (let i = 0; i < tokens.length; i++) {
             const token = tokens[i];
-            const tokenObj = { ...token, originalIndex: i };
-            currentChunk.push(tokenObj);
+            currentChunk.push({ ...token, originalIndex: i });
+            const len = currentChunk.length;
 
             let shouldBreak = false;
-            const len = currentChunk.length;
 
             // --- 0. Absolute Hard Breaks (Always Break) ---
             if (token.b === 4) shouldBreak = true; // Paragraph/Sentence End
-
+            else if (len >= rule.hardLimit) shouldBreak = true;
             // --- 1. Band-Specific Logic ---
-            else if (band === 'low') {
-                // Novice (100 WPM):
-                // [FEEDBACK] "100wpm 속도시에는 너무 청크가 1개가 많이 나옴." -> Increase chunk size.
-                // New Strategy: Minimum 2 words, Target 3.
-                // - Only break if len >= 2 AND pause strength >= 1.
-                // - Force break at 4 words (Hard Limit).
-                if (len >= 4) shouldBreak = true;
-                else if (len >= 2 && token.b >= 1) shouldBreak = true;
-            }
-            else if (band === 'mid') {
-                // Apprentice (200 WPM): Sense Groups (3-4 words).
-                // Current logic is GOOD (198 WPM measured). Keep it.
-                // Target: 200 WPM -> ~3 words/chunk
-                if (len >= 5) shouldBreak = true; // Hard Limit
-                else if (len >= 3 && token.b >= 2) shouldBreak = true; // Normal flow
-                else if (len >= 2 && token.b >= 3) shouldBreak = true; // Short phrase end
+            else shouldBreak = rule.breaks.some(r => len >= r.minLen && token.b >= r.minPause);
+
+            // --- 2. Keep spans whole: no break inside, and start a span in a fresh chunk if it won't fit ---
+            const inSpan = spanEnd[i] !== undefined && spanEnd[i] > i;
+            if (inSpan) shouldBreak = false;
+            else if (!shouldBreak && spanEnd[i + 1] !== undefined && TextChunker._spanStart(spanEnd, i + 1)) {
+                const spanLen = spanEnd[i + 1] - i;
+                if (len + spanLen > rule.hardLimit && len >= 2) shouldBreak = true;
             }
-            else { // 'high'
-                // Master (300 WPM):
-                // [FEEDBACK] "300wpm 속도시에는 청크를 조금 더 많이 나오게(잘게)" -> Decrease chunk size.
-                // Prev: 6-10 words -> New: 4-7 words.
-                // - Break on MEDIUM pauses (b>=2, commas) if len >= 4.
-                // - Force break at 7 words (Hard Limit).
-                if (len >= 7) shouldBreak = true; // Hard Limit (Reduced from 10)
-                else if (len >= 4 && token.b >= 2) shouldBreak = true; // More aggressive breaking
-                else if (len >= 3 && token.b >= 3) shouldBreak = true; // Strong pause
+
+            // --- 3. Don't strand "the" / "of" / "and" at the end of a chunk ---
+            if (shouldBreak && !inSpan && token.b < 4 && opts.attachFunctionWords &&
+                isProclitic(token.t) && len < rule.hardLimit + opts.graceWords) {
+                shouldBreak = false;
             }
 
-            // --- 2. End of Data ---
+            // --- 4. End of Data ---
             if (i === tokens.length - 1) shouldBreak = true;
 
             if (shouldBreak) {
                 // Prevent empty chunks (sanity check)
                 if (currentChunk.length > 0) {
-                    chunks.push([...currentChunk]);
+                    chunks.push(currentChunk);
                     currentChunk = [];
                 }
             }
@@ -72,4 +125,75 @@ export class TextChunker {
 
         return chunks;
     }
+
+    /**
+     * Chunk timing as the Typewriter plays it: words * 60000 / wpm, plus a reading buffer per speed.
+     * @returns {number} ms
+     */
+    static estimateChunkMs(words, wpm) {
+        // [TUNING] Dynamic Multiplier for "Reading/Pause" buffer.
+        let buffer = 1.2; // Default (200 WPM)
+        if (wpm <= 100) buffer = 1.15; // [100 WPM] Increased chunk size, so reduce buffer slightly.
+        else if (wpm >= 300) buffer = 1.05; // [300 WPM] Needs to be faster. Reduce gap.
+        return (60000 / wpm) * words * buffer;
+    }
+
+    /**
+     * Chunk preview for writers: boundaries and estimated durations per WPM, no DOM needed.
+     * @param {Object} chapter - { lang?, paragraphs: [{ id, tokens, vocab_highlights, core_phrase }] }
+     * @param {Array<number>} wpms
+     * @param {Object} options - process() options, plus band: force one band for every WPM
+     * @returns {Array} [{ wpm, band, chunkCount, avgWords, totalMs, paragraphs: [{ id, totalMs, chunks: [{ start, end, words, text, durationMs }] }] }]
+     */
+    static preview(chapter, wpms = [100, 200, 300], options = {}) {
+        const { band: forcedBand, ...chunkOptions } = options;
+        const paragraphs = (chapter && chapter.paragraphs) || [];
+
+        return wpms.map(wpm => {
+            const band = forcedBand || TextChunker.getBand(wpm);
+            const paraPreviews = paragraphs.map(p => {
+                const spans = p.core_phrase ? [p.core_phrase] : [];
+                const chunks = TextChunker.process(p.tokens, wpm, p.vocab_highlights || [], band, { lang: chapter.lang, ...chunkOptions, spans })
+                    .map(chunk => ({
+                        start: chunk[0].originalIndex,
+                        end: chunk[chunk.length - 1].originalIndex,
+                        words: chunk.length,
+                        text: chunk.map(t => t.t).join(Language.get(chapter.lang).spaced ? " " : ""),
+                        durationMs: Math.round(TextChunker.estimateChunkMs(chunk.length, wpm))
+                    }));
+                return { id: p.id, totalMs: chunks.reduce((sum, c) => sum + c.durationMs, 0), chunks };
+            });
+
+            const all = paraPreviews.flatMap(p => p.chunks);
+            return {
+                wpm,
+                band: typeof band === "string" ? band : "custom",
+                chunkCount: all.length,
+                avgWords: all.length ? +(all.reduce((sum, c) => sum + c.words, 0) / all.length).toFixed(2) : 0,
+                totalMs: paraPreviews.reduce((sum, p) => sum + p.totalMs, 0),
+                paragraphs: paraPreviews
+            };
+        });
+    }
+
+    // token index -> last index of the protected span it belongs to
+    static _spanEnds(count, highlights, spans, maxSpanWords) {
+        const ends = [];
+        const mark = (start, end) => {
+            if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end >= count || end < start) return;
+            if (end - start + 1 > maxSpanWords) return;
+            for (let k = start; k <= end; k++) ends[k] = Math.max(ends[k] ?? -1, end);
+        };
+        highlights.forEach(h => mark(h.target_token_index, h.end_token_index ?? h.target_token_index));
+        spans.forEach(s => mark(s.start_token_index, s.end_token_index));
+        // Overlapping spans: extend to the furthest end
+        for (let k = count - 2; k >= 0; k--) {
+            if (ends[k] !== undefined && ends[k + 1] !== undefined && ends[k] >= k + 1) ends[k] = Math.max(ends[k], ends[k + 1]);
+        }
+        return ends;
+    }
+
+    static _spanStart(ends, k) {
+        return ends[k] !== undefined && (k === 0 || ends[k - 1] === undefined || ends[k - 1] < k);
+    }
 }
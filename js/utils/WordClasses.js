@@ -0,0 +1,33 @@
+/**
+ * WordClasses.js
+ * English closed-class word lists shared by the pause inference (ChapterImporter) and the chunker (TextChunker).
+ */
+
+export const PREPOSITIONS = new Set([
+    "of", "in", "on", "at", "by", "to", "into", "onto", "with", "without", "from", "for", "about", "over",
+    "under", "through", "across", "after", "before", "behind", "below", "above", "between", "down", "up",
+    "out", "off", "near", "upon", "within", "along", "around", "against", "towards", "toward", "among", "like"
+]);
+export const CONJUNCTIONS = new Set(["and", "or", "but", "nor", "so", "yet"]);
+export const SUBORDINATORS = new Set([
+    "that", "which", "who", "whom", "whose", "when", "where", "while", "whether", "because", "if",
+    "although", "though", "unless", "until", "since", "as", "than", "what", "how", "why"
+]);
+export const DETERMINERS = new Set([
+    "a", "an", "the", "this", "these", "those", "my", "your", "his", "her", "its", "our", "their"
+]);
+export const FUNCTION_WORDS = new Set([
+    ...PREPOSITIONS, ...CONJUNCTIONS, ...SUBORDINATORS, ...DETERMINERS,
+    "i", "you", "he", "she", "it", "we", "they", "me", "him", "us", "them", "itself", "herself", "himself",
+    "is", "am", "are", "was", "were", "be", "been", "being", "have", "has", "had", "do", "does", "did",
+    "shall", "will", "would", "should", "can", "could", "may", "might", "must", "ought",
+    "not", "no", "very", "so", "too", "quite", "just", "then", "there", "here", "all", "some", "any"
+]);
+
+// Words that lean on the word after them: a chunk should not end on one ("the | rabbit", "of | the book")
+export const PROCLITICS = new Set([...DETERMINERS, ...PREPOSITIONS, ...CONJUNCTIONS, "to", "very", "not", "no"]);
+
+// Lowercase word without surrounding punctuation
+export function bareWord(word) {
+    return String(word).toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+}